@@ -6,6 +6,7 @@
  * - Test failed payment email templates (preview all 4 escalation levels)
  * - Configure and verify Stripe webhook endpoints
  * - Generate customer portal links for payment method updates
+ * - Release tryout/season spots to the waitlist (emails the next player an offer link)
  * - View system status (Stripe connectivity, webhook config, email templates)
  *
  * Access: Admin-only (wp_manage_options capability required in production)
@@ -56,10 +57,11 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         $test_email = sanitize_email($_POST['test_email'] ?? '');
         $test_name = sanitize_text_field($_POST['test_name'] ?? 'Test Player');
         $attempt_number = intval($_POST['attempt_number'] ?? 1);
+        $test_language = newteam_sanitize_language($_POST['test_language'] ?? 'en');
 
         if (!empty($test_email)) {
             $first_name = explode(' ', $test_name)[0];
-            $email_content = newteam_get_payment_failed_email($first_name, $attempt_number, '85.00');
+            $email_content = newteam_get_payment_failed_email($first_name, $attempt_number, '85.00', $test_language);
 
             $headers = [
                 'Content-Type: text/html; charset=UTF-8',
@@ -70,7 +72,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             $sent = wp_mail($test_email, '[TEST] ' . $email_content['subject'], $email_content['body'], $headers);
 
             if ($sent) {
-                $message = "Test email (Attempt {$attempt_number}) sent to {$test_email}";
+                $message = "Test email (Attempt {$attempt_number}, {$test_language}) sent to {$test_email}";
                 $message_type = 'success';
             } else {
                 $message = "Failed to send test email. Check WordPress mail configuration.";
@@ -95,6 +97,37 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             }
         }
     }
+
+    // Release a spot to the waitlist
+    if (isset($_POST['action']) && $_POST['action'] === 'waitlist_release') {
+        $list_key = sanitize_text_field($_POST['list_key'] ?? '');
+        $parts = explode(':', $list_key);
+
+        if ($parts[0] === 'tryout' && !empty($parts[1])) {
+            newteam_adjust_tryout_spots($parts[1], -1);
+        } elseif ($parts[0] === 'season' && !empty($parts[2])) {
+            newteam_adjust_season_spots($parts[1], $parts[2], -1);
+        }
+
+        $offered = newteam_waitlist_offer_next($list_key);
+        if ($offered) {
+            $message = "Spot released — offer sent to {$offered['email']} (expires in " . NEWTEAM_WAITLIST_OFFER_HOURS . " hours)";
+            $message_type = 'success';
+        } else {
+            $message = "Spot released — nobody is waiting on {$list_key}, so it's open for general registration";
+            $message_type = 'success';
+        }
+    }
+}
+
+// Waitlist summary
+$waitlist_summary = [];
+foreach (newteam_get_waitlists() as $list_key => $entries) {
+    $counts = ['waiting' => 0, 'offered' => 0, 'claimed' => 0, 'expired' => 0];
+    foreach ($entries as $entry) {
+        $counts[$entry['status']]++;
+    }
+    $waitlist_summary[$list_key] = $counts;
 }
 
 // Check webhook configuration
@@ -248,14 +281,24 @@ if (!empty($stripe_secret_key)) {
                     <input type="text" name="test_name" value="John Smith" required>
                 </div>
             </div>
-            <div class="form-group">
-                <label>Retry Attempt Number</label>
-                <select name="attempt_number">
-                    <option value="1">Attempt 1 - "Quick heads up" (casual)</option>
-                    <option value="2">Attempt 2 - "Following up" (friendly nudge)</option>
-                    <option value="3">Attempt 3 - "Action needed" (urgent)</option>
-                    <option value="4">Attempt 4+ - "Final notice" (last warning)</option>
-                </select>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Retry Attempt Number</label>
+                    <select name="attempt_number">
+                        <option value="1">Attempt 1 - "Quick heads up" (casual)</option>
+                        <option value="2">Attempt 2 - "Following up" (friendly nudge)</option>
+                        <option value="3">Attempt 3 - "Action needed" (urgent)</option>
+                        <option value="4">Attempt 4+ - "Final notice" (last warning)</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Player Language</label>
+                    <select name="test_language">
+                        <?php foreach (newteam_get_supported_languages() as $code => $name): ?>
+                        <option value="<?php echo esc_attr($code); ?>"><?php echo esc_html($name); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
             </div>
             <button type="submit" class="btn">Send Test Email</button>
         </form>
@@ -276,6 +319,42 @@ if (!empty($stripe_secret_key)) {
         </form>
     </div>
 
+    <!-- Waitlist Offers -->
+    <div class="card">
+        <h2>4. Waitlist Offers</h2>
+        <p>Release a spot on a full tryout session or season tier. The next waiting player is emailed an offer link and has <?php echo NEWTEAM_WAITLIST_OFFER_HOURS; ?> hours to complete checkout before it passes down the list.</p>
+
+        <?php if (empty($waitlist_summary)): ?>
+            <p style="color: #a0a0a0; margin-top: 1rem;">No waitlists yet.</p>
+        <?php else: ?>
+            <ul class="checklist" style="margin-top: 1rem;">
+                <?php foreach ($waitlist_summary as $list_key => $counts): ?>
+                <li>
+                    <div>
+                        <strong><?php echo esc_html($list_key); ?></strong>
+                        <div style="color: #a0a0a0; font-size: 0.85rem;">
+                            <?php echo "{$counts['waiting']} waiting · {$counts['offered']} offered · {$counts['claimed']} claimed · {$counts['expired']} expired"; ?>
+                        </div>
+                    </div>
+                </li>
+                <?php endforeach; ?>
+            </ul>
+
+            <form method="POST" style="margin-top: 1rem;">
+                <input type="hidden" name="action" value="waitlist_release">
+                <div class="form-group">
+                    <label>Waitlist</label>
+                    <select name="list_key">
+                        <?php foreach ($waitlist_summary as $list_key => $counts): ?>
+                        <option value="<?php echo esc_attr($list_key); ?>"><?php echo esc_html($list_key); ?> (<?php echo $counts['waiting']; ?> waiting)</option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+                <button type="submit" class="btn">Release Spot &amp; Send Offer</button>
+            </form>
+        <?php endif; ?>
+    </div>
+
     <!-- System Status -->
     <div class="card">
         <h2>System Status</h2>
@@ -58,8 +58,9 @@ function newteam_send_season_registration_to_airtable($form_data) {
     // Payment status normalization — maps payment frequency to GL-compatible values
     // "full" → "Paid" (immediate revenue recognition)
     // "monthly" → "Pending" (deferred revenue, recognized over billing period)
+    // A bank debit still processing stays "Pending" until the webhook settles it
     $is_paid_in_full = ($form_data['payment_frequency'] ?? 'monthly') === 'full';
-    $payment_status = $is_paid_in_full ? 'Paid' : 'Pending';
+    $payment_status = $is_paid_in_full && empty($form_data['payment_processing']) ? 'Paid' : 'Pending';
     $payment_frequency_label = $is_paid_in_full ? 'Paid in full' : 'Monthly';
 
     // Socks size mapping — transforms shorthand values to match Airtable select field schema
@@ -93,10 +94,12 @@ function newteam_send_season_registration_to_airtable($form_data) {
         'Stripe Payment ID' => $form_data['payment_intent_id'] ?? $form_data['subscription_id'] ?? '',
         'Payment Status' => $payment_status,
         'Waiver Agreement' => 'Waiver Signed',
+        'Language' => newteam_map_language($form_data['language'] ?? 'en'),
+        'Referred By' => $form_data['referred_by'] ?? '',
         'Registration date' => date('Y-m-d')
     ];
 
-    $data = ['fields' => $fields];
+    $data = ['fields' => array_merge($fields, newteam_map_attribution_fields($form_data['attribution'] ?? []))];
 
     error_log('AIRTABLE SEASON: Sending data: ' . json_encode($data, JSON_PRETTY_PRINT));
 
@@ -126,6 +129,86 @@ function newteam_send_season_registration_to_airtable($form_data) {
     return false;
 }
 
+/**
+ * Load the payment a season registration claims, checked against Stripe
+ *
+ * Roster spots, waitlist offers and promo redemptions only count a
+ * registration once Stripe shows it paid for this season and tier:
+ * - pay in full: the PaymentIntent succeeded (or a bank debit is processing)
+ *   at the price and discount it was created with, and hasn't already
+ *   registered every player it covers — a promo code edited, expired or
+ *   deleted since doesn't turn a paid registration away
+ * - monthly: this player's subscription is active on the tier's Price
+ *
+ * @param array $form_data Sanitized registration form
+ * @param array $season Season definition
+ * @return array|false The subscription or PaymentIntent, false when it doesn't check out
+ */
+function newteam_verify_season_payment($form_data, $season) {
+    $problems = [];
+
+    if (!empty($form_data['subscription_id'])) {
+        $reference = $form_data['subscription_id'];
+        $subscription = newteam_stripe_retrieve('subscriptions/' . rawurlencode($reference));
+        if (!$subscription) {
+            error_log("REGISTRATION: Season subscription {$reference} not found");
+            return false;
+        }
+
+        $metadata = $subscription['metadata'] ?? [];
+        $expected_cents = newteam_get_season_monthly_cents($form_data['player_type'], ($metadata['personalization'] ?? '') === 'yes');
+        $unit_amount = intval($subscription['items']['data'][0]['price']['unit_amount'] ?? 0);
+
+        if (!in_array($subscription['status'], ['active', 'trialing'])) {
+            $problems[] = "status {$subscription['status']}";
+        }
+        if (strcasecmp($metadata['player_email'] ?? '', $form_data['email']) !== 0) {
+            $problems[] = 'subscription for ' . ($metadata['player_email'] ?? 'nobody');
+        }
+        if ($unit_amount !== $expected_cents) {
+            $problems[] = "price {$unit_amount}, expected {$expected_cents}";
+        }
+    } else {
+        $reference = $form_data['payment_intent_id'];
+        $payment_intent = $reference ? newteam_stripe_retrieve('payment_intents/' . rawurlencode($reference)) : false;
+        if (!$payment_intent) {
+            error_log("REGISTRATION: Season payment '{$reference}' not found");
+            return false;
+        }
+
+        $metadata = $payment_intent['metadata'] ?? [];
+        $player_count = max(intval($metadata['player_count'] ?? 1), 1);
+        $expected_cents = intval($metadata['list_amount_cents'] ?? 0) - intval($metadata['discount_cents'] ?? 0);
+
+        if (!in_array($payment_intent['status'], ['succeeded', 'processing'])) {
+            $problems[] = "status {$payment_intent['status']}";
+        }
+        if (($metadata['payment_frequency'] ?? '') !== 'full') {
+            $problems[] = 'not a pay-in-full payment';
+        }
+        if ($expected_cents <= 0 || intval($payment_intent['amount']) !== $expected_cents) {
+            $problems[] = "amount {$payment_intent['amount']}, expected {$expected_cents}";
+        }
+        if (newteam_count_registrations($reference) >= $player_count) {
+            $problems[] = "all {$player_count} player(s) already registered";
+        }
+    }
+
+    if (($metadata['season_id'] ?? '') !== $season['id']) {
+        $problems[] = 'paid for season ' . ($metadata['season_id'] ?? 'none');
+    }
+    if (($metadata['player_type'] ?? '') !== $form_data['player_type']) {
+        $problems[] = 'paid for tier ' . ($metadata['player_type'] ?? 'none');
+    }
+
+    if (!empty($problems)) {
+        error_log("REGISTRATION: Rejected season {$reference} for {$form_data['email']} — " . implode('; ', $problems));
+        return false;
+    }
+
+    return !empty($form_data['subscription_id']) ? $subscription : $payment_intent;
+}
+
 /**
  * AJAX handler: Process season registration after payment
  *
@@ -133,7 +216,10 @@ function newteam_send_season_registration_to_airtable($form_data) {
  * notification, and adds player to Mailchimp with appropriate tags.
  *
  * This is the final step in the payment pipeline — payment is confirmed,
- * now create the official record in the system of record.
+ * now create the official record in the system of record. The page retries
+ * until it gets success, so a payment already registered for this player
+ * is acknowledged without writing a second record, and a failed Airtable
+ * write answers success:false without recording anything.
  */
 function newteam_ajax_process_season_registration() {
     header('Content-Type: application/json');
@@ -160,15 +246,48 @@ function newteam_ajax_process_season_registration() {
         'name_personalization' => ($_POST['name_personalization'] ?? '0') === '1',
         'subscription_id' => sanitize_text_field($_POST['subscription_id'] ?? ''),
         'payment_intent_id' => sanitize_text_field($_POST['payment_intent_id'] ?? ''),
-        'customer_id' => sanitize_text_field($_POST['customer_id'] ?? '')
+        'customer_id' => sanitize_text_field($_POST['customer_id'] ?? ''),
+        'language' => newteam_sanitize_language($_POST['language'] ?? ''),
+        'attribution' => newteam_sanitize_attribution($_POST['attribution'] ?? ''),
+        'referred_by' => newteam_sanitize_referral_code($_POST['ref'] ?? '')
     ];
 
+    $season = newteam_get_season($_POST['season_id'] ?? '');
+
     if (empty($form_data['first_name']) || empty($form_data['last_name']) || empty($form_data['email'])) {
         wp_die(json_encode(['success' => false, 'message' => 'Missing required fields']));
     }
 
-    // Write to system of record
-    $airtable_result = newteam_send_season_registration_to_airtable($form_data);
+    $payment_reference = $form_data['subscription_id'] ?: $form_data['payment_intent_id'];
+    if (newteam_registration_is_recorded($payment_reference, $form_data['email'])) {
+        error_log("REGISTRATION: Season {$payment_reference} already registered for {$form_data['email']} — acknowledging retry");
+        wp_die(json_encode(['success' => true, 'message' => 'Registration completed successfully!']));
+    }
+
+    $payment = newteam_verify_season_payment($form_data, $season);
+    if (!$payment) {
+        wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t confirm your payment yet. We\'ll keep trying.']));
+    }
+    $promo_code = $payment['metadata']['promo_code'] ?? '';
+
+    // A bank debit still settling is recorded 'Pending' — as Stripe reports it, not the page
+    $form_data['payment_processing'] = empty($form_data['subscription_id']) && $payment['status'] === 'processing';
+
+    // Write to system of record — until it's saved the page keeps retrying, so nothing else may run
+    if (!newteam_send_season_registration_to_airtable($form_data)) {
+        wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t save your registration yet. We\'ll keep trying.']));
+    }
+    newteam_record_registration($payment_reference, $form_data['email']);
+    newteam_credit_referral($form_data['referred_by'], 'seasons', $form_data['email']);
+
+    // Count the roster spot — a claimed waitlist offer's hold becomes a taken spot
+    newteam_adjust_season_spots($season['id'], $form_data['player_type'], 1);
+    if (!empty($_POST['waitlist_offer'])) {
+        newteam_waitlist_claim_offer(sanitize_text_field($_POST['waitlist_offer']));
+    }
+    if (!empty($promo_code)) {
+        newteam_record_promo_redemption($promo_code, $payment_reference);
+    }
 
     // Send admin notification email
     $player_type_label = $form_data['player_type'] === 'guest' ? 'Guest Player' : 'Full Season Player';
@@ -185,17 +304,30 @@ function newteam_ajax_process_season_registration() {
     $admin_message .= "Shorts: {$form_data['shorts_size']}\n";
     $admin_message .= "Socks: {$form_data['socks_size']}\n\n";
     $admin_message .= "REGISTRATION TYPE:\n";
+    $admin_message .= "Season: {$season['name']}\n";
     $admin_message .= "Player Type: {$player_type_label}\n";
 
     $is_paid_in_full = $form_data['payment_frequency'] === 'full';
     if ($is_paid_in_full) {
         $admin_message .= "Payment: \${$form_data['payment_amount']} PAID IN FULL\n";
+        if ($form_data['payment_processing']) {
+            $admin_message .= "Bank debit PROCESSING — settles in a few business days\n";
+        }
         $admin_message .= "Payment Intent ID: {$form_data['payment_intent_id']}\n";
     } else {
         $admin_message .= "Payment: Subscription (monthly)\n";
         $admin_message .= "Subscription ID: {$form_data['subscription_id']}\n";
     }
     $admin_message .= "Customer ID: {$form_data['customer_id']}\n";
+    $payer_email = sanitize_email($_POST['payer_email'] ?? '');
+    if (!empty($payer_email) && strcasecmp($payer_email, $form_data['email']) !== 0) {
+        $admin_message .= "Paid by: {$payer_email} (group registration)\n";
+    }
+    if (!empty($promo_code)) {
+        $admin_message .= "Promo Code: {$promo_code}\n";
+    }
+    $admin_message .= newteam_format_attribution_for_email($form_data['attribution']);
+    $admin_message .= newteam_format_referral_for_email($form_data['referred_by']);
 
     wp_mail('goal@newteamfc.com', $admin_subject, $admin_message, [
         'Content-Type: text/plain; charset=UTF-8',
@@ -204,7 +336,7 @@ function newteam_ajax_process_season_registration() {
 
     // Add to Mailchimp with appropriate tags
     if (function_exists('newteam_add_to_mailchimp_with_tags')) {
-        $tags = ['Newteam FC', 'Season Registration Spring 2026'];
+        $tags = ['Newteam FC', 'Season Registration ' . $season['name']];
         $tags[] = $form_data['player_type'] === 'guest' ? 'Guest Player' : 'Full Season Player';
 
         newteam_add_to_mailchimp_with_tags(
@@ -213,14 +345,14 @@ function newteam_ajax_process_season_registration() {
             $form_data['last_name'],
             $tags,
             '',
-            ['POSITION' => $form_data['position']]
+            ['POSITION' => $form_data['position']],
+            $form_data['language']
         );
     }
 
     wp_die(json_encode([
         'success' => true,
-        'message' => 'Registration completed successfully!',
-        'airtable' => $airtable_result
+        'message' => 'Registration completed successfully!'
     ]));
 }
 
@@ -228,14 +360,15 @@ function newteam_ajax_process_season_registration() {
  * Update season registration status in Airtable
  *
  * Used by webhook handler to update payment status when subscriptions
- * fail or end. Finds the record by Subscription ID, then patches
- * the Payment Status field.
+ * fail or end, or a pay-in-full bank debit settles. Finds the record by
+ * Subscription ID (or Payment Intent ID), then patches the Payment Status field.
  *
- * @param string $subscription_id Stripe Subscription ID to look up
+ * @param string $subscription_id Stripe Subscription ID (or Payment Intent ID) to look up
  * @param string $status New status value (e.g., "Subscription Ended", "Payment Failed")
+ * @param string $lookup_field Airtable field holding the ID — 'Subscription ID' or 'Payment Intent ID'
  * @return bool Success
  */
-function newteam_update_season_registration_status($subscription_id, $status) {
+function newteam_update_season_registration_status($subscription_id, $status, $lookup_field = 'Subscription ID') {
     $base_id = '';
     $api_key = '';
 
@@ -258,7 +391,7 @@ function newteam_update_season_registration_status($subscription_id, $status) {
     }
 
     // Find the record by Subscription ID
-    $filter = urlencode("AND({Subscription ID}='{$subscription_id}')");
+    $filter = urlencode("AND({{$lookup_field}}='{$subscription_id}')");
     $url = "https://api.airtable.com/v0/{$base_id}/{$table_id}?filterByFormula={$filter}";
 
     $response = wp_remote_get($url, [
@@ -275,24 +408,27 @@ function newteam_update_season_registration_status($subscription_id, $status) {
 
     if (!isset($body['records']) || empty($body['records'])) return false;
 
-    $record_id = $body['records'][0]['id'];
-
-    // Update the Payment Status field
-    $update_url = "https://api.airtable.com/v0/{$base_id}/{$table_id}/{$record_id}";
-
-    $update_response = wp_remote_request($update_url, [
-        'method' => 'PATCH',
-        'headers' => [
-            'Authorization' => 'Bearer ' . $api_key,
-            'Content-Type' => 'application/json'
-        ],
-        'body' => json_encode([
-            'fields' => ['Payment Status' => $status]
-        ]),
-        'timeout' => 30
-    ]);
+    // Update the Payment Status field — a group pay-in-full has one record per player
+    $updated = true;
+    foreach ($body['records'] as $record) {
+        $update_url = "https://api.airtable.com/v0/{$base_id}/{$table_id}/{$record['id']}";
+
+        $update_response = wp_remote_request($update_url, [
+            'method' => 'PATCH',
+            'headers' => [
+                'Authorization' => 'Bearer ' . $api_key,
+                'Content-Type' => 'application/json'
+            ],
+            'body' => json_encode([
+                'fields' => ['Payment Status' => $status]
+            ]),
+            'timeout' => 30
+        ]);
+
+        $updated = $updated && !is_wp_error($update_response);
+    }
 
-    return !is_wp_error($update_response);
+    return $updated;
 }
 
 // Register AJAX endpoint
@@ -75,7 +75,7 @@ function newteam_send_to_tryout_airtable($form_data, $payment_intent_id) {
     $experience = $experience_map[$form_data['experience']] ?? $form_data['experience'];
 
     $data = [
-        'fields' => [
+        'fields' => array_merge([
             'First Name' => $form_data['first_name'],
             'Last Name' => $form_data['last_name'],
             'Email' => $form_data['email'],
@@ -85,9 +85,11 @@ function newteam_send_to_tryout_airtable($form_data, $payment_intent_id) {
             'Experience' => $experience,
             'Tryout Date' => $form_data['tryout_date'],
             'Stripe Payment ID' => $payment_intent_id,
+            'Language' => newteam_map_language($form_data['language'] ?? 'en'),
+            'Referred By' => $form_data['referred_by'] ?? '',
             'Registration Date' => date('Y-m-d'),
             'Status' => 'Registered'
-        ]
+        ], newteam_map_attribution_fields($form_data['attribution'] ?? []))
     ];
 
     error_log('AIRTABLE TRYOUT: Sending data: ' . json_encode($data, JSON_PRETTY_PRINT));
@@ -118,11 +120,60 @@ function newteam_send_to_tryout_airtable($form_data, $payment_intent_id) {
     }
 }
 
+/**
+ * Load the PaymentIntent a tryout registration claims, checked against Stripe
+ *
+ * Session capacity, waitlist offers and promo redemptions only count a
+ * registration once Stripe shows it paid (or a bank debit processing) for
+ * this player and session, at the price and discount it was created with —
+ * a session or promo code edited since doesn't turn a paid registration away.
+ *
+ * @param string $payment_intent_id
+ * @param array $form_data Sanitized registration form
+ * @return array|false PaymentIntent, false when it doesn't check out
+ */
+function newteam_verify_tryout_payment($payment_intent_id, $form_data) {
+    $payment_intent = newteam_stripe_retrieve('payment_intents/' . rawurlencode($payment_intent_id));
+    $session = newteam_get_tryout_session($form_data['tryout_date']);
+
+    if (!$payment_intent || !$session) {
+        error_log("REGISTRATION: Tryout {$payment_intent_id} — payment or session '{$form_data['tryout_date']}' not found");
+        return false;
+    }
+
+    $metadata = $payment_intent['metadata'] ?? [];
+    $expected_cents = intval($metadata['list_amount_cents'] ?? 0) - intval($metadata['discount_cents'] ?? 0);
+
+    $problems = [];
+    if (!in_array($payment_intent['status'], ['succeeded', 'processing'])) {
+        $problems[] = "status {$payment_intent['status']}";
+    }
+    if (($metadata['tryout_session_id'] ?? '') !== $session['id']) {
+        $problems[] = 'paid for session ' . ($metadata['tryout_session_id'] ?? 'none');
+    }
+    if (strcasecmp($metadata['customer_email'] ?? '', $form_data['email']) !== 0) {
+        $problems[] = 'paid by ' . ($metadata['customer_email'] ?? 'nobody');
+    }
+    if ($expected_cents <= 0 || intval($payment_intent['amount']) !== $expected_cents) {
+        $problems[] = "amount {$payment_intent['amount']}, expected {$expected_cents}";
+    }
+
+    if (!empty($problems)) {
+        error_log("REGISTRATION: Rejected tryout {$payment_intent_id} for {$form_data['email']} — " . implode('; ', $problems));
+        return false;
+    }
+
+    return $payment_intent;
+}
+
 /**
  * AJAX handler: Process tryout registration after payment
  *
  * Called after Stripe PaymentIntent succeeds. Validates form data,
  * sends to Airtable, sends admin notification, and adds to Mailchimp.
+ * The page retries until it gets success — a payment that was already
+ * registered is acknowledged without repeating any of that, and a failed
+ * Airtable write answers success:false so the page tries again.
  */
 function newteam_ajax_process_tryout_registration() {
     // Nonce verification — internal control
@@ -140,6 +191,9 @@ function newteam_ajax_process_tryout_registration() {
         'position' => sanitize_text_field($_POST['position'] ?? ''),
         'experience' => sanitize_text_field($_POST['experience'] ?? ''),
         'tryout_date' => sanitize_text_field($_POST['tryout_date'] ?? ''),
+        'language' => newteam_sanitize_language($_POST['language'] ?? ''),
+        'attribution' => newteam_sanitize_attribution($_POST['attribution'] ?? ''),
+        'referred_by' => newteam_sanitize_referral_code($_POST['ref'] ?? ''),
     ];
 
     $payment_intent_id = sanitize_text_field($_POST['payment_intent_id'] ?? '');
@@ -155,6 +209,24 @@ function newteam_ajax_process_tryout_registration() {
         wp_die(json_encode(['success' => false, 'message' => implode(', ', $errors)]));
     }
 
+    if (newteam_registration_is_recorded($payment_intent_id, $form_data['email'])) {
+        error_log("REGISTRATION: Tryout {$payment_intent_id} already registered — acknowledging retry");
+        wp_die(json_encode(['success' => true, 'message' => 'Registration completed successfully!']));
+    }
+
+    $payment_intent = newteam_verify_tryout_payment($payment_intent_id, $form_data);
+    if (!$payment_intent) {
+        wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t confirm your payment yet. We\'ll keep trying.']));
+    }
+    $promo_code = $payment_intent['metadata']['promo_code'] ?? '';
+
+    // Send to Airtable first — until the record exists the page keeps retrying,
+    // so nothing below may run for a registration that wasn't saved
+    if (!newteam_send_to_tryout_airtable($form_data, $payment_intent_id)) {
+        wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t save your registration yet. We\'ll keep trying.']));
+    }
+    newteam_record_registration($payment_intent_id, $form_data['email']);
+
     // Add to Mailchimp with tryout tags and extra fields
     if (function_exists('newteam_add_to_mailchimp_with_tags')) {
         $position_map = [
@@ -181,7 +253,8 @@ function newteam_ajax_process_tryout_registration() {
                 'PHONE' => $form_data['phone'],
                 'POSITION' => $position_map[$form_data['position']] ?? $form_data['position'],
                 'EXPERIENCE' => $experience_map[$form_data['experience']] ?? $form_data['experience']
-            ]
+            ],
+            $form_data['language']
         );
     }
 
@@ -195,14 +268,27 @@ function newteam_ajax_process_tryout_registration() {
     $admin_message .= "Experience: {$form_data['experience']}\n";
     $admin_message .= "Tryout Date: {$form_data['tryout_date']}\n\n";
     $admin_message .= "Payment Intent ID: {$payment_intent_id}\n";
+    if (!empty($promo_code)) {
+        $admin_message .= "Promo Code: {$promo_code}\n";
+    }
+    $admin_message .= newteam_format_attribution_for_email($form_data['attribution']);
+    $admin_message .= newteam_format_referral_for_email($form_data['referred_by']);
 
     wp_mail('info@newteamfc.com', $admin_subject, $admin_message, [
         'Content-Type: text/plain; charset=UTF-8',
         'From: Newteam F.C. Registration <noreply@newteamfc.com>'
     ]);
 
-    // Send to Airtable
-    $airtable_result = newteam_send_to_tryout_airtable($form_data, $payment_intent_id);
+    newteam_credit_referral($form_data['referred_by'], 'tryouts', $form_data['email']);
+
+    // Count the spot against the session's capacity — a claimed offer's hold becomes a taken spot
+    newteam_adjust_tryout_spots($form_data['tryout_date'], 1);
+    if (!empty($_POST['waitlist_offer'])) {
+        newteam_waitlist_claim_offer(sanitize_text_field($_POST['waitlist_offer']));
+    }
+    if (!empty($promo_code)) {
+        newteam_record_promo_redemption($promo_code, $payment_intent_id);
+    }
 
     wp_die(json_encode([
         'success' => true,
@@ -0,0 +1,166 @@
+<?php
+/**
+ * Marketing Attribution
+ *
+ * The public pages record where a visitor came from (frontend/attribution.js)
+ * and send it as a JSON `attribution` field with every lead magnet
+ * signup, tryout registration and season registration:
+ *
+ *   { first_touch: { utm_source, utm_medium, utm_campaign, utm_term, utm_content,
+ *                    fbclid, gclid, ttclid, referrer, landing_page, captured_at },
+ *     last_touch:  { ...same keys } }
+ *
+ * First touch is the campaign that found the player; last touch is the one
+ * that brought them back to convert. Both land in Airtable next to the
+ * revenue, so paid season players can be traced back to the Instagram or
+ * TikTok campaign that produced them.
+ */
+
+/**
+ * Keys accepted in each touch — anything else is dropped
+ */
+function newteam_get_attribution_keys() {
+    return [
+        'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+        'fbclid', 'gclid', 'ttclid',
+        'referrer', 'landing_page', 'captured_at'
+    ];
+}
+
+/**
+ * Sanitize the posted attribution JSON
+ *
+ * @param string $raw JSON from $_POST['attribution'] (may be empty or malformed)
+ * @return array ['first_touch' => array, 'last_touch' => array] — empty arrays when missing
+ */
+function newteam_sanitize_attribution($raw) {
+    $decoded = json_decode(wp_unslash((string) $raw), true);
+    $attribution = ['first_touch' => [], 'last_touch' => []];
+
+    if (!is_array($decoded)) {
+        return $attribution;
+    }
+
+    foreach (array_keys($attribution) as $touch_key) {
+        $touch = $decoded[$touch_key] ?? [];
+        if (!is_array($touch)) continue;
+
+        foreach (newteam_get_attribution_keys() as $key) {
+            if (!isset($touch[$key]) || !is_scalar($touch[$key])) continue;
+
+            $value = $key === 'referrer'
+                ? esc_url_raw($touch[$key])
+                : sanitize_text_field($touch[$key]);
+
+            if ($value !== '') {
+                $attribution[$touch_key][$key] = substr($value, 0, 255);
+            }
+        }
+    }
+
+    return $attribution;
+}
+
+/**
+ * One-line channel label for a touch, e.g. "instagram / paid_social / spring_tryouts"
+ *
+ * Falls back to the referrer host or the ad platform whose click ID is
+ * present, so untagged ad clicks and referrals still read sensibly.
+ *
+ * @param array $touch Sanitized touch
+ * @return string '' when the touch is empty
+ */
+function newteam_describe_touch($touch) {
+    if (empty($touch)) {
+        return '';
+    }
+
+    if (!empty($touch['utm_source'])) {
+        return implode(' / ', array_filter([
+            $touch['utm_source'],
+            $touch['utm_medium'] ?? '',
+            $touch['utm_campaign'] ?? ''
+        ]));
+    }
+
+    $click_platforms = ['fbclid' => 'meta', 'gclid' => 'google', 'ttclid' => 'tiktok'];
+    foreach ($click_platforms as $click_id => $platform) {
+        if (!empty($touch[$click_id])) {
+            return $platform . ' / paid (untagged)';
+        }
+    }
+
+    if (!empty($touch['referrer'])) {
+        return wp_parse_url($touch['referrer'], PHP_URL_HOST) . ' / referral';
+    }
+
+    return '';
+}
+
+/**
+ * Airtable fields for a registration's attribution
+ *
+ * Source / medium / campaign for both touches as plain text, plus the full
+ * sanitized JSON for anything the columns don't cover.
+ *
+ * @param array $attribution From newteam_sanitize_attribution()
+ * @return array Airtable field name => value (empty when there's no attribution)
+ */
+function newteam_map_attribution_fields($attribution) {
+    if (empty($attribution['first_touch']) && empty($attribution['last_touch'])) {
+        return [];
+    }
+
+    $fields = [];
+    foreach (['first_touch' => 'First Touch', 'last_touch' => 'Last Touch'] as $touch_key => $label) {
+        $touch = $attribution[$touch_key];
+        $fields["{$label} Source"] = $touch['utm_source'] ?? '';
+        $fields["{$label} Medium"] = $touch['utm_medium'] ?? '';
+        $fields["{$label} Campaign"] = $touch['utm_campaign'] ?? '';
+        $fields["{$label} Channel"] = newteam_describe_touch($touch);
+    }
+    $fields['Attribution'] = json_encode($attribution);
+
+    return $fields;
+}
+
+/**
+ * Mailchimp merge fields for a lead's attribution (tags are 10 characters max)
+ *
+ * @param array $attribution From newteam_sanitize_attribution()
+ * @return array Merge tag => value
+ */
+function newteam_map_attribution_merge_fields($attribution) {
+    $first = $attribution['first_touch'];
+    $last = $attribution['last_touch'];
+
+    return array_filter([
+        'FT_SOURCE' => $first['utm_source'] ?? '',
+        'FT_MEDIUM' => $first['utm_medium'] ?? '',
+        'FT_CAMP'   => $first['utm_campaign'] ?? '',
+        'LT_SOURCE' => $last['utm_source'] ?? '',
+        'LT_MEDIUM' => $last['utm_medium'] ?? '',
+        'LT_CAMP'   => $last['utm_campaign'] ?? '',
+    ]);
+}
+
+/**
+ * Attribution lines for admin notification emails
+ *
+ * @param array $attribution From newteam_sanitize_attribution()
+ * @return string "First Touch: ...\nLast Touch: ...\n", or '' when there's none
+ */
+function newteam_format_attribution_for_email($attribution) {
+    $first = newteam_describe_touch($attribution['first_touch']);
+    $last = newteam_describe_touch($attribution['last_touch']);
+
+    if ($first === '' && $last === '') {
+        return '';
+    }
+
+    $lines = "First Touch: {$first}\n";
+    if ($last !== $first) {
+        $lines .= "Last Touch: {$last}\n";
+    }
+    return $lines;
+}
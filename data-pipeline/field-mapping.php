@@ -108,6 +108,16 @@ function newteam_map_player_type($player_type) {
     return $player_type === 'guest' ? 'Guest Player' : 'Full Season Player';
 }
 
+/**
+ * Language Label Mapping
+ *
+ * Transforms the page language code into the Airtable select option
+ * ('English', 'Spanish', 'Portuguese') so staff can follow up in it.
+ */
+function newteam_map_language($language) {
+    return newteam_get_supported_languages()[newteam_sanitize_language($language)];
+}
+
 /**
  * Apply all field transformations to a season registration record
  *
@@ -120,7 +130,7 @@ function newteam_map_player_type($player_type) {
 function newteam_transform_season_registration($form_data) {
     $is_paid_in_full = ($form_data['payment_frequency'] ?? 'monthly') === 'full';
 
-    return [
+    return array_merge([
         'First Name'           => $form_data['first_name'],
         'Last Name'            => $form_data['last_name'],
         'Email'                => $form_data['email'],
@@ -140,8 +150,10 @@ function newteam_transform_season_registration($form_data) {
         'Stripe Payment ID'    => $form_data['payment_intent_id'] ?? $form_data['subscription_id'] ?? '',
         'Payment Status'       => newteam_map_payment_status($form_data['payment_frequency']),
         'Waiver Agreement'     => 'Waiver Signed',
+        'Language'             => newteam_map_language($form_data['language'] ?? 'en'),
+        'Referred By'          => $form_data['referred_by'] ?? '',
         'Registration date'    => date('Y-m-d')
-    ];
+    ], newteam_map_attribution_fields($form_data['attribution'] ?? []));
 }
 
 /**
@@ -152,7 +164,7 @@ function newteam_transform_season_registration($form_data) {
  * @return array Transformed fields matching Airtable schema
  */
 function newteam_transform_tryout_registration($form_data, $payment_intent_id) {
-    return [
+    return array_merge([
         'First Name'        => $form_data['first_name'],
         'Last Name'         => $form_data['last_name'],
         'Email'             => $form_data['email'],
@@ -162,7 +174,9 @@ function newteam_transform_tryout_registration($form_data, $payment_intent_id) {
         'Experience'        => newteam_map_experience($form_data['experience']),
         'Tryout Date'       => $form_data['tryout_date'],
         'Stripe Payment ID' => $payment_intent_id,
+        'Language'          => newteam_map_language($form_data['language'] ?? 'en'),
+        'Referred By'       => $form_data['referred_by'] ?? '',
         'Registration Date' => date('Y-m-d'),
         'Status'            => 'Registered'
-    ];
+    ], newteam_map_attribution_fields($form_data['attribution'] ?? []));
 }
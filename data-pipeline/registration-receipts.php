@@ -0,0 +1,84 @@
+<?php
+/**
+ * Registration Receipts
+ *
+ * Checkout pages retry process_tryout_registration / process_season_registration
+ * until they get an answer (frontend/usePendingRegistration.js), including after
+ * a reload. A retry whose first attempt actually reached the server must not
+ * create a second Airtable record, admin email or roster spot, so each handler
+ * records the payment it registered here and answers repeats with success.
+ *
+ * Keyed by payment reference + player email — one pay-in-full PaymentIntent can
+ * cover several players in a group registration.
+ */
+
+/**
+ * Receipts kept — oldest are dropped first
+ */
+define('NEWTEAM_REGISTRATION_RECEIPT_LIMIT', 2000);
+
+/**
+ * @param string $payment_reference PaymentIntent or Subscription ID
+ * @param string $email Player email
+ * @return string
+ */
+function newteam_registration_receipt_key($payment_reference, $email) {
+    return $payment_reference . ':' . strtolower(trim($email));
+}
+
+/**
+ * Whether this payment has already been registered for this player
+ *
+ * @param string $payment_reference PaymentIntent or Subscription ID
+ * @param string $email Player email
+ * @return bool
+ */
+function newteam_registration_is_recorded($payment_reference, $email) {
+    if (empty($payment_reference)) {
+        return false;
+    }
+
+    $receipts = get_option('newteam_registration_receipts', []);
+    return isset($receipts[newteam_registration_receipt_key($payment_reference, $email)]);
+}
+
+/**
+ * Players already registered against one payment
+ *
+ * @param string $payment_reference PaymentIntent or Subscription ID
+ * @return int
+ */
+function newteam_count_registrations($payment_reference) {
+    if (empty($payment_reference)) {
+        return 0;
+    }
+
+    $prefix = $payment_reference . ':';
+    $receipts = get_option('newteam_registration_receipts', []);
+
+    return count(array_filter(array_keys($receipts), function($key) use ($prefix) {
+        return strpos($key, $prefix) === 0;
+    }));
+}
+
+/**
+ * Record a completed registration
+ *
+ * @param string $payment_reference PaymentIntent or Subscription ID
+ * @param string $email Player email
+ */
+function newteam_record_registration($payment_reference, $email) {
+    if (empty($payment_reference)) {
+        return;
+    }
+
+    $receipts = get_option('newteam_registration_receipts', []);
+    $receipts[newteam_registration_receipt_key($payment_reference, $email)] = time();
+
+    if (count($receipts) > NEWTEAM_REGISTRATION_RECEIPT_LIMIT) {
+        asort($receipts);
+        $receipts = array_slice($receipts, -NEWTEAM_REGISTRATION_RECEIPT_LIMIT, null, true);
+    }
+
+    update_option('newteam_registration_receipts', $receipts, false);
+}
@@ -0,0 +1,82 @@
+import React from 'react';
+import { t } from './i18n';
+import { HONEYPOT_FIELD } from './botProtection';
+
+/**
+ * Bot Protection
+ * Challenge widget, honeypot field and load-failure fallback for the
+ * useBotProtection() hook. reCAPTCHA v3 has no widget — only its
+ * fallback shows, if the script can't load.
+ */
+const BotProtection = ({ protection, className, style }) => (
+  <div className={className} style={style}>
+    {/* Off-screen rather than display:none — bots skip fields they can tell are hidden */}
+    <div aria-hidden="true" style={protectionStyles.honeypot}>
+      <label htmlFor={HONEYPOT_FIELD}>{t('botProtection.honeypot')}</label>
+      <input
+        type="text"
+        id={HONEYPOT_FIELD}
+        name={HONEYPOT_FIELD}
+        value={protection.honeypot}
+        onChange={(e) => protection.setHoneypot(e.target.value)}
+        tabIndex={-1}
+        autoComplete="off"
+      />
+    </div>
+
+    {protection.interactive && protection.status !== 'failed' && (
+      <div ref={protection.containerRef} style={protectionStyles.widget} />
+    )}
+    {protection.interactive && protection.status === 'loading' && (
+      <div style={protectionStyles.loading}>{t('botProtection.loading')}</div>
+    )}
+    {protection.status === 'failed' && (
+      <div role="alert" style={protectionStyles.error}>
+        {protection.error}{' '}
+        <button type="button" onClick={protection.retry} style={protectionStyles.retry}>
+          {t('common.tryAgain')}
+        </button>
+      </div>
+    )}
+  </div>
+);
+
+const protectionStyles = {
+  honeypot: {
+    position: 'absolute',
+    left: '-10000px',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden'
+  },
+  widget: {
+    display: 'flex',
+    justifyContent: 'center'
+  },
+  loading: {
+    padding: '0.5rem',
+    color: '#a0a0a0',
+    fontSize: '0.875rem',
+    textAlign: 'center'
+  },
+  error: {
+    padding: '0.75rem 1rem',
+    color: '#f44336',
+    fontSize: '0.875rem',
+    background: 'rgba(244, 67, 54, 0.1)',
+    border: '1px solid rgba(244, 67, 54, 0.4)',
+    borderRadius: '8px'
+  },
+  retry: {
+    padding: 0,
+    background: 'none',
+    border: 'none',
+    color: 'inherit',
+    font: 'inherit',
+    fontWeight: 'bold',
+    textDecoration: 'underline',
+    cursor: 'pointer'
+  }
+};
+
+export default BotProtection;
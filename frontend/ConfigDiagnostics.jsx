@@ -0,0 +1,61 @@
+import React from 'react';
+import { validateRuntimeConfig, isDevelopment } from './runtimeConfig';
+
+/**
+ * Config Diagnostics Banner
+ * Banner listing missing or suspicious runtime config, so a broken
+ * wp_localize_script() shows up on page load instead of at payment time.
+ * Development builds always show it (with the Stripe mode); production shows
+ * it only when something is wrong — a page that can't take payment, or test
+ * keys on the live site, should be noticed by whoever looks at it first.
+ */
+const ConfigDiagnostics = ({ config, page }) => {
+  const { missing, warnings } = validateRuntimeConfig(config, page);
+  const hasIssues = missing.length > 0 || warnings.length > 0;
+
+  if (!hasIssues && !(isDevelopment(config) && config.stripeMode === 'test')) {
+    return null;
+  }
+
+  return (
+    <div role="status" style={{ ...diagnosticStyles.banner, ...(missing.length > 0 ? diagnosticStyles.bannerError : {}) }}>
+      <strong style={diagnosticStyles.title}>
+        Config diagnostics ({page}) · Stripe {config.stripeMode.toUpperCase()} mode
+      </strong>
+      {missing.length > 0 && (
+        <div>Missing required keys: {missing.join(', ')}</div>
+      )}
+      {warnings.map(warning => (
+        <div key={warning}>{warning}</div>
+      ))}
+    </div>
+  );
+};
+
+const diagnosticStyles = {
+  banner: {
+    position: 'fixed',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    zIndex: 9999,
+    padding: '0.75rem 1rem',
+    background: '#78350f',
+    borderTop: '2px solid #f59e0b',
+    color: '#fef3c7',
+    fontFamily: 'ui-monospace, monospace',
+    fontSize: '0.8rem',
+    lineHeight: 1.5
+  },
+  bannerError: {
+    background: '#7f1d1d',
+    borderTopColor: '#ef4444',
+    color: '#fee2e2'
+  },
+  title: {
+    display: 'block',
+    marginBottom: '0.25rem'
+  }
+};
+
+export default ConfigDiagnostics;
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { getAjaxErrorMessage } from './ajaxClient';
+import useFormValidation from './useFormValidation';
+import { required, email } from './formValidation';
+import { focusOnMount } from './accessibility';
+import { t, tRich } from './i18n';
+
+// Mirrors NEWTEAM_LEAD_MAGNET_RESEND_COOLDOWN — used when the server doesn't say.
+// Resends and email fixes cool down separately, so a typo can be fixed right after signup.
+const RESEND_COOLDOWN_SECONDS = 120;
+
+// '1:45'
+const formatCooldown = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+/**
+ * Guide Follow-Up
+ * Shown under the lead magnet success message: the address the guide went
+ * to, "Resend the guide" behind a cooldown, and "Wrong email? Fix it",
+ * which corrects the existing lead rather than signing up a second one.
+ * The fix is only offered when the signup created the contact — an address
+ * that was already on the list can't be changed from here.
+ *
+ * The page passes the signup result in as `lead` ({ email, token, canChangeEmail, retryAfter })
+ * along with the two server calls, which resolve with the handler's JSON.
+ */
+const GuideFollowUp = ({ lead, onResend, onChangeEmail }) => {
+  const [current, setCurrent] = useState({ email: lead.email, token: lead.token, canChangeEmail: lead.canChangeEmail });
+  const [availableAt, setAvailableAt] = useState(() => ({
+    resend: Date.now() + (lead.retryAfter ?? RESEND_COOLDOWN_SECONDS) * 1000,
+    change: 0
+  }));
+  const [now, setNow] = useState(Date.now);
+  const [status, setStatus] = useState('idle'); // 'idle' | 'resending' | 'resent' | 'saving' | 'changed'
+  const [error, setError] = useState('');
+  const [isEditing, setIsEditing] = useState(false);
+  const [newEmail, setNewEmail] = useState('');
+  const form = useFormValidation({
+    newEmail: [required(t('leadMagnet.validation.email')), email(t('leadMagnet.validation.emailInvalid'))]
+  }, { newEmail });
+
+  const secondsLeft = (action) => Math.max(Math.ceil((availableAt[action] - now) / 1000), 0);
+  const resendCooldown = secondsLeft('resend');
+  const changeCooldown = secondsLeft('change');
+  const isBusy = status === 'resending' || status === 'saving';
+
+  // Tick once a second while either cooldown runs
+  useEffect(() => {
+    const endsAt = Math.max(availableAt.resend, availableAt.change);
+    if (endsAt <= Date.now()) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= endsAt) clearInterval(timer);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [availableAt]);
+
+  const startCooldown = (actions, seconds) => {
+    const until = Date.now() + (seconds ?? RESEND_COOLDOWN_SECONDS) * 1000;
+    setAvailableAt(prev => ({ ...prev, ...Object.fromEntries(actions.map(action => [action, until])) }));
+    setNow(Date.now());
+  };
+
+  // A server-side cooldown the page didn't know about (another tab, a reload) restarts the timer
+  const handleError = (action, err) => {
+    const retryAfter = err?.data?.retry_after;
+    if (retryAfter) {
+      startCooldown([action], retryAfter);
+      setError(t('leadMagnet.followUp.wait', { time: formatCooldown(retryAfter) }));
+    } else {
+      setError(getAjaxErrorMessage(err));
+    }
+    setStatus('idle');
+  };
+
+  const handleResend = async () => {
+    setError('');
+    setStatus('resending');
+    try {
+      const result = await onResend(current);
+      startCooldown(['resend'], result.retry_after);
+      setStatus('resent');
+    } catch (err) {
+      handleError('resend', err);
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (form.validate().length > 0) return;
+
+    setStatus('saving');
+    try {
+      const result = await onChangeEmail(current, newEmail);
+      setCurrent({ email: result.email, token: result.lead_token, canChangeEmail: Boolean(result.can_change_email) });
+      startCooldown(['resend', 'change'], result.retry_after);
+      setIsEditing(false);
+      setNewEmail('');
+      form.reset();
+      setStatus('changed');
+    } catch (err) {
+      handleError('change', err);
+    }
+  };
+
+  const linkButtonClass = 'text-amber-500 hover:text-white text-sm font-bold transition-colors disabled:text-slate-500 disabled:cursor-not-allowed focus:outline-none focus-visible:ring-2 focus-visible:ring-amber-500/60 rounded';
+
+  return (
+    <div className="mb-4">
+      <p className="text-slate-300 mb-4">
+        {tRich('leadMagnet.followUp.sentTo', { email: <strong className="text-white break-all">{current.email}</strong> })}
+      </p>
+
+      {/* Kept mounted so screen readers announce each confirmation */}
+      <p className="text-emerald-400 text-sm mb-4 empty:hidden" role="status" aria-live="polite">
+        {status === 'resent' ? t('leadMagnet.followUp.resent') : status === 'changed' ? t('leadMagnet.followUp.changed', { email: current.email }) : ''}
+      </p>
+
+      {error && (
+        <div
+          ref={focusOnMount}
+          tabIndex={-1}
+          role="alert"
+          className="bg-red-500/10 border border-red-500/30 text-red-400 px-4 py-3 mb-4 text-sm rounded focus:outline-none"
+        >
+          {error}
+        </div>
+      )}
+
+      {!isEditing ? (
+        <div className="flex flex-wrap items-center justify-center gap-x-6 gap-y-2">
+          <button type="button" onClick={handleResend} disabled={isBusy || resendCooldown > 0} className={linkButtonClass}>
+            {status === 'resending'
+              ? t('leadMagnet.followUp.resending')
+              : resendCooldown > 0
+                ? t('leadMagnet.followUp.resendIn', { time: formatCooldown(resendCooldown) })
+                : t('leadMagnet.followUp.resend')}
+          </button>
+          {current.canChangeEmail && (
+            <button type="button" onClick={() => { setError(''); setIsEditing(true); }} disabled={isBusy} className={linkButtonClass}>
+              {t('leadMagnet.followUp.fixEmail')}
+            </button>
+          )}
+        </div>
+      ) : (
+        <form onSubmit={handleChangeEmail} noValidate className="text-left">
+          <label htmlFor="corrected_email" className="block text-xs text-slate-400 uppercase tracking-wider mb-2 font-bold">
+            {t('leadMagnet.followUp.newEmail')}
+          </label>
+          <input
+            type="email"
+            id="corrected_email"
+            value={newEmail}
+            {...form.fieldProps('newEmail')}
+            onChange={(e) => setNewEmail(e.target.value)}
+            placeholder={t('leadMagnet.emailPlaceholder')}
+            autoFocus
+            className={`w-full px-4 py-3 bg-slate-800 border ${form.errorFor('newEmail') ? 'border-red-500' : 'border-white/10'} text-white placeholder-slate-500 focus:outline-none focus:border-amber-500 focus:ring-2 focus:ring-amber-500/40 transition-colors rounded`}
+          />
+          {form.errorFor('newEmail') && (
+            <p id={form.errorId('newEmail')} className="mt-1 text-sm text-red-400">{form.errorFor('newEmail')}</p>
+          )}
+          {changeCooldown > 0 && (
+            <p className="mt-2 text-xs text-slate-500">{t('leadMagnet.followUp.changeWait', { time: formatCooldown(changeCooldown) })}</p>
+          )}
+          <div className="flex gap-3 mt-4">
+            <button
+              type="submit"
+              disabled={isBusy || changeCooldown > 0}
+              className="flex-1 px-4 py-3 bg-amber-500 text-slate-900 font-bold uppercase tracking-wider text-sm hover:bg-white transition-colors disabled:opacity-50 rounded focus:outline-none focus-visible:ring-4 focus-visible:ring-white/60"
+            >
+              {status === 'saving' ? t('leadMagnet.followUp.saving') : t('leadMagnet.followUp.save')}
+            </button>
+            <button
+              type="button"
+              onClick={() => { setIsEditing(false); setError(''); form.reset(); }}
+              disabled={isBusy}
+              className="px-4 py-3 bg-slate-800 border border-white/10 text-white font-bold uppercase tracking-wider text-sm hover:border-amber-500 transition-colors rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-amber-500/60"
+            >
+              {t('leadMagnet.followUp.cancel')}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default GuideFollowUp;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { LANGUAGES, t } from './i18n';
+
+/**
+ * Language Switcher
+ * EN / ES / PT toggle for the public pages. Each option is labelled in its
+ * own language so a player who can't read the current one still finds theirs.
+ * Pair with useLanguage() — the page passes its language and setter in.
+ */
+const LanguageSwitcher = ({ language, onChange, className, style }) => (
+  <div role="group" aria-label={t('common.language')} className={className} style={{ ...switcherStyles.group, ...style }}>
+    {Object.entries(LANGUAGES).map(([code, { label, shortLabel }]) => (
+      <button
+        key={code}
+        type="button"
+        lang={code}
+        title={label}
+        aria-label={label}
+        aria-pressed={language === code}
+        onClick={() => onChange(code)}
+        style={language === code ? { ...switcherStyles.option, ...switcherStyles.active } : switcherStyles.option}
+      >
+        {shortLabel}
+      </button>
+    ))}
+  </div>
+);
+
+const switcherStyles = {
+  group: {
+    display: 'inline-flex',
+    gap: '2px',
+    padding: '2px',
+    background: 'rgba(0, 0, 0, 0.5)',
+    border: '1px solid rgba(255, 255, 255, 0.2)',
+    borderRadius: '9999px'
+  },
+  option: {
+    minWidth: '2.5rem',
+    padding: '0.375rem 0.625rem',
+    background: 'transparent',
+    border: 'none',
+    borderRadius: '9999px',
+    color: '#d1d5db',
+    fontSize: '0.75rem',
+    fontWeight: 'bold',
+    letterSpacing: '0.05em',
+    cursor: 'pointer'
+  },
+  active: {
+    background: '#f59e0b',
+    color: '#111827'
+  }
+};
+
+export default LanguageSwitcher;
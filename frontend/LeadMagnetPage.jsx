@@ -0,0 +1,399 @@
+import React, { useState, useEffect } from 'react';
+import ConfigDiagnostics from './ConfigDiagnostics';
+import { createAjaxClient, getAjaxErrorMessage } from './ajaxClient';
+import { getRuntimeConfig } from './runtimeConfig';
+import useFormValidation from './useFormValidation';
+import { required, email } from './formValidation';
+import { focusOnMount } from './accessibility';
+import { t } from './i18n';
+import useLanguage from './useLanguage';
+import LanguageSwitcher from './LanguageSwitcher';
+import useAnalytics from './useAnalytics';
+import { captureAttribution } from './attribution';
+import { captureReferral } from './referrals';
+import useReferralStats from './useReferralStats';
+import ReferralShare from './ReferralShare';
+import ReferralStats from './ReferralStats';
+import GuideFollowUp from './GuideFollowUp';
+import BotProtection from './BotProtection';
+import useBotProtection from './useBotProtection';
+import { BOT_ACTIONS } from './botProtection';
+import { EVENTS } from './analytics';
+import { magnetText } from './leadMagnets';
+
+// Built each render so messages follow the chosen language
+const getSignupSchema = (fields) => {
+  const rules = {
+    firstName: [required(t('leadMagnet.validation.firstName'))],
+    lastName: [required(t('leadMagnet.validation.lastName'))],
+    email: [required(t('leadMagnet.validation.email')), email(t('leadMagnet.validation.emailInvalid'))],
+    source: [required(t('leadMagnet.validation.source'))]
+  };
+  return Object.fromEntries(Object.entries(rules).filter(([name]) => name === 'email' || fields.includes(name)));
+};
+
+const SECTION_TONES = {
+  body: '',
+  highlight: 'text-white font-medium',
+  strong: 'text-white font-bold',
+  muted: 'text-slate-400'
+};
+
+// Start a file download without leaving the success screen
+const startDownload = (url) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+const FieldError = ({ id, message }) => (
+  message ? <p id={id} className="mt-1 text-sm text-red-400">{message}</p> : null
+);
+
+/**
+ * Lead Magnet Landing Page
+ * Free guide signup page driven by a definition from leadMagnets.js — copy,
+ * preview, form fields and delivery all come from `magnet`. Submissions
+ * carry its magnet_id so the server applies that guide's Mailchimp tags.
+ */
+const LeadMagnetPage = ({ magnet }) => {
+  const { language, setLanguage } = useLanguage();
+  const analytics = useAnalytics(magnet.id);
+  const hasField = (name) => name === 'email' || magnet.fields.includes(name);
+  const nameFields = ['firstName', 'lastName'].filter(hasField);
+
+  useEffect(() => {
+    captureAttribution();
+    captureReferral();
+  }, []);
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    email: '',
+    source: ''
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const [referralCode, setReferralCode] = useState('');
+  const [lead, setLead] = useState(null);
+  const [downloadUrl, setDownloadUrl] = useState('');
+  const [error, setError] = useState('');
+  const form = useFormValidation(getSignupSchema(magnet.fields), formData);
+
+  // Get WordPress data
+  const config = getRuntimeConfig();
+  const { siteUrl } = config;
+  const themeUrl = config.themeUri || '/wp-content/themes/newteam';
+  const api = createAjaxClient(config);
+  const referralStats = useReferralStats(api);
+  const botProtection = useBotProtection({ config: config.botProtection, action: BOT_ACTIONS.leadMagnet, language });
+
+  // Images
+  const images = {
+    logo: `${themeUrl}/images/newteam-transparent-logo.png`,
+    guidePreview: magnet.previewImage ? `${themeUrl}/${magnet.previewImage}` : ''
+  };
+
+  // Traffic source options
+  const sourceOptions = [
+    { value: '', label: t('leadMagnet.sources.placeholder') },
+    ...magnet.sources.map(value => ({ value, label: t(`leadMagnet.sources.${value}`, { defaultValue: value }) }))
+  ];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (form.validate().length > 0) return;
+
+    if (!botProtection.isComplete()) {
+      setError(t('botProtection.required'));
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const result = await api.processLeadMagnetSignup({
+        magnet_id: magnet.id,
+        first_name: hasField('firstName') ? formData.firstName : undefined,
+        last_name: hasField('lastName') ? formData.lastName : undefined,
+        email: formData.email,
+        traffic_source: hasField('source') ? formData.source : undefined,
+        ...(await botProtection.getParams())
+      });
+
+      setReferralCode(magnet.referrals ? result.referral_code || '' : '');
+      setLead(result.lead_token ? { email: formData.email, token: result.lead_token, canChangeEmail: Boolean(result.can_change_email), retryAfter: result.retry_after } : null);
+      setIsSubmitted(true);
+      analytics.track(EVENTS.LEAD_SUBMITTED, { magnet: magnet.id, source: formData.source || undefined });
+      if (magnet.download) {
+        const url = `${themeUrl}/${magnet.download.path}`;
+        setDownloadUrl(url);
+        startDownload(url);
+      }
+    } catch (err) {
+      // A rejected token can't be sent again — the player answers a fresh challenge
+      if (err.data?.bot_check) botProtection.reset();
+      setError(getAjaxErrorMessage(err));
+    }
+
+    setIsSubmitting(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white">
+      <ConfigDiagnostics config={config} page="leadMagnet" />
+
+      {/* Minimal Nav */}
+      <nav className="fixed top-0 left-0 right-0 z-50 bg-gradient-to-b from-black/80 to-transparent">
+        <div className="max-w-7xl mx-auto px-6 py-4 flex items-center justify-between">
+          <a href={siteUrl || '/'} className="flex items-center gap-3 no-underline">
+            <img src={images.logo} alt="Newteam FC" className="h-10 w-auto" />
+          </a>
+          <div className="flex items-center gap-4">
+            <LanguageSwitcher language={language} onChange={setLanguage} />
+            <a
+              href={siteUrl || '/'}
+              className="text-white/60 hover:text-white text-sm transition-colors no-underline"
+            >
+              {t('leadMagnet.backToSite')}
+            </a>
+          </div>
+        </div>
+      </nav>
+
+      {/* Hero Section */}
+      <section className="relative min-h-screen flex items-center justify-center overflow-hidden py-20">
+        {/* Background gradient */}
+        <div className="absolute inset-0 bg-gradient-to-br from-slate-900 via-slate-950 to-black" />
+
+        <div className="relative z-10 max-w-3xl mx-auto px-6 text-center">
+          <ReferralStats {...referralStats} />
+
+          {/* Content - Centered */}
+          <p className="text-amber-500 text-sm font-bold uppercase tracking-widest mb-6">
+            {magnetText(magnet, 'eyebrow')}
+          </p>
+
+          <h1 className="font-sports text-4xl sm:text-5xl md:text-6xl font-bold uppercase text-white tracking-tight mb-8 leading-tight">
+            {magnetText(magnet, 'title')}
+          </h1>
+
+          <div className="text-slate-300 text-lg sm:text-xl leading-relaxed space-y-6 mb-10">
+            {magnet.sections.map(({ key, tone = 'body' }) => (
+              <p key={key} className={SECTION_TONES[tone] || undefined}>
+                {magnetText(magnet, key)}
+              </p>
+            ))}
+          </div>
+
+          {/* Guide Preview - Centered & Bigger */}
+          {images.guidePreview && (
+            <div className="mb-12">
+              <p className="text-slate-500 text-sm uppercase tracking-widest mb-4">{t('leadMagnet.sampleCaption')}</p>
+              <img
+                src={images.guidePreview}
+                alt={magnetText(magnet, 'previewAlt')}
+                className="w-full max-w-2xl mx-auto rounded-lg shadow-2xl border border-white/10"
+              />
+            </div>
+          )}
+
+          {/* Form - Below everything */}
+          <div className="w-full max-w-md mx-auto">
+            {/* Announced to screen readers — kept mounted so changes are read out */}
+            <p className="sr-only" role="status" aria-live="polite">
+              {isSubmitting ? t('leadMagnet.sendingStatus') : isSubmitted ? t('leadMagnet.sentStatus') : ''}
+            </p>
+
+            {!isSubmitted ? (
+              <div className="bg-slate-900/80 backdrop-blur border border-white/10 p-6 sm:p-8 rounded-lg">
+                <div className="text-center mb-6">
+                  <h2 className="font-sports text-2xl font-bold uppercase text-white mb-2">
+                    {t('leadMagnet.formTitle')}
+                  </h2>
+                </div>
+
+                {error && (
+                  <div
+                    ref={focusOnMount}
+                    tabIndex={-1}
+                    role="alert"
+                    className="bg-red-500/10 border border-red-500/30 text-red-400 px-4 py-3 mb-6 text-sm rounded focus:outline-none"
+                  >
+                    {error}
+                  </div>
+                )}
+
+                <form onSubmit={handleSubmit} onFocus={analytics.formStart} noValidate className="space-y-4">
+                  {nameFields.length > 0 && (
+                    <div className={`grid ${nameFields.length === 2 ? 'grid-cols-2' : 'grid-cols-1'} gap-4`}>
+                      {hasField('firstName') && (
+                        <div>
+                          <label htmlFor="first_name" className="block text-xs text-slate-400 uppercase tracking-wider mb-2 font-bold">
+                            {t('leadMagnet.firstName')}
+                          </label>
+                          <input
+                            type="text"
+                            id="first_name"
+                            value={formData.firstName}
+                            {...form.fieldProps('firstName')}
+                            onChange={(e) => setFormData({ ...formData, firstName: e.target.value })}
+                            placeholder={t('leadMagnet.firstNamePlaceholder')}
+                            required
+                            className={`w-full px-4 py-3 bg-slate-800 border ${form.errorFor('firstName') ? 'border-red-500' : 'border-white/10'} text-white placeholder-slate-500 focus:outline-none focus:border-amber-500 focus:ring-2 focus:ring-amber-500/40 transition-colors rounded`}
+                          />
+                          <FieldError id={form.errorId('firstName')} message={form.errorFor('firstName')} />
+                        </div>
+                      )}
+                      {hasField('lastName') && (
+                        <div>
+                          <label htmlFor="last_name" className="block text-xs text-slate-400 uppercase tracking-wider mb-2 font-bold">
+                            {t('leadMagnet.lastName')}
+                          </label>
+                          <input
+                            type="text"
+                            id="last_name"
+                            value={formData.lastName}
+                            {...form.fieldProps('lastName')}
+                            onChange={(e) => setFormData({ ...formData, lastName: e.target.value })}
+                            placeholder={t('leadMagnet.lastNamePlaceholder')}
+                            required
+                            className={`w-full px-4 py-3 bg-slate-800 border ${form.errorFor('lastName') ? 'border-red-500' : 'border-white/10'} text-white placeholder-slate-500 focus:outline-none focus:border-amber-500 focus:ring-2 focus:ring-amber-500/40 transition-colors rounded`}
+                          />
+                          <FieldError id={form.errorId('lastName')} message={form.errorFor('lastName')} />
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  <div>
+                    <label htmlFor="email" className="block text-xs text-slate-400 uppercase tracking-wider mb-2 font-bold">
+                      {t('leadMagnet.email')}
+                    </label>
+                    <input
+                      type="email"
+                      id="email"
+                      value={formData.email}
+                      {...form.fieldProps('email')}
+                      onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                      placeholder={t('leadMagnet.emailPlaceholder')}
+                      required
+                      className={`w-full px-4 py-3 bg-slate-800 border ${form.errorFor('email') ? 'border-red-500' : 'border-white/10'} text-white placeholder-slate-500 focus:outline-none focus:border-amber-500 focus:ring-2 focus:ring-amber-500/40 transition-colors rounded`}
+                    />
+                    <FieldError id={form.errorId('email')} message={form.errorFor('email')} />
+                  </div>
+
+                  {hasField('source') && (
+                    <div>
+                      <label htmlFor="traffic_source" className="block text-xs text-slate-400 uppercase tracking-wider mb-2 font-bold">
+                        {t('leadMagnet.source')}
+                      </label>
+                      <select
+                        id="traffic_source"
+                        value={formData.source}
+                        {...form.fieldProps('source')}
+                        onChange={(e) => setFormData({ ...formData, source: e.target.value })}
+                        required
+                        className={`w-full px-4 py-3 bg-slate-800 border ${form.errorFor('source') ? 'border-red-500' : 'border-white/10'} text-white focus:outline-none focus:border-amber-500 focus:ring-2 focus:ring-amber-500/40 transition-colors rounded appearance-none cursor-pointer`}
+                        style={{
+                          backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='%239ca3af'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'%3E%3C/path%3E%3C/svg%3E")`,
+                          backgroundRepeat: 'no-repeat',
+                          backgroundPosition: 'right 12px center',
+                          backgroundSize: '20px'
+                        }}
+                      >
+                        {sourceOptions.map(option => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <FieldError id={form.errorId('source')} message={form.errorFor('source')} />
+                    </div>
+                  )}
+
+                  <BotProtection protection={botProtection} className="my-4" />
+
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full px-6 py-4 bg-amber-500 text-slate-900 font-sports font-bold text-lg uppercase tracking-wider hover:bg-white transition-colors disabled:opacity-50 rounded focus:outline-none focus-visible:ring-4 focus-visible:ring-white/60"
+                  >
+                    {isSubmitting ? t('leadMagnet.sending') : t('leadMagnet.submit')}
+                  </button>
+                </form>
+
+                <p className="text-slate-500 text-xs text-center mt-4">
+                  {t('leadMagnet.noSpam')}
+                </p>
+              </div>
+            ) : (
+              <div className="bg-slate-900/80 backdrop-blur border border-white/10 p-8 rounded-lg text-center">
+                <div className="w-16 h-16 bg-emerald-500/20 rounded-full flex items-center justify-center mx-auto mb-6">
+                  <svg aria-hidden="true" className="w-8 h-8 text-emerald-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                  </svg>
+                </div>
+                <h3 ref={focusOnMount} tabIndex={-1} className="font-sports text-2xl font-bold text-white uppercase mb-2 focus:outline-none">
+                  {magnetText(magnet, 'successTitle')}
+                </h3>
+                {lead && (
+                  <GuideFollowUp
+                    lead={lead}
+                    onResend={({ email, token }) => api.resendLeadMagnetGuide({ magnet_id: magnet.id, email, lead_token: token })}
+                    onChangeEmail={({ email, token }, newEmail) => api.changeLeadMagnetEmail({ magnet_id: magnet.id, email, lead_token: token, new_email: newEmail })}
+                  />
+                )}
+                {downloadUrl && (
+                  <div className="mb-4">
+                    <a
+                      href={downloadUrl}
+                      download
+                      className="inline-block px-6 py-3 bg-amber-500 text-slate-900 font-sports font-bold uppercase tracking-wider hover:bg-white transition-colors rounded no-underline focus:outline-none focus-visible:ring-4 focus-visible:ring-white/60"
+                    >
+                      {t('leadMagnet.download')}
+                    </a>
+                    <p className="text-slate-500 text-xs mt-2">{t('leadMagnet.downloadNote')}</p>
+                  </div>
+                )}
+                <p className="text-slate-400 mb-4">
+                  {magnetText(magnet, 'successBody')}
+                </p>
+                {referralCode && <ReferralShare code={referralCode} magnet={magnet} />}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+
+      {/* Footer */}
+      <footer className="bg-slate-950 border-t border-white/5 py-8">
+        <div className="max-w-6xl mx-auto px-6">
+          <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+            <p className="text-slate-500 text-sm">
+              © {new Date().getFullYear()} Newteam FC
+            </p>
+            <div className="flex items-center gap-6">
+              <a href="https://instagram.com/officialnewteamfc" target="_blank" rel="noopener noreferrer" className="text-slate-500 hover:text-white transition-colors no-underline text-sm">
+                Instagram
+              </a>
+              <a href="https://tiktok.com/@officialnewteamfc" target="_blank" rel="noopener noreferrer" className="text-slate-500 hover:text-white transition-colors no-underline text-sm">
+                TikTok
+              </a>
+              <a href={siteUrl || '/'} className="text-slate-500 hover:text-white transition-colors no-underline text-sm">
+                {t('leadMagnet.mainSite')}
+              </a>
+            </div>
+          </div>
+        </div>
+      </footer>
+    </div>
+  );
+};
+
+export default LeadMagnetPage;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { t } from './i18n';
+
+/**
+ * Payment Element Mount
+ * Container for the Stripe Payment Element returned by useStripePaymentElement,
+ * with loading and error states so the card field is never silently empty.
+ * Wallet buttons render above it when the page enabled express checkout and
+ * the device supports one.
+ */
+const PaymentElementMount = ({ payment, className, style }) => (
+  <div className={className} style={style}>
+    {payment.expressMountRef && (
+      <div style={payment.hasExpressCheckout ? mountStyles.express : mountStyles.expressHidden}>
+        <div ref={payment.expressMountRef} />
+        {payment.hasExpressCheckout && (
+          <div style={mountStyles.divider}>{t('payment.orPayAnotherWay')}</div>
+        )}
+      </div>
+    )}
+    {payment.isLoading && (
+      <div style={mountStyles.loading}>{t('payment.loading')}</div>
+    )}
+    {payment.error && (
+      <div role="alert" style={mountStyles.error}>{payment.error}</div>
+    )}
+    <div ref={payment.mountRef} />
+  </div>
+);
+
+const mountStyles = {
+  express: {
+    marginBottom: '1rem'
+  },
+  // Stays mounted so Stripe can report which wallets the device supports
+  expressHidden: {
+    height: 0,
+    overflow: 'hidden'
+  },
+  divider: {
+    marginTop: '1rem',
+    color: '#a0a0a0',
+    fontSize: '0.875rem',
+    textAlign: 'center'
+  },
+  loading: {
+    padding: '1rem',
+    color: '#a0a0a0',
+    fontSize: '0.875rem',
+    textAlign: 'center'
+  },
+  error: {
+    padding: '0.75rem 1rem',
+    color: '#f44336',
+    fontSize: '0.875rem',
+    background: 'rgba(244, 67, 54, 0.1)',
+    border: '1px solid rgba(244, 67, 54, 0.4)',
+    borderRadius: '8px'
+  }
+};
+
+export default PaymentElementMount;
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { t } from './i18n';
+import { buildReferralUrl, buildReferralStatsUrl, buildShareLinks } from './referrals';
+import { magnetText } from './leadMagnets';
+
+// How long the Copy button reads "Copied"
+const COPIED_RESET_MS = 2000;
+
+/**
+ * Referral Share
+ * A subscriber's personal link on the lead magnet success screen — copy
+ * it, hand it to the phone's share sheet, or send it straight to WhatsApp,
+ * text or email — plus the link to check how many players it brought in.
+ * The share message comes from the magnet's own copy.
+ */
+const ReferralShare = ({ code, magnet }) => {
+  const [copyStatus, setCopyStatus] = useState('idle'); // 'idle' | 'copied' | 'failed'
+  const url = buildReferralUrl(code);
+  const message = magnetText(magnet, 'shareMessage', { url });
+  const subject = magnetText(magnet, 'shareSubject');
+  const shareLinks = buildShareLinks(message, subject);
+  const canShare = typeof navigator !== 'undefined' && typeof navigator.share === 'function';
+
+  useEffect(() => {
+    if (copyStatus !== 'copied') return;
+    const timer = setTimeout(() => setCopyStatus('idle'), COPIED_RESET_MS);
+    return () => clearTimeout(timer);
+  }, [copyStatus]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopyStatus('copied');
+    } catch (e) {
+      // Clipboard blocked (older browsers, insecure context) — the field stays selectable
+      setCopyStatus('failed');
+    }
+  };
+
+  const handleShare = async () => {
+    try {
+      await navigator.share({ title: subject, text: message });
+    } catch (e) {
+      // Share sheet dismissed
+    }
+  };
+
+  const buttonClass = 'px-4 py-2 bg-slate-800 border border-white/10 text-white text-sm font-bold uppercase tracking-wider hover:border-amber-500 transition-colors rounded no-underline focus:outline-none focus-visible:ring-2 focus-visible:ring-amber-500/60';
+
+  return (
+    <div className="border-t border-white/10 pt-6 mt-6 text-left">
+      <h4 className="font-sports text-lg font-bold text-white uppercase mb-1">
+        {t('leadMagnet.referral.title')}
+      </h4>
+      <p className="text-slate-400 text-sm mb-4">
+        {t('leadMagnet.referral.body')}
+      </p>
+
+      <label htmlFor="referral_link" className="block text-xs text-slate-400 uppercase tracking-wider mb-2 font-bold">
+        {t('leadMagnet.referral.linkLabel')}
+      </label>
+      <div className="flex gap-2 mb-2">
+        <input
+          type="text"
+          id="referral_link"
+          value={url}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 px-3 py-2 bg-slate-800 border border-white/10 text-white text-sm focus:outline-none focus:border-amber-500 rounded"
+        />
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="px-4 py-2 bg-amber-500 text-slate-900 text-sm font-bold uppercase tracking-wider hover:bg-white transition-colors rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-white/60"
+        >
+          {copyStatus === 'copied' ? t('leadMagnet.referral.copied') : t('leadMagnet.referral.copy')}
+        </button>
+      </div>
+      <p className="text-sm text-slate-500 mb-4" role="status" aria-live="polite">
+        {copyStatus === 'copied' ? t('leadMagnet.referral.copiedStatus') : copyStatus === 'failed' ? t('leadMagnet.referral.copyFailed') : ''}
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {canShare && (
+          <button type="button" onClick={handleShare} className={buttonClass}>
+            {t('leadMagnet.referral.share')}
+          </button>
+        )}
+        <a href={shareLinks.whatsapp} target="_blank" rel="noopener noreferrer" className={buttonClass}>
+          {t('leadMagnet.referral.whatsapp')}
+        </a>
+        <a href={shareLinks.sms} className={buttonClass}>
+          {t('leadMagnet.referral.sms')}
+        </a>
+        <a href={shareLinks.email} className={buttonClass}>
+          {t('leadMagnet.referral.email')}
+        </a>
+      </div>
+
+      <a href={buildReferralStatsUrl(code)} className="text-amber-500 hover:text-white text-sm transition-colors">
+        {t('leadMagnet.referral.statsLink')}
+      </a>
+    </div>
+  );
+};
+
+export default ReferralShare;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { t } from './i18n';
+
+const STAT_TYPES = ['signups', 'tryouts', 'seasons'];
+
+/**
+ * Referral Stats
+ * What a subscriber's referral link has brought in, shown on the lead
+ * magnet page when it's opened from the ?ref_stats=<code> link. Pair with
+ * useReferralStats() — the page passes its result in.
+ */
+const ReferralStats = ({ status, referrer, error }) => {
+  if (status === 'none') return null;
+
+  return (
+    <div className="bg-slate-900/80 backdrop-blur border border-white/10 p-6 rounded-lg mb-12 max-w-md mx-auto" aria-busy={status === 'loading'}>
+      <h2 className="font-sports text-2xl font-bold uppercase text-white mb-4">
+        {referrer?.first_name
+          ? t('leadMagnet.referral.stats.titleNamed', { name: referrer.first_name })
+          : t('leadMagnet.referral.stats.title')}
+      </h2>
+
+      {status === 'loading' && (
+        <p className="text-slate-400" role="status">{t('leadMagnet.referral.stats.loading')}</p>
+      )}
+
+      {status === 'invalid' && (
+        <p className="text-red-400" role="alert">{error}</p>
+      )}
+
+      {status === 'valid' && (
+        <>
+          <dl className="grid grid-cols-3 gap-4 mb-4">
+            {STAT_TYPES.map(type => (
+              <div key={type} className="flex flex-col-reverse">
+                <dt className="text-xs text-slate-400 uppercase tracking-wider">{t(`leadMagnet.referral.stats.${type}`)}</dt>
+                <dd className="font-sports text-4xl font-bold text-amber-500">{referrer.stats[type] || 0}</dd>
+              </div>
+            ))}
+          </dl>
+          <p className="text-slate-500 text-sm">{t('leadMagnet.referral.stats.note')}</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReferralStats;
@@ -1,6 +1,124 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import useStripePaymentElement from './useStripePaymentElement';
+import PaymentElementMount from './PaymentElementMount';
+import ConfigDiagnostics from './ConfigDiagnostics';
+import BotProtection from './BotProtection';
+import useBotProtection from './useBotProtection';
+import { BOT_ACTIONS } from './botProtection';
+import { createAjaxClient, getAjaxErrorMessage, isOutcomeUnknown } from './ajaxClient';
+import { getRuntimeConfig } from './runtimeConfig';
+import { buildQuote, applyPromoToQuote, sumQuotes, findTier, formatCents, centsToDollars } from './pricing';
+import usePromoCode from './usePromoCode';
+import usePendingRegistration from './usePendingRegistration';
+import useCheckoutAttempt from './useCheckoutAttempt';
+import useRedirectReturn, { saveRedirectCheckout, clearRedirectCheckout, paymentIntentIdFromSecret } from './useRedirectReturn';
+import { waitForActiveSubscription, getRetryableSubscription } from './subscriptionCheckout';
+import { getPaymentMethodSettings, getPaymentMethodTypes, getExpressCheckoutMethods, isPaymentProcessing } from './paymentMethods';
+import { getSeason, getSeasonCatalog, fillSeasonText, getTierAvailability, isSeasonOpen } from './seasons';
+import useWaitlistOffer, { formatOfferTimeRemaining, WAITLIST_OFFER_HOURS } from './useWaitlistOffer';
+import useWizardSteps from './useWizardSteps';
+import useFormDraft from './useFormDraft';
+import useFormValidation from './useFormValidation';
+import { required, email, ageRange } from './formValidation';
+import useReducedMotion from './useReducedMotion';
+import { focusOnMount, isFocusVisible, VISUALLY_HIDDEN } from './accessibility';
+import { t, tRich, formatDate, getStripeLocale } from './i18n';
+import useLanguage from './useLanguage';
+import LanguageSwitcher from './LanguageSwitcher';
+import useAnalytics from './useAnalytics';
+import { captureAttribution } from './attribution';
+import { captureReferral } from './referrals';
+import { EVENTS, getPaymentFailureReason, getRedirectFailureReason } from './analytics';
+
+let playerKeySeed = 0;
+
+const createPlayer = () => ({
+  key: playerKeySeed++, // React list key only — stripped before sending
+  first_name: '',
+  last_name: '',
+  email: '',
+  age: '',
+  position: '',
+  tracksuit_size: '',
+  practice_jersey_size: '',
+  shorts_size: '',
+  socks_size: '',
+  name_personalization: false
+});
+
+// Per-player outcome label for group checkout results — 'registered' | 'payment_failed' | 'not_charged'
+const resultLabel = (status) => t(`season.results.${status}`);
+
+const playerFields = ({ key, ...fields }) => fields;
+
+// Checkout wizard — each step is validated before the player can move past it.
+// Labels are looked up on each render so they follow the chosen language.
+const getSeasonSteps = () => ['plan', 'player', 'equipment', 'agreement', 'review']
+  .map(id => ({ id, label: t(`season.steps.${id}`) }));
+
+// A full roster's waitlist only needs the plan and contact details
+const getWaitlistSteps = () => {
+  const [plan, player] = getSeasonSteps();
+  return [plan, player, { id: 'review', label: t('season.steps.reviewWaitlist') }];
+};
+
+// Bump when the saved draft's shape changes — older drafts are then ignored
+const DRAFT_VERSION = 1;
+
+const EQUIPMENT_FIELD_NAMES = ['tracksuit_size', 'practice_jersey_size', 'shorts_size', 'socks_size'];
+
+const getEquipmentFields = () => EQUIPMENT_FIELD_NAMES
+  .map(name => ({ name, label: t(`season.equipmentFields.${name}`) }));
+
+// Contact details — all the waitlist asks for
+const getContactSchema = () => ({
+  first_name: [required(t('season.validation.firstName'))],
+  last_name: [required(t('season.validation.lastName'))],
+  email: [required(t('season.validation.email')), email()]
+});
+
+const getPlayerSchema = () => ({
+  ...getContactSchema(),
+  age: [required(t('season.validation.age')), ageRange({ min: 18, max: 45 }, t('season.validation.ageRange'))],
+  position: [required(t('season.validation.position'))],
+  ...Object.fromEntries(EQUIPMENT_FIELD_NAMES.map(name => (
+    [name, [required(t(`season.validation.sizes.${name}`))]]
+  )))
+});
+
+// Player fields each wizard step checks, in form order
+const STEP_FIELDS = {
+  player: ['first_name', 'last_name', 'email', 'age', 'position'],
+  equipment: EQUIPMENT_FIELD_NAMES
+};
+
+// Validation name for one player's field — keyed by player so errors follow them when another is removed
+const playerFieldKey = (player, name) => `${player.key}.${name}`;
+
+const FieldError = ({ id, message }) => (
+  message ? <div id={id} style={styles.fieldError}>{message}</div> : null
+);
+
+// One block of the review step, with a way back to the step that set it
+const ReviewSection = ({ title, onEdit, children }) => (
+  <div style={styles.reviewSection}>
+    <div style={styles.reviewHeader}>
+      <h4 style={styles.reviewTitle}>{title}</h4>
+      <button type="button" onClick={onEdit} style={styles.promoRemove}>{t('season.edit')}</button>
+    </div>
+    {children}
+  </div>
+);
 
 const SeasonRegistrationPage = () => {
+  const { language, setLanguage } = useLanguage();
+  const analytics = useAnalytics('season');
+
+  useEffect(() => {
+    captureAttribution();
+    captureReferral();
+  }, []);
+
   // Responsive hook
   const [isMobile, setIsMobile] = useState(window.innerWidth <= 768);
 
@@ -10,60 +128,109 @@ const SeasonRegistrationPage = () => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
-  // Form state
-  const [formData, setFormData] = useState({
-    first_name: '',
-    last_name: '',
-    email: '',
-    age: '',
-    position: '',
-    tracksuit_size: '',
-    practice_jersey_size: '',
-    shorts_size: '',
-    socks_size: '',
-    waiver_agreement: false
+  const reduceMotion = useReducedMotion();
+
+  // Card-style radio options — the radio itself is hidden, so its card shows the keyboard focus ring
+  const [focusedOption, setFocusedOption] = useState(null);
+  const optionFocusProps = (id) => ({
+    onFocus: (e) => setFocusedOption(isFocusVisible(e) ? id : null),
+    onBlur: () => setFocusedOption(null)
   });
+  const optionStyle = (id, isSelected) => ({
+    ...styles.playerTypeOption,
+    ...(isSelected ? styles.playerTypeSelected : {}),
+    ...(focusedOption === id ? styles.optionFocused : {}),
+    ...(reduceMotion ? { transition: 'none' } : {})
+  });
+
+  // Form state — one entry per player; the first player is also the payer
+  const [players, setPlayers] = useState(() => [createPlayer()]);
+  const [waiverAgreement, setWaiverAgreement] = useState(false);
 
   // UI state
   const [playerType, setPlayerType] = useState('full_season');
   const [paymentFrequency, setPaymentFrequency] = useState('monthly'); // 'monthly' or 'full'
-  const [namePersonalization, setNamePersonalization] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState('');
+  const [groupResults, setGroupResults] = useState([]);
+  const [receipt, setReceipt] = useState(null);
+  const [redirectFailure, setRedirectFailure] = useState('');
+  const [isConfirmingSubscription, setIsConfirmingSubscription] = useState(false);
+  // Declined first payments by player key — the next try pays the same subscription with a new card
+  const [declinedSubscriptions, setDeclinedSubscriptions] = useState({});
   const [success, setSuccess] = useState(false);
+  const [waitlistPosition, setWaitlistPosition] = useState(null);
 
-  // Stripe state
-  const [stripe, setStripe] = useState(null);
-  const [elements, setElements] = useState(null);
+  // Get config from WordPress
+  const config = getRuntimeConfig();
+  const { siteUrl, themeUri } = config;
+  const api = createAjaxClient(config);
+  const season = getSeason(config.seasonId);
+  const catalog = getSeasonCatalog(season);
 
-  // Pricing constants
-  const FULL_SEASON_BASE = 85;
-  const GUEST_BASE = 42;
-  const PERSONALIZATION_UPSELL = 13;
-  const SEASON_MONTHS = 6;
+  const promoCode = usePromoCode(api.validateSeasonPromoCode);
 
-  // Get config from WordPress
-  const stripeKey = window.newteamSeasonConfig?.stripePublishableKey || '';
-  const ajaxUrl = window.newteamSeasonConfig?.ajaxUrl || '/wp-admin/admin-ajax.php';
-  const nonce = window.newteamSeasonConfig?.seasonNonce || '';
-  const siteUrl = window.newteamSeasonConfig?.siteUrl || '';
-  const themeUri = window.newteamSeasonConfig?.themeUri || '';
+  // Every paid registration is saved — show the confirmation, unless players
+  // from this checkout still need paying (then the form comes back for them)
+  const handleRegistrationCompleted = ({ receipt: completedReceipt, unpaidCount }) => {
+    analytics.track(EVENTS.REGISTRATION_COMPLETED, {
+      tier: completedReceipt.playerType,
+      frequency: completedReceipt.paymentFrequency,
+      players: completedReceipt.playerCount,
+      value_cents: completedReceipt.dueNowCents
+    });
+    setReceipt(completedReceipt);
+    if (unpaidCount === 0 || isResumingRegistration) {
+      setSuccess(true);
+    }
+  };
 
-  // Calculate current price
-  const basePrice = playerType === 'full_season' ? FULL_SEASON_BASE : GUEST_BASE;
-  const isPayingInFull = paymentFrequency === 'full';
+  // Paid registrations not yet saved — retried until they go through, resumed after a reload
+  const pendingRegistration = usePendingRegistration('season', api.processSeasonRegistration, handleRegistrationCompleted);
+  const [isResumingRegistration] = useState(pendingRegistration.isActive);
 
-  // Pay in full = free name personalization, monthly = optional upsell
-  const monthlyPrice = isPayingInFull
-    ? basePrice  // No extra charge for names when paying in full
-    : basePrice + (namePersonalization ? PERSONALIZATION_UPSELL : 0);
+  // One idempotency key per checkout — repeats reuse this checkout's intent or subscriptions
+  const checkoutAttempt = useCheckoutAttempt('season');
 
-  const totalPrice = isPayingInFull
-    ? basePrice * SEASON_MONTHS  // Full payment (names included free)
-    : monthlyPrice * SEASON_MONTHS;  // Monthly total
+  // Checked by the server before it creates a charge — once per checkout, even for a group
+  const botProtection = useBotProtection({ config: config.botProtection, action: BOT_ACTIONS.season, language });
 
-  // For Stripe - amount to charge now
-  const chargeAmount = isPayingInFull ? totalPrice : monthlyPrice;
+  // Calculate each player's price — pay in full includes name personalization free (catalog rule);
+  // a promo code that covers this tier + frequency comes off every charge
+  const playerQuotes = players.map(player => applyPromoToQuote(buildQuote(catalog, {
+    tierId: playerType,
+    frequency: paymentFrequency,
+    addOnIds: player.name_personalization ? ['name_personalization'] : []
+  }), promoCode.promo));
+  const quote = playerQuotes[0];
+  const groupQuote = sumQuotes(playerQuotes);
+  const isGroup = players.length > 1;
+  const { isPayingInFull, billingMonths } = quote;
+  const personalizationAddOn = quote.addOns.name_personalization;
+  const personalizationFlag = (index) => (playerQuotes[index].addOns.name_personalization.selected ? '1' : '0');
+  const payer = players[0];
+
+  // Waitlist — a full tier takes no-payment signups; an emailed offer link lets
+  // the next player in line check out while their spot is held
+  const waitlistOffer = useWaitlistOffer(api);
+  const offer = waitlistOffer.isValid && waitlistOffer.offer.list_type === 'season' && waitlistOffer.offer.target_id === season.id
+    ? waitlistOffer.offer
+    : null;
+  const hasOfferForTier = Boolean(offer && offer.player_type === playerType);
+  const isWaitlistMode = getTierAvailability(config.seasonAvailability, playerType).isFull && !hasOfferForTier;
+  const waitlistToken = hasOfferForTier ? waitlistOffer.token : undefined;
+
+  // Prefill checkout from the waitlist entry the offer was sent to
+  useEffect(() => {
+    if (!offer) return;
+    setPlayerType(offer.player_type);
+    setPlayers(prev => prev.map((player, index) => (index > 0 ? player : {
+      ...player,
+      first_name: player.first_name || offer.first_name,
+      last_name: player.last_name || offer.last_name,
+      email: player.email || offer.email
+    })));
+  }, [offer]);
 
   // Size options
   const sizeOptions = ['XS', 'S', 'M', 'L', 'XL', 'XXL'];
@@ -74,291 +241,839 @@ const SeasonRegistrationPage = () => {
     { value: 'XL', label: 'XL (US 12+)' }
   ];
 
-  // Initialize Stripe
-  useEffect(() => {
-    if (!stripeKey || !window.Stripe) return;
-
-    const stripeInstance = window.Stripe(stripeKey);
-    setStripe(stripeInstance);
-
-    const appearance = {
-      theme: 'night',
-      variables: {
-        colorPrimary: '#dc2626',
-        colorBackground: '#374151',
-        colorText: '#ffffff',
-        colorDanger: '#ef4444',
-        fontFamily: 'system-ui, sans-serif',
-        borderRadius: '8px'
+  // Stripe Payment Element — amount follows the selected plan across all players;
+  // bank debit only for pay in full, wallet / Link buttons run the same checkout
+  const paymentMethods = getPaymentMethodSettings(config, 'season');
+  const expressMethods = getExpressCheckoutMethods(paymentMethods);
+  const payment = useStripePaymentElement({
+    publishableKey: config.stripePublishableKey,
+    amount: groupQuote.dueNowCents,
+    paymentMethodCreation: 'manual',
+    paymentMethodTypes: getPaymentMethodTypes(paymentMethods, { payInFull: isPayingInFull }),
+    locale: getStripeLocale(language),
+    expressCheckout: expressMethods && {
+      paymentMethods: expressMethods,
+      onClick: (event) => handleExpressClick(event),
+      onConfirm: (event) => runCheckout(event)
+    }
+  });
+  const { stripe, elements } = payment;
+
+  // Back from a bank's 3D Secure page — finish the saved checkout or offer a retry
+  const handleRedirectReturn = ({ status, checkout, paymentIntent, error }) => {
+    const restore = (plan) => {
+      const restoredPlayers = plan.players.map(player => ({ ...createPlayer(), ...player }));
+      setPlayerType(checkout.playerType);
+      setPaymentFrequency(checkout.paymentFrequency);
+      applyCheckoutPlan({ ...plan, players: restoredPlayers });
+      checkoutAttempt.settle();
+
+      // The declined player's subscription stays open for a retry with another card
+      const declinedPlayer = plan.declined && restoredPlayers.find(player => player.email === plan.declined.email);
+      if (declinedPlayer) {
+        setDeclinedSubscriptions({ [declinedPlayer.key]: plan.declined.subscription });
       }
     };
 
-    const elementsInstance = stripeInstance.elements({
-      mode: 'payment',
-      amount: chargeAmount * 100,
-      currency: 'usd',
-      appearance,
-      paymentMethodTypes: ['card'],
-      paymentMethodCreation: 'manual'
-    });
+    // Paid at the bank — a subscription still has to turn active before anyone is registered
+    if (status === 'succeeded' && checkout?.subscription) {
+      setIsConfirmingSubscription(true);
+      waitForActiveSubscription(api, checkout.subscription, checkout.confirmed.context.payer_email)
+        .then(() => restore(checkout.confirmed))
+        .catch((err) => {
+          restore(checkout.failed);
+          setRedirectFailure(getAjaxErrorMessage(err));
+        })
+        .finally(() => {
+          setIsConfirmingSubscription(false);
+          redirectReturn.dismiss();
+        });
+      return;
+    }
+
+    if (checkout) {
+      restore(status === 'succeeded' ? checkout.confirmed : checkout.failed);
+    }
+    if (status === 'failed') {
+      analytics.track(EVENTS.PAYMENT_FAILED, { reason: getRedirectFailureReason(paymentIntent) });
+      setRedirectFailure(error);
+    }
+    if (checkout || status === 'failed') {
+      redirectReturn.dismiss();
+    }
+  };
+  const redirectReturn = useRedirectReturn('season', stripe, handleRedirectReturn);
+
+  const handlePlayerChange = (index) => (e) => {
+    const { name, value, type, checked } = e.target;
+    setPlayers(prev => prev.map((player, i) => (
+      i === index ? { ...player, [name]: type === 'checkbox' ? checked : value } : player
+    )));
+    if (name === 'name_personalization') {
+      analytics.track(EVENTS.UPSELL_TOGGLED, { upsell: name, selected: checked, tier: playerType, frequency: paymentFrequency });
+    }
+  };
 
-    setElements(elementsInstance);
+  // Player choices — the waitlist offer and redirect restores set these directly, untracked
+  const selectTier = (tierId) => {
+    setPlayerType(tierId);
+    analytics.track(EVENTS.TIER_SELECTED, { tier: tierId });
+  };
+
+  const selectFrequency = (frequencyId) => {
+    setPaymentFrequency(frequencyId);
+    analytics.track(EVENTS.FREQUENCY_SELECTED, { tier: playerType, frequency: frequencyId });
+  };
+
+  const addPlayer = () => setPlayers(prev => [...prev, createPlayer()]);
+  const removePlayer = (index) => setPlayers(prev => prev.filter((_, i) => i !== index));
 
-    const paymentElement = elementsInstance.create('payment', {
-      paymentMethodTypes: ['card']
+  const playerName = (player) => `${player.first_name} ${player.last_name}`.trim();
+
+  // Every player's fields plus the waiver, validated together so the first invalid one gets focus
+  const playerSchema = isWaitlistMode ? getContactSchema() : getPlayerSchema();
+  const validationSchema = {};
+  const validationValues = {};
+  players.forEach(player => {
+    Object.entries(playerSchema).forEach(([name, rules]) => {
+      validationSchema[playerFieldKey(player, name)] = rules;
+      validationValues[playerFieldKey(player, name)] = player[name];
     });
+  });
+  validationSchema.waiver_agreement = [required(t('season.validation.waiver', { title: season.waiver.title }))];
+  validationValues.waiver_agreement = waiverAgreement;
 
-    setTimeout(() => {
-      const container = document.getElementById('payment-element');
-      if (container) {
-        paymentElement.mount('#payment-element');
-      }
-    }, 100);
+  const form = useFormValidation(validationSchema, validationValues);
+
+  // Spread onto a validated input — outlines it while its error shows
+  const validatedField = (name, style) => ({
+    ...form.fieldProps(name),
+    style: form.errorFor(name) ? { ...style, ...styles.fieldInvalid } : style
+  });
+
+  // Every problem on a step at once, shown inline — listed with the player's number in a group
+  const validateStep = (stepId) => {
+    if (stepId === 'agreement') {
+      return form.validate(['waiver_agreement']).map(error => error.message);
+    }
+
+    const playerNumbers = {};
+    const names = players.flatMap((player, index) => (STEP_FIELDS[stepId] || [])
+      .filter(name => playerSchema[name])
+      .map(name => {
+        playerNumbers[playerFieldKey(player, name)] = index + 1;
+        return playerFieldKey(player, name);
+      }));
+
+    return form.validate(names).map(({ name, message }) => (
+      isGroup ? t('season.validation.playerPrefix', { number: playerNumbers[name], message }) : message
+    ));
+  };
 
-    return () => paymentElement?.unmount();
-  }, [stripeKey]);
+  const wizard = useWizardSteps(isWaitlistMode ? getWaitlistSteps() : getSeasonSteps(), validateStep);
 
-  // Update Stripe Elements when price changes
+  // Bring the top of each new step into view — only on a step change, not a motion setting change
+  const [initialStepId] = useState(wizard.step.id);
+  const reduceMotionRef = useRef(reduceMotion);
+  reduceMotionRef.current = reduceMotion;
   useEffect(() => {
-    if (elements) {
-      elements.update({ amount: chargeAmount * 100 });
+    if (wizard.step.id === initialStepId) return;
+    document.getElementById('registration-form')?.scrollIntoView({ behavior: reduceMotionRef.current ? 'auto' : 'smooth', block: 'start' });
+  }, [wizard.step.id, initialStepId]);
+
+  // Autosave — plain form fields only; paused while a checkout finishes
+  const formDraft = useFormDraft('season', {
+    players: players.map(playerFields),
+    playerType,
+    paymentFrequency,
+    waiverAgreement,
+    promoCode: promoCode.promo?.code || promoCode.code,
+    step: wizard.step.id
+  }, {
+    version: DRAFT_VERSION,
+    enabled: !success && !pendingRegistration.isActive && redirectReturn.status === 'none' && waitlistPosition === null
+  });
+
+  // Paid (or waitlisted) — the draft is done with
+  const { clear: clearDraft } = formDraft;
+  useEffect(() => {
+    if (pendingRegistration.isActive || waitlistPosition !== null) {
+      clearDraft();
     }
-  }, [chargeAmount, elements]);
+  }, [pendingRegistration.isActive, waitlistPosition, clearDraft]);
 
-  const handleInputChange = (e) => {
-    const { name, value, type, checked } = e.target;
-    setFormData(prev => ({
-      ...prev,
-      [name]: type === 'checkbox' ? checked : value
-    }));
+  // The resumed step is entered once the restored fields have rendered, so its validation sees them
+  const [resumeStep, setResumeStep] = useState(null);
+  const { goTo: goToStep } = wizard;
+  useEffect(() => {
+    if (!resumeStep) return;
+    goToStep(resumeStep);
+    setResumeStep(null);
+  }, [resumeStep, goToStep]);
+
+  const resumeDraft = () => {
+    const draft = formDraft.resume();
+    setPlayers(draft.players.map(player => ({ ...createPlayer(), ...player })));
+    setPlayerType(draft.playerType);
+    setPaymentFrequency(draft.paymentFrequency);
+    setWaiverAgreement(draft.waiverAgreement);
+    promoCode.restore(draft.promoCode || '');
+    setResumeStep(draft.step);
   };
 
-  const validateForm = () => {
-    if (!formData.first_name || !formData.last_name) {
-      return 'Please enter your full name';
+  const handleWaitlistSubmit = async () => {
+    setIsProcessing(true);
+
+    try {
+      const result = await api.joinSeasonWaitlist({
+        season_id: season.id,
+        player_type: playerType,
+        first_name: payer.first_name,
+        last_name: payer.last_name,
+        email: payer.email,
+        page_url: window.location.origin + window.location.pathname,
+        ...(await botProtection.getParams())
+      });
+      botProtection.reset();
+      setWaitlistPosition(result.position);
+    } catch (err) {
+      if (err.data?.bot_check) botProtection.reset();
+      setError(getAjaxErrorMessage(err));
+    } finally {
+      setIsProcessing(false);
     }
-    if (!formData.email || !formData.email.includes('@')) {
-      return 'Please enter a valid email address';
+  };
+
+  const paymentParamsFor = (player, index, paymentMethodId) => ({
+    payment_method_id: paymentMethodId,
+    email: player.email,
+    first_name: player.first_name,
+    last_name: player.last_name,
+    payer_email: payer.email,
+    payer_name: playerName(payer),
+    player_type: playerType,
+    monthly_amount: centsToDollars(playerQuotes[index].monthlyCents),
+    total_amount: centsToDollars(playerQuotes[index].totalCents),
+    payment_frequency: paymentFrequency,
+    name_personalization: personalizationFlag(index),
+    season_id: season.id,
+    waitlist_offer: index === 0 ? waitlistToken : undefined,
+    promo_code: quote.discount?.code
+  });
+
+  // Registration params for one paid player
+  const registrationFor = ({ index, paymentResult }) => {
+    const player = players[index];
+    const paymentId = paymentResult.subscription_id || paymentResult.payment_intent_id;
+    return {
+      id: `${paymentId}:${player.email}`,
+      label: playerName(player),
+      params: {
+        ...playerFields(player),
+        payer_email: payer.email,
+        player_type: playerType,
+        payment_amount: centsToDollars(playerQuotes[index].dueNowCents),
+        payment_frequency: paymentFrequency,
+        name_personalization: personalizationFlag(index),
+        season_id: season.id,
+        waitlist_offer: index === 0 ? waitlistToken : undefined,
+        promo_code: quote.discount?.code,
+        subscription_id: paymentResult.subscription_id || '',
+        payment_intent_id: paymentResult.payment_intent_id || '',
+        customer_id: paymentResult.customer_id
+      }
+    };
+  };
+
+  /**
+   * How a checkout ends given its charges — registrations for the paid
+   * players, the confirmation receipt, and the players still to pay
+   *
+   * @param {Object[]} charges From chargePlayers()
+   * @returns {Object} { registrations, players, context: { payer_email, unpaidCount, receipt } }
+   */
+  const planCheckout = (charges) => {
+    const paidCharges = charges.filter(charge => !charge.error);
+
+    // Players whose subscription failed, and everyone after them, were never charged
+    const results = [
+      ...charges.map(charge => (charge.error
+        ? { name: playerName(players[charge.index]), status: 'payment_failed', message: getAjaxErrorMessage(charge.error) }
+        : { name: playerName(players[charge.index]), status: 'registered' })),
+      ...players.slice(charges.length).map(player => ({ name: playerName(player), status: 'not_charged' }))
+    ];
+    const unpaidPlayers = [
+      ...charges.filter(charge => charge.error).map(charge => players[charge.index]),
+      ...players.slice(charges.length)
+    ];
+
+    return {
+      registrations: paidCharges.map(registrationFor),
+      players: unpaidPlayers,
+      context: {
+        payer_email: payer.email,
+        unpaidCount: unpaidPlayers.length,
+        receipt: {
+          playerType,
+          paymentFrequency,
+          billingMonths,
+          playerCount: paidCharges.length,
+          dueNowCents: paidCharges.reduce((sum, charge) => sum + playerQuotes[charge.index].dueNowCents, 0),
+          personalization: paidCharges.some(charge => personalizationFlag(charge.index) === '1'),
+          bankProcessing: paidCharges.some(charge => isPaymentProcessing(charge.paymentResult.status)),
+          results
+        }
+      }
+    };
+  };
+
+  // Save the paid registrations locally before sending them, and keep only the
+  // players who still need paying so a retry can't double-charge anyone
+  const applyCheckoutPlan = (plan) => {
+    setGroupResults(plan.context.receipt.results);
+    if (plan.registrations.length > 0) {
+      pendingRegistration.begin(plan.registrations, plan.context);
+    }
+    if (plan.players.length > 0) {
+      setPlayers(plan.players);
+    }
+    if (plan.players.length > 0 && plan.registrations.length > 0) {
+      setError(t('season.someFailed'));
+    }
+  };
+
+  /**
+   * Complete 3D Secure when the charge needs it. The bank may authenticate on
+   * its own page, so both possible outcomes are saved first for useRedirectReturn.
+   *
+   * @param {Object} paymentResult Response from a create_season_* action or a subscription retry
+   * @param {Object[]} chargesIfConfirmed Charges so far, counting this one as paid
+   * @param {Object[]} chargesIfFailed Charges so far, counting this one as failed
+   */
+  const confirmIfRequired = async (paymentResult, chargesIfConfirmed, chargesIfFailed) => {
+    if (!paymentResult.requires_action) return;
+
+    const savedPlan = (plan) => ({ ...plan, players: plan.players.map(playerFields) });
+    const failedCharge = chargesIfFailed[chargesIfFailed.length - 1];
+    const subscription = paymentResult.subscription_id
+      ? { subscription_id: paymentResult.subscription_id, customer_id: paymentResult.customer_id, state: 'processing' }
+      : null;
+    saveRedirectCheckout('season', paymentIntentIdFromSecret(paymentResult.payment_intent_client_secret), {
+      playerType,
+      paymentFrequency,
+      subscription,
+      confirmed: savedPlan(planCheckout(chargesIfConfirmed)),
+      failed: {
+        ...savedPlan(planCheckout(chargesIfFailed)),
+        declined: subscription && {
+          email: players[failedCharge.index].email,
+          subscription: { ...subscription, plan: subscriptionPlanFor(failedCharge.index) }
+        }
+      }
+    });
+
+    // Whatever the intent's payment method — card 3D Secure, bank account verification, Link or a wallet
+    const { error: authError } = await stripe.handleNextAction({
+      clientSecret: paymentResult.payment_intent_client_secret
+    });
+    clearRedirectCheckout('season');
+
+    // Stripe's error as-is — its message is shown, its code reported as the failure reason
+    if (authError) {
+      throw authError;
     }
-    if (!formData.age || formData.age < 18 || formData.age > 45) {
-      return 'Age must be between 18 and 45';
+  };
+
+  // What a player's subscription charges — a declined one is only reused for the same plan
+  const subscriptionPlanFor = (index) =>
+    [playerType, paymentFrequency, personalizationFlag(index), quote.discount?.code || ''].join(':');
+
+  /**
+   * Start or retry one player's subscription. A player whose first payment was
+   * declined pays the same subscription's open invoice with the new card.
+   *
+   * @returns {Object} Checkout state from the subscription actions
+   */
+  const startSubscription = (index, paymentMethodId, customerId, botParams) => {
+    const player = players[index];
+    const declined = declinedSubscriptions[player.key];
+    if (declined && declined.plan === subscriptionPlanFor(index)) {
+      return api.retrySeasonSubscriptionPayment({
+        subscription_id: declined.subscription_id,
+        payment_method_id: paymentMethodId,
+        payer_email: payer.email
+      });
     }
-    if (!formData.position) {
-      return 'Please enter your position(s)';
+
+    return api.createSeasonSubscription({
+      ...paymentParamsFor(player, index, paymentMethodId),
+      // Per player, stable across retries even after paid players leave the form
+      idempotency_key: `${checkoutAttempt.key}-${player.key}`,
+      customer_id: customerId,
+      ...botParams
+    });
+  };
+
+  /**
+   * Charge the group — one full payment for everyone, or one subscription per
+   * player on the payer's customer. Stops at the first failed subscription so
+   * nobody after it is charged. A subscription only counts as paid once it's active.
+   *
+   * @param {string} paymentMethodId
+   * @param {Object} botParams From botProtection.getParams() — the same token for every player
+   * @returns {Object[]} One { index, paymentResult } per player that was charged,
+   *                     plus { index, error } for the player whose payment failed
+   */
+  const chargePlayers = async (paymentMethodId, botParams) => {
+    if (isPayingInFull) {
+      const paymentResult = await api.createSeasonFullPayment({
+        ...paymentParamsFor(payer, 0, paymentMethodId),
+        ...botParams,
+        idempotency_key: checkoutAttempt.key,
+        total_amount: centsToDollars(groupQuote.totalCents),
+        players: isGroup
+          ? players.map((player, index) => ({
+              first_name: player.first_name,
+              last_name: player.last_name,
+              email: player.email,
+              total_amount: centsToDollars(playerQuotes[index].totalCents)
+            }))
+          : undefined
+      });
+      const charges = players.map((_, index) => ({ index, paymentResult }));
+      await confirmIfRequired(paymentResult, charges, [{ index: 0, error: new Error(t('common.cardAuthNotCompleted')) }]);
+      return charges;
     }
-    if (!formData.tracksuit_size || !formData.practice_jersey_size || !formData.shorts_size || !formData.socks_size) {
-      return 'Please select all equipment sizes';
+
+    const charged = [];
+    const declined = { ...declinedSubscriptions };
+    let customerId;
+    for (let index = 0; index < players.length; index++) {
+      const playerKey = players[index].key;
+      let subscription = null;
+      try {
+        subscription = await startSubscription(index, paymentMethodId, customerId, botParams);
+        await confirmIfRequired(
+          subscription,
+          [...charged, { index, paymentResult: subscription }],
+          [...charged, { index, error: new Error(t('common.cardAuthNotCompleted')) }]
+        );
+        const paymentResult = await waitForActiveSubscription(api, subscription, payer.email);
+        delete declined[playerKey];
+        customerId = paymentResult.customer_id;
+        charged.push({ index, paymentResult });
+      } catch (err) {
+        const retryable = getRetryableSubscription(err, subscription);
+        if (retryable) {
+          declined[playerKey] = { ...retryable, plan: subscriptionPlanFor(index) };
+        } else {
+          delete declined[playerKey];
+        }
+        setDeclinedSubscriptions(declined);
+
+        // The first player's failure is a plain checkout error — nothing was charged
+        if (index === 0) throw err;
+        charged.push({ index, error: err });
+        break;
+      }
     }
-    if (!formData.waiver_agreement) {
-      return 'Please read and agree to the Season Commitment Agreement';
+    setDeclinedSubscriptions(declined);
+    return charged;
+  };
+
+  // Enter on an earlier step moves on instead of submitting
+  const handleFormSubmit = (e) => {
+    if (!wizard.isLast) {
+      e.preventDefault();
+      wizard.next();
+      return;
     }
-    return null;
+    handleSubmit(e);
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setGroupResults([]);
+
+    // Jumps back to the first incomplete step
+    if (!wizard.validateAll()) return;
+
+    if (!botProtection.isComplete()) {
+      setError(t('botProtection.required'));
+      return;
+    }
 
-    const validationError = validateForm();
-    if (validationError) {
-      setError(validationError);
+    if (isWaitlistMode) {
+      await handleWaitlistSubmit();
       return;
     }
 
-    if (!stripe || !elements) {
-      setError('Payment system not initialized. Please refresh the page.');
+    if (!stripe || !elements || !payment.isReady) {
+      setError(payment.error || t('common.paymentNotInitialized'));
+      return;
+    }
+
+    await runCheckout();
+  };
+
+  // Wallet sheet only opens for a complete form — otherwise show what's missing
+  const handleExpressClick = (event) => {
+    if (isWaitlistMode) {
+      setError(t('season.rosterFull'));
+      return;
+    }
+    if (!wizard.validateAll()) return;
+    if (!botProtection.isComplete()) {
+      setError(t('botProtection.required'));
+      return;
+    }
+    setError('');
+    setGroupResults([]);
+    event.resolve();
+  };
+
+  /**
+   * Charge the group and start the registrations
+   *
+   * @param {Object} [expressEvent] Express Checkout 'confirm' event — told when the payment fails
+   */
+  const runCheckout = async (expressEvent = null) => {
+    // A second tap while the first is still running is ignored
+    if (!checkoutAttempt.lock()) {
+      expressEvent?.paymentFailed();
       return;
     }
 
     setIsProcessing(true);
+    let chargeStarted = false;
+    const checkoutParams = { tier: playerType, frequency: paymentFrequency, players: players.length };
+    analytics.track(EVENTS.PAYMENT_ATTEMPT, {
+      ...checkoutParams,
+      value_cents: groupQuote.dueNowCents,
+      express: Boolean(expressEvent)
+    });
 
     try {
       // Validate card
       const { error: submitError } = await elements.submit();
       if (submitError) {
-        throw new Error(submitError.message);
+        throw submitError;
       }
 
-      // Create payment method
+      // Create payment method — billed to the first player
       const { error: pmError, paymentMethod } = await stripe.createPaymentMethod({
         elements,
         params: {
           billing_details: {
-            name: `${formData.first_name} ${formData.last_name}`,
-            email: formData.email
+            name: playerName(payer),
+            email: payer.email
           }
         }
       });
 
       if (pmError) {
-        throw new Error(pmError.message);
+        throw pmError;
       }
 
-      // Determine if paying in full or subscription
-      const paymentAction = isPayingInFull ? 'create_season_full_payment' : 'create_season_subscription';
-
-      // Create payment/subscription
-      const paymentResponse = await fetch(ajaxUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-          action: paymentAction,
-          payment_method_id: paymentMethod.id,
-          email: formData.email,
-          first_name: formData.first_name,
-          last_name: formData.last_name,
-          player_type: playerType,
-          monthly_amount: monthlyPrice,
-          total_amount: totalPrice,
-          payment_frequency: paymentFrequency,
-          name_personalization: isPayingInFull ? '1' : (namePersonalization ? '1' : '0'),
-          season_nonce: nonce
-        })
-      });
+      const botParams = await botProtection.getParams();
 
-      const paymentResult = await paymentResponse.json();
+      chargeStarted = true;
+      const charges = await chargePlayers(paymentMethod.id, botParams);
 
-      if (!paymentResult.success) {
-        if (paymentResult.requires_action) {
-          const { error: authError } = await stripe.confirmCardPayment(
-            paymentResult.payment_intent_client_secret,
-            { return_url: window.location.href }
-          );
-          if (authError) {
-            throw new Error(authError.message);
-          }
-        } else {
-          throw new Error(paymentResult.message || 'Payment processing failed');
-        }
+      // Keep the key if a subscription may have been created without us hearing back
+      const chargeError = charges.find(charge => charge.error)?.error;
+      checkoutAttempt.settle(charges.find(charge => charge.error && isOutcomeUnknown(charge.error))?.error);
+      if (chargeError) {
+        expressEvent?.paymentFailed();
+        analytics.track(EVENTS.PAYMENT_FAILED, { ...checkoutParams, reason: getPaymentFailureReason(chargeError) });
       }
-
-      // Save registration
-      const registrationResponse = await fetch(ajaxUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams({
-          action: 'process_season_registration',
-          ...formData,
-          player_type: playerType,
-          payment_amount: isPayingInFull ? totalPrice : monthlyPrice,
-          payment_frequency: paymentFrequency,
-          name_personalization: isPayingInFull ? '1' : (namePersonalization ? '1' : '0'),
-          subscription_id: paymentResult.subscription_id || '',
-          payment_intent_id: paymentResult.payment_intent_id || '',
-          customer_id: paymentResult.customer_id,
-          season_nonce: nonce
-        })
-      });
-
-      const registrationResult = await registrationResponse.json();
-
-      if (registrationResult.success) {
-        setSuccess(true);
+      applyCheckoutPlan(planCheckout(charges));
+    } catch (err) {
+      if (err.data?.bot_check) botProtection.reset();
+      setError(getAjaxErrorMessage(err));
+      expressEvent?.paymentFailed();
+      analytics.track(EVENTS.PAYMENT_FAILED, { ...checkoutParams, reason: getPaymentFailureReason(err) });
+      if (chargeStarted) {
+        checkoutAttempt.settle(err);
       } else {
-        throw new Error(registrationResult.message || 'Registration failed');
+        checkoutAttempt.unlock();
       }
-    } catch (err) {
-      setError(err.message);
     } finally {
       setIsProcessing(false);
     }
   };
 
+  if (redirectReturn.status === 'checking' || isConfirmingSubscription) {
+    return (
+      <div style={styles.container}>
+        <div style={{ ...styles.successBox, ...styles.waitlistNotice }}>
+          <h2 ref={focusOnMount} tabIndex={-1} style={{ ...styles.successTitle, color: '#f59e0b' }}>{t('common.redirect.confirmingTitle')}</h2>
+          <p style={styles.successDetails}>{payment.error || t('common.redirect.confirmingBody')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Paid, but this browser has no saved registration (different device, cleared storage)
+  if (redirectReturn.status === 'succeeded' && !redirectReturn.checkout) {
+    return (
+      <div style={styles.container}>
+        <div style={{ ...styles.successBox, ...styles.waitlistNotice }}>
+          <h2 ref={focusOnMount} tabIndex={-1} style={{ ...styles.successTitle, color: '#f59e0b' }}>{t('common.redirect.paidTitle')}</h2>
+          <p style={styles.successDetails}>
+            {t('common.redirect.paidNoDetails', { email: config.contactEmail, reference: redirectReturn.paymentIntent.id })}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  // Paid but not yet saved — keep retrying instead of showing checkout again
+  if (pendingRegistration.isActive) {
+    const { registrations, context } = pendingRegistration.pending;
+    return (
+      <div style={styles.container}>
+        <div style={{ ...styles.successBox, ...styles.waitlistNotice }}>
+          <h2 ref={focusOnMount} tabIndex={-1} style={{ ...styles.successTitle, color: '#f59e0b' }}>{t('common.pending.title')}</h2>
+          <p style={styles.successSubtitle}>{t('common.pending.paid')}</p>
+          <p style={styles.successDetails}>
+            {pendingRegistration.status === 'submitting'
+              ? t('common.pending.saving')
+              : t('common.pending.retrying', { error: pendingRegistration.error })}
+          </p>
+          {registrations.length > 1 && (
+            <ul style={styles.groupResults}>
+              {registrations.map(registration => (
+                <li key={registration.id} style={styles.groupResultWarning}>{t('season.savingPlayer', { name: registration.label })}</li>
+              ))}
+            </ul>
+          )}
+          {pendingRegistration.needsHelp && (
+            <p style={styles.successDetails}>
+              {t('season.needsHelp', { email: context.payer_email, contact: config.contactEmail })}
+            </p>
+          )}
+          {pendingRegistration.status === 'waiting' && (
+            <button type="button" onClick={pendingRegistration.retryNow} style={{ ...styles.homeButton, border: 'none', cursor: 'pointer' }}>
+              {t('common.tryAgainNow')}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   // Success message
-  if (success) {
-    const isFullSeason = playerType === 'full_season';
-    const paidInFull = paymentFrequency === 'full';
+  if (success && receipt) {
+    const isFullSeason = receipt.playerType === 'full_season';
+    const paidInFull = receipt.paymentFrequency === 'full';
     return (
       <div style={styles.container}>
         <div style={styles.successBox}>
-          <h2 style={styles.successTitle}>
-            {isFullSeason ? '🎉 Welcome to the Spring 2026 Season!' : '🎉 Welcome, Guest Player!'}
+          <h2 ref={focusOnMount} tabIndex={-1} style={styles.successTitle}>
+            {isFullSeason ? t('season.success.titleFull', { season: season.name }) : t('season.success.titleGuest')}
           </h2>
           <p style={styles.successSubtitle}>
             {paidInFull
-              ? `Your payment of $${totalPrice} has been processed! You're all set for the season.`
-              : `Your subscription has been activated! You'll be charged $${monthlyPrice}/month for 6 months.`
+              ? receipt.bankProcessing
+                ? t('season.success.bankProcessing', { amount: formatCents(receipt.dueNowCents) })
+                : t('season.success.paidInFull', { amount: formatCents(receipt.dueNowCents) })
+              : t('season.success.subscriptions', {
+                count: receipt.playerCount,
+                amount: formatCents(receipt.dueNowCents),
+                months: receipt.billingMonths
+              })
             }
           </p>
+          {receipt.results.length > 1 && (
+            <ul style={styles.groupResults}>
+              {receipt.results.map((result, index) => (
+                <li key={index} style={result.status === 'registered' ? styles.groupResultOk : styles.groupResultWarning}>
+                  {result.name} — {resultLabel(result.status)}
+                </li>
+              ))}
+            </ul>
+          )}
           <p style={styles.successDetails}>
             {isFullSeason
-              ? 'You now have a guaranteed roster spot and will receive your equipment before the season starts.'
-              : 'You\'ll be assigned 3-5 games based on roster availability. Your equipment will be delivered before the season starts.'}
+              ? t('season.success.detailsFull')
+              : t('season.success.detailsGuest')}
           </p>
-          {paidInFull && (
+          {receipt.personalization && (
             <p style={{ color: '#4caf50', fontWeight: 'bold', marginBottom: '15px' }}>
-              ✓ Name personalization included on your tracksuit, practice jersey & backpack!
+              {t('season.success.personalization')}
             </p>
           )}
-          <p style={styles.successCta}>See you on the pitch!</p>
-          <a href={siteUrl || '/'} style={styles.homeButton}>Back to Home</a>
+          <p style={styles.successCta}>{t('season.success.cta')}</p>
+          <a href={siteUrl || '/'} style={styles.homeButton}>{t('common.backToHome')}</a>
         </div>
       </div>
     );
   }
 
+  if (redirectFailure) {
+    return (
+      <div style={styles.container}>
+        <div style={{ ...styles.successBox, ...styles.waitlistNotice, borderColor: '#dc2626' }}>
+          <h2 ref={focusOnMount} tabIndex={-1} style={{ ...styles.successTitle, color: '#dc2626' }}>{t('common.redirect.failedTitle')}</h2>
+          <p style={styles.successDetails}>{redirectFailure}</p>
+          {groupResults.length > 1 && (
+            <ul style={styles.groupResults}>
+              {groupResults.map((result, index) => (
+                <li key={index} style={result.status === 'registered' ? styles.groupResultOk : styles.groupResultWarning}>
+                  {result.name} — {resultLabel(result.status)}
+                </li>
+              ))}
+            </ul>
+          )}
+          <button
+            type="button"
+            onClick={() => {
+              setRedirectFailure('');
+              wizard.goTo('review');
+              setTimeout(() => document.getElementById('registration-form')?.scrollIntoView(), 0);
+            }}
+            style={{ ...styles.homeButton, border: 'none', cursor: 'pointer' }}
+          >
+            {t('common.tryAgain')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (waitlistPosition !== null) {
+    return (
+      <div style={styles.container}>
+        <div style={{ ...styles.successBox, ...styles.waitlistNotice }}>
+          <h2 ref={focusOnMount} tabIndex={-1} style={{ ...styles.successTitle, color: '#f59e0b' }}>
+            {t('season.waitlistJoined.title', { tier: quote.tier.label })}
+          </h2>
+          <p style={styles.waitlistPosition}>#{waitlistPosition}</p>
+          <p style={styles.successDetails}>
+            {t('season.waitlistJoined.body', { season: season.name, email: payer.email, hours: WAITLIST_OFFER_HOURS })}
+          </p>
+          <a href={siteUrl || '/'} style={styles.homeButton}>{t('common.backToHome')}</a>
+        </div>
+      </div>
+    );
+  }
+
+  // Past the season's end date — shown before checkout, the server refuses the charge anyway
+  if (!isSeasonOpen(season)) {
+    return (
+      <div style={styles.container}>
+        <div style={{ ...styles.successBox, ...styles.waitlistNotice }}>
+          <h2 style={{ ...styles.successTitle, color: '#f59e0b' }}>{t('season.closed.title', { season: season.name })}</h2>
+          <p style={styles.successDetails}>
+            {t('season.closed.body', { season: season.name, contact: config.contactEmail })}
+          </p>
+          <a href={siteUrl || '/'} style={styles.homeButton}>{t('common.backToHome')}</a>
+        </div>
+      </div>
+    );
+  }
+
+  // Plan total — on the Plan step and again on Review & Pay
+  const pricingSummary = (
+    <div style={styles.totalDisplay}>
+      {isGroup && (
+        <ul style={styles.lineItems}>
+          {players.map((player, index) => (
+            <li key={player.key} style={styles.lineItem}>
+              <span>
+                {playerName(player) || t('season.summary.playerFallback', { number: index + 1 })} — {playerQuotes[index].lineItems.map(item => item.label).join(' + ')}
+              </span>
+              <span>{formatCents(playerQuotes[index].dueNowCents)}{isPayingInFull ? '' : t('season.summary.perMonthShort')}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {isPayingInFull ? (
+        <>
+          <div style={styles.totalLabel}>
+            {t('season.summary.oneTime')}{isGroup && t('season.summary.playerCount', { count: players.length })}:
+          </div>
+          <div style={styles.totalAmount}>{formatCents(groupQuote.dueNowCents)}</div>
+          <div style={{ ...styles.recurringNote, color: '#4caf50' }}>
+            {groupQuote.savingsCents > 0 && <>{t('season.summary.includedFree', { amount: formatCents(groupQuote.savingsCents) })}{' '}</>}
+            {t('season.summary.withEquipment', { games: quote.tier.gamesLabel })}
+          </div>
+        </>
+      ) : (
+        <>
+          <div style={styles.totalLabel}>
+            {t('season.summary.firstMonth')}{isGroup && t('season.summary.playerCount', { count: players.length })}:
+          </div>
+          <div style={styles.totalAmount}>{formatCents(groupQuote.dueNowCents)}</div>
+          <div style={styles.recurringNote}>
+            {t('season.summary.thenMonthly', { amount: formatCents(groupQuote.recurringCents), count: billingMonths - 1 })}{' '}
+            {t('season.summary.withEquipment', { games: quote.tier.gamesLabel })}
+          </div>
+        </>
+      )}
+      {quote.discount && (
+        <div style={{ ...styles.recurringNote, color: '#4caf50' }}>
+          {t('season.summary.discount', { code: quote.discount.code, amount: formatCents(quote.discount.perChargeCents) })}
+          {isPayingInFull ? '' : t('season.summary.perMonth')}{isGroup && t('season.summary.perPlayer')}
+          {t('season.summary.youSave', { amount: formatCents(groupQuote.discountCents) })}
+        </div>
+      )}
+    </div>
+  );
+
   // Dynamic hero style with background image
   const heroStyle = {
     ...styles.hero,
     padding: isMobile ? '40px 15px' : '80px 20px',
     background: `linear-gradient(rgba(10, 15, 26, 0.85), rgba(31, 41, 55, 0.9)), url("${themeUri}/images/team-photo.jpg") center/cover no-repeat`,
-    backgroundAttachment: isMobile ? 'scroll' : 'fixed' // Fixed attachment causes issues on mobile
+    backgroundAttachment: isMobile || reduceMotion ? 'scroll' : 'fixed' // Fixed attachment causes issues on mobile
   };
 
   return (
     <div style={styles.pageWrapper}>
+      <ConfigDiagnostics config={config} page="season" />
+
       {/* Hero Section */}
       <section style={heroStyle}>
+        <LanguageSwitcher language={language} onChange={setLanguage} style={styles.languageSwitcher} />
         <div style={styles.heroContent}>
           <h1 style={{ ...styles.heroTitle, fontSize: isMobile ? '2rem' : '3.5rem' }}>
-            <span style={styles.gradientText}>Spring 2026 Season Registration</span>
+            <span style={styles.gradientText}>{t('season.hero.title', { season: season.name })}</span>
           </h1>
           <h2 style={styles.heroSubtitle}>
-            Join Newteam FC for the Spring 2026 Season
+            {t('season.hero.subtitle', { season: season.name })}
           </h2>
           <p style={styles.heroDescription}>
-            Registration covers field fees, equipment, home and away jerseys, referee fees, and league registration.
+            {t('season.hero.description')}
           </p>
 
           {/* Pricing Cards */}
           <div style={styles.pricingCards}>
-            {/* Full Season Card */}
-            <div style={styles.pricingCard}>
-              <h3 style={styles.cardTitle}>Full Season Player</h3>
-              <div style={styles.cardPrice}>$85<span style={styles.cardPriceUnit}>/month</span></div>
-              <div style={styles.cardSubtext}>6-month commitment</div>
-              <ul style={styles.cardList}>
-                <li>✓ Guaranteed roster spot</li>
-                <li>✓ All league matches & practices</li>
-                <li>✓ VEO game footage & highlights</li>
-                <li style={styles.cardListHeader}>Equipment Package:</li>
-                <li style={styles.cardListIndent}>• Home & away game jerseys</li>
-                <li style={styles.cardListIndent}>• Practice jersey</li>
-                <li style={styles.cardListIndent}>• Team tracksuit</li>
-                <li style={styles.cardListIndent}>• Game shorts</li>
-                <li style={styles.cardListIndent}>• Team socks</li>
-                <li style={styles.cardListIndent}>• Team backpack</li>
-              </ul>
-            </div>
-
-            {/* Guest Player Card */}
-            <div style={{ ...styles.pricingCard, ...styles.guestCard }}>
-              <h3 style={styles.cardTitle}>Guest Player</h3>
-              <div style={styles.cardPrice}>$42<span style={styles.cardPriceUnit}>/month</span></div>
-              <div style={styles.cardSubtext}>6-month commitment</div>
-              <ul style={styles.cardList}>
-                <li><strong style={{ color: '#f59e0b' }}>✓ 3-5 games per season</strong></li>
-                <li>✓ Games assigned based on roster needs</li>
-                <li>✓ VEO footage for your games</li>
-                <li style={styles.cardListHeader}>Equipment Package:</li>
-                <li style={styles.cardListIndent}>• Home & away game jerseys</li>
-                <li style={styles.cardListIndent}>• Practice jersey</li>
-                <li style={styles.cardListIndent}>• Team tracksuit</li>
-                <li style={styles.cardListIndent}>• Game shorts</li>
-                <li style={styles.cardListIndent}>• Team socks</li>
-                <li style={styles.cardListIndent}>• Team backpack</li>
-              </ul>
-            </div>
+            {catalog.tiers.map(tier => (
+              <div
+                key={tier.id}
+                style={{ ...styles.pricingCard, ...(tier.variant === 'guest' ? styles.guestCard : {}) }}
+              >
+                <h3 style={styles.cardTitle}>{tier.label}</h3>
+                <div style={styles.cardPrice}>{formatCents(tier.monthlyCents)}<span style={styles.cardPriceUnit}>{t('season.summary.perMonth')}</span></div>
+                <div style={styles.cardSubtext}>{t('season.hero.commitment', { count: billingMonths })}</div>
+                <ul style={styles.cardList}>
+                  {tier.highlights.map(highlight => (
+                    <li key={highlight.text}>
+                      {highlight.emphasis
+                        ? <strong style={{ color: '#f59e0b' }}>✓ {highlight.text}</strong>
+                        : `✓ ${highlight.text}`}
+                    </li>
+                  ))}
+                  <li style={styles.cardListHeader}>{t('season.hero.equipmentPackage')}</li>
+                  {season.equipment.map(item => (
+                    <li key={item} style={styles.cardListIndent}>• {item}</li>
+                  ))}
+                </ul>
+              </div>
+            ))}
           </div>
 
         </div>
@@ -370,313 +1085,591 @@ const SeasonRegistrationPage = () => {
         <div style={styles.formContainer}>
           <div style={styles.formHeader}>
             <h2 style={styles.formTitle}>
-              Secure Your <span style={styles.gradientText}>Spring 2026 Season Spot</span>
+              {tRich('season.form.title', {
+                highlight: <span style={styles.gradientText}>{t('season.form.titleHighlight', { season: season.name })}</span>
+              })}
             </h2>
             <p style={styles.formSubtitle}>
-              Join our competitive soccer team for the Spring 2026 season.
+              {t('season.form.subtitle', { season: season.name })}
             </p>
           </div>
 
           <div style={styles.formBox}>
-            {/* Player Type Selection */}
-            <div style={styles.playerTypeSection}>
-              <h3 style={styles.sectionTitle}>Choose Your Registration Type</h3>
-              <div style={styles.playerTypeOptions}>
-                <div
-                  style={{
-                    ...styles.playerTypeOption,
-                    ...(playerType === 'full_season' ? styles.playerTypeSelected : {})
-                  }}
-                  onClick={() => setPlayerType('full_season')}
-                >
-                  <div style={styles.optionTitle}>Full Season Player</div>
-                  <div style={styles.optionPrice}>$85<span style={styles.optionPriceUnit}>/mo</span></div>
-                  <div style={styles.optionDescription}>6 months • Equipment included</div>
-                </div>
-                <div
-                  style={{
-                    ...styles.playerTypeOption,
-                    ...(playerType === 'guest' ? styles.playerTypeSelected : {})
-                  }}
-                  onClick={() => setPlayerType('guest')}
-                >
-                  <div style={styles.optionTitle}>Guest Player</div>
-                  <div style={styles.optionPrice}>$42<span style={styles.optionPriceUnit}>/mo</span></div>
-                  <div style={styles.optionDescription}>6 months • 3-5 games • Equipment</div>
-                </div>
+            {offer && (
+              <div style={{ ...styles.upsellSection, borderColor: '#4caf50', background: 'rgba(76, 175, 80, 0.1)', marginTop: 0 }}>
+                <h4 style={{ ...styles.upsellTitle, color: '#4caf50' }}>
+                  {t('season.form.offerTitle', { tier: findTier(catalog, offer.player_type).label })}
+                </h4>
+                <p style={styles.upsellDescription}>
+                  {t('common.offerHolding', { time: formatOfferTimeRemaining(offer.expires_at) })}
+                </p>
               </div>
-
-              {/* Tracksuit Showcase - Maximum Deprivation Point */}
-              <div style={styles.tracksuitShowcase}>
-                <div style={styles.tracksuitImageContainer}>
-                  <img
-                    src={`${themeUri}/images/tracksuit-clean.png`}
-                    alt="Newteam FC Official Tracksuit"
-                    style={styles.tracksuitImage}
-                  />
-                </div>
-                <div style={styles.tracksuitTeaser}>
-                  <p style={styles.teaserText}>
-                    Want <span style={styles.teaserHighlight}>YOUR NAME</span> on this?
-                  </p>
-                </div>
+            )}
+            {waitlistOffer.status === 'invalid' && (
+              <div style={{ ...styles.waitlistNotice, marginTop: 0 }}>
+                <p style={styles.upsellDescription}>{waitlistOffer.error}</p>
               </div>
+            )}
 
-              {/* Payment Frequency Selection */}
-              <h3 style={{ ...styles.sectionTitle, marginTop: '1.5rem' }}>Payment Option</h3>
-              <div style={styles.playerTypeOptions}>
-                <div
-                  style={{
-                    ...styles.playerTypeOption,
-                    ...(paymentFrequency === 'monthly' ? styles.playerTypeSelected : {})
-                  }}
-                  onClick={() => setPaymentFrequency('monthly')}
-                >
-                  <div style={styles.optionTitle}>Monthly Payments</div>
-                  <div style={styles.optionPrice}>${basePrice}<span style={styles.optionPriceUnit}>/mo</span></div>
-                  <div style={styles.optionDescription}>6 monthly payments</div>
-                </div>
-                <div
-                  style={{
-                    ...styles.playerTypeOption,
-                    ...(paymentFrequency === 'full' ? styles.playerTypeSelected : {}),
-                    border: paymentFrequency === 'full' ? '2px solid #4caf50' : '2px solid transparent',
-                    background: paymentFrequency === 'full' ? 'rgba(76, 175, 80, 0.1)' : '#374151'
-                  }}
-                  onClick={() => setPaymentFrequency('full')}
-                >
-                  <div style={styles.optionTitle}>Pay in Full</div>
-                  <div style={styles.optionPrice}>${basePrice * SEASON_MONTHS}<span style={styles.optionPriceUnit}> total</span></div>
-                  <div style={{ ...styles.optionDescription, color: '#4caf50', fontWeight: 'bold' }}>
-                    ⭐ FREE name personalization!
-                  </div>
+            {formDraft.saved && (
+              <div style={{ ...styles.waitlistNotice, marginTop: 0 }}>
+                <h4 style={{ ...styles.upsellTitle, marginBottom: '0.5rem' }}>{t('common.draft.title')}</h4>
+                <p style={styles.upsellDescription}>
+                  {t('common.draft.body', {
+                    name: formDraft.saved.data.players.map(playerName).filter(Boolean).join(', ') || t('common.draft.aPlayer'),
+                    date: formatDate(new Date(formDraft.saved.savedAt), { month: 'long', day: 'numeric' })
+                  })}
+                </p>
+                <div style={styles.stepNav}>
+                  <button type="button" onClick={formDraft.startOver} style={styles.backButton}>{t('common.draft.startOver')}</button>
+                  <button type="button" onClick={resumeDraft} style={styles.nextButton}>{t('common.draft.resume')}</button>
                 </div>
               </div>
+            )}
+
+            {/* Progress */}
+            <ol style={styles.progress} aria-label={t('season.form.stepsLabel')}>
+              {wizard.steps.map((step, index) => {
+                const isCurrent = index === wizard.index;
+                const isDone = index < wizard.index;
+                return (
+                  <li key={step.id} style={styles.progressItem}>
+                    <button
+                      type="button"
+                      onClick={() => wizard.goTo(step.id)}
+                      aria-current={isCurrent ? 'step' : undefined}
+                      style={{
+                        ...styles.progressStep,
+                        ...(isDone ? styles.progressStepDone : {}),
+                        ...(isCurrent ? styles.progressStepCurrent : {})
+                      }}
+                    >
+                      <span style={styles.progressNumber}>{isDone ? '✓' : index + 1}</span>
+                      <span style={isMobile ? VISUALLY_HIDDEN : undefined}>{step.label}</span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ol>
+            {isMobile && (
+              <p style={styles.progressCaption}>
+                {t('season.form.stepCaption', { current: wizard.index + 1, total: wizard.steps.length, label: wizard.step.label })}
+              </p>
+            )}
 
-              <div style={styles.totalDisplay}>
-                {isPayingInFull ? (
-                  <>
-                    <div style={styles.totalLabel}>One-Time Payment:</div>
-                    <div style={styles.totalAmount}>${totalPrice}</div>
-                    <div style={{ ...styles.recurringNote, color: '#4caf50' }}>
-                      ✓ Name personalization included FREE ($78 value) •{' '}
-                      {playerType === 'full_season' ? 'All games' : '3-5 games'} + equipment
+            <form id="registration-form" onSubmit={handleFormSubmit} onFocus={analytics.formStart} noValidate>
+              {wizard.step.id === 'plan' && (
+                <div style={styles.playerTypeSection}>
+                  {/* Player Type Selection */}
+                  <fieldset style={styles.optionGroup}>
+                    <legend style={{ ...styles.sectionTitle, ...styles.optionLegend }}>{t('season.form.chooseType')}</legend>
+                    <div style={styles.playerTypeOptions}>
+                      {catalog.tiers.map(tier => (
+                        <label key={tier.id} style={optionStyle(`player_type:${tier.id}`, playerType === tier.id)}>
+                          <input
+                            type="radio"
+                            name="player_type"
+                            value={tier.id}
+                            checked={playerType === tier.id}
+                            onChange={() => selectTier(tier.id)}
+                            {...optionFocusProps(`player_type:${tier.id}`)}
+                            style={VISUALLY_HIDDEN}
+                          />
+                          <span style={styles.optionTitle}>{tier.label}</span>
+                          <span style={styles.optionPrice}>
+                            {formatCents(tier.monthlyCents)}<span style={styles.optionPriceUnit}>{t('season.summary.perMonthShort')}</span>
+                          </span>
+                          <span style={styles.optionDescription}>
+                            {t('season.form.monthsSummary', { count: billingMonths, summary: tier.summary })}
+                          </span>
+                          {getTierAvailability(config.seasonAvailability, tier.id).isFull && (
+                            <span style={{ ...styles.optionDescription, color: '#f59e0b', fontWeight: 'bold' }}>{t('season.form.rosterFullJoin')}</span>
+                          )}
+                        </label>
+                      ))}
                     </div>
-                  </>
-                ) : (
-                  <>
-                    <div style={styles.totalLabel}>First Month Payment:</div>
-                    <div style={styles.totalAmount}>${monthlyPrice}</div>
-                    <div style={styles.recurringNote}>
-                      Then ${monthlyPrice}/month for 5 more months •{' '}
-                      {playerType === 'full_season' ? 'All games' : '3-5 games'} + equipment
+                  </fieldset>
+
+                  {/* Tracksuit Showcase - Maximum Deprivation Point */}
+                  <div style={styles.tracksuitShowcase}>
+                    <div style={styles.tracksuitImageContainer}>
+                      <img
+                        src={`${themeUri}/images/tracksuit-clean.png`}
+                        alt={t('season.form.tracksuitAlt')}
+                        style={styles.tracksuitImage}
+                      />
                     </div>
-                  </>
-                )}
-              </div>
-            </div>
-
-            <form onSubmit={handleSubmit}>
-              {/* Personal Info */}
-              <div style={{ ...styles.formRow, gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr' }}>
-                <div style={styles.formGroup}>
-                  <label style={styles.label}>First Name *</label>
-                  <input
-                    type="text"
-                    name="first_name"
-                    value={formData.first_name}
-                    onChange={handleInputChange}
-                    style={styles.input}
-                    required
-                  />
-                </div>
-                <div style={styles.formGroup}>
-                  <label style={styles.label}>Last Name *</label>
-                  <input
-                    type="text"
-                    name="last_name"
-                    value={formData.last_name}
-                    onChange={handleInputChange}
-                    style={styles.input}
-                    required
-                  />
-                </div>
-              </div>
+                    <div style={styles.tracksuitTeaser}>
+                      <p style={styles.teaserText}>
+                        {tRich('season.form.teaser', {
+                          highlight: <span style={styles.teaserHighlight}>{t('season.form.teaserHighlight')}</span>
+                        })}
+                      </p>
+                    </div>
+                  </div>
 
-              <div style={{ ...styles.formRow, gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr' }}>
-                <div style={styles.formGroup}>
-                  <label style={styles.label}>Email Address *</label>
-                  <input
-                    type="email"
-                    name="email"
-                    value={formData.email}
-                    onChange={handleInputChange}
-                    style={styles.input}
-                    placeholder="For payment receipts & updates"
-                    required
-                  />
-                </div>
-                <div style={styles.formGroup}>
-                  <label style={styles.label}>Age *</label>
-                  <input
-                    type="number"
-                    name="age"
-                    value={formData.age}
-                    onChange={handleInputChange}
-                    style={styles.input}
-                    min="18"
-                    max="45"
-                    required
-                  />
-                </div>
-              </div>
+                  {isWaitlistMode ? (
+                    <div style={styles.waitlistNotice}>
+                      <h4 style={{ ...styles.upsellTitle, marginBottom: '0.5rem' }}>
+                        {t('season.form.rosterFullTitle', { tier: quote.tier.label })}
+                      </h4>
+                      <p style={styles.upsellDescription}>
+                        {t('common.waitlistNotice', { hours: WAITLIST_OFFER_HOURS })}
+                      </p>
+                    </div>
+                  ) : (
+                    <>
+                      {/* Payment Frequency Selection */}
+                      <fieldset style={styles.optionGroup}>
+                        <legend style={{ ...styles.sectionTitle, ...styles.optionLegend, marginTop: '1.5rem' }}>{t('season.form.paymentOption')}</legend>
+                        <div style={styles.playerTypeOptions}>
+                          {catalog.frequencies.map(frequency => {
+                            const isSelected = paymentFrequency === frequency.id;
+                            const isUpfront = frequency.billing === 'upfront';
+                            const optionQuote = applyPromoToQuote(buildQuote(catalog, { tierId: playerType, frequency: frequency.id }), promoCode.promo);
+                            return (
+                              <label
+                                key={frequency.id}
+                                style={{
+                                  ...optionStyle(`payment_frequency:${frequency.id}`, isSelected),
+                                  ...(isUpfront ? {
+                                    border: isSelected ? '2px solid #4caf50' : '2px solid transparent',
+                                    background: isSelected ? 'rgba(76, 175, 80, 0.1)' : '#374151'
+                                  } : {})
+                                }}
+                              >
+                                <input
+                                  type="radio"
+                                  name="payment_frequency"
+                                  value={frequency.id}
+                                  checked={isSelected}
+                                  onChange={() => selectFrequency(frequency.id)}
+                                  {...optionFocusProps(`payment_frequency:${frequency.id}`)}
+                                  style={VISUALLY_HIDDEN}
+                                />
+                                <span style={styles.optionTitle}>{frequency.label}</span>
+                                <span style={styles.optionPrice}>
+                                  {formatCents(optionQuote.dueNowCents)}
+                                  <span style={styles.optionPriceUnit}>
+                                    {isUpfront ? t('season.form.totalSuffix') : t('season.summary.perMonthShort')}
+                                  </span>
+                                </span>
+                                {frequency.tagline ? (
+                                  <span style={{ ...styles.optionDescription, color: '#4caf50', fontWeight: 'bold' }}>
+                                    {frequency.tagline}
+                                  </span>
+                                ) : (
+                                  <span style={styles.optionDescription}>{t('season.form.monthlyPayments', { count: billingMonths })}</span>
+                                )}
+                              </label>
+                            );
+                          })}
+                        </div>
+                      </fieldset>
 
-              <div style={styles.formGroup}>
-                <label style={styles.label}>Position(s) *</label>
-                <input
-                  type="text"
-                  name="position"
-                  value={formData.position}
-                  onChange={handleInputChange}
-                  style={styles.input}
-                  placeholder="List all positions you play (e.g., Midfielder, Defender)"
-                  required
-                />
-              </div>
+                      {pricingSummary}
 
-              {/* Equipment Sizes */}
-              <div style={styles.equipmentSection}>
-                <h4 style={styles.sectionTitle}>Equipment Sizes *</h4>
-                <p style={styles.sectionNote}>Select your sizes for the team equipment package (jerseys & backpack are one-size-fits-all)</p>
-
-                <div style={{ ...styles.formRow, gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr' }}>
-                  <div style={styles.formGroup}>
-                    <label style={styles.label}>Tracksuit Size *</label>
-                    <select name="tracksuit_size" value={formData.tracksuit_size} onChange={handleInputChange} style={styles.select} required>
-                      <option value="">Select Size</option>
-                      {sizeOptions.map(size => <option key={size} value={size}>{size}</option>)}
-                    </select>
-                  </div>
-                  <div style={styles.formGroup}>
-                    <label style={styles.label}>Practice Jersey Size *</label>
-                    <select name="practice_jersey_size" value={formData.practice_jersey_size} onChange={handleInputChange} style={styles.select} required>
-                      <option value="">Select Size</option>
-                      {sizeOptions.map(size => <option key={size} value={size}>{size}</option>)}
-                    </select>
-                  </div>
+                      {/* Promo Code */}
+                      <div style={styles.formGroup}>
+                        <label htmlFor="promo_code" style={styles.label}>{t('common.promoCode')}</label>
+                        {promoCode.promo ? (
+                          <div style={styles.promoApplied}>
+                            <span style={{ color: '#4caf50', fontWeight: 'bold' }}>
+                              ✓ {promoCode.promo.code}{promoCode.promo.description && ` — ${promoCode.promo.description}`}
+                            </span>
+                            <button type="button" onClick={promoCode.remove} style={styles.promoRemove}>{t('common.remove')}</button>
+                          </div>
+                        ) : (
+                          <div style={styles.promoRow}>
+                            <input
+                              type="text"
+                              id="promo_code"
+                              value={promoCode.code}
+                              onChange={(e) => promoCode.setCode(e.target.value)}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                  e.preventDefault();
+                                  promoCode.apply();
+                                }
+                              }}
+                              placeholder={t('common.promoPlaceholder')}
+                              style={{ ...styles.input, flex: 1, textTransform: 'uppercase' }}
+                            />
+                            <button
+                              type="button"
+                              onClick={promoCode.apply}
+                              disabled={promoCode.isValidating || !promoCode.code.trim()}
+                              style={styles.promoButton}
+                            >
+                              {promoCode.isValidating ? t('common.checking') : t('common.apply')}
+                            </button>
+                          </div>
+                        )}
+                        {promoCode.error && <div style={{ ...styles.errorMessage, marginTop: '0.5rem' }}>{promoCode.error}</div>}
+                        {promoCode.promo && !quote.discount && (
+                          <div style={{ ...styles.sectionNote, color: '#f59e0b', marginTop: '0.5rem' }}>
+                            {t('season.form.promoNotApplicable', {
+                              code: promoCode.promo.code,
+                              tier: quote.tier.label,
+                              frequency: quote.frequency.label
+                            })}
+                          </div>
+                        )}
+                      </div>
+                    </>
+                  )}
                 </div>
+              )}
 
-                <div style={{ ...styles.formRow, gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr' }}>
-                  <div style={styles.formGroup}>
-                    <label style={styles.label}>Shorts Size *</label>
-                    <select name="shorts_size" value={formData.shorts_size} onChange={handleInputChange} style={styles.select} required>
-                      <option value="">Select Size</option>
-                      {sizeOptions.map(size => <option key={size} value={size}>{size}</option>)}
-                    </select>
-                  </div>
-                  <div style={styles.formGroup}>
-                    <label style={styles.label}>Socks Size *</label>
-                    <select name="socks_size" value={formData.socks_size} onChange={handleInputChange} style={styles.select} required>
-                      <option value="">Select Size</option>
-                      {sockSizes.map(size => <option key={size.value} value={size.value}>{size.label}</option>)}
-                    </select>
-                  </div>
-                </div>
+              {wizard.step.id === 'player' && (
+                <>
+                  {players.map((player, index) => (
+                    <div key={player.key} style={isGroup ? styles.playerCard : undefined}>
+                      {isGroup && (
+                        <div style={styles.playerCardHeader}>
+                          <h4 style={{ ...styles.sectionTitle, margin: 0 }}>
+                            {t('season.form.playerHeading', { number: index + 1 })}{index === 0 && t('season.form.paying')}
+                          </h4>
+                          {index > 0 && (
+                            <button type="button" onClick={() => removePlayer(index)} style={styles.promoRemove}>{t('common.remove')}</button>
+                          )}
+                        </div>
+                      )}
+                      {/* Personal Info */}
+                      <div style={{ ...styles.formRow, gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr' }}>
+                        <div style={styles.formGroup}>
+                          <label htmlFor={`player-${player.key}-first_name`} style={styles.label}>{t('season.form.firstName')}</label>
+                          <input
+                            type="text"
+                            name="first_name"
+                            id={`player-${player.key}-first_name`}
+                            value={player.first_name}
+                            onChange={handlePlayerChange(index)}
+                            {...validatedField(playerFieldKey(player, 'first_name'), styles.input)}
+                            required
+                          />
+                          <FieldError id={form.errorId(playerFieldKey(player, 'first_name'))} message={form.errorFor(playerFieldKey(player, 'first_name'))} />
+                        </div>
+                        <div style={styles.formGroup}>
+                          <label htmlFor={`player-${player.key}-last_name`} style={styles.label}>{t('season.form.lastName')}</label>
+                          <input
+                            type="text"
+                            name="last_name"
+                            id={`player-${player.key}-last_name`}
+                            value={player.last_name}
+                            onChange={handlePlayerChange(index)}
+                            {...validatedField(playerFieldKey(player, 'last_name'), styles.input)}
+                            required
+                          />
+                          <FieldError id={form.errorId(playerFieldKey(player, 'last_name'))} message={form.errorFor(playerFieldKey(player, 'last_name'))} />
+                        </div>
+                      </div>
 
-              </div>
+                      <div style={{ ...styles.formRow, gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr' }}>
+                        <div style={styles.formGroup}>
+                          <label htmlFor={`player-${player.key}-email`} style={styles.label}>{t('season.form.email')}</label>
+                          <input
+                            type="email"
+                            name="email"
+                            id={`player-${player.key}-email`}
+                            value={player.email}
+                            onChange={handlePlayerChange(index)}
+                            {...validatedField(playerFieldKey(player, 'email'), styles.input)}
+                            placeholder={t('season.form.emailPlaceholder')}
+                            required
+                          />
+                          <FieldError id={form.errorId(playerFieldKey(player, 'email'))} message={form.errorFor(playerFieldKey(player, 'email'))} />
+                        </div>
+                        <div style={styles.formGroup}>
+                          <label htmlFor={`player-${player.key}-age`} style={styles.label}>{t('season.form.age')}</label>
+                          <input
+                            type="number"
+                            name="age"
+                            id={`player-${player.key}-age`}
+                            value={player.age}
+                            onChange={handlePlayerChange(index)}
+                            {...validatedField(playerFieldKey(player, 'age'), styles.input)}
+                            min="18"
+                            max="45"
+                            required
+                          />
+                          <FieldError id={form.errorId(playerFieldKey(player, 'age'))} message={form.errorFor(playerFieldKey(player, 'age'))} />
+                        </div>
+                      </div>
 
-              {/* Personalization Upsell - only show for monthly payments */}
-              {!isPayingInFull && (
-                <div style={styles.upsellSection}>
-                  <div style={styles.upsellContent}>
-                    <div style={styles.upsellText}>
-                      <h4 style={styles.upsellTitle}>⭐ Add Your Name</h4>
-                      <p style={styles.upsellDescription}>
-                        Get your name printed on your tracksuit, practice jersey & backpack
-                      </p>
-                    </div>
-                    <div style={styles.upsellAction}>
-                      <div style={styles.upsellPrice}>+$13<span style={styles.upsellPriceUnit}>/mo</span></div>
-                      <label style={styles.upsellCheckboxLabel}>
+                      <div style={styles.formGroup}>
+                        <label htmlFor={`player-${player.key}-position`} style={styles.label}>{t('season.form.position')}</label>
                         <input
-                          type="checkbox"
-                          checked={namePersonalization}
-                          onChange={(e) => setNamePersonalization(e.target.checked)}
-                          style={styles.upsellCheckbox}
+                          type="text"
+                          name="position"
+                          id={`player-${player.key}-position`}
+                          value={player.position}
+                          onChange={handlePlayerChange(index)}
+                          {...validatedField(playerFieldKey(player, 'position'), styles.input)}
+                          placeholder={t('season.form.positionPlaceholder')}
+                          required
                         />
-                        <span style={styles.upsellCheckboxText}>Yes, add my name!</span>
-                      </label>
+                        <FieldError id={form.errorId(playerFieldKey(player, 'position'))} message={form.errorFor(playerFieldKey(player, 'position'))} />
+                      </div>
+                    </div>
+                  ))}
+
+                  {!isWaitlistMode && (
+                    <button type="button" onClick={addPlayer} style={styles.addPlayerButton}>
+                      {t('season.form.addPlayer')}
+                    </button>
+                  )}
+                </>
+              )}
+
+              {wizard.step.id === 'equipment' && (
+                <>
+                  {players.map((player, index) => (
+                    <div key={player.key} style={isGroup ? styles.playerCard : undefined}>
+                      {/* Equipment Sizes */}
+                      <div style={styles.equipmentSection}>
+                        <h4 style={styles.sectionTitle}>
+                          {isGroup
+                            ? t('season.form.equipmentTitleFor', {
+                              name: playerName(player) || t('season.summary.playerFallback', { number: index + 1 })
+                            })
+                            : t('season.form.equipmentTitle')}
+                        </h4>
+                        <p style={styles.sectionNote}>{t('season.form.equipmentNote')}</p>
+
+                        <div style={{ ...styles.formRow, gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr' }}>
+                          <div style={styles.formGroup}>
+                            <label htmlFor={`player-${player.key}-tracksuit_size`} style={styles.label}>{t('season.form.sizeLabels.tracksuit_size')}</label>
+                            <select id={`player-${player.key}-tracksuit_size`} name="tracksuit_size" value={player.tracksuit_size} onChange={handlePlayerChange(index)} {...validatedField(playerFieldKey(player, 'tracksuit_size'), styles.select)} required>
+                              <option value="">{t('season.form.selectSize')}</option>
+                              {sizeOptions.map(size => <option key={size} value={size}>{size}</option>)}
+                            </select>
+                            <FieldError id={form.errorId(playerFieldKey(player, 'tracksuit_size'))} message={form.errorFor(playerFieldKey(player, 'tracksuit_size'))} />
+                          </div>
+                          <div style={styles.formGroup}>
+                            <label htmlFor={`player-${player.key}-practice_jersey_size`} style={styles.label}>{t('season.form.sizeLabels.practice_jersey_size')}</label>
+                            <select id={`player-${player.key}-practice_jersey_size`} name="practice_jersey_size" value={player.practice_jersey_size} onChange={handlePlayerChange(index)} {...validatedField(playerFieldKey(player, 'practice_jersey_size'), styles.select)} required>
+                              <option value="">{t('season.form.selectSize')}</option>
+                              {sizeOptions.map(size => <option key={size} value={size}>{size}</option>)}
+                            </select>
+                            <FieldError id={form.errorId(playerFieldKey(player, 'practice_jersey_size'))} message={form.errorFor(playerFieldKey(player, 'practice_jersey_size'))} />
+                          </div>
+                        </div>
+
+                        <div style={{ ...styles.formRow, gridTemplateColumns: isMobile ? '1fr' : '1fr 1fr' }}>
+                          <div style={styles.formGroup}>
+                            <label htmlFor={`player-${player.key}-shorts_size`} style={styles.label}>{t('season.form.sizeLabels.shorts_size')}</label>
+                            <select id={`player-${player.key}-shorts_size`} name="shorts_size" value={player.shorts_size} onChange={handlePlayerChange(index)} {...validatedField(playerFieldKey(player, 'shorts_size'), styles.select)} required>
+                              <option value="">{t('season.form.selectSize')}</option>
+                              {sizeOptions.map(size => <option key={size} value={size}>{size}</option>)}
+                            </select>
+                            <FieldError id={form.errorId(playerFieldKey(player, 'shorts_size'))} message={form.errorFor(playerFieldKey(player, 'shorts_size'))} />
+                          </div>
+                          <div style={styles.formGroup}>
+                            <label htmlFor={`player-${player.key}-socks_size`} style={styles.label}>{t('season.form.sizeLabels.socks_size')}</label>
+                            <select id={`player-${player.key}-socks_size`} name="socks_size" value={player.socks_size} onChange={handlePlayerChange(index)} {...validatedField(playerFieldKey(player, 'socks_size'), styles.select)} required>
+                              <option value="">{t('season.form.selectSize')}</option>
+                              {sockSizes.map(size => <option key={size.value} value={size.value}>{size.label}</option>)}
+                            </select>
+                            <FieldError id={form.errorId(playerFieldKey(player, 'socks_size'))} message={form.errorFor(playerFieldKey(player, 'socks_size'))} />
+                          </div>
+                        </div>
+
+                      </div>
+
+                      {/* Personalization Upsell - only show for monthly payments */}
+                      {!personalizationAddOn.included && personalizationAddOn.available && (
+                        <div style={styles.upsellSection}>
+                          <div style={styles.upsellContent}>
+                            <div style={styles.upsellText}>
+                              <h4 style={styles.upsellTitle}>{t('season.form.upsellTitle')}</h4>
+                              <p style={styles.upsellDescription}>
+                                {t('season.form.upsellBody')}
+                              </p>
+                            </div>
+                            <div style={styles.upsellAction}>
+                              <div style={styles.upsellPrice}>+{formatCents(personalizationAddOn.monthlyCents)}<span style={styles.upsellPriceUnit}>{t('season.summary.perMonthShort')}</span></div>
+                              <label style={styles.upsellCheckboxLabel}>
+                                <input
+                                  type="checkbox"
+                                  name="name_personalization"
+                                  checked={player.name_personalization}
+                                  onChange={handlePlayerChange(index)}
+                                  style={styles.upsellCheckbox}
+                                />
+                                <span style={styles.upsellCheckboxText}>{t('season.form.upsellCheckbox')}</span>
+                              </label>
+                            </div>
+                          </div>
+                        </div>
+                      )}
                     </div>
+                  ))}
+
+                  {/* Show confirmation when paying in full */}
+                  {personalizationAddOn.included && (
+                    <div style={{ ...styles.upsellSection, borderColor: '#4caf50', background: 'rgba(76, 175, 80, 0.1)' }}>
+                      <div style={{ textAlign: 'center' }}>
+                        <h4 style={{ ...styles.upsellTitle, color: '#4caf50' }}>{t('season.form.includedTitle')}</h4>
+                        <p style={styles.upsellDescription}>
+                          {t('season.form.includedBody')}
+                        </p>
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+
+              {wizard.step.id === 'agreement' && (
+                /* Waiver - IMPORTANT: Make this prominent so players read it */
+                <div style={styles.waiverSection}>
+                  <h3 style={styles.waiverTitle}>{season.waiver.title}</h3>
+                  <p style={styles.waiverIntro}>{season.waiver.intro}</p>
+                  <div style={styles.waiverText}>
+                    {season.waiver.sections.map(section => {
+                      const [before, after] = fillSeasonText(section.body, season).split('{emphasis}');
+                      return (
+                        <p key={section.heading} style={section.highlight ? styles.waiverParagraphHighlight : styles.waiverParagraph}>
+                          <strong style={styles.waiverStrong}>{section.heading}:</strong> {before}
+                          {section.emphasis && (
+                            <span style={{ color: '#f59e0b', fontWeight: 'bold' }}>{section.emphasis}</span>
+                          )}
+                          {after}
+                        </p>
+                      );
+                    })}
                   </div>
+                  <label style={styles.waiverCheckboxLabel}>
+                    <input
+                      type="checkbox"
+                      name="waiver_agreement"
+                      checked={waiverAgreement}
+                      onChange={(e) => setWaiverAgreement(e.target.checked)}
+                      {...form.fieldProps('waiver_agreement')}
+                      style={styles.waiverCheckbox}
+                      required
+                    />
+                    <span style={styles.waiverCheckboxText}>
+                      {fillSeasonText(season.waiver.acknowledgement, season)}
+                      {isGroup && t('season.form.groupConfirm')} <span style={{ color: '#dc2626' }}>*</span>
+                    </span>
+                  </label>
+                  <FieldError id={form.errorId('waiver_agreement')} message={form.errorFor('waiver_agreement')} />
                 </div>
               )}
 
-              {/* Show confirmation when paying in full */}
-              {isPayingInFull && (
-                <div style={{ ...styles.upsellSection, borderColor: '#4caf50', background: 'rgba(76, 175, 80, 0.1)' }}>
-                  <div style={{ textAlign: 'center' }}>
-                    <h4 style={{ ...styles.upsellTitle, color: '#4caf50' }}>✓ Name Personalization Included!</h4>
-                    <p style={styles.upsellDescription}>
-                      Your name will be printed on your tracksuit, practice jersey & backpack at no extra charge.
+              {wizard.step.id === 'review' && (
+                <>
+                  <ReviewSection title={t('season.review.plan')} onEdit={() => wizard.goTo('plan')}>
+                    <p style={styles.reviewText}>
+                      {t('season.review.planLine', { tier: quote.tier.label, season: season.name })}
+                      {!isWaitlistMode && t('season.review.frequencyLine', { frequency: quote.frequency.label, count: billingMonths })}
                     </p>
-                  </div>
-                </div>
+                    {isWaitlistMode && (
+                      <p style={styles.reviewText}>
+                        {t('season.review.waitlistNote')}
+                      </p>
+                    )}
+                  </ReviewSection>
+
+                  <ReviewSection
+                    title={isGroup ? t('season.review.players', { count: players.length }) : t('season.review.player')}
+                    onEdit={() => wizard.goTo('player')}
+                  >
+                    {players.map((player, index) => (
+                      <p key={player.key} style={styles.reviewText}>
+                        <strong>{playerName(player)}</strong>{index === 0 && isGroup && t('season.form.paying')} — {player.email}
+                        {!isWaitlistMode && t('season.review.playerDetails', { age: player.age, position: player.position })}
+                      </p>
+                    ))}
+                  </ReviewSection>
+
+                  {!isWaitlistMode && (
+                    <>
+                      <ReviewSection title={t('season.review.equipment')} onEdit={() => wizard.goTo('equipment')}>
+                        {players.map((player, index) => (
+                          <p key={player.key} style={styles.reviewText}>
+                            {isGroup && <strong>{playerName(player)}: </strong>}
+                            {getEquipmentFields().map(field => (
+                              `${field.label} ${field.name === 'socks_size'
+                                ? sockSizes.find(size => size.value === player.socks_size)?.label
+                                : player[field.name]}`
+                            )).join(' • ')}
+                            {playerQuotes[index].addOns.name_personalization.selected && t('season.review.personalization')}
+                          </p>
+                        ))}
+                      </ReviewSection>
+
+                      <ReviewSection title={t('season.review.agreement')} onEdit={() => wizard.goTo('agreement')}>
+                        <p style={styles.reviewText}>{t('season.review.agreed', { title: season.waiver.title })}</p>
+                      </ReviewSection>
+
+                      {pricingSummary}
+
+                      {/* Payment */}
+                      <div style={styles.paymentSection}>
+                        <h4 style={styles.sectionTitle}>{t('common.paymentDetails')}</h4>
+                        <p style={styles.sectionNote}>{t('season.form.paymentNote')}</p>
+                        <PaymentElementMount payment={payment} style={styles.paymentElement} />
+                        <BotProtection protection={botProtection} style={styles.botProtection} />
+                        {error && <div ref={focusOnMount} tabIndex={-1} role="alert" style={styles.errorMessage}>{error}</div>}
+                        {groupResults.length > 0 && (
+                          <ul style={styles.groupResults}>
+                            {groupResults.map((result, index) => (
+                              <li key={index} style={result.status === 'registered' ? styles.groupResultOk : styles.groupResultWarning}>
+                                {result.name} — {resultLabel(result.status)}
+                                {result.message && <> ({result.message})</>}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    </>
+                  )}
+                </>
               )}
 
-              {/* Payment */}
-              <div style={styles.paymentSection}>
-                <h4 style={styles.sectionTitle}>Payment Details</h4>
-                <p style={styles.sectionNote}>Secure your spot with instant payment processing.</p>
-                <div id="payment-element" style={styles.paymentElement}></div>
-                {error && <div style={styles.errorMessage}>{error}</div>}
-              </div>
+              {wizard.errors.length > 0 && (
+                <ul style={styles.stepErrors}>
+                  {wizard.errors.map(message => <li key={message}>{message}</li>)}
+                </ul>
+              )}
 
-              {/* Waiver - IMPORTANT: Make this prominent so players read it */}
-              <div style={styles.waiverSection}>
-                <h3 style={styles.waiverTitle}>SEASON COMMITMENT AGREEMENT</h3>
-                <p style={styles.waiverIntro}>Please read carefully before registering:</p>
-                <div style={styles.waiverText}>
-                  <p style={styles.waiverParagraph}>
-                    <strong style={styles.waiverStrong}>Season Commitment:</strong> I understand that I am committing to participate in the entire Spring 2026 season and will make every effort to be available for scheduled games and practices. I recognize that consistent attendance is essential for team success.
-                  </p>
-                  <p style={styles.waiverParagraph}>
-                    <strong style={styles.waiverStrong}>Communication:</strong> If I am unable to attend any team activities, I will provide advance notice to the coaching staff and team management whenever possible, allowing for proper game planning.
-                  </p>
-                  <p style={styles.waiverParagraph}>
-                    <strong style={styles.waiverStrong}>Equipment Care:</strong> I agree to maintain all team-issued equipment in excellent condition and uphold the professional appearance expected of Newteam FC at all times.
-                  </p>
-                  <p style={styles.waiverParagraphHighlight}>
-                    <strong style={styles.waiverStrong}>Professional Conduct:</strong> I commit to conducting myself in a professional and respectful manner both on and off the field. This includes <span style={{ color: '#f59e0b', fontWeight: 'bold' }}>NOT arguing with referees</span>, accepting referee decisions gracefully, and addressing any concerns through proper channels with team management after the match. Repeated violations may result in benching or removal from the team.
-                  </p>
-                  <p style={styles.waiverParagraph}>
-                    <strong style={styles.waiverStrong}>Team Unity:</strong> I understand that success depends on teamwork, respect, and dedication. I commit to supporting my teammates and contributing positively to the team environment throughout the season.
-                  </p>
-                </div>
-                <label style={styles.waiverCheckboxLabel}>
-                  <input
-                    type="checkbox"
-                    name="waiver_agreement"
-                    checked={formData.waiver_agreement}
-                    onChange={handleInputChange}
-                    style={styles.waiverCheckbox}
-                    required
-                  />
-                  <span style={styles.waiverCheckboxText}>
-                    I have read, understood, and agree to the Season Commitment Agreement above. I acknowledge my responsibilities as a member of Newteam FC for the Spring 2026 season. <span style={{ color: '#dc2626' }}>*</span>
-                  </span>
-                </label>
+              {/* Step navigation */}
+              <div style={styles.stepNav}>
+                {!wizard.isFirst && (
+                  <button type="button" onClick={wizard.back} style={styles.backButton}>{t('season.form.back')}</button>
+                )}
+                {!wizard.isLast && (
+                  <button type="submit" style={styles.nextButton}>
+                    {t('season.form.next', { step: wizard.steps[wizard.index + 1].label })}
+                  </button>
+                )}
               </div>
 
               {/* Submit */}
-              <button type="submit" disabled={isProcessing} style={styles.submitButton}>
-                {isProcessing
-                  ? 'Processing...'
-                  : isPayingInFull
-                    ? `PAY IN FULL - $${totalPrice}`
-                    : `START SUBSCRIPTION - $${monthlyPrice}/mo`
-                }
-              </button>
-              <p style={styles.securityNote}>🔒 Secure payment powered by Stripe • Instant confirmation</p>
+              {wizard.isLast && (
+                <>
+                  {isWaitlistMode && <BotProtection protection={botProtection} style={styles.botProtection} />}
+                  {isWaitlistMode && error && <div ref={focusOnMount} tabIndex={-1} role="alert" style={styles.errorMessage}>{error}</div>}
+                  <button type="submit" disabled={isProcessing} style={styles.submitButton}>
+                    {isProcessing
+                      ? t('common.processing')
+                      : isWaitlistMode
+                        ? t('common.joinWaitlistButton')
+                        : isPayingInFull
+                          ? t('season.form.payInFull', { amount: formatCents(groupQuote.dueNowCents) })
+                          : t('season.form.startSubscriptions', { count: players.length, amount: formatCents(groupQuote.dueNowCents) })
+                    }
+                  </button>
+                  <p style={styles.securityNote}>{t('season.form.security')}</p>
+                </>
+              )}
+
+              {/* Announced to screen readers while the payment runs */}
+              <p role="status" aria-live="polite" style={VISUALLY_HIDDEN}>
+                {isProcessing ? (isWaitlistMode ? t('common.joiningWaitlist') : t('common.processingStatus')) : ''}
+              </p>
             </form>
           </div>
         </div>
@@ -708,6 +1701,12 @@ const styles = {
     justifyContent: 'center',
     overflow: 'hidden'
   },
+  languageSwitcher: {
+    position: 'absolute',
+    top: '1rem',
+    right: '1rem',
+    zIndex: 1
+  },
   heroContent: {
     maxWidth: '800px',
     margin: '0 auto',
@@ -842,6 +1841,8 @@ const styles = {
     marginBottom: '1rem'
   },
   playerTypeOption: {
+    display: 'block',
+    position: 'relative',
     background: '#374151',
     border: '2px solid transparent',
     borderRadius: '15px',
@@ -857,13 +1858,30 @@ const styles = {
     borderColor: '#dc2626',
     background: 'rgba(220, 38, 38, 0.1)'
   },
+  optionFocused: {
+    outline: '3px solid #f59e0b',
+    outlineOffset: '2px'
+  },
+  optionGroup: {
+    border: 0,
+    margin: 0,
+    padding: 0,
+    minWidth: 0
+  },
+  optionLegend: {
+    display: 'block',
+    width: '100%',
+    padding: 0
+  },
   optionTitle: {
+    display: 'block',
     fontSize: '1.25rem',
     fontWeight: 'bold',
     color: '#f59e0b',
     marginBottom: '0.5rem'
   },
   optionPrice: {
+    display: 'block',
     fontSize: '2rem',
     fontWeight: 900,
     color: '#ffffff',
@@ -874,6 +1892,7 @@ const styles = {
     color: '#a0a0a0'
   },
   optionDescription: {
+    display: 'block',
     fontSize: '0.875rem',
     color: '#a0a0a0'
   },
@@ -1036,13 +2055,97 @@ const styles = {
   jerseySection: {
     margin: '1.5rem 0'
   },
+  playerCard: {
+    padding: '1.25rem',
+    marginBottom: '1.5rem',
+    border: '1px solid #374151',
+    borderRadius: '10px'
+  },
+  playerCardHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '1rem'
+  },
+  addPlayerButton: {
+    width: '100%',
+    padding: '0.75rem',
+    marginBottom: '1.5rem',
+    borderRadius: '8px',
+    border: '2px dashed #f59e0b',
+    background: 'transparent',
+    color: '#f59e0b',
+    fontWeight: 'bold',
+    cursor: 'pointer'
+  },
+  lineItems: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 1rem',
+    textAlign: 'left'
+  },
+  lineItem: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '1rem',
+    padding: '0.35rem 0',
+    borderBottom: '1px solid #374151',
+    fontSize: '0.9rem'
+  },
+  groupResults: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '1rem 0',
+    textAlign: 'left'
+  },
+  groupResultOk: {
+    color: '#4caf50',
+    padding: '0.25rem 0'
+  },
+  groupResultWarning: {
+    color: '#f59e0b',
+    padding: '0.25rem 0'
+  },
+  promoRow: {
+    display: 'flex',
+    gap: '0.5rem'
+  },
+  promoButton: {
+    padding: '0 1.25rem',
+    borderRadius: '8px',
+    border: '1px solid #f59e0b',
+    background: '#374151',
+    color: '#f59e0b',
+    fontWeight: 'bold',
+    cursor: 'pointer'
+  },
+  promoApplied: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '0.75rem',
+    borderRadius: '8px',
+    border: '1px solid #4caf50',
+    background: 'rgba(76, 175, 80, 0.1)'
+  },
+  promoRemove: {
+    background: 'none',
+    border: 'none',
+    color: '#a0a0a0',
+    textDecoration: 'underline',
+    cursor: 'pointer'
+  },
   paymentSection: {
     margin: '2rem 0'
   },
   paymentElement: {
     margin: '1rem 0'
   },
+  botProtection: {
+    marginBottom: '1rem'
+  },
   errorMessage: {
+    outline: 'none',
     color: '#f44336',
     marginTop: '1rem',
     fontSize: '0.875rem'
@@ -1135,6 +2238,18 @@ const styles = {
     fontSize: '0.875rem',
     textAlign: 'center'
   },
+  waitlistNotice: {
+    margin: '1.5rem 0',
+    padding: '1.5rem',
+    background: 'rgba(245, 158, 11, 0.1)',
+    border: '2px solid #f59e0b',
+    borderRadius: '10px'
+  },
+  waitlistPosition: {
+    fontSize: '3.5rem',
+    fontWeight: 'bold',
+    margin: '0 0 15px'
+  },
   successBox: {
     textAlign: 'center',
     padding: '40px',
@@ -1143,6 +2258,7 @@ const styles = {
     borderRadius: '15px'
   },
   successTitle: {
+    outline: 'none',
     color: '#4caf50',
     marginBottom: '20px'
   },
@@ -1158,6 +2274,117 @@ const styles = {
     color: '#4caf50',
     fontWeight: 'bold'
   },
+  progress: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '0.5rem',
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 2rem'
+  },
+  progressItem: {
+    flex: 1
+  },
+  progressStep: {
+    width: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '0.5rem',
+    padding: '0.5rem 0',
+    background: 'none',
+    border: 'none',
+    borderBottom: '3px solid #374151',
+    color: '#a0a0a0',
+    fontSize: '0.8rem',
+    cursor: 'pointer'
+  },
+  progressStepDone: {
+    borderBottomColor: '#4caf50',
+    color: '#4caf50'
+  },
+  progressStepCurrent: {
+    borderBottomColor: '#dc2626',
+    color: '#ffffff',
+    fontWeight: 'bold'
+  },
+  progressNumber: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    width: '1.75rem',
+    height: '1.75rem',
+    borderRadius: '50%',
+    background: '#374151',
+    color: '#ffffff',
+    fontWeight: 'bold'
+  },
+  progressCaption: {
+    color: '#a0a0a0',
+    textAlign: 'center',
+    margin: '-1rem 0 1.5rem',
+    fontSize: '0.875rem'
+  },
+  stepNav: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    gap: '1rem',
+    margin: '1.5rem 0'
+  },
+  backButton: {
+    padding: '0.75rem 1.5rem',
+    borderRadius: '10px',
+    border: '1px solid #a0a0a0',
+    background: 'transparent',
+    color: '#e0e0e0',
+    cursor: 'pointer'
+  },
+  nextButton: {
+    marginLeft: 'auto',
+    padding: '0.75rem 1.5rem',
+    borderRadius: '10px',
+    border: 'none',
+    background: 'linear-gradient(135deg, #dc2626, #991b1b)',
+    color: 'white',
+    fontWeight: 'bold',
+    cursor: 'pointer'
+  },
+  fieldError: {
+    color: '#f44336',
+    fontSize: '0.875rem',
+    marginTop: '0.35rem'
+  },
+  fieldInvalid: {
+    borderColor: '#f44336'
+  },
+  stepErrors: {
+    color: '#f44336',
+    fontSize: '0.875rem',
+    margin: '1rem 0 0',
+    paddingLeft: '1.25rem'
+  },
+  reviewSection: {
+    padding: '1rem 1.25rem',
+    marginBottom: '1rem',
+    background: '#1f2937',
+    border: '1px solid #374151',
+    borderRadius: '10px'
+  },
+  reviewHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '0.5rem'
+  },
+  reviewTitle: {
+    color: '#f59e0b',
+    margin: 0
+  },
+  reviewText: {
+    color: '#e0e0e0',
+    margin: '0.25rem 0',
+    fontSize: '0.95rem'
+  },
   homeButton: {
     display: 'inline-block',
     marginTop: '30px',
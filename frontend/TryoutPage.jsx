@@ -1,6 +1,82 @@
 import React, { useState, useEffect } from 'react';
+import useStripePaymentElement from './useStripePaymentElement';
+import PaymentElementMount from './PaymentElementMount';
+import BotProtection from './BotProtection';
+import useBotProtection from './useBotProtection';
+import { BOT_ACTIONS } from './botProtection';
+import ConfigDiagnostics from './ConfigDiagnostics';
+import { createAjaxClient, getAjaxErrorMessage } from './ajaxClient';
+import { getRuntimeConfig } from './runtimeConfig';
+import { formatCents, getPromoDiscountCents } from './pricing';
+import usePromoCode from './usePromoCode';
+import usePendingRegistration from './usePendingRegistration';
+import useCheckoutAttempt from './useCheckoutAttempt';
+import useRedirectReturn, { saveRedirectCheckout, clearRedirectCheckout } from './useRedirectReturn';
+import useWaitlistOffer, { formatOfferTimeRemaining, WAITLIST_OFFER_HOURS } from './useWaitlistOffer';
+import useFormDraft from './useFormDraft';
+import useFormValidation from './useFormValidation';
+import { required, email, phone, dateOfBirth, ageRange } from './formValidation';
+import useReducedMotion from './useReducedMotion';
+import { focusOnMount } from './accessibility';
+import { getPaymentMethodSettings, getPaymentMethodTypes, getExpressCheckoutMethods, isPaymentProcessing } from './paymentMethods';
+import {
+  loadTryoutSessions,
+  getNextOpenSession,
+  getSessionStatus,
+  formatSessionDate,
+  formatSessionLabel
+} from './tryoutSessions';
+import { t, tRich, tList, formatDate, getStripeLocale } from './i18n';
+import useLanguage from './useLanguage';
+import LanguageSwitcher from './LanguageSwitcher';
+import useAnalytics from './useAnalytics';
+import { captureAttribution } from './attribution';
+import { captureReferral } from './referrals';
+import { EVENTS, getPaymentFailureReason, getRedirectFailureReason } from './analytics';
+
+// Field rules, in form order — the session's availability is added on the page.
+// Built each render so messages follow the chosen language.
+const getTryoutSchema = () => ({
+  first_name: [required(t('tryout.validation.firstName'))],
+  last_name: [required(t('tryout.validation.lastName'))],
+  email: [required(t('tryout.validation.email')), email(t('tryout.validation.emailInvalid'))],
+  phone: [required(t('tryout.validation.phone')), phone()],
+  date_of_birth: [
+    required(t('tryout.validation.dateOfBirth')),
+    dateOfBirth(),
+    ageRange({ min: 18 }, t('tryout.validation.age'))
+  ],
+  position: [required(t('tryout.validation.position'))],
+  experience: [required(t('tryout.validation.experience'))],
+  tryout_date: [required(t('tryout.validation.tryoutDate'))]
+});
+
+const POSITIONS = ['goalkeeper', 'defender', 'midfielder', 'forward'];
+const EXPERIENCE_LEVELS = ['high_school', 'club', 'college', 'semi_pro', 'professional'];
+
+// Gallery photos — titles and captions come from tryout.championships.gallery, in this order
+const CHAMPIONSHIP_IMAGES = [
+  'fall-2023-championship.jpg',
+  'spring-2023-championship.jpg',
+  'spring-2022-championship.webp',
+  'fall-2022-championship.webp'
+];
+
+// The waitlist only needs contact details
+const WAITLIST_FIELDS = ['first_name', 'last_name', 'email', 'phone'];
+
+const FieldError = ({ id, message }) => (
+  message ? <p id={id} className="mt-1 text-sm text-red-500">{message}</p> : null
+);
 
 const TryoutPage = () => {
+  const { language, setLanguage } = useLanguage();
+  const analytics = useAnalytics('tryout');
+
+  useEffect(() => {
+    captureAttribution();
+    captureReferral();
+  }, []);
   const [formData, setFormData] = useState({
     first_name: '',
     last_name: '',
@@ -15,76 +91,138 @@ const TryoutPage = () => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [errors, setErrors] = useState([]);
   const [success, setSuccess] = useState(false);
-  const [daysRemaining, setDaysRemaining] = useState(0);
+  const [waitlistPosition, setWaitlistPosition] = useState(null);
+  const [redirectFailure, setRedirectFailure] = useState('');
+  const [now, setNow] = useState(() => new Date());
+
+  // Get config from WordPress
+  const config = getRuntimeConfig();
+  const themeUri = config.themeUri || '/wp-content/themes/newteam';
+  const api = createAjaxClient(config);
+  const promoCode = usePromoCode(api.validateTryoutPromoCode);
+
+  // The registration is saved — same confirmation as an uninterrupted checkout
+  const handleRegistrationCompleted = ({ session_id, payment_intent_id, value_cents }) => {
+    analytics.track(EVENTS.REGISTRATION_COMPLETED, { session_id, transaction_id: payment_intent_id, value_cents });
+    setSuccess(true);
+  };
 
-  // Stripe will be initialized in useEffect
-  const [stripe, setStripe] = useState(null);
-  const [elements, setElements] = useState(null);
-  const [paymentElement, setPaymentElement] = useState(null);
+  // Paid registrations not yet saved — retried until they go through, resumed after a reload
+  const pendingRegistration = usePendingRegistration('tryout', api.processTryoutRegistration, handleRegistrationCompleted);
+
+  // One idempotency key per checkout — repeats reuse this checkout's PaymentIntent
+  const checkoutAttempt = useCheckoutAttempt('tryout');
+
+  // Checked by the server before it creates the PaymentIntent
+  const botProtection = useBotProtection({ config: config.botProtection, action: BOT_ACTIONS.tryout, language });
+
+  // Tryout sessions — the selected one sets the price, the next open one drives the countdown
+  const sessions = loadTryoutSessions(config.tryoutSessions);
+  const selectedSession = sessions.find(session => session.id === formData.tryout_date) || null;
+  const nextSession = getNextOpenSession(sessions, now);
+  const nextSessionStatus = nextSession ? getSessionStatus(nextSession, now) : null;
+  const hasUpcomingSession = sessions.some(session => !getSessionStatus(session, now).isPast);
+  // Nothing scheduled prices at 0 — the form gives way to a notice instead
+  const pricedSession = selectedSession || nextSession || sessions[0];
+  const listPriceCents = pricedSession ? pricedSession.priceCents : 0;
+  const discountCents = getPromoDiscountCents(listPriceCents, promoCode.promo);
+  const priceCents = listPriceCents - discountCents;
+  const priceLabel = formatCents(priceCents);
+
+  // Stripe Payment Element — amount follows the selected session and promo code;
+  // wallet / Link buttons run the same checkout as the Register button
+  const paymentMethods = getPaymentMethodSettings(config, 'tryout');
+  const expressMethods = getExpressCheckoutMethods(paymentMethods);
+  const payment = useStripePaymentElement({
+    publishableKey: config.stripePublishableKey,
+    amount: priceCents,
+    paymentMethodTypes: getPaymentMethodTypes(paymentMethods),
+    locale: getStripeLocale(language),
+    expressCheckout: expressMethods && {
+      paymentMethods: expressMethods,
+      onClick: (event) => handleExpressClick(event),
+      onConfirm: (event) => runCheckout(event)
+    }
+  });
+  const { stripe, elements } = payment;
 
-  // Get Stripe key from WordPress
-  const stripeKey = window.newteamConfig?.stripePublishableKey || '';
+  // Back from a bank's 3D Secure page — finish the saved checkout or offer a retry
+  const handleRedirectReturn = ({ status, checkout, paymentIntent, error }) => {
+    if (checkout) {
+      setFormData(checkout.formData);
+    }
+    if (status === 'succeeded' && checkout) {
+      checkoutAttempt.settle();
+      pendingRegistration.begin(checkout.registrations, checkout.context);
+      redirectReturn.dismiss();
+    } else if (status === 'failed') {
+      analytics.track(EVENTS.PAYMENT_FAILED, { reason: getRedirectFailureReason(paymentIntent) });
+      setRedirectFailure(error);
+      redirectReturn.dismiss();
+    }
+  };
+  const redirectReturn = useRedirectReturn('tryout', stripe, handleRedirectReturn);
 
-  // Calculate days remaining
-  useEffect(() => {
-    const deadline = new Date('2025-08-09');
-    const now = new Date();
-    const diff = deadline.getTime() - now.getTime();
-    const days = Math.ceil(diff / (1000 * 60 * 60 * 24));
-    setDaysRemaining(days > 0 ? days : 0);
-  }, []);
+  // Waitlist — a full session takes no-payment signups; an emailed offer link lets
+  // the next player in line check out while their spot is held
+  const waitlistOffer = useWaitlistOffer(api);
+  const offer = waitlistOffer.isValid && waitlistOffer.offer.list_type === 'tryout' ? waitlistOffer.offer : null;
+  const selectedStatus = selectedSession ? getSessionStatus(selectedSession, now) : null;
+  const hasOfferForSession = Boolean(offer && selectedSession && offer.target_id === selectedSession.id);
+  const isWaitlistMode = Boolean(selectedStatus && selectedStatus.isFull && !selectedStatus.isPast && !hasOfferForSession);
 
-  // Initialize Stripe
+  // Prefill checkout from the waitlist entry the offer was sent to
   useEffect(() => {
-    if (!stripeKey || !window.Stripe) return;
-
-    const stripeInstance = window.Stripe(stripeKey);
-    setStripe(stripeInstance);
-
-    // Initialize elements with fixed amount
-    const appearance = {
-      theme: 'night',
-      variables: {
-        colorPrimary: '#dc2626',
-        colorBackground: '#374151',
-        colorText: '#ffffff',
-        colorDanger: '#ef4444',
-        fontFamily: 'system-ui, sans-serif',
-        borderRadius: '8px'
-      }
-    };
-
-    const elementsInstance = stripeInstance.elements({
-      mode: 'payment',
-      amount: 1500, // $15 in cents
-      currency: 'usd',
-      appearance: appearance,
-      paymentMethodTypes: ['card']
-    });
+    if (!offer) return;
+    setFormData(prev => ({
+      ...prev,
+      first_name: prev.first_name || offer.first_name,
+      last_name: prev.last_name || offer.last_name,
+      email: prev.email || offer.email,
+      phone: prev.phone || offer.phone,
+      tryout_date: offer.target_id
+    }));
+  }, [offer]);
 
-    setElements(elementsInstance);
+  // Back to the home page a moment after the confirmation
+  useEffect(() => {
+    if (!success) return;
+    const timer = setTimeout(() => {
+      window.location.href = '/';
+    }, 3000);
+    return () => clearTimeout(timer);
+  }, [success]);
+
+  // Autosave — plain form fields only; paused while a checkout finishes
+  const formDraft = useFormDraft('tryout', {
+    formData,
+    promoCode: promoCode.promo?.code || promoCode.code
+  }, {
+    enabled: !success && !pendingRegistration.isActive && redirectReturn.status === 'none' && waitlistPosition === null
+  });
 
-    // Create and mount payment element
-    const paymentElementInstance = elementsInstance.create('payment', {
-      paymentMethodTypes: ['card']
-    });
+  // Paid (or waitlisted) — the draft is done with
+  const { clear: clearDraft } = formDraft;
+  useEffect(() => {
+    if (pendingRegistration.isActive || waitlistPosition !== null) {
+      clearDraft();
+    }
+  }, [pendingRegistration.isActive, waitlistPosition, clearDraft]);
 
-    // Wait for component to mount
-    setTimeout(() => {
-      const paymentElementDiv = document.getElementById('payment-element');
-      if (paymentElementDiv) {
-        paymentElementInstance.mount('#payment-element');
-        setPaymentElement(paymentElementInstance);
-      }
-    }, 100);
+  const resumeDraft = () => {
+    const draft = formDraft.resume();
+    setFormData(prev => ({ ...prev, ...draft.formData }));
+    promoCode.restore(draft.promoCode || '');
+  };
 
-    // Cleanup
-    return () => {
-      if (paymentElementInstance) {
-        paymentElementInstance.unmount();
-      }
-    };
-  }, [stripeKey]);
+  // Refresh countdowns and session availability every minute. With reduced
+  // motion the counts hold still — submitting still checks the session is open.
+  const reduceMotion = useReducedMotion();
+  useEffect(() => {
+    if (reduceMotion) return;
+    const timer = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, [reduceMotion]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -94,36 +232,51 @@ const TryoutPage = () => {
     }));
   };
 
+  const tryoutSchema = getTryoutSchema();
+  const form = useFormValidation({
+    ...tryoutSchema,
+    tryout_date: [
+      ...tryoutSchema.tryout_date,
+      () => (selectedSession && (getSessionStatus(selectedSession, new Date()).isOpen || hasOfferForSession)
+        ? ''
+        : t('tryout.validation.sessionUnavailable'))
+    ]
+  }, formData);
+
+  // Shows each problem under its field and focuses the first one
   const validateForm = () => {
-    const newErrors = [];
-
-    if (!formData.first_name) newErrors.push('First name is required');
-    if (!formData.last_name) newErrors.push('Last name is required');
-    if (!formData.email) newErrors.push('Valid email is required');
-    if (!formData.phone) newErrors.push('Phone number is required');
-    if (!formData.date_of_birth) newErrors.push('Date of birth is required');
-    if (!formData.position) newErrors.push('Position is required');
-    if (!formData.experience) newErrors.push('Experience level is required');
-    if (!formData.tryout_date) newErrors.push('Tryout date selection is required');
-
-    // Age validation
-    if (formData.date_of_birth) {
-      const birthDate = new Date(formData.date_of_birth);
-      const today = new Date();
-      const age = today.getFullYear() - birthDate.getFullYear();
-      const monthDiff = today.getMonth() - birthDate.getMonth();
-
-      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-        age--;
-      }
+    setErrors([]);
+    if (form.validate(isWaitlistMode ? WAITLIST_FIELDS : undefined).length > 0) return false;
 
-      if (age < 18) {
-        newErrors.push('Players must be 18+ years old for tryouts');
-      }
+    if (!botProtection.isComplete()) {
+      setErrors([t('botProtection.required')]);
+      return false;
     }
+    return true;
+  };
+
+  const handleWaitlistSubmit = async () => {
+    setIsProcessing(true);
+    setErrors([]);
 
-    setErrors(newErrors);
-    return newErrors.length === 0;
+    try {
+      const result = await api.joinTryoutWaitlist({
+        session_id: selectedSession.id,
+        first_name: formData.first_name,
+        last_name: formData.last_name,
+        email: formData.email,
+        phone: formData.phone,
+        page_url: window.location.origin + window.location.pathname,
+        ...(await botProtection.getParams())
+      });
+      botProtection.reset();
+      setWaitlistPosition(result.position);
+    } catch (error) {
+      if (error.data?.bot_check) botProtection.reset();
+      setErrors([getAjaxErrorMessage(error)]);
+    }
+
+    setIsProcessing(false);
   };
 
   const handleSubmit = async (e) => {
@@ -131,88 +284,136 @@ const TryoutPage = () => {
 
     if (!validateForm()) return;
 
-    if (!stripe || !elements) {
-      setErrors(['Payment system not initialized. Please refresh the page.']);
+    if (isWaitlistMode) {
+      await handleWaitlistSubmit();
+      return;
+    }
+
+    if (!stripe || !elements || !payment.isReady) {
+      setErrors([payment.error || t('common.paymentNotInitialized')]);
+      return;
+    }
+
+    await runCheckout();
+  };
+
+  // Wallet sheet only opens for a complete form — otherwise show what's missing
+  const handleExpressClick = (event) => {
+    if (!validateForm() || isWaitlistMode) return;
+    event.resolve();
+  };
+
+  /**
+   * Charge the tryout fee and start the registration
+   *
+   * @param {Object} [expressEvent] Express Checkout 'confirm' event — told when the payment fails
+   */
+  const runCheckout = async (expressEvent = null) => {
+    // A second tap while the first is still running is ignored
+    if (!checkoutAttempt.lock()) {
+      expressEvent?.paymentFailed();
       return;
     }
 
     setIsProcessing(true);
     setErrors([]);
+    analytics.track(EVENTS.PAYMENT_ATTEMPT, {
+      session_id: selectedSession.id,
+      value_cents: priceCents,
+      express: Boolean(expressEvent)
+    });
+
+    const fail = (message, reason) => {
+      setErrors([message]);
+      expressEvent?.paymentFailed();
+      analytics.track(EVENTS.PAYMENT_FAILED, { session_id: selectedSession.id, reason });
+    };
 
     try {
       // Submit payment element
       const { error: submitError } = await elements.submit();
       if (submitError) {
-        setErrors([submitError.message]);
+        fail(submitError.message, getPaymentFailureReason(submitError));
+        checkoutAttempt.unlock();
         setIsProcessing(false);
         return;
       }
 
       // Create payment intent via AJAX
-      const intentResponse = await fetch(window.newteamConfig.ajaxUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          action: 'create_payment_intent_simple',
-          amount: 1500, // $15 in cents
-          email: formData.email,
-          name: `${formData.first_name} ${formData.last_name}`
-        })
-      });
-
-      const intentData = await intentResponse.json();
-
-      if (!intentData.success) {
-        throw new Error(intentData.message || 'Failed to create payment intent');
-      }
-
-      // Confirm payment
-      const { error: confirmError, paymentIntent } = await stripe.confirmPayment({
-        elements,
-        clientSecret: intentData.client_secret,
-        confirmParams: {
-          return_url: window.location.href
-        },
-        redirect: 'if_required'
+      const intentData = await api.createPaymentIntentSimple({
+        session_id: selectedSession.id,
+        promo_code: promoCode.promo?.code,
+        waitlist_offer: hasOfferForSession ? waitlistOffer.token : undefined,
+        email: formData.email,
+        name: `${formData.first_name} ${formData.last_name}`,
+        idempotency_key: checkoutAttempt.key,
+        ...(await botProtection.getParams())
       });
 
-      if (confirmError) {
-        setErrors([confirmError.message]);
-        setIsProcessing(false);
-        return;
-      }
+      const registration = {
+        id: `${intentData.payment_intent_id}:${formData.email}`,
+        label: `${formData.first_name} ${formData.last_name}`,
+        params: {
+          payment_intent_id: intentData.payment_intent_id,
+          waitlist_offer: hasOfferForSession ? waitlistOffer.token : undefined,
+          promo_code: promoCode.promo?.code,
+          ...formData
+        }
+      };
+      const registrationContext = {
+        email: formData.email,
+        payment_intent_id: intentData.payment_intent_id,
+        session_id: selectedSession.id,
+        value_cents: priceCents
+      };
+
+      // A repeat submit or reload can find this checkout's intent already paid
+      let paymentIntent = { id: intentData.payment_intent_id, status: intentData.status };
+
+      if (intentData.status !== 'succeeded') {
+        // The bank may authenticate on its own page — keep what's needed to finish when it sends the player back
+        saveRedirectCheckout('tryout', intentData.payment_intent_id, {
+          registrations: [registration],
+          context: registrationContext,
+          formData
+        });
 
-      if (paymentIntent && paymentIntent.status === 'succeeded') {
-        // Process registration
-        const registrationResponse = await fetch(window.newteamConfig.ajaxUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
+        // Confirm payment
+        const confirmResult = await stripe.confirmPayment({
+          elements,
+          clientSecret: intentData.client_secret,
+          confirmParams: {
+            return_url: window.location.href
           },
-          body: new URLSearchParams({
-            action: 'process_tryout_registration',
-            payment_intent_id: paymentIntent.id,
-            ...formData,
-            tryout_nonce: window.newteamConfig.tryoutNonce
-          })
+          redirect: 'if_required'
         });
+        clearRedirectCheckout('tryout');
+
+        // The key stays — the next attempt confirms the same intent, with another card if needed
+        if (confirmResult.error) {
+          fail(confirmResult.error.message, getPaymentFailureReason(confirmResult.error));
+          checkoutAttempt.unlock();
+          setIsProcessing(false);
+          return;
+        }
+        paymentIntent = confirmResult.paymentIntent;
+      }
 
-        const registrationResult = await registrationResponse.json();
+      // A bank debit stays 'processing' for a few days — the spot is held meanwhile
+      if (paymentIntent && (paymentIntent.status === 'succeeded' || isPaymentProcessing(paymentIntent.status))) {
+        checkoutAttempt.settle();
 
-        if (registrationResult.success) {
-          setSuccess(true);
-          // Redirect after 3 seconds
-          setTimeout(() => {
-            window.location.href = '/';
-          }, 3000);
-        } else {
-          setErrors([`Payment successful but registration failed: ${registrationResult.message || 'Unknown error'}`]);
-        }
+        // Save the registration locally before sending it — the card has been charged
+        pendingRegistration.begin([registration], registrationContext);
+      } else {
+        expressEvent?.paymentFailed();
+        analytics.track(EVENTS.PAYMENT_FAILED, { session_id: selectedSession.id, reason: paymentIntent?.status || 'unknown' });
+        checkoutAttempt.unlock();
       }
     } catch (error) {
-      setErrors([`An error occurred: ${error.message}`]);
+      if (error.data?.bot_check) botProtection.reset();
+      fail(getAjaxErrorMessage(error), getPaymentFailureReason(error));
+      checkoutAttempt.unlock();
     }
 
     setIsProcessing(false);
@@ -237,15 +438,16 @@ const TryoutPage = () => {
           borderRadius: '1rem',
           maxWidth: '42rem'
         }}>
-          <h2 style={{
+          <h2 ref={focusOnMount} tabIndex={-1} style={{
+            outline: 'none',
             fontSize: '2.25rem',
             fontWeight: 'bold',
             color: '#22c55e',
             marginBottom: '1.25rem'
-          }}>🎉 Welcome to Newteam FC!</h2>
-          <p style={{ fontSize: '1.25rem', marginBottom: '1rem' }}>Your registration and payment have been successfully processed!</p>
-          <p style={{ color: '#d1d5db', marginBottom: '1rem' }}>You will receive a confirmation email shortly with all the tryout details.</p>
-          <p style={{ color: '#22c55e', fontWeight: 'bold', fontSize: '1.125rem' }}>Your journey to greatness starts now.</p>
+          }}>{t('tryout.success.title')}</h2>
+          <p style={{ fontSize: '1.25rem', marginBottom: '1rem' }}>{t('tryout.success.body')}</p>
+          <p style={{ color: '#d1d5db', marginBottom: '1rem' }}>{t('tryout.success.email')}</p>
+          <p style={{ color: '#22c55e', fontWeight: 'bold', fontSize: '1.125rem' }}>{t('tryout.success.tagline')}</p>
           <div style={{ marginTop: '2rem' }}>
             <a href="/" style={{
               display: 'inline-block',
@@ -257,7 +459,7 @@ const TryoutPage = () => {
               textDecoration: 'none',
               transition: 'all 0.3s'
             }}>
-              Back to Home
+              {t('common.backToHome')}
             </a>
           </div>
         </div>
@@ -265,53 +467,156 @@ const TryoutPage = () => {
     );
   }
 
+  if (redirectReturn.status === 'checking') {
+    return (
+      <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center p-8">
+        <div className="text-center p-10 bg-gray-800 border-2 border-amber-500 rounded-2xl max-w-2xl">
+          <h2 ref={focusOnMount} tabIndex={-1} className="text-4xl font-bold text-amber-500 mb-5 focus:outline-none">{t('common.redirect.confirmingTitle')}</h2>
+          <p className="text-gray-300">{payment.error || t('common.redirect.confirmingBody')}</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Paid, but this browser has no saved registration (different device, cleared storage)
+  if (redirectReturn.status === 'succeeded' && !redirectReturn.checkout) {
+    return (
+      <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center p-8">
+        <div className="text-center p-10 bg-amber-500/10 border-2 border-amber-500 rounded-2xl max-w-2xl">
+          <h2 ref={focusOnMount} tabIndex={-1} className="text-4xl font-bold text-amber-500 mb-5 focus:outline-none">{t('common.redirect.paidTitle')}</h2>
+          <p className="text-gray-300 mb-4">
+            {t('common.redirect.paidNoDetails', { email: config.contactEmail, reference: redirectReturn.paymentIntent.id })}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (redirectFailure) {
+    return (
+      <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center p-8">
+        <div className="text-center p-10 bg-red-500/10 border-2 border-red-500 rounded-2xl max-w-2xl">
+          <h2 ref={focusOnMount} tabIndex={-1} className="text-4xl font-bold text-red-500 mb-5 focus:outline-none">{t('common.redirect.failedTitle')}</h2>
+          <p className="text-gray-300 mb-6">{redirectFailure}</p>
+          <button
+            type="button"
+            onClick={() => {
+              setRedirectFailure('');
+              setTimeout(() => document.getElementById('register')?.scrollIntoView(), 0);
+            }}
+            className="bg-gradient-to-r from-red-600 to-red-800 text-white px-8 py-3 rounded-full font-semibold"
+          >
+            {t('common.tryAgain')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (pendingRegistration.isActive) {
+    const { context } = pendingRegistration.pending;
+    return (
+      <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center p-8">
+        <div className="text-center p-10 bg-amber-500/10 border-2 border-amber-500 rounded-2xl max-w-2xl">
+          <h2 ref={focusOnMount} tabIndex={-1} className="text-4xl font-bold text-amber-500 mb-5 focus:outline-none">{t('common.pending.title')}</h2>
+          <p className="text-xl mb-4">{t('common.pending.paid')}</p>
+          <p className="text-gray-300 mb-4">
+            {pendingRegistration.status === 'submitting'
+              ? t('common.pending.saving')
+              : t('common.pending.retrying', { error: pendingRegistration.error })}
+          </p>
+          {pendingRegistration.needsHelp && (
+            <p className="text-gray-300 mb-4">
+              {t('tryout.needsHelp', { email: context.email, reference: context.payment_intent_id, contact: config.contactEmail })}
+            </p>
+          )}
+          {pendingRegistration.status === 'waiting' && (
+            <button
+              type="button"
+              onClick={pendingRegistration.retryNow}
+              className="mt-4 bg-gradient-to-r from-red-600 to-red-800 text-white px-8 py-3 rounded-full font-semibold"
+            >
+              {t('common.tryAgainNow')}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (waitlistPosition !== null) {
+    return (
+      <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center p-8">
+        <div className="text-center p-10 bg-amber-500/10 border-2 border-amber-500 rounded-2xl max-w-2xl">
+          <h2 ref={focusOnMount} tabIndex={-1} className="text-4xl font-bold text-amber-500 mb-5 focus:outline-none">{t('tryout.waitlistJoined.title')}</h2>
+          <p className="text-6xl font-black mb-2">#{waitlistPosition}</p>
+          <p className="text-gray-300 mb-4">{t('tryout.waitlistJoined.inLine', { date: formatSessionDate(selectedSession) })}</p>
+          <p className="text-gray-300 mb-4">
+            {t('tryout.waitlistJoined.body', { email: formData.email, hours: WAITLIST_OFFER_HOURS })}
+          </p>
+          <a href="/" className="inline-block mt-4 bg-gradient-to-r from-red-600 to-red-800 text-white px-8 py-3 rounded-full font-semibold">
+            {t('common.backToHome')}
+          </a>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-900 text-white">
+      <ConfigDiagnostics config={config} page="tryout" />
+
       {/* Hero Section */}
       <section className="relative min-h-[80vh] flex items-center justify-center text-center px-4 py-16"
         style={{
-          background: `linear-gradient(rgba(10, 15, 26, 0.8), rgba(31, 41, 55, 0.8)), url('/wp-content/themes/newteam/images/hero-action-shot.jpg') center/cover`,
-          backgroundAttachment: 'fixed'
+          background: `linear-gradient(rgba(10, 15, 26, 0.8), rgba(31, 41, 55, 0.8)), url('${themeUri}/images/hero-action-shot.jpg') center/cover`,
+          backgroundAttachment: reduceMotion ? 'scroll' : 'fixed'
         }}>
+        <LanguageSwitcher language={language} onChange={setLanguage} className="absolute top-4 right-4 z-10" />
         <div className="max-w-4xl mx-auto">
           <h1 className="text-5xl md:text-6xl font-bold mb-6 leading-tight">
-            We're building something <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">special</span>.
-            Be part of it.
+            {tRich('tryout.hero.title', {
+              highlight: <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">{t('tryout.hero.titleHighlight')}</span>
+            })}
           </h1>
           <h2 className="text-2xl md:text-3xl font-bold mb-4">
-            We're redefining amateur soccer in Massachusetts.
-            <span className="text-amber-500"> Help us build the future</span>
+            {tRich('tryout.hero.subtitle', {
+              highlight: <span className="text-amber-500">{t('tryout.hero.subtitleHighlight')}</span>
+            })}
           </h2>
 
           <p className="text-xl mb-8 text-gray-300 leading-relaxed max-w-3xl mx-auto">
-            <strong className="text-white">Join Massachusetts' most ambitious soccer project.</strong>
-            We're not just building a team — we're creating a <strong className="text-amber-500">pathway to your dreams</strong>
-            with direct connections to professional scouts through our Diaza partnership.
+            {tRich('tryout.hero.pitch', {
+              lead: <strong className="text-white">{t('tryout.hero.pitchLead')}</strong>,
+              highlight: <strong className="text-amber-500">{t('tryout.hero.pitchHighlight')}</strong>
+            })}
           </p>
 
           <h2 className="text-2xl md:text-3xl font-bold mb-8 leading-tight">
-            Want to play competitive soccer and get a chance to go pro?
+            {t('tryout.hero.question')}
             <br />
-            Come Tryout - <span className="text-red-600">Spots filling Fast</span>
+            {tRich('tryout.hero.cta', {
+              highlight: <span className="text-red-600">{t('tryout.hero.ctaHighlight')}</span>
+            })}
           </h2>
 
           {/* Diaza Logo */}
           <div className="flex justify-center mb-8">
             <img
-              src="/wp-content/themes/newteam/images/DIAZA_LOGO_BLK.png"
-              alt="Diaza Football Partnership"
+              src={`${themeUri}/images/DIAZA_LOGO_BLK.png`}
+              alt={t('tryout.hero.diazaAlt')}
               className="h-48 md:h-60 w-auto brightness-0 invert"
             />
           </div>
 
           {/* CTA Button */}
           <a href="#register"
-            className="inline-block bg-gradient-to-r from-red-600 to-red-800 text-white font-black px-12 py-6 rounded-lg text-xl uppercase tracking-wider hover:shadow-2xl hover:scale-105 transition-all duration-300 animate-pulse border-2 border-amber-500">
-            SECURE MY SPOT - $15
+            className="inline-block bg-gradient-to-r from-red-600 to-red-800 text-white font-black px-12 py-6 rounded-lg text-xl uppercase tracking-wider hover:shadow-2xl motion-safe:hover:scale-105 transition-all duration-300 motion-safe:animate-pulse border-2 border-amber-500">
+            {t('tryout.hero.button', { price: priceLabel })}
           </a>
 
           <div className="text-sm text-gray-400 mt-4">
-            💳 Instant registration • ⚡ Email confirmation • 🛡️ 100% money-back guarantee
+            {t('tryout.hero.perks')}
           </div>
         </div>
       </section>
@@ -319,34 +624,31 @@ const TryoutPage = () => {
       {/* Championship Gallery Section */}
       <Section className="bg-black text-center">
         <h2 className="text-4xl font-bold mb-4">
-          Our <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">Championship Legacy</span>
+          {tRich('tryout.championships.title', {
+            highlight: <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">{t('tryout.championships.titleHighlight')}</span>
+          })}
         </h2>
         <p className="text-xl text-gray-300 mb-12 max-w-3xl mx-auto">
-          Join a team with a proven track record of success. Multiple championship titles demonstrate our commitment to excellence.
+          {t('tryout.championships.intro')}
         </p>
 
         {/* Team Photo */}
         <div className="mb-12">
           <img
-            src="/wp-content/themes/newteam/images/team-photo.jpg"
-            alt="Newteam FC Team Photo"
+            src={`${themeUri}/images/team-photo.jpg`}
+            alt={t('tryout.championships.teamPhotoAlt')}
             className="w-full max-w-4xl mx-auto rounded-2xl shadow-2xl"
           />
-          <h3 className="mt-6 text-2xl font-bold">The Championship Squad</h3>
-          <p className="text-xl text-amber-500">Ready to add another title</p>
+          <h3 className="mt-6 text-2xl font-bold">{t('tryout.championships.squadTitle')}</h3>
+          <p className="text-xl text-amber-500">{t('tryout.championships.squadSubtitle')}</p>
         </div>
 
         {/* Championship Gallery Grid */}
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-8 mb-8">
-          {[
-            { img: 'fall-2023-championship.jpg', title: '🏆 Fall 2023 Champions', desc: 'Most recent championship victory' },
-            { img: 'spring-2023-championship.jpg', title: '🏆 Spring 2023 Champions', desc: 'Back-to-back excellence' },
-            { img: 'spring-2022-championship.webp', title: '🏆 Spring 2022 Champions', desc: 'Building our championship culture' },
-            { img: 'fall-2022-championship.webp', title: '🏆 Fall 2022 Champions', desc: 'Championship tradition' }
-          ].map((champ, index) => (
+          {tList('tryout.championships.gallery').map((champ, index) => (
             <div key={index}>
               <img
-                src={`/wp-content/themes/newteam/images/${champ.img}`}
+                src={`${themeUri}/images/${CHAMPIONSHIP_IMAGES[index]}`}
                 alt={champ.title}
                 className="w-full rounded-xl shadow-xl border-2 border-amber-500"
               />
@@ -358,9 +660,9 @@ const TryoutPage = () => {
 
         {/* Championship Summary */}
         <div className="bg-gray-800 rounded-2xl p-8 border-2 border-amber-500 max-w-2xl mx-auto">
-          <h3 className="text-amber-500 text-2xl font-bold mb-4">🏆 Championship Record</h3>
-          <p className="text-2xl font-bold mb-2">4 Championships in 2 Years</p>
-          <p className="text-gray-300">Proven winners at the highest level of Massachusetts amateur soccer</p>
+          <h3 className="text-amber-500 text-2xl font-bold mb-4">{t('tryout.championships.recordTitle')}</h3>
+          <p className="text-2xl font-bold mb-2">{t('tryout.championships.recordCount')}</p>
+          <p className="text-gray-300">{t('tryout.championships.recordBody')}</p>
         </div>
       </Section>
 
@@ -368,179 +670,326 @@ const TryoutPage = () => {
       <Section id="register" className="bg-gray-800">
         <div className="text-center mb-12">
           <h2 className="text-4xl font-bold mb-4">
-            Secure Your Spot — <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">Take the First Step</span>
+            {tRich('tryout.form.title', {
+              highlight: <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">{t('tryout.form.titleHighlight')}</span>
+            })}
           </h2>
           <p className="text-xl text-gray-300">
-            Complete your registration below and take the first step toward the next level.
+            {t('tryout.form.subtitle')}
           </p>
         </div>
 
         <div className="max-w-2xl mx-auto bg-gray-900 rounded-2xl p-8">
+          {offer && (
+            <div className="mb-6 p-4 bg-green-500/10 border-2 border-green-500 rounded-lg">
+              <p className="text-green-500 font-bold">{t('tryout.form.offerTitle')}</p>
+              <p className="text-gray-300 text-sm">
+                {t('common.offerHolding', { time: formatOfferTimeRemaining(offer.expires_at, now) })}
+              </p>
+            </div>
+          )}
+          {waitlistOffer.status === 'invalid' && (
+            <div className="mb-6 p-4 bg-amber-500/10 border-2 border-amber-500 rounded-lg">
+              <p className="text-amber-500">{waitlistOffer.error}</p>
+            </div>
+          )}
+
+          {formDraft.saved && (
+            <div className="mb-6 p-4 bg-amber-500/10 border-2 border-amber-500 rounded-lg">
+              <p className="text-amber-500 font-bold">{t('common.draft.title')}</p>
+              <p className="text-gray-300 text-sm mb-4">
+                {t(formDraft.saved.data.formData.first_name ? 'common.draft.body' : 'common.draft.bodyAnonymous', {
+                  name: formDraft.saved.data.formData.first_name,
+                  date: formatDate(new Date(formDraft.saved.savedAt), { month: 'long', day: 'numeric' })
+                })}
+              </p>
+              <div className="flex gap-4">
+                <button
+                  type="button"
+                  onClick={resumeDraft}
+                  className="bg-gradient-to-r from-red-600 to-red-800 text-white font-semibold py-2 px-6 rounded-full"
+                >
+                  {t('common.draft.resume')}
+                </button>
+                <button
+                  type="button"
+                  onClick={formDraft.startOver}
+                  className="text-gray-400 underline"
+                >
+                  {t('common.draft.startOver')}
+                </button>
+              </div>
+            </div>
+          )}
+
           {errors.length > 0 && (
-            <div className="mb-6 p-4 bg-red-500/10 border-2 border-red-500 rounded-lg">
+            <div ref={focusOnMount} tabIndex={-1} role="alert" className="mb-6 p-4 bg-red-500/10 border-2 border-red-500 rounded-lg focus:outline-none">
               {errors.map((error, index) => (
                 <p key={index} className="text-red-500">{error}</p>
               ))}
             </div>
           )}
 
-          <form onSubmit={handleSubmit}>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-              <div className="flex flex-col">
-                <label htmlFor="first_name" className="mb-2 font-semibold text-amber-500">First Name *</label>
-                <input
-                  type="text"
-                  id="first_name"
-                  name="first_name"
-                  value={formData.first_name}
-                  onChange={handleInputChange}
-                  required
-                  className="p-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
-                />
-              </div>
-              <div className="flex flex-col">
-                <label htmlFor="last_name" className="mb-2 font-semibold text-amber-500">Last Name *</label>
-                <input
-                  type="text"
-                  id="last_name"
-                  name="last_name"
-                  value={formData.last_name}
-                  onChange={handleInputChange}
-                  required
-                  className="p-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
-                />
+          {hasUpcomingSession ? (
+            <form onSubmit={handleSubmit} onFocus={analytics.formStart} noValidate>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <div className="flex flex-col">
+                  <label htmlFor="first_name" className="mb-2 font-semibold text-amber-500">{t('tryout.form.firstName')}</label>
+                  <input
+                    type="text"
+                    id="first_name"
+                    name="first_name"
+                    value={formData.first_name}
+                    {...form.fieldProps('first_name')}
+                    onChange={handleInputChange}
+                    required
+                    className={`p-3 rounded-lg bg-gray-700 text-white border ${form.errorFor('first_name') ? 'border-red-500' : 'border-gray-600'} focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20`}
+                  />
+                  <FieldError id={form.errorId('first_name')} message={form.errorFor('first_name')} />
+                </div>
+                <div className="flex flex-col">
+                  <label htmlFor="last_name" className="mb-2 font-semibold text-amber-500">{t('tryout.form.lastName')}</label>
+                  <input
+                    type="text"
+                    id="last_name"
+                    name="last_name"
+                    value={formData.last_name}
+                    {...form.fieldProps('last_name')}
+                    onChange={handleInputChange}
+                    required
+                    className={`p-3 rounded-lg bg-gray-700 text-white border ${form.errorFor('last_name') ? 'border-red-500' : 'border-gray-600'} focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20`}
+                  />
+                  <FieldError id={form.errorId('last_name')} message={form.errorFor('last_name')} />
+                </div>
               </div>
-            </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-              <div className="flex flex-col">
-                <label htmlFor="email" className="mb-2 font-semibold text-amber-500">Email *</label>
-                <input
-                  type="email"
-                  id="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleInputChange}
-                  required
-                  className="p-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
-                />
-              </div>
-              <div className="flex flex-col">
-                <label htmlFor="phone" className="mb-2 font-semibold text-amber-500">Phone *</label>
-                <input
-                  type="tel"
-                  id="phone"
-                  name="phone"
-                  value={formData.phone}
-                  onChange={handleInputChange}
-                  required
-                  className="p-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
-                />
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <div className="flex flex-col">
+                  <label htmlFor="email" className="mb-2 font-semibold text-amber-500">{t('tryout.form.email')}</label>
+                  <input
+                    type="email"
+                    id="email"
+                    name="email"
+                    value={formData.email}
+                    {...form.fieldProps('email')}
+                    onChange={handleInputChange}
+                    required
+                    className={`p-3 rounded-lg bg-gray-700 text-white border ${form.errorFor('email') ? 'border-red-500' : 'border-gray-600'} focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20`}
+                  />
+                  <FieldError id={form.errorId('email')} message={form.errorFor('email')} />
+                </div>
+                <div className="flex flex-col">
+                  <label htmlFor="phone" className="mb-2 font-semibold text-amber-500">{t('tryout.form.phone')}</label>
+                  <input
+                    type="tel"
+                    id="phone"
+                    name="phone"
+                    value={formData.phone}
+                    {...form.fieldProps('phone')}
+                    onChange={handleInputChange}
+                    required
+                    className={`p-3 rounded-lg bg-gray-700 text-white border ${form.errorFor('phone') ? 'border-red-500' : 'border-gray-600'} focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20`}
+                  />
+                  <FieldError id={form.errorId('phone')} message={form.errorFor('phone')} />
+                </div>
               </div>
-            </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
-              <div className="flex flex-col">
-                <label htmlFor="date_of_birth" className="mb-2 font-semibold text-amber-500">Date of Birth *</label>
-                <input
-                  type="date"
-                  id="date_of_birth"
-                  name="date_of_birth"
-                  value={formData.date_of_birth}
-                  onChange={handleInputChange}
-                  required
-                  className="p-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
-                />
-              </div>
-              <div className="flex flex-col">
-                <label htmlFor="position" className="mb-2 font-semibold text-amber-500">Position *</label>
-                <select
-                  id="position"
-                  name="position"
-                  value={formData.position}
-                  onChange={handleInputChange}
-                  required
-                  className="p-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
-                >
-                  <option value="">Select Position</option>
-                  <option value="goalkeeper">Goalkeeper</option>
-                  <option value="defender">Defender</option>
-                  <option value="midfielder">Midfielder</option>
-                  <option value="forward">Forward</option>
-                </select>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <div className="flex flex-col">
+                  <label htmlFor="date_of_birth" className="mb-2 font-semibold text-amber-500">{t('tryout.form.dateOfBirth')}</label>
+                  <input
+                    type="date"
+                    id="date_of_birth"
+                    name="date_of_birth"
+                    value={formData.date_of_birth}
+                    {...form.fieldProps('date_of_birth')}
+                    onChange={handleInputChange}
+                    required
+                    className={`p-3 rounded-lg bg-gray-700 text-white border ${form.errorFor('date_of_birth') ? 'border-red-500' : 'border-gray-600'} focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20`}
+                  />
+                  <FieldError id={form.errorId('date_of_birth')} message={form.errorFor('date_of_birth')} />
+                </div>
+                <div className="flex flex-col">
+                  <label htmlFor="position" className="mb-2 font-semibold text-amber-500">{t('tryout.form.position')}</label>
+                  <select
+                    id="position"
+                    name="position"
+                    value={formData.position}
+                    {...form.fieldProps('position')}
+                    onChange={handleInputChange}
+                    required
+                    className={`p-3 rounded-lg bg-gray-700 text-white border ${form.errorFor('position') ? 'border-red-500' : 'border-gray-600'} focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20`}
+                  >
+                    <option value="">{t('tryout.form.selectPosition')}</option>
+                    {POSITIONS.map(value => (
+                      <option key={value} value={value}>{t(`tryout.form.positions.${value}`)}</option>
+                    ))}
+                  </select>
+                  <FieldError id={form.errorId('position')} message={form.errorFor('position')} />
+                </div>
               </div>
-            </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-              <div className="flex flex-col">
-                <label htmlFor="experience" className="mb-2 font-semibold text-amber-500">Experience Level *</label>
-                <select
-                  id="experience"
-                  name="experience"
-                  value={formData.experience}
-                  onChange={handleInputChange}
-                  required
-                  className="p-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
-                >
-                  <option value="">Select Experience</option>
-                  <option value="high_school">High School</option>
-                  <option value="club">Club</option>
-                  <option value="college">College</option>
-                  <option value="semi_pro">Semi-Professional</option>
-                  <option value="professional">Professional</option>
-                </select>
-              </div>
-              <div className="flex flex-col">
-                <label htmlFor="tryout_date" className="mb-2 font-semibold text-amber-500">Tryout Date *</label>
-                <select
-                  id="tryout_date"
-                  name="tryout_date"
-                  value={formData.tryout_date}
-                  onChange={handleInputChange}
-                  required
-                  className="p-3 rounded-lg bg-gray-700 text-white border border-gray-600 focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
-                >
-                  <option value="">Choose Date</option>
-                  <option value="august_9">Saturday, August 9th, 2025 - $15</option>
-                </select>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                <div className="flex flex-col">
+                  <label htmlFor="experience" className="mb-2 font-semibold text-amber-500">{t('tryout.form.experience')}</label>
+                  <select
+                    id="experience"
+                    name="experience"
+                    value={formData.experience}
+                    {...form.fieldProps('experience')}
+                    onChange={handleInputChange}
+                    required
+                    className={`p-3 rounded-lg bg-gray-700 text-white border ${form.errorFor('experience') ? 'border-red-500' : 'border-gray-600'} focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20`}
+                  >
+                    <option value="">{t('tryout.form.selectExperience')}</option>
+                    {EXPERIENCE_LEVELS.map(value => (
+                      <option key={value} value={value}>{t(`tryout.form.experienceLevels.${value}`)}</option>
+                    ))}
+                  </select>
+                  <FieldError id={form.errorId('experience')} message={form.errorFor('experience')} />
+                </div>
+                <div className="flex flex-col">
+                  <label htmlFor="tryout_date" className="mb-2 font-semibold text-amber-500">{t('tryout.form.tryoutDate')}</label>
+                  <select
+                    id="tryout_date"
+                    name="tryout_date"
+                    value={formData.tryout_date}
+                    {...form.fieldProps('tryout_date')}
+                    onChange={handleInputChange}
+                    required
+                    className={`p-3 rounded-lg bg-gray-700 text-white border ${form.errorFor('tryout_date') ? 'border-red-500' : 'border-gray-600'} focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20`}
+                  >
+                    <option value="">{t('tryout.form.chooseDate')}</option>
+                    {sessions.map(session => (
+                      <option
+                        key={session.id}
+                        value={session.id}
+                        disabled={getSessionStatus(session, now).isPast}
+                      >
+                        {formatSessionLabel(session, now)}
+                      </option>
+                    ))}
+                  </select>
+                  <FieldError id={form.errorId('tryout_date')} message={form.errorFor('tryout_date')} />
+                </div>
               </div>
-            </div>
 
-            {/* Payment Section */}
-            <div className="mb-6">
-              <h4 className="text-amber-500 font-semibold mb-4">Payment Details</h4>
-              <p className="text-gray-300 mb-4 text-sm">
-                Your spot is secured instantly upon payment. Show us you're serious.
+              {isWaitlistMode ? (
+                <div className="bg-amber-500/10 border border-amber-500 rounded-lg p-4 mb-6">
+                  <h4 className="text-amber-500 font-semibold mb-2">{t('tryout.form.sessionFull')}</h4>
+                  <p className="text-gray-300 text-sm">
+                    {t('common.waitlistNotice', { hours: WAITLIST_OFFER_HOURS })}
+                  </p>
+                </div>
+              ) : (
+                <>
+                  {/* Payment Section */}
+                  <div className="mb-6">
+                    <h4 className="text-amber-500 font-semibold mb-4">{t('common.paymentDetails')}</h4>
+                    <p className="text-gray-300 mb-4 text-sm">
+                      {t('tryout.form.paymentNote')}
+                    </p>
+
+                    <PaymentElementMount payment={payment} className="mb-4" />
+                  </div>
+
+                  {/* Promo Code */}
+                  <div className="mb-6">
+                    <label htmlFor="promo_code" className="block mb-2 font-semibold text-amber-500">{t('common.promoCode')}</label>
+                    {promoCode.promo ? (
+                      <div className="flex items-center justify-between p-3 rounded-lg bg-green-500/10 border border-green-500">
+                        <span className="text-green-500 font-semibold">
+                          ✓ {promoCode.promo.code}{promoCode.promo.description && ` — ${promoCode.promo.description}`}
+                        </span>
+                        <button type="button" onClick={promoCode.remove} className="text-sm text-gray-300 underline">
+                          {t('common.remove')}
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex gap-2">
+                        <input
+                          type="text"
+                          id="promo_code"
+                          value={promoCode.code}
+                          onChange={(e) => promoCode.setCode(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              e.preventDefault();
+                              promoCode.apply();
+                            }
+                          }}
+                          placeholder={t('common.promoPlaceholder')}
+                          className="flex-1 p-3 rounded-lg bg-gray-700 text-white border border-gray-600 uppercase focus:border-amber-500 focus:outline-none focus:ring-2 focus:ring-amber-500/20"
+                        />
+                        <button
+                          type="button"
+                          onClick={promoCode.apply}
+                          disabled={promoCode.isValidating || !promoCode.code.trim()}
+                          className="px-5 rounded-lg bg-gray-700 border border-amber-500 text-amber-500 font-semibold disabled:opacity-50"
+                        >
+                          {promoCode.isValidating ? t('common.checking') : t('common.apply')}
+                        </button>
+                      </div>
+                    )}
+                    {promoCode.error && <p className="text-red-500 text-sm mt-2">{promoCode.error}</p>}
+                  </div>
+
+                  {/* Payment Summary */}
+                  <div className="bg-amber-500/10 border border-amber-500 rounded-lg p-4 mb-6">
+                    <h4 className="text-amber-500 font-semibold mb-2">{t('tryout.form.feeTitle')}</h4>
+                    {discountCents > 0 && (
+                      <p className="mb-1 text-green-500">
+                        {t('tryout.form.discount', { code: promoCode.promo.code, amount: formatCents(discountCents) })}
+                      </p>
+                    )}
+                    <p className="mb-1">
+                      {tRich('tryout.form.total', { amount: <span className="font-bold text-amber-500">{priceLabel}</span> })}
+                    </p>
+                    {selectedSession && (
+                      <p className="mb-1 text-sm text-gray-300">
+                        {formatSessionDate(selectedSession)}
+                        {selectedSession.location && ` · ${selectedSession.location}`}
+                        {getSessionStatus(selectedSession, now).daysRemaining > 0 &&
+                          ` · ${t('tryout.form.inDays', { count: getSessionStatus(selectedSession, now).daysRemaining })}`}
+                      </p>
+                    )}
+                    <small className="text-gray-400">{t('tryout.form.feeNote')}</small>
+                  </div>
+
+                </>
+              )}
+
+              <BotProtection protection={botProtection} className="mb-6" />
+
+              <button
+                type="submit"
+                disabled={isProcessing}
+                className={`w-full bg-gradient-to-r from-red-600 to-red-800 text-white font-black py-4 rounded-lg text-xl uppercase tracking-wider transition-all focus:outline-none focus-visible:ring-4 focus-visible:ring-amber-500/60 ${
+                  isProcessing
+                    ? 'opacity-70 cursor-not-allowed'
+                    : 'hover:shadow-2xl motion-safe:hover:scale-[1.02] cursor-pointer'
+                }`}
+              >
+                {isProcessing
+                  ? t('common.processing')
+                  : isWaitlistMode ? t('common.joinWaitlistButton') : t('tryout.form.submit', { price: priceLabel })}
+              </button>
+
+              {/* Announced to screen readers while the payment runs */}
+              <p className="sr-only" role="status" aria-live="polite">
+                {isProcessing ? (isWaitlistMode ? t('common.joiningWaitlist') : t('common.processingStatus')) : ''}
               </p>
 
-              <div id="payment-element" className="mb-4">
-                {/* Stripe Elements will mount here */}
-              </div>
-            </div>
-
-            {/* Payment Summary */}
-            <div className="bg-amber-500/10 border border-amber-500 rounded-lg p-4 mb-6">
-              <h4 className="text-amber-500 font-semibold mb-2">Tryout Registration Fee</h4>
-              <p className="mb-1">Total Amount: <span className="font-bold text-amber-500">$15</span></p>
-              <small className="text-gray-400">Professional evaluation and team consideration</small>
+              <p className="text-gray-400 mt-4 text-sm text-center">
+                {t('tryout.form.security')}
+              </p>
+            </form>
+          ) : (
+            <div role="status" className="p-6 bg-amber-500/10 border-2 border-amber-500 rounded-lg text-center">
+              <p className="text-amber-500 font-bold mb-2">{t('tryout.form.noSessionsTitle')}</p>
+              <p className="text-gray-300">{t('tryout.form.noSessionsBody', { contact: config.contactEmail })}</p>
             </div>
-
-            <button
-              type="submit"
-              disabled={isProcessing}
-              className={`w-full bg-gradient-to-r from-red-600 to-red-800 text-white font-black py-4 rounded-lg text-xl uppercase tracking-wider transition-all ${
-                isProcessing
-                  ? 'opacity-70 cursor-not-allowed'
-                  : 'hover:shadow-2xl hover:scale-[1.02] cursor-pointer'
-              }`}
-            >
-              {isProcessing ? 'Processing...' : 'SECURE MY SPOT - $15'}
-            </button>
-
-            <p className="text-gray-400 mt-4 text-sm text-center">
-              🔒 Secure payment • Instant confirmation • Money-back guarantee
-            </p>
-          </form>
+          )}
         </div>
       </Section>
 
@@ -549,97 +998,63 @@ const TryoutPage = () => {
         {/* Casa League Logo */}
         <div className="text-center mb-12">
           <img
-            src="/wp-content/themes/newteam/images/casa-league-logo.png"
-            alt="Casa League Logo"
+            src={`${themeUri}/images/casa-league-logo.png`}
+            alt={t('tryout.about.leagueLogoAlt')}
             className="h-32 mx-auto"
           />
         </div>
 
         <div className="text-center mb-16">
-          <h2 className="text-4xl font-bold mb-8">About Newteam FC</h2>
+          <h2 className="text-4xl font-bold mb-8">{t('tryout.about.title')}</h2>
 
           {/* About Photo */}
           <div className="mb-8">
             <img
-              src="/wp-content/themes/newteam/images/about-newteam-photo.jpg"
-              alt="About Newteam FC"
+              src={`${themeUri}/images/about-newteam-photo.jpg`}
+              alt={t('tryout.about.photoAlt')}
               className="w-full max-w-6xl mx-auto rounded-2xl shadow-2xl"
             />
           </div>
 
           <p className="text-xl text-gray-300 leading-relaxed max-w-3xl mx-auto mb-12">
-            We're a group of guys who've managed to compete at the highest level in Massachusetts amateur soccer.
-            Through hard work, dedication, and now our partnership with Diaza Football, we've created something special —
-            a pathway for serious players to reach their potential and connect with professional opportunities.
+            {t('tryout.about.body')}
           </p>
 
           {/* Casa League Info */}
           <div className="bg-gray-800 rounded-2xl p-8 border-l-4 border-amber-500 max-w-2xl mx-auto mb-12">
-            <h3 className="text-amber-500 text-2xl font-bold mb-4">Competing in Casa League</h3>
+            <h3 className="text-amber-500 text-2xl font-bold mb-4">{t('tryout.about.leagueTitle')}</h3>
             <p className="text-xl text-gray-300 mb-4">
-              <strong className="text-amber-500">Top Division</strong> - The highest level of amateur soccer in Massachusetts
+              {tRich('tryout.about.leagueDivision', {
+                highlight: <strong className="text-amber-500">{t('tryout.about.leagueDivisionHighlight')}</strong>
+              })}
             </p>
             <p className="text-gray-400">
-              40+ teams • Championship-level competition
+              {t('tryout.about.leagueStats')}
             </p>
           </div>
 
           {/* Pricing Notice */}
           <div className="inline-block bg-red-600 rounded-2xl p-6 border-2 border-amber-500">
-            <div className="text-2xl font-bold mb-2">Tryout Registration</div>
-            <div className="text-amber-500">Only $15 • Professional Evaluation</div>
+            <div className="text-2xl font-bold mb-2">{t('tryout.about.pricingTitle')}</div>
+            <div className="text-amber-500">{t('tryout.about.pricingBody', { price: priceLabel })}</div>
           </div>
         </div>
 
         {/* What You Get */}
         <div className="text-center mb-12">
           <h2 className="text-4xl font-bold mb-4">
-            What You're Really <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">Signing Up For</span>
+            {tRich('tryout.benefits.title', {
+              highlight: <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">{t('tryout.benefits.titleHighlight')}</span>
+            })}
           </h2>
           <p className="text-xl text-gray-300 mb-12">
-            Through our partnership with Diaza Football, this isn't just a tryout — it's an entry point into something bigger:
+            {t('tryout.benefits.intro')}
           </p>
         </div>
 
         <div className="bg-gray-800 rounded-2xl p-8 border-l-4 border-amber-500 max-w-4xl mx-auto">
           <ul className="space-y-8">
-            {[
-              {
-                title: 'Championship-Level Training',
-                desc: 'Professional standards and serious development with experienced coaches who\'ve worked at the highest levels.',
-                value: null
-              },
-              {
-                title: '🏆 2 Custom Jerseys',
-                desc: 'Home & away kits for players who make the team',
-                value: '$120 value'
-              },
-              {
-                title: '⚽ Weekly Competitive Matches',
-                desc: 'In one of Boston\'s most respected leagues — compete at the highest level every week',
-                value: '$200+ value'
-              },
-              {
-                title: 'Team Brotherhood',
-                desc: 'Join a tight-knit group of committed players who support each other on and off the field.',
-                value: null
-              },
-              {
-                title: '🎯 Scout & Brand Exposure',
-                desc: 'Exposure to scouts, brands, and opportunities through our growing media network',
-                value: '$500+ value'
-              },
-              {
-                title: '🚀 Real Path to Pro',
-                desc: 'Through our partnership with Diaza Football, players have the opportunity to play in front of scouts from Europe and American teams with a legitimate chance of going pro',
-                value: '$1000+ value'
-              },
-              {
-                title: '💡 Direct Coaching Feedback',
-                desc: 'Level up even if you don\'t make the squad — valuable feedback for your development',
-                value: '$150+ value'
-              }
-            ].map((item, index) => (
+            {tList('tryout.benefits.items').map((item, index) => (
               <li key={index} className="pb-8 border-b border-gray-700 last:border-b-0 last:pb-0">
                 <h3 className="text-2xl font-bold mb-4 text-amber-500">{item.title}</h3>
                 <p className="text-gray-300 text-lg leading-relaxed">
@@ -654,31 +1069,17 @@ const TryoutPage = () => {
       {/* Player Testimonials */}
       <Section className="bg-gray-800">
         <h2 className="text-4xl font-bold text-center mb-12">
-          From Our <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">Current Players</span>
+          {tRich('tryout.testimonials.title', {
+            highlight: <span className="bg-gradient-to-r from-red-600 to-amber-500 bg-clip-text text-transparent">{t('tryout.testimonials.titleHighlight')}</span>
+          })}
         </h2>
         <p className="text-xl text-center mb-12 text-gray-300">
-          Real experiences from players who've joined something special.
+          {t('tryout.testimonials.intro')}
         </p>
 
         <div className="bg-gray-700 rounded-2xl p-8 border-l-4 border-amber-500 max-w-4xl mx-auto">
           <ul className="space-y-8">
-            {[
-              {
-                quote: "I joined Newteam in Spring 2022 after coming back from injury the prior year and I have to say, it's been nothing but a wild ride. The stories I could tell of all of the games and the adventures we've been on could fill a book.",
-                author: "Christian Mukala",
-                position: "Midfielder"
-              },
-              {
-                quote: "The Newteam brand is growing. Whenever someone hears newteam FC, they're like 'oh.. that's a good club' strong players.",
-                author: "Isai D.",
-                position: "Defender"
-              },
-              {
-                quote: "When I first joined Newteam, those guys welcomed me with open arms. it's not just about futbol, it's beyond that and I appreciate it and love it because it allows me to be myself and push me to be better in and out of the field as a person. Also becoming socially involved iwth strangers that care and I would fight for is the real lesson of life.",
-                author: "Tonis",
-                position: "Midfielder"
-              }
-            ].map((testimonial, index) => (
+            {tList('tryout.testimonials.items').map((testimonial, index) => (
               <li key={index} className="pb-8 border-b border-gray-600 last:border-b-0 last:pb-0">
                 <div className="text-lg italic text-gray-300 mb-4 leading-relaxed">
                   "{testimonial.quote}"
@@ -693,10 +1094,15 @@ const TryoutPage = () => {
       </Section>
 
       {/* Countdown Timer */}
-      {daysRemaining > 0 && (
-        <div className="fixed bottom-8 right-8 bg-gradient-to-r from-red-600 to-red-800 p-6 rounded-2xl shadow-2xl border-2 border-amber-500 text-center">
-          <div className="text-3xl font-bold">{daysRemaining}</div>
-          <div className="text-sm">Days Until Tryouts</div>
+      {nextSessionStatus && nextSessionStatus.daysRemaining > 0 && (
+        <div role="timer" aria-label={t('tryout.countdown.label', { count: nextSessionStatus.daysRemaining })} className="fixed bottom-8 right-8 bg-gradient-to-r from-red-600 to-red-800 p-6 rounded-2xl shadow-2xl border-2 border-amber-500 text-center">
+          <div className="text-3xl font-bold">{nextSessionStatus.daysRemaining}</div>
+          <div className="text-sm">{t('tryout.countdown.caption', { count: nextSessionStatus.daysRemaining })}</div>
+          {nextSessionStatus.spotsRemaining !== null && (
+            <div className="text-xs text-amber-300 mt-1">
+              {t('tryout.countdown.spotsLeft', { count: nextSessionStatus.spotsRemaining })}
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,47 @@
+/**
+ * Accessibility Helpers
+ * Small pieces the pages share so keyboard and screen reader users get the
+ * same feedback as everyone else.
+ */
+
+/**
+ * Callback ref that moves focus to an element when it appears — success,
+ * failure and status screens, and error boxes. Give the element tabIndex={-1}
+ * so it can take focus; screen readers then read it out.
+ *
+ * Defined once at module level: React only calls a stable callback ref on
+ * mount and unmount, so focus isn't pulled back on every render.
+ *
+ * @param {HTMLElement|null} element
+ */
+export const focusOnMount = (element) => {
+  if (element) element.focus();
+};
+
+// Inline-style equivalent of Tailwind's sr-only — read by screen readers, not shown
+export const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0
+};
+
+/**
+ * Whether a focus event came from the keyboard, so focus rings on custom
+ * controls don't flash on every click
+ *
+ * @param {FocusEvent} event
+ * @returns {boolean}
+ */
+export const isFocusVisible = (event) => {
+  try {
+    return event.target.matches(':focus-visible');
+  } catch (e) {
+    return true; // Older browsers — always show it
+  }
+};
@@ -0,0 +1,241 @@
+import { t, getActiveLanguage } from './i18n';
+import { getAttribution } from './attribution';
+import { getReferralCode } from './referrals';
+
+/**
+ * WordPress admin-ajax Client
+ * One function per AJAX action, with nonce injection, request timeouts,
+ * safe retries and a single normalized error type for the UIs.
+ */
+
+const DEFAULT_AJAX_URL = '/wp-admin/admin-ajax.php';
+
+// Stripe calls chain several API requests server-side (customer, attach, charge)
+const PAYMENT_TIMEOUT = 45000;
+const DEFAULT_TIMEOUT = 20000;
+const RETRY_DELAY = 1000;
+
+/**
+ * Normalized error for every admin-ajax failure
+ *
+ * code is one of:
+ * - 'network'          request never completed (offline, DNS, CORS)
+ * - 'timeout'          no response within the action's time limit
+ * - 'http'             non-2xx response (e.g. 500 from PHP fatal, 503 from host)
+ * - 'invalid_response' body wasn't JSON (WordPress '0'/'-1', HTML error page)
+ * - 'security'         nonce check failed — page needs a refresh
+ * - 'server'           handler returned { success: false, message }
+ */
+export class AjaxError extends Error {
+  constructor(code, message, { action = '', status = 0, data = null } = {}) {
+    super(message);
+    this.name = 'AjaxError';
+    this.code = code;
+    this.action = action;
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Map any error from an AJAX call to a message safe to show players
+ */
+export const getAjaxErrorMessage = (error) => {
+  if (!(error instanceof AjaxError)) {
+    return error?.message || t('errors.generic');
+  }
+
+  switch (error.code) {
+    case 'network':
+      return t('errors.network');
+    case 'timeout':
+      return t('errors.timeout');
+    case 'security':
+      return t('errors.security');
+    case 'invalid_response':
+    case 'http':
+      return t('errors.server');
+    default:
+      return error.message || t('errors.generic');
+  }
+};
+
+/**
+ * Whether a payment request may have reached Stripe even though it failed —
+ * the page must keep its idempotency key so a retry finds the original charge
+ */
+export const isOutcomeUnknown = (error) =>
+  error instanceof AjaxError && ['network', 'timeout', 'http', 'invalid_response'].includes(error.code);
+
+const isRetryable = (error) =>
+  error.code === 'network' || (error.code === 'http' && [502, 503, 504].includes(error.status));
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Drop empty values so URLSearchParams doesn't send the string 'undefined'
+const toFormBody = (action, params) => {
+  const body = new URLSearchParams({ action });
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    body.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+  return body;
+};
+
+const parseResponse = async (action, response) => {
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new AjaxError('http', `HTTP ${response.status}`, { action, status: response.status, data: text });
+  }
+
+  // admin-ajax.php answers '0' for unknown actions and '-1' for failed check_ajax_referer()
+  const trimmed = text.trim();
+  if (trimmed === '-1') {
+    throw new AjaxError('security', 'Security check failed', { action, status: response.status });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (e) {
+    data = null;
+  }
+
+  if (!data || typeof data !== 'object') {
+    throw new AjaxError('invalid_response', `Unexpected response from ${action}`, { action, status: response.status, data: text });
+  }
+
+  return data;
+};
+
+/**
+ * POST a single admin-ajax action with timeout and optional retries
+ *
+ * Resolves with the handler's JSON for success and requires_action responses;
+ * anything else rejects with an AjaxError.
+ */
+const postAction = async (ajaxUrl, action, params, { timeout = DEFAULT_TIMEOUT, retries = 0 } = {}) => {
+  let attempt = 0;
+
+  while (true) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      let response;
+      try {
+        response = await fetch(ajaxUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: toFormBody(action, params),
+          credentials: 'same-origin',
+          signal: controller.signal
+        });
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          throw new AjaxError('timeout', `${action} timed out`, { action });
+        }
+        throw new AjaxError('network', err.message || 'Network error', { action });
+      }
+
+      const data = await parseResponse(action, response);
+
+      if (data.success || data.requires_action) {
+        return data;
+      }
+
+      const message = data.message || t('errors.generic');
+      const code = /security check failed/i.test(message) ? 'security' : 'server';
+      throw new AjaxError(code, message, { action, status: response.status, data });
+    } catch (err) {
+      if (attempt < retries && err instanceof AjaxError && isRetryable(err)) {
+        attempt += 1;
+        await wait(RETRY_DELAY * attempt);
+        continue;
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+};
+
+/**
+ * Create an admin-ajax client bound to one page's URL and nonces
+ *
+ * Payment actions never retry — a lost response may still have created a
+ * charge; the page retries them itself with the same idempotency_key (see
+ * useCheckoutAttempt.js). Registration and lead actions retry only when the
+ * request never reached the server or the host answered 502/503/504.
+ *
+ * Every action carries the player's language, so the confirmation and
+ * follow-up emails the handlers send match the page they filled in. Signups
+ * and registrations also carry the visitor's first/last-touch attribution
+ * and the referral code they arrived with.
+ *
+ * Pages create their client on every render, so its functions change each
+ * time; hooks that take one keep the latest in a ref instead of listing it
+ * as an effect dependency.
+ *
+ * @param {Object} config Usually getRuntimeConfig() from runtimeConfig.js
+ * @param {string} config.ajaxUrl admin-ajax.php URL
+ * @param {Object} config.nonces { season, tryout, leadMagnet }
+ */
+export const createAjaxClient = ({ ajaxUrl = DEFAULT_AJAX_URL, nonces = {} } = {}) => {
+  const call = (action, params, options) =>
+    postAction(ajaxUrl || DEFAULT_AJAX_URL, action, { ...params, language: getActiveLanguage() }, options);
+
+  return {
+    createPaymentIntentSimple: (params) =>
+      call('create_payment_intent_simple', params, { timeout: PAYMENT_TIMEOUT }),
+
+    createSeasonSubscription: (params) =>
+      call('create_season_subscription', { ...params, season_nonce: nonces.season }, { timeout: PAYMENT_TIMEOUT }),
+
+    retrySeasonSubscriptionPayment: (params) =>
+      call('retry_season_subscription_payment', { ...params, season_nonce: nonces.season }, { timeout: PAYMENT_TIMEOUT }),
+
+    getSeasonSubscriptionStatus: (params) =>
+      call('get_season_subscription_status', { ...params, season_nonce: nonces.season }, { retries: 2 }),
+
+    createSeasonFullPayment: (params) =>
+      call('create_season_full_payment', { ...params, season_nonce: nonces.season }, { timeout: PAYMENT_TIMEOUT }),
+
+    processSeasonRegistration: (params) =>
+      call('process_season_registration', { ...params, attribution: getAttribution(), ref: getReferralCode(), season_nonce: nonces.season }, { retries: 2 }),
+
+    processTryoutRegistration: (params) =>
+      call('process_tryout_registration', { ...params, attribution: getAttribution(), ref: getReferralCode(), tryout_nonce: nonces.tryout }, { retries: 2 }),
+
+    processLeadMagnetSignup: (params) =>
+      call('process_lead_magnet_signup', { ...params, attribution: getAttribution(), ref: getReferralCode(), nonce: nonces.leadMagnet }, { retries: 2 }),
+
+    resendLeadMagnetGuide: (params) =>
+      call('resend_lead_magnet_guide', { ...params, nonce: nonces.leadMagnet }, { retries: 2 }),
+
+    // Not retried — a lost response has already moved the lead, and a repeat would fail against the old address
+    changeLeadMagnetEmail: (params) =>
+      call('change_lead_magnet_email', { ...params, nonce: nonces.leadMagnet }),
+
+    joinTryoutWaitlist: (params) =>
+      call('join_waitlist', { ...params, list_type: 'tryout', tryout_nonce: nonces.tryout }, { retries: 2 }),
+
+    joinSeasonWaitlist: (params) =>
+      call('join_waitlist', { ...params, list_type: 'season', season_nonce: nonces.season }, { retries: 2 }),
+
+    getWaitlistOffer: (params) =>
+      call('get_waitlist_offer', params, { retries: 2 }),
+
+    getReferralStats: (params) =>
+      call('get_referral_stats', params, { retries: 2 }),
+
+    validateTryoutPromoCode: (params) =>
+      call('validate_promo_code', { ...params, product: 'tryout', tryout_nonce: nonces.tryout }, { retries: 2 }),
+
+    validateSeasonPromoCode: (params) =>
+      call('validate_promo_code', { ...params, product: 'season', season_nonce: nonces.season }, { retries: 2 })
+  };
+};
+
+export default createAjaxClient;
@@ -0,0 +1,220 @@
+import { getRuntimeConfig, isDevelopment } from './runtimeConfig';
+import { AjaxError } from './ajaxClient';
+import { getActiveLanguage } from './i18n';
+
+/**
+ * Funnel Analytics
+ * One event vocabulary for the lead, tryout and season flows, sent to every
+ * sink WordPress enables — GA4 (via the GTM dataLayer), Meta Pixel, TikTok
+ * Pixel — or to the console in development.
+ *
+ * Configured by the `analytics` object in the localized config:
+ *   { sinks: ['ga4', 'meta', 'tiktok'], requireConsent: true, consent: false }
+ *
+ * Nothing is sent until the visitor consents (unless requireConsent is false).
+ * Events tracked before then wait in memory and go out if consent arrives
+ * during the visit; a cookie banner grants or withdraws it by dispatching
+ *   window.dispatchEvent(new CustomEvent('newteam:consent', { detail: { analytics: true } }))
+ *
+ * Params never carry names, emails, phone numbers or query strings (offer
+ * links and redirect returns put tokens in the URL).
+ */
+
+export const EVENTS = {
+  PAGE_VIEW: 'page_view',
+  FORM_START: 'form_start',
+  TIER_SELECTED: 'tier_selected',
+  FREQUENCY_SELECTED: 'frequency_selected',
+  UPSELL_TOGGLED: 'upsell_toggled',
+  PAYMENT_ATTEMPT: 'payment_attempt',
+  PAYMENT_FAILED: 'payment_failed',
+  REGISTRATION_COMPLETED: 'registration_completed',
+  LEAD_SUBMITTED: 'lead_submitted'
+};
+
+const CONSENT_KEY = 'newteam_analytics_consent';
+const CONSENT_EVENT = 'newteam:consent';
+
+// GA4 recommended events where one fits — the rest keep their own names for GTM triggers
+const GA4_EVENTS = {
+  [EVENTS.PAYMENT_ATTEMPT]: 'add_payment_info',
+  [EVENTS.REGISTRATION_COMPLETED]: 'purchase',
+  [EVENTS.LEAD_SUBMITTED]: 'generate_lead'
+};
+
+const META_EVENTS = {
+  [EVENTS.PAGE_VIEW]: 'PageView',
+  [EVENTS.PAYMENT_ATTEMPT]: 'AddPaymentInfo',
+  [EVENTS.REGISTRATION_COMPLETED]: 'CompleteRegistration',
+  [EVENTS.LEAD_SUBMITTED]: 'Lead'
+};
+
+const TIKTOK_EVENTS = {
+  [EVENTS.PAYMENT_ATTEMPT]: 'AddPaymentInfo',
+  [EVENTS.REGISTRATION_COMPLETED]: 'CompleteRegistration',
+  [EVENTS.LEAD_SUBMITTED]: 'SubmitForm'
+};
+
+/**
+ * Sinks — each sends one event to one destination and quietly does nothing
+ * when that destination's script isn't on the page (blocked, or not installed)
+ */
+export const SINKS = {
+  ga4: (event, params) => {
+    window.dataLayer = window.dataLayer || [];
+    window.dataLayer.push({ event: GA4_EVENTS[event] || event, ...params });
+  },
+
+  meta: (event, params) => {
+    if (typeof window.fbq !== 'function') return;
+    if (META_EVENTS[event]) {
+      window.fbq('track', META_EVENTS[event], params);
+    } else {
+      window.fbq('trackCustom', event, params);
+    }
+  },
+
+  tiktok: (event, params) => {
+    if (!window.ttq) return;
+    if (event === EVENTS.PAGE_VIEW) {
+      window.ttq.page();
+    } else {
+      window.ttq.track(TIKTOK_EVENTS[event] || event, params);
+    }
+  },
+
+  console: (event, params) => {
+    console.info('[analytics]', event, params);
+  },
+
+  noop: () => {}
+};
+
+const getAnalyticsConfig = () => getRuntimeConfig().analytics || {};
+
+// Configured sinks; development builds log to the console when none are set
+const getSinks = () => {
+  const config = getAnalyticsConfig();
+  const names = Array.isArray(config.sinks) && config.sinks.length > 0
+    ? config.sinks
+    : [isDevelopment(getRuntimeConfig()) ? 'console' : 'noop'];
+  return names.map(name => SINKS[name]).filter(Boolean);
+};
+
+const readStoredConsent = () => {
+  try {
+    const stored = window.localStorage.getItem(CONSENT_KEY);
+    return stored === 'granted' ? true : stored === 'denied' ? false : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Whether events may be sent — the visitor's stored choice wins over the
+ * default WordPress passes in (e.g. from its cookie plugin)
+ */
+export const hasAnalyticsConsent = () => {
+  const config = getAnalyticsConfig();
+  if (config.requireConsent === false) return true;
+  const stored = readStoredConsent();
+  return stored !== null ? stored : Boolean(config.consent);
+};
+
+let queue = [];
+let listening = false;
+
+const send = (event, params) => {
+  getSinks().forEach(sink => {
+    try {
+      sink(event, params);
+    } catch (e) {
+      // A broken pixel must never break checkout
+    }
+  });
+};
+
+/**
+ * Record the visitor's choice. Granting sends the events held so far;
+ * withdrawing drops them.
+ *
+ * @param {boolean} granted
+ */
+export const setAnalyticsConsent = (granted) => {
+  try {
+    window.localStorage.setItem(CONSENT_KEY, granted ? 'granted' : 'denied');
+  } catch (e) {
+    // Private mode — the choice lasts for this page only
+  }
+
+  const held = queue;
+  queue = [];
+  if (granted) {
+    held.forEach(({ event, params }) => send(event, params));
+  }
+};
+
+const listenForConsent = () => {
+  if (listening || typeof window === 'undefined') return;
+  listening = true;
+  window.addEventListener(CONSENT_EVENT, (e) => {
+    if (typeof e.detail?.analytics === 'boolean') {
+      setAnalyticsConsent(e.detail.analytics);
+    }
+  });
+};
+
+/**
+ * Track a funnel event
+ *
+ * `value_cents` becomes GA4/Meta/TikTok's `value` (dollars) plus `currency`.
+ *
+ * @param {string} event One of EVENTS
+ * @param {Object} [params] { flow, tier, frequency, value_cents, reason, ... }
+ */
+export const track = (event, params = {}) => {
+  if (typeof window === 'undefined') return;
+  listenForConsent();
+
+  const { value_cents: valueCents, ...rest } = params;
+  const payload = {
+    ...rest,
+    language: getActiveLanguage(),
+    ...(valueCents !== undefined ? { value: valueCents / 100, currency: 'USD' } : {})
+  };
+
+  if (hasAnalyticsConsent()) {
+    send(event, payload);
+  } else if (readStoredConsent() !== false) {
+    queue.push({ event, params: payload });
+  }
+};
+
+/**
+ * Short reason for a payment_failed event — Stripe's decline or error code,
+ * the subscription state the server answered with, or the AjaxError code
+ *
+ * @param {Error|Object} error AjaxError, Stripe.js error, or any Error
+ * @returns {string} e.g. 'insufficient_funds', 'requires_payment_method', 'timeout'
+ */
+export const getPaymentFailureReason = (error) => {
+  if (error instanceof AjaxError) {
+    return error.data?.decline_code || error.data?.state || error.code;
+  }
+  return error?.decline_code || error?.code || error?.type || 'unknown';
+};
+
+/**
+ * Reason for a checkout that failed on the bank's 3D Secure page — the
+ * PaymentIntent's last decline, or its status when Stripe recorded none
+ *
+ * @param {Object|null} paymentIntent From useRedirectReturn()
+ * @returns {string}
+ */
+export const getRedirectFailureReason = (paymentIntent) => (
+  paymentIntent?.last_payment_error
+    ? getPaymentFailureReason(paymentIntent.last_payment_error)
+    : paymentIntent?.status || 'unknown'
+);
+
+export default track;
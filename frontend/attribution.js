@@ -0,0 +1,112 @@
+import { getRedirectReturn } from './useRedirectReturn';
+
+/**
+ * Attribution
+ * Records where a visitor came from — UTM parameters, an external referrer,
+ * and Meta / Google / TikTok ad click IDs — the first time they land and
+ * every time they come back through a campaign. Kept in localStorage so a
+ * player who reads the Winter Protocol guide from an Instagram ad and
+ * registers for the season a month later still credits that ad.
+ *
+ * - first_touch  the first campaign or referral visit; never overwritten
+ * - last_touch   the most recent one; direct visits and internal navigation
+ *                don't replace it
+ *
+ * Sent as `attribution` with process_lead_magnet_signup,
+ * process_tryout_registration and process_season_registration (see
+ * data-pipeline/attribution.php).
+ */
+
+const STORAGE_KEY = 'newteam_attribution';
+
+// Forgotten after this long without a new touch, like ad platforms' click windows
+const ATTRIBUTION_TTL = 90 * 24 * 60 * 60 * 1000;
+
+export const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+export const CLICK_ID_PARAMS = ['fbclid', 'gclid', 'ttclid'];
+
+// Returning from these isn't a new visit — Stripe checkout and 3D Secure bank pages
+const IGNORED_REFERRERS = [/(^|\.)stripe\.com$/, /(^|\.)stripe\.network$/];
+
+const readStored = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!stored || Date.now() - stored.updated_at > ATTRIBUTION_TTL) return null;
+    return stored;
+  } catch (e) {
+    return null;
+  }
+};
+
+// External referrer host, or '' for direct, internal and payment-page visits
+const externalReferrer = () => {
+  try {
+    if (!document.referrer) return '';
+    const referrer = new URL(document.referrer);
+    if (referrer.hostname === window.location.hostname) return '';
+    if (IGNORED_REFERRERS.some(pattern => pattern.test(referrer.hostname))) return '';
+    return referrer.origin + referrer.pathname;
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * The touch this page load represents, or null when it carries no
+ * attribution (direct visit, internal link, return from a bank)
+ *
+ * @returns {Object|null} { utm_source, ..., fbclid, gclid, ttclid, referrer, landing_page, captured_at }
+ */
+export const readCurrentTouch = () => {
+  if (typeof window === 'undefined' || getRedirectReturn()) return null;
+
+  const params = new URLSearchParams(window.location.search);
+  const touch = {};
+  [...UTM_PARAMS, ...CLICK_ID_PARAMS].forEach(param => {
+    const value = params.get(param);
+    if (value) touch[param] = value.slice(0, 200);
+  });
+
+  const referrer = externalReferrer();
+  if (referrer) touch.referrer = referrer;
+
+  if (Object.keys(touch).length === 0) return null;
+
+  return {
+    ...touch,
+    landing_page: window.location.pathname,
+    captured_at: new Date().toISOString()
+  };
+};
+
+/**
+ * Record this page load's touch — call once when a page mounts
+ */
+export const captureAttribution = () => {
+  const touch = readCurrentTouch();
+  if (!touch) return;
+
+  const stored = readStored();
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      first_touch: stored?.first_touch || touch,
+      last_touch: touch,
+      updated_at: Date.now()
+    }));
+  } catch (e) {
+    // Storage full or blocked — the form still submits without attribution
+  }
+};
+
+/**
+ * Attribution to send with a signup or registration
+ *
+ * @returns {Object|undefined} { first_touch, last_touch }, undefined when there's none
+ *                             (ajaxClient drops undefined params)
+ */
+export const getAttribution = () => {
+  if (typeof window === 'undefined') return undefined;
+  const stored = readStored();
+  if (!stored) return undefined;
+  return { first_touch: stored.first_touch, last_touch: stored.last_touch };
+};
@@ -0,0 +1,142 @@
+/**
+ * Bot Protection Providers
+ * One adapter per challenge provider the public forms can use, picked by
+ * `botProtection.provider` in the runtime config (see runtimeConfig.js):
+ * - recaptcha_v2  checkbox widget
+ * - recaptcha_v3  invisible, score-based — a token is requested on submit
+ * - turnstile     Cloudflare Turnstile widget
+ * - none          honeypot and time-to-submit only
+ *
+ * Tokens are verified by newteam_enforce_bot_protection() in
+ * lead-capture/spam-detection.php. Each form sends its own action name,
+ * which reCAPTCHA v3 and Turnstile stamp into the token.
+ */
+
+export const BOT_ACTIONS = {
+  leadMagnet: 'lead_magnet_signup',
+  tryout: 'tryout_checkout',
+  season: 'season_checkout'
+};
+
+// Hidden field only bots fill in (mirrors NEWTEAM_HONEYPOT_FIELD)
+export const HONEYPOT_FIELD = 'company_website';
+
+const SCRIPT_TIMEOUT = 10000;
+
+/**
+ * Inject a provider script once and wait for its global, rejecting if it
+ * errors or doesn't arrive in time. A failed script is removed so a retry
+ * requests it again.
+ *
+ * @param {string} src Script URL
+ * @param {Function} getGlobal () => the provider's global once it has loaded
+ * @param {number} [timeout]
+ * @returns {Promise<Object>} The provider global
+ */
+export const loadProviderScript = (src, getGlobal, timeout = SCRIPT_TIMEOUT) => new Promise((resolve, reject) => {
+  if (typeof window === 'undefined') {
+    reject(new Error('Bot protection can only load in the browser'));
+    return;
+  }
+  if (getGlobal()) {
+    resolve(getGlobal());
+    return;
+  }
+
+  // The theme may already enqueue the same script, with its own query string
+  let script = document.querySelector(`script[src^="${src.split('?')[0]}"]`);
+  if (!script) {
+    script = document.createElement('script');
+    script.src = src;
+    script.async = true;
+    script.defer = true;
+    document.head.appendChild(script);
+  }
+
+  const timer = setTimeout(() => {
+    fail(new Error(`${src} took too long to load`));
+  }, timeout);
+
+  const handleLoad = () => {
+    cleanup();
+    if (getGlobal()) {
+      resolve(getGlobal());
+    } else {
+      reject(new Error(`${src} loaded but did not initialize`));
+    }
+  };
+
+  const handleError = () => fail(new Error(`${src} failed to load`));
+
+  function cleanup() {
+    clearTimeout(timer);
+    script.removeEventListener('load', handleLoad);
+    script.removeEventListener('error', handleError);
+  }
+
+  function fail(error) {
+    cleanup();
+    script.remove();
+    reject(error);
+  }
+
+  script.addEventListener('load', handleLoad);
+  script.addEventListener('error', handleError);
+});
+
+// grecaptcha exists as soon as api.js runs; render()/execute() only after ready()
+const loadRecaptcha = (src) =>
+  loadProviderScript(src, () => window.grecaptcha)
+    .then(grecaptcha => new Promise(resolve => grecaptcha.ready(() => resolve(grecaptcha))));
+
+/**
+ * Provider adapters
+ *
+ * interactive providers render a widget and hand back its token through
+ * onToken; the others produce one from getToken() at submit time.
+ */
+export const BOT_PROTECTION_PROVIDERS = {
+  recaptcha_v2: {
+    interactive: true,
+    load: ({ language }) => loadRecaptcha(`https://www.google.com/recaptcha/api.js?render=explicit&hl=${language}`),
+    render: (container, { siteKey, onToken }) => window.grecaptcha.render(container, {
+      sitekey: siteKey,
+      theme: 'dark',
+      callback: onToken,
+      'expired-callback': () => onToken(''),
+      'error-callback': () => onToken('')
+    }),
+    reset: (widgetId) => window.grecaptcha.reset(widgetId),
+    // reCAPTCHA has no remove() — the widget goes with its container
+    remove: () => {}
+  },
+
+  recaptcha_v3: {
+    interactive: false,
+    load: ({ siteKey }) => loadRecaptcha(`https://www.google.com/recaptcha/api.js?render=${encodeURIComponent(siteKey)}`),
+    getToken: ({ siteKey, action }) => window.grecaptcha.execute(siteKey, { action })
+  },
+
+  turnstile: {
+    interactive: true,
+    load: () => loadProviderScript('https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit', () => window.turnstile),
+    render: (container, { siteKey, action, language, onToken }) => window.turnstile.render(container, {
+      sitekey: siteKey,
+      action,
+      language,
+      theme: 'dark',
+      callback: onToken,
+      'expired-callback': () => onToken(''),
+      'error-callback': () => onToken('')
+    }),
+    reset: (widgetId) => window.turnstile.reset(widgetId),
+    remove: (widgetId) => window.turnstile.remove(widgetId)
+  }
+};
+
+/**
+ * Adapter for a provider ID — null for 'none', a missing site key or an
+ * unknown provider (runtimeConfig.js warns about the last two)
+ */
+export const getBotProtectionProvider = ({ provider, siteKey } = {}) =>
+  (siteKey && BOT_PROTECTION_PROVIDERS[provider]) || null;
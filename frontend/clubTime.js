@@ -0,0 +1,52 @@
+/**
+ * Club Time
+ * Tryout sessions and season dates are wall-clock times at the club in
+ * Boston, not in the player's browser. These helpers turn a 'YYYY-MM-DD' date
+ * (and optional 'HH:MM' time) into the right instant for any visitor; format
+ * them back with CLUB_TIME_ZONE as the Intl timeZone option.
+ */
+
+// Mirrors the WordPress site time zone (wp_timezone_string())
+export const CLUB_TIME_ZONE = 'America/New_York';
+
+/**
+ * Milliseconds a time zone is ahead of UTC at an instant
+ *
+ * @param {Date} date
+ * @param {string} timeZone IANA zone
+ * @returns {number}
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant of a wall-clock date and time in the club's time zone
+ *
+ * @param {string} date 'YYYY-MM-DD'
+ * @param {string} [time] 'HH:MM' or 'HH:MM:SS' — midnight when empty
+ * @param {string} [timeZone] IANA zone
+ * @returns {Date}
+ */
+export const parseClubTime = (date, time = '', timeZone = CLUB_TIME_ZONE) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour = 0, minute = 0, second = 0] = (time || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // The offset at the guessed instant can differ across a DST change — check it once more
+  const guess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimeZoneOffset(new Date(guess), timeZone));
+};
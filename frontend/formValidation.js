@@ -0,0 +1,177 @@
+import { t } from './i18n';
+
+/**
+ * Form Validation
+ * Declarative field schemas shared by the registration and lead capture
+ * pages. A schema maps each field name to its rules, in the order the fields
+ * appear on the page:
+ *
+ *   { email: [required('Email is required'), email()] }
+ *
+ * A rule is any (value, values) => string function returning an error
+ * message, or '' when the value passes. Rules check values the way the PHP
+ * handlers will see them after sanitize_text_field() / sanitize_email() /
+ * intval(), so a field that only holds spaces is as empty here as it is on
+ * the server.
+ */
+
+/**
+ * Client-side counterpart of WordPress's sanitize_text_field()
+ *
+ * @param {*} value Raw field value
+ * @returns {string} Tags, percent-encoded octets and extra whitespace removed, trimmed
+ */
+export const sanitizeText = (value) => String(value ?? '')
+  .replace(/<[^>]*>/g, '')
+  .replace(/%[a-f0-9]{2}/gi, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Mirrors WordPress's is_email() — anything it accepts, the server accepts
+ *
+ * @param {string} value Email address
+ * @returns {boolean}
+ */
+export const isEmail = (value) => {
+  const address = String(value ?? '').trim();
+  const at = address.indexOf('@');
+  if (address.length < 6 || at < 1) return false;
+
+  const local = address.slice(0, at);
+  const domain = address.slice(at + 1);
+  if (!/^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~.-]+$/.test(local)) return false;
+  if (domain.includes('..') || domain.startsWith('.') || domain.endsWith('.')) return false;
+
+  const subs = domain.split('.');
+  return subs.length >= 2 && subs.every(sub => /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i.test(sub));
+};
+
+/**
+ * Parse a YYYY-MM-DD date input value as a local calendar date
+ *
+ * new Date('YYYY-MM-DD') reads it as UTC midnight, which is the previous day
+ * anywhere west of Greenwich — so the parts are read directly.
+ *
+ * @param {string} value
+ * @returns {Date|null} null when it isn't a real calendar date
+ */
+export const parseDateInput = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  // Rolls over for dates that don't exist, e.g. 2001-02-30
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Age in whole years on a given day
+ *
+ * @param {Date} birthDate
+ * @param {Date} [today]
+ * @returns {number}
+ */
+export const getAge = (birthDate, today = new Date()) => {
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const monthDiff = today.getMonth() - birthDate.getMonth();
+
+  // Birthday still to come this year
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+    age--;
+  }
+
+  return age;
+};
+
+/**
+ * Value must not be blank once sanitized (checkboxes must be checked)
+ */
+export const required = (message) => (value) => {
+  if (typeof value === 'boolean') return value ? '' : message;
+  return sanitizeText(value) === '' ? message : '';
+};
+
+/**
+ * Email the server's is_email() will accept — blank passes, pair with required()
+ */
+export const email = (message = t('validation.email')) => (value) => (
+  sanitizeText(value) === '' || isEmail(value) ? '' : message
+);
+
+/**
+ * Phone number with 10–15 digits; spaces, dashes, dots, parentheses and a
+ * leading + are allowed around them
+ */
+export const phone = (message = t('validation.phone')) => (value) => {
+  const number = sanitizeText(value);
+  if (number === '') return '';
+  const digits = number.replace(/\D/g, '');
+  return /^\+?[\d\s().-]+$/.test(number) && digits.length >= 10 && digits.length <= 15 ? '' : message;
+};
+
+/**
+ * A real date of birth (YYYY-MM-DD) in the past
+ */
+export const dateOfBirth = (message = t('validation.dateOfBirth')) => (value) => {
+  if (sanitizeText(value) === '') return '';
+  const date = parseDateInput(value);
+  return date && date.getFullYear() >= 1900 && date <= new Date() ? '' : message;
+};
+
+/**
+ * Age between min and max (inclusive). Takes an age — read whole like PHP's
+ * intval() — or a YYYY-MM-DD date of birth. Blank and unreadable dates pass,
+ * pair with required() / dateOfBirth().
+ *
+ * @param {Object} range { min, max } — either may be left out
+ * @param {string} message
+ */
+export const ageRange = ({ min = 0, max = Infinity }, message) => (value) => {
+  const text = sanitizeText(value);
+  if (text === '') return '';
+
+  let age;
+  if (/^\d{4}-/.test(text)) {
+    const birthDate = parseDateInput(text);
+    if (!birthDate) return '';
+    age = getAge(birthDate);
+  } else {
+    age = parseInt(text, 10);
+  }
+
+  return Number.isNaN(age) || age < min || age > max ? message : '';
+};
+
+/**
+ * First failing rule's message for one field
+ *
+ * @param {Function[]} rules
+ * @param {*} value
+ * @param {Object} values Every field's value — for rules that compare fields
+ * @returns {string} '' when valid
+ */
+export const validateField = (rules = [], value, values = {}) => {
+  for (const rule of rules) {
+    const message = rule(value, values);
+    if (message) return message;
+  }
+  return '';
+};
+
+/**
+ * Errors for every invalid field in a schema
+ *
+ * @param {Object} schema { [field]: rules[] }
+ * @param {Object} values { [field]: value }
+ * @returns {Object} { [field]: message } — invalid fields only
+ */
+export const validateValues = (schema, values) => {
+  const errors = {};
+  Object.entries(schema).forEach(([name, rules]) => {
+    const message = validateField(rules, values[name], values);
+    if (message) errors[name] = message;
+  });
+  return errors;
+};
@@ -0,0 +1,169 @@
+import React from 'react';
+import en from './locales/en';
+import es from './locales/es';
+import pt from './locales/pt';
+
+/**
+ * Internationalization
+ * Message catalogs and formatting for the public pages, in English, Spanish
+ * and Portuguese. Keys are dot paths into the catalogs in ./locales
+ * ('season.success.paidInFull'); a key missing from a translation falls
+ * back to English, so a new string can ship before it's translated.
+ *
+ * The chosen language lives at module level — t() can be called from hooks
+ * and helpers as well as components. Pages re-render through useLanguage()
+ * when the player switches.
+ *
+ * Messages may hold {placeholders}. A message that varies by count is an
+ * object keyed by Intl.PluralRules category — { one: '…', other: '…' } —
+ * picked with params.count.
+ */
+
+export const LANGUAGES = {
+  en: { label: 'English', shortLabel: 'EN', locale: 'en-US', stripeLocale: 'en', catalog: en },
+  es: { label: 'Español', shortLabel: 'ES', locale: 'es-US', stripeLocale: 'es', catalog: es },
+  pt: { label: 'Português', shortLabel: 'PT', locale: 'pt-BR', stripeLocale: 'pt-BR', catalog: pt }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// ?lang=es on a link (e.g. a Spanish-language ad) picks the language for the visit
+export const LANGUAGE_PARAM = 'lang';
+
+const STORAGE_KEY = 'newteam_language';
+
+export const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+// 'pt-BR' → 'pt'
+const toLanguage = (value) => String(value || '').toLowerCase().split(/[-_]/)[0];
+
+const readSavedLanguage = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || '';
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * Language for a new page view — link parameter, then the player's saved
+ * choice, then the browser's languages, then English
+ *
+ * @returns {string} 'en' | 'es' | 'pt'
+ */
+export const detectLanguage = () => {
+  if (typeof window === 'undefined') return DEFAULT_LANGUAGE;
+
+  const candidates = [
+    new URLSearchParams(window.location.search).get(LANGUAGE_PARAM),
+    readSavedLanguage(),
+    ...(window.navigator?.languages || [window.navigator?.language])
+  ];
+
+  return candidates.map(toLanguage).find(isSupportedLanguage) || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Remember the player's choice for their next visit
+ */
+export const saveLanguage = (language) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, language);
+  } catch (e) {
+    // Private mode — the choice lasts for this page view
+  }
+};
+
+let activeLanguage = detectLanguage();
+
+export const getActiveLanguage = () => activeLanguage;
+
+/**
+ * Switch every later t() call — and the page's lang attribute, so screen
+ * readers pronounce it in the right language
+ */
+export const setActiveLanguage = (language) => {
+  activeLanguage = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+  if (typeof document !== 'undefined') {
+    document.documentElement.lang = LANGUAGES[activeLanguage].locale;
+  }
+};
+
+// BCP 47 locale for Intl — 'en-US' | 'es-US' | 'pt-BR'
+export const getLocale = (language = activeLanguage) => LANGUAGES[language].locale;
+
+// Stripe Elements `locale` option for a language
+export const getStripeLocale = (language = activeLanguage) => LANGUAGES[language].stripeLocale;
+
+const lookup = (catalog, key) => key.split('.').reduce((value, part) => value?.[part], catalog);
+
+const interpolate = (message, params) => message.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] === undefined ? match : String(params[name])
+));
+
+const resolve = (key, params) => {
+  const message = lookup(LANGUAGES[activeLanguage].catalog, key) ?? lookup(en, key) ?? params.defaultValue;
+  if (message && typeof message === 'object' && !Array.isArray(message) && params.count !== undefined) {
+    const category = new Intl.PluralRules(getLocale()).select(params.count);
+    return message[category] ?? message.other;
+  }
+  return message;
+};
+
+/**
+ * Translate a message
+ *
+ * @param {string} key Dot path into the catalogs
+ * @param {Object} [params] Placeholder values; count picks a plural form;
+ *                          defaultValue is used when no catalog has the key
+ * @returns {string} The key itself when nothing matches, so a gap is visible
+ */
+export const t = (key, params = {}) => {
+  const message = resolve(key, params);
+  return typeof message === 'string' ? interpolate(message, params) : key;
+};
+
+/**
+ * Translate a message whose placeholders hold elements — links, <strong>
+ *
+ * @param {string} key Dot path into the catalogs
+ * @param {Object} [params] Placeholder values — strings or React elements
+ * @returns {Array} Text and elements, ready to render as children
+ */
+export const tRich = (key, params = {}) => {
+  const message = resolve(key, params);
+  if (typeof message !== 'string') return [key];
+
+  return message.split(/(\{\w+\})/).filter(Boolean).map((part, index) => {
+    const name = /^\{(\w+)\}$/.exec(part)?.[1];
+    const value = name && params[name] !== undefined ? params[name] : part;
+    return React.isValidElement(value) ? React.cloneElement(value, { key: index }) : value;
+  });
+};
+
+/**
+ * A translated list — testimonials, feature lists, waiver sections
+ *
+ * @returns {Array} [] when no catalog has the key
+ */
+export const tList = (key) => {
+  const list = lookup(LANGUAGES[activeLanguage].catalog, key) ?? lookup(en, key);
+  return Array.isArray(list) ? list : [];
+};
+
+/**
+ * Format a date in the active language
+ *
+ * @param {Date|number} date
+ * @param {Object} options Intl.DateTimeFormat options
+ */
+export const formatDate = (date, options) => new Intl.DateTimeFormat(getLocale(), options).format(date);
+
+/**
+ * Format a number in the active language — 1,500 / 1.500
+ */
+export const formatNumber = (value, options) => new Intl.NumberFormat(getLocale(), options).format(value);
+
+setActiveLanguage(activeLanguage);
+
+export default t;
@@ -0,0 +1,67 @@
+import { t } from './i18n';
+
+/**
+ * Lead Magnet Definitions
+ * Everything guide-specific on LeadMagnetPage — copy, preview image, form
+ * fields, success message and optional instant download. Launching a new
+ * guide means adding an entry here (and in lead-capture/lead-magnet-definitions.php,
+ * which owns its Mailchimp tags), a copy section in ./locales, and a page
+ * component that renders <LeadMagnetPage magnet={getLeadMagnet('<id>')} />.
+ *
+ * Copy lives in the locale section named by `messages`, which needs:
+ *   eyebrow, title, previewAlt, successTitle, successBody, shareSubject,
+ *   shareMessage ({url} is the referral link), plus one key per entry in `sections`
+ *
+ * - sections      body copy in order; tone is 'body' (default), 'highlight', 'strong' or 'muted'
+ * - previewImage  path under the theme directory ('' for none)
+ * - fields        form fields in order, from LEAD_MAGNET_FIELDS — email is always included
+ * - sources       "How did you hear about us?" values, stored in Mailchimp's SOURCE field
+ * - download      { path } under the theme directory, started as soon as the signup
+ *                 succeeds — null when the guide only arrives by email
+ * - referrals     give subscribers a referral link on the success screen
+ */
+
+export const LEAD_MAGNET_FIELDS = ['firstName', 'lastName', 'email', 'source'];
+
+// Values are what the Mailchimp SOURCE merge field stores — only labels are translated
+export const DEFAULT_SOURCES = ['Instagram', 'TikTok', 'Facebook', 'YouTube', 'Google Search', 'Friend/Teammate', 'Coach', 'Other'];
+
+export const LEAD_MAGNETS = [
+  {
+    id: 'winter_protocol',
+    messages: 'winter',
+    sections: [
+      { key: 'intro' },
+      { key: 'contents', tone: 'highlight' },
+      { key: 'noExcuses', tone: 'strong' },
+      { key: 'whyFree', tone: 'muted' },
+      { key: 'shareIt', tone: 'muted' }
+    ],
+    previewImage: 'images/winter-protocol-preview.png',
+    fields: ['firstName', 'lastName', 'email', 'source'],
+    sources: DEFAULT_SOURCES,
+    download: null,
+    referrals: true
+  }
+];
+
+export const DEFAULT_LEAD_MAGNET_ID = 'winter_protocol';
+
+/**
+ * Look up a lead magnet by ID, falling back to the default one
+ */
+export const getLeadMagnet = (magnetId) => (
+  LEAD_MAGNETS.find(entry => entry.id === magnetId) ||
+  LEAD_MAGNETS.find(entry => entry.id === DEFAULT_LEAD_MAGNET_ID)
+);
+
+/**
+ * A message from the magnet's own copy section
+ *
+ * @param {Object} magnet From getLeadMagnet()
+ * @param {string} key e.g. 'title', 'successBody'
+ * @param {Object} [params] Placeholder values
+ */
+export const magnetText = (magnet, key, params) => t(`${magnet.messages}.${key}`, params);
+
+export default getLeadMagnet;
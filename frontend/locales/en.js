@@ -0,0 +1,610 @@
+/**
+ * English messages — the source catalog
+ * Every key lives here first; es.js and pt.js translate it, and anything they
+ * leave out falls back to this file. See ../i18n.js for placeholders and
+ * plural forms.
+ */
+export default {
+  common: {
+    language: 'Language',
+    backToHome: 'Back to Home',
+    processing: 'Processing...',
+    processingStatus: 'Processing your payment. Please wait.',
+    joiningWaitlist: 'Joining the waitlist…',
+    joinWaitlistButton: 'JOIN THE WAITLIST',
+    tryAgain: 'Try again',
+    tryAgainNow: 'Try again now',
+    remove: 'Remove',
+    apply: 'Apply',
+    checking: 'Checking...',
+    promoCode: 'Promo Code',
+    promoPlaceholder: 'Have a code?',
+    paymentDetails: 'Payment Details',
+    paymentNotInitialized: 'Payment system not initialized. Please refresh the page.',
+    cardAuthNotCompleted: 'Card authentication was not completed',
+    waitlistNotice: 'Join the waitlist — no payment now. If a spot opens up, we\'ll email you a link to claim it within {hours} hours before it passes to the next player.',
+    offerHolding: 'We\'re holding it for {time}. Complete checkout below to claim it.',
+    draft: {
+      title: 'Resume your registration',
+      body: 'You started registering {name} on {date}. Pick up where you left off? Card details are never saved — you\'ll enter them again.',
+      bodyAnonymous: 'You started a registration on {date}. Pick up where you left off? Card details are never saved — you\'ll enter them again.',
+      aPlayer: 'a player',
+      resume: 'Resume',
+      startOver: 'Start over'
+    },
+    redirect: {
+      confirmingTitle: 'Confirming your payment…',
+      confirmingBody: 'Checking with your bank. This only takes a moment.',
+      paidTitle: 'Your payment went through',
+      paidNoDetails: 'We couldn\'t find your registration details in this browser, so we can\'t finish it automatically. Please don\'t pay again — email {email} with payment reference {reference} and we\'ll complete your registration.',
+      failedTitle: 'Payment not completed'
+    },
+    pending: {
+      title: 'Finishing your registration…',
+      paid: 'Your payment went through — please don\'t pay again.',
+      saving: 'Saving your registration now. Please keep this page open.',
+      retrying: 'We couldn\'t save your registration yet ({error}). Trying again automatically…'
+    }
+  },
+
+  validation: {
+    email: 'Please enter a valid email address',
+    phone: 'Please enter a valid phone number',
+    dateOfBirth: 'Please enter a valid date of birth'
+  },
+
+  errors: {
+    generic: 'Something went wrong. Please try again.',
+    network: 'We couldn\'t reach the server. Check your connection and try again.',
+    timeout: 'The server is taking too long to respond. Please try again in a moment.',
+    security: 'Your session has expired. Please refresh the page and try again.',
+    server: 'Something went wrong on our end. Please try again or contact us if it keeps happening.'
+  },
+
+  payment: {
+    notConfigured: 'Payment system is not configured. Please contact us to register.',
+    loadFailed: 'Secure payment form failed to load. Please check your connection and refresh the page.',
+    loadFailedRefresh: 'Secure payment form failed to load. Please refresh the page.',
+    loading: 'Loading secure payment form...',
+    orPayAnotherWay: 'or pay another way',
+    bankDeclined: 'Your bank didn\'t approve the payment. No charge was made — please try again or use a different card.',
+    authIncomplete: 'Card authentication wasn\'t completed. No charge was made — please try again.',
+    canceled: 'This payment was canceled. No charge was made — please try again.',
+    checkFailed: 'We couldn\'t check your payment. Please try again.',
+    stillConfirming: 'Your payment is still being confirmed',
+    authRetry: 'Card authentication wasn\'t completed. Please try again or use a different card.'
+  },
+
+  botProtection: {
+    loading: 'Loading security check...',
+    loadFailed: 'The security check couldn\'t load. Check your connection or allow this site in your content blocker.',
+    required: 'Please complete the security check.',
+    honeypot: 'Leave this field empty'
+  },
+
+  waitlistOffer: {
+    expired: 'This offer has expired and the spot has passed to the next player on the waitlist.',
+    days: '{days}d {hours}h',
+    hours: '{hours}h {minutes}m',
+    minutes: '{minutes}m'
+  },
+
+  sessions: {
+    closed: 'closed',
+    full: 'full — join waitlist',
+    spotsLeft: {
+      one: '{count} spot left',
+      other: '{count} spots left'
+    }
+  },
+
+  // Season pricing catalog labels — keyed by the IDs in pricing.js
+  catalog: {
+    tiers: {
+      full_season: {
+        label: 'Full Season Player',
+        gamesLabel: 'All games',
+        summary: 'Equipment included',
+        highlights: ['Guaranteed roster spot', 'All league matches & practices', 'VEO game footage & highlights']
+      },
+      guest: {
+        label: 'Guest Player',
+        gamesLabel: '3-5 games',
+        summary: '3-5 games • Equipment',
+        highlights: ['3-5 games per season', 'Games assigned based on roster needs', 'VEO footage for your games']
+      }
+    },
+    frequencies: {
+      monthly: { label: 'Monthly Payments' },
+      full: { label: 'Pay in Full', tagline: '⭐ FREE name personalization!' }
+    },
+    addOns: {
+      name_personalization: { label: 'Name Personalization' }
+    }
+  },
+
+  // Default equipment package and commitment agreement — {season} is the season name
+  seasonTerms: {
+    equipment: [
+      'Home & away game jerseys',
+      'Practice jersey',
+      'Team tracksuit',
+      'Game shorts',
+      'Team socks',
+      'Team backpack'
+    ],
+    waiver: {
+      title: 'Season Commitment Agreement',
+      intro: 'Please read carefully before registering:',
+      sections: [
+        {
+          heading: 'Season Commitment',
+          body: 'I understand that I am committing to participate in the entire {season} season and will make every effort to be available for scheduled games and practices. I recognize that consistent attendance is essential for team success.'
+        },
+        {
+          heading: 'Communication',
+          body: 'If I am unable to attend any team activities, I will provide advance notice to the coaching staff and team management whenever possible, allowing for proper game planning.'
+        },
+        {
+          heading: 'Equipment Care',
+          body: 'I agree to maintain all team-issued equipment in excellent condition and uphold the professional appearance expected of Newteam FC at all times.'
+        },
+        {
+          heading: 'Professional Conduct',
+          body: 'I commit to conducting myself in a professional and respectful manner both on and off the field. This includes {emphasis}, accepting referee decisions gracefully, and addressing any concerns through proper channels with team management after the match. Repeated violations may result in benching or removal from the team.',
+          emphasis: 'NOT arguing with referees',
+          highlight: true
+        },
+        {
+          heading: 'Team Unity',
+          body: 'I understand that success depends on teamwork, respect, and dedication. I commit to supporting my teammates and contributing positively to the team environment throughout the season.'
+        }
+      ],
+      acknowledgement: 'I have read, understood, and agree to the Season Commitment Agreement above. I acknowledge my responsibilities as a member of Newteam FC for the {season} season.'
+    }
+  },
+
+  tryout: {
+    validation: {
+      firstName: 'First name is required',
+      lastName: 'Last name is required',
+      email: 'Email is required',
+      emailInvalid: 'Valid email is required',
+      phone: 'Phone number is required',
+      dateOfBirth: 'Date of birth is required',
+      age: 'Players must be 18+ years old for tryouts',
+      position: 'Position is required',
+      experience: 'Experience level is required',
+      tryoutDate: 'Tryout date selection is required',
+      sessionUnavailable: 'That tryout session is no longer available — please choose another date'
+    },
+    success: {
+      title: '🎉 Welcome to Newteam FC!',
+      body: 'Your registration and payment have been successfully processed!',
+      email: 'You will receive a confirmation email shortly with all the tryout details.',
+      tagline: 'Your journey to greatness starts now.'
+    },
+    needsHelp: 'This is taking longer than it should. We\'ll keep trying — and pick up where we left off if you come back to this page. If it still won\'t finish, email {contact} from {email} with payment reference {reference}.',
+    waitlistJoined: {
+      title: 'You\'re on the waitlist',
+      inLine: 'in line for {date}',
+      body: 'No payment has been taken. If a spot opens up, we\'ll email {email} a link to claim it — you\'ll have {hours} hours before it passes to the next player.'
+    },
+    hero: {
+      title: 'We\'re building something {highlight}. Be part of it.',
+      titleHighlight: 'special',
+      subtitle: 'We\'re redefining amateur soccer in Massachusetts. {highlight}',
+      subtitleHighlight: 'Help us build the future',
+      pitch: '{lead} We\'re not just building a team — we\'re creating a {highlight} with direct connections to professional scouts through our Diaza partnership.',
+      pitchLead: 'Join Massachusetts\' most ambitious soccer project.',
+      pitchHighlight: 'pathway to your dreams',
+      question: 'Want to play competitive soccer and get a chance to go pro?',
+      cta: 'Come Tryout - {highlight}',
+      ctaHighlight: 'Spots filling Fast',
+      diazaAlt: 'Diaza Football Partnership',
+      button: 'SECURE MY SPOT - {price}',
+      perks: '💳 Instant registration • ⚡ Email confirmation • 🛡️ 100% money-back guarantee'
+    },
+    championships: {
+      title: 'Our {highlight}',
+      titleHighlight: 'Championship Legacy',
+      intro: 'Join a team with a proven track record of success. Multiple championship titles demonstrate our commitment to excellence.',
+      teamPhotoAlt: 'Newteam FC Team Photo',
+      squadTitle: 'The Championship Squad',
+      squadSubtitle: 'Ready to add another title',
+      // Same order as the gallery photos on TryoutPage
+      gallery: [
+        { title: '🏆 Fall 2023 Champions', desc: 'Most recent championship victory' },
+        { title: '🏆 Spring 2023 Champions', desc: 'Back-to-back excellence' },
+        { title: '🏆 Spring 2022 Champions', desc: 'Building our championship culture' },
+        { title: '🏆 Fall 2022 Champions', desc: 'Championship tradition' }
+      ],
+      recordTitle: '🏆 Championship Record',
+      recordCount: '4 Championships in 2 Years',
+      recordBody: 'Proven winners at the highest level of Massachusetts amateur soccer'
+    },
+    form: {
+      title: 'Secure Your Spot — {highlight}',
+      titleHighlight: 'Take the First Step',
+      subtitle: 'Complete your registration below and take the first step toward the next level.',
+      offerTitle: '🎉 A spot opened up — it\'s yours if you want it!',
+      firstName: 'First Name *',
+      lastName: 'Last Name *',
+      email: 'Email *',
+      phone: 'Phone *',
+      dateOfBirth: 'Date of Birth *',
+      position: 'Position *',
+      selectPosition: 'Select Position',
+      positions: {
+        goalkeeper: 'Goalkeeper',
+        defender: 'Defender',
+        midfielder: 'Midfielder',
+        forward: 'Forward'
+      },
+      experience: 'Experience Level *',
+      selectExperience: 'Select Experience',
+      experienceLevels: {
+        high_school: 'High School',
+        club: 'Club',
+        college: 'College',
+        semi_pro: 'Semi-Professional',
+        professional: 'Professional'
+      },
+      tryoutDate: 'Tryout Date *',
+      chooseDate: 'Choose Date',
+      sessionFull: 'This session is full',
+      noSessionsTitle: 'No tryouts scheduled right now',
+      noSessionsBody: 'The next tryout dates haven\'t been announced yet. Email {contact} and we\'ll let you know as soon as they are.',
+      paymentNote: 'Your spot is secured instantly upon payment. Show us you\'re serious.',
+      feeTitle: 'Tryout Registration Fee',
+      discount: 'Discount ({code}): -{amount}',
+      total: 'Total Amount: {amount}',
+      inDays: {
+        one: 'in {count} day',
+        other: 'in {count} days'
+      },
+      feeNote: 'Professional evaluation and team consideration',
+      submit: 'SECURE MY SPOT - {price}',
+      security: '🔒 Secure payment • Instant confirmation • Money-back guarantee'
+    },
+    about: {
+      leagueLogoAlt: 'Casa League Logo',
+      title: 'About Newteam FC',
+      photoAlt: 'About Newteam FC',
+      body: 'We\'re a group of guys who\'ve managed to compete at the highest level in Massachusetts amateur soccer. Through hard work, dedication, and now our partnership with Diaza Football, we\'ve created something special — a pathway for serious players to reach their potential and connect with professional opportunities.',
+      leagueTitle: 'Competing in Casa League',
+      leagueDivision: '{highlight} - The highest level of amateur soccer in Massachusetts',
+      leagueDivisionHighlight: 'Top Division',
+      leagueStats: '40+ teams • Championship-level competition',
+      pricingTitle: 'Tryout Registration',
+      pricingBody: 'Only {price} • Professional Evaluation'
+    },
+    benefits: {
+      title: 'What You\'re Really {highlight}',
+      titleHighlight: 'Signing Up For',
+      intro: 'Through our partnership with Diaza Football, this isn\'t just a tryout — it\'s an entry point into something bigger:',
+      items: [
+        {
+          title: 'Championship-Level Training',
+          desc: 'Professional standards and serious development with experienced coaches who\'ve worked at the highest levels.',
+          value: null
+        },
+        {
+          title: '🏆 2 Custom Jerseys',
+          desc: 'Home & away kits for players who make the team',
+          value: '$120 value'
+        },
+        {
+          title: '⚽ Weekly Competitive Matches',
+          desc: 'In one of Boston\'s most respected leagues — compete at the highest level every week',
+          value: '$200+ value'
+        },
+        {
+          title: 'Team Brotherhood',
+          desc: 'Join a tight-knit group of committed players who support each other on and off the field.',
+          value: null
+        },
+        {
+          title: '🎯 Scout & Brand Exposure',
+          desc: 'Exposure to scouts, brands, and opportunities through our growing media network',
+          value: '$500+ value'
+        },
+        {
+          title: '🚀 Real Path to Pro',
+          desc: 'Through our partnership with Diaza Football, players have the opportunity to play in front of scouts from Europe and American teams with a legitimate chance of going pro',
+          value: '$1000+ value'
+        },
+        {
+          title: '💡 Direct Coaching Feedback',
+          desc: 'Level up even if you don\'t make the squad — valuable feedback for your development',
+          value: '$150+ value'
+        }
+      ]
+    },
+    testimonials: {
+      title: 'From Our {highlight}',
+      titleHighlight: 'Current Players',
+      intro: 'Real experiences from players who\'ve joined something special.',
+      items: [
+        {
+          quote: 'I joined Newteam in Spring 2022 after coming back from injury the prior year and I have to say, it\'s been nothing but a wild ride. The stories I could tell of all of the games and the adventures we\'ve been on could fill a book.',
+          author: 'Christian Mukala',
+          position: 'Midfielder'
+        },
+        {
+          quote: 'The Newteam brand is growing. Whenever someone hears newteam FC, they\'re like \'oh.. that\'s a good club\' strong players.',
+          author: 'Isai D.',
+          position: 'Defender'
+        },
+        {
+          quote: 'When I first joined Newteam, those guys welcomed me with open arms. it\'s not just about futbol, it\'s beyond that and I appreciate it and love it because it allows me to be myself and push me to be better in and out of the field as a person. Also becoming socially involved iwth strangers that care and I would fight for is the real lesson of life.',
+          author: 'Tonis',
+          position: 'Midfielder'
+        }
+      ]
+    },
+    countdown: {
+      label: {
+        one: '{count} day until tryouts',
+        other: '{count} days until tryouts'
+      },
+      caption: {
+        one: 'Day Until Tryouts',
+        other: 'Days Until Tryouts'
+      },
+      spotsLeft: {
+        one: '{count} spot left',
+        other: '{count} spots left'
+      }
+    }
+  },
+
+  season: {
+    steps: {
+      plan: 'Plan',
+      player: 'Player Info',
+      equipment: 'Equipment',
+      agreement: 'Agreement',
+      review: 'Review & Pay',
+      reviewWaitlist: 'Review & Join'
+    },
+    results: {
+      registered: '✓ Registered',
+      payment_failed: '✗ Payment failed — not registered',
+      not_charged: '• Not charged — not registered'
+    },
+    equipmentFields: {
+      tracksuit_size: 'Tracksuit',
+      practice_jersey_size: 'Practice Jersey',
+      shorts_size: 'Shorts',
+      socks_size: 'Socks'
+    },
+    validation: {
+      firstName: 'Please enter the first name',
+      lastName: 'Please enter the last name',
+      email: 'Please enter a valid email address',
+      age: 'Please enter the age',
+      ageRange: 'Age must be between 18 and 45',
+      position: 'Please enter the position(s)',
+      sizes: {
+        tracksuit_size: 'Please select a tracksuit size',
+        practice_jersey_size: 'Please select a practice jersey size',
+        shorts_size: 'Please select a shorts size',
+        socks_size: 'Please select a socks size'
+      },
+      waiver: 'Please read and agree to the {title}',
+      playerPrefix: 'Player {number}: {message}'
+    },
+    edit: 'Edit',
+    someFailed: 'Some players could not be completed — see the details below. Only the players still listed in the form will be charged if you try again.',
+    rosterFull: 'This roster is full — please join the waitlist',
+    needsHelp: 'This is taking longer than it should. We\'ll keep trying — and pick up where we left off if you come back to this page. If it still won\'t finish, email {contact} from {email} and we\'ll complete it for you.',
+    savingPlayer: '{name} — saving…',
+    success: {
+      titleFull: '🎉 Welcome to the {season} Season!',
+      titleGuest: '🎉 Welcome, Guest Player!',
+      bankProcessing: 'Your bank payment of {amount} is processing — it takes up to 4 business days to clear. Your spot is held, and we\'ll be in touch if anything goes wrong.',
+      paidInFull: 'Your payment of {amount} has been processed! You\'re all set for the season.',
+      subscriptions: {
+        one: 'Your subscription has been activated! You\'ll be charged {amount}/month for {months} months.',
+        other: '{count} subscriptions have been activated! You\'ll be charged {amount}/month in total for {months} months.'
+      },
+      detailsFull: 'You now have a guaranteed roster spot and will receive your equipment before the season starts.',
+      detailsGuest: 'You\'ll be assigned 3-5 games based on roster availability. Your equipment will be delivered before the season starts.',
+      personalization: '✓ Name personalization included on your tracksuit, practice jersey & backpack!',
+      cta: 'See you on the pitch!'
+    },
+    closed: {
+      title: 'Registration for {season} has closed',
+      body: 'The {season} season has ended, so we can\'t take new registrations. Email {contact} to hear when the next season opens.'
+    },
+    waitlistJoined: {
+      title: 'You\'re on the {tier} waitlist',
+      body: 'No payment has been taken. If a spot opens up for the {season} season, we\'ll email {email} a link to claim it — you\'ll have {hours} hours before it passes to the next player.'
+    },
+    summary: {
+      playerFallback: 'Player {number}',
+      perMonthShort: '/mo',
+      perMonth: '/month',
+      oneTime: 'One-Time Payment',
+      firstMonth: 'First Month Payment',
+      playerCount: ' ({count} players)',
+      includedFree: '✓ Name personalization included FREE ({amount} value) •',
+      withEquipment: '{games} + equipment',
+      thenMonthly: {
+        one: 'Then {amount}/month for {count} more month •',
+        other: 'Then {amount}/month for {count} more months •'
+      },
+      discount: '✓ {code}: -{amount}',
+      perPlayer: ' per player',
+      youSave: ' (you save {amount})'
+    },
+    hero: {
+      title: '{season} Season Registration',
+      subtitle: 'Join Newteam FC for the {season} Season',
+      description: 'Registration covers field fees, equipment, home and away jerseys, referee fees, and league registration.',
+      commitment: '{count}-month commitment',
+      equipmentPackage: 'Equipment Package:'
+    },
+    form: {
+      title: 'Secure Your {highlight}',
+      titleHighlight: '{season} Season Spot',
+      subtitle: 'Join our competitive soccer team for the {season} season.',
+      offerTitle: '🎉 A {tier} spot opened up — it\'s yours if you want it!',
+      stepsLabel: 'Registration steps',
+      stepCaption: 'Step {current} of {total}: {label}',
+      chooseType: 'Choose Your Registration Type',
+      rosterFullJoin: 'Roster full • Join waitlist',
+      monthsSummary: '{count} months • {summary}',
+      tracksuitAlt: 'Newteam FC Official Tracksuit',
+      teaser: 'Want {highlight} on this?',
+      teaserHighlight: 'YOUR NAME',
+      rosterFullTitle: '{tier} roster is full',
+      paymentOption: 'Payment Option',
+      totalSuffix: ' total',
+      monthlyPayments: '{count} monthly payments',
+      promoNotApplicable: '{code} doesn\'t apply to {tier} with {frequency}.',
+      playerHeading: 'Player {number}',
+      paying: ' (paying)',
+      firstName: 'First Name *',
+      lastName: 'Last Name *',
+      email: 'Email Address *',
+      emailPlaceholder: 'For payment receipts & updates',
+      age: 'Age *',
+      position: 'Position(s) *',
+      positionPlaceholder: 'List all positions you play (e.g., Midfielder, Defender)',
+      addPlayer: '+ Add another player',
+      equipmentTitle: 'Equipment Sizes *',
+      equipmentTitleFor: '{name} — Equipment Sizes *',
+      equipmentNote: 'Select your sizes for the team equipment package (jerseys & backpack are one-size-fits-all)',
+      sizeLabels: {
+        tracksuit_size: 'Tracksuit Size *',
+        practice_jersey_size: 'Practice Jersey Size *',
+        shorts_size: 'Shorts Size *',
+        socks_size: 'Socks Size *'
+      },
+      selectSize: 'Select Size',
+      upsellTitle: '⭐ Add Your Name',
+      upsellBody: 'Get your name printed on your tracksuit, practice jersey & backpack',
+      upsellCheckbox: 'Yes, add my name!',
+      includedTitle: '✓ Name Personalization Included!',
+      includedBody: 'Your name will be printed on your tracksuit, practice jersey & backpack at no extra charge.',
+      groupConfirm: ' I confirm every player listed has read and agreed to it.',
+      paymentNote: 'Secure your spot with instant payment processing.',
+      back: '← Back',
+      next: 'Next: {step} →',
+      payInFull: 'PAY IN FULL - {amount}',
+      startSubscriptions: {
+        one: 'START SUBSCRIPTION - {amount}/mo',
+        other: 'START {count} SUBSCRIPTIONS - {amount}/mo'
+      },
+      security: '🔒 Secure payment powered by Stripe • Instant confirmation'
+    },
+    review: {
+      plan: 'Plan',
+      planLine: '{tier} • {season} season',
+      frequencyLine: ' • {frequency} ({count} months)',
+      waitlistNote: 'Roster full — you\'re joining the waitlist. No payment now.',
+      player: 'Player',
+      players: 'Players ({count})',
+      playerDetails: ' • Age {age} • {position}',
+      equipment: 'Equipment',
+      personalization: ' • ✓ Name personalization',
+      agreement: 'Agreement',
+      agreed: '✓ Agreed to the {title}'
+    }
+  },
+
+  // Shared by every lead magnet page — each guide's own copy has its own section below
+  leadMagnet: {
+    validation: {
+      firstName: 'Please enter your first name.',
+      lastName: 'Please enter your last name.',
+      email: 'Please enter your email address.',
+      emailInvalid: 'Please enter a valid email address.',
+      source: 'Please tell us how you heard about us.'
+    },
+    sources: {
+      placeholder: 'Select one...',
+      Instagram: 'Instagram',
+      TikTok: 'TikTok',
+      Facebook: 'Facebook',
+      YouTube: 'YouTube',
+      'Google Search': 'Google Search',
+      'Friend/Teammate': 'Friend or Teammate',
+      Coach: 'Coach',
+      Other: 'Other'
+    },
+    backToSite: 'Back to Site',
+    sampleCaption: 'Here\'s a sample of what you can expect',
+    sendingStatus: 'Sending your guide…',
+    sentStatus: 'You\'re in. Check your inbox for the guide.',
+    formTitle: 'Get the Guide',
+    firstName: 'First Name *',
+    firstNamePlaceholder: 'First',
+    lastName: 'Last Name *',
+    lastNamePlaceholder: 'Last',
+    email: 'Email Address *',
+    emailPlaceholder: 'you@example.com',
+    source: 'How did you hear about us? *',
+    submit: 'Send Me The Guide',
+    sending: 'Sending...',
+    noSpam: 'No spam. Unsubscribe anytime.',
+    download: 'Download the Guide',
+    downloadNote: 'Your download should start automatically. If it doesn\'t, use the button above.',
+    mainSite: 'Main Site',
+    followUp: {
+      sentTo: 'We sent the guide to {email}.',
+      resend: 'Resend the guide',
+      resending: 'Resending…',
+      resendIn: 'Resend available in {time}',
+      resent: 'Sent again — give it a minute and check Promotions/Spam too.',
+      fixEmail: 'Wrong email? Fix it',
+      newEmail: 'Correct email address',
+      save: 'Update & Resend',
+      saving: 'Updating…',
+      cancel: 'Cancel',
+      changed: 'Updated. The guide is on its way to {email}.',
+      wait: 'Please wait {time} before trying again.',
+      changeWait: 'You can change it again in {time}.'
+    },
+    referral: {
+      title: 'Bring Your Teammates',
+      body: 'Share your personal link. Every player who grabs the guide, books a tryout or registers for the season through it counts as yours.',
+      linkLabel: 'Your referral link',
+      copy: 'Copy',
+      copied: 'Copied',
+      copiedStatus: 'Link copied to your clipboard.',
+      copyFailed: 'Couldn\'t copy automatically — select the link and copy it.',
+      share: 'Share',
+      whatsapp: 'WhatsApp',
+      sms: 'Text',
+      email: 'Email',
+      statsLink: 'See how many players your link has brought in →',
+      stats: {
+        title: 'Your Referrals',
+        titleNamed: '{name}\'s Referrals',
+        loading: 'Loading your referrals…',
+        signups: 'Guide signups',
+        tryouts: 'Tryouts booked',
+        seasons: 'Season registrations',
+        note: 'Each player counts once per list, however many times they use your link.'
+      }
+    }
+  },
+  // Winter Protocol guide — see frontend/leadMagnets.js for the keys a guide needs
+  winter: {
+    eyebrow: 'Free Training Guide',
+    title: 'For players who are tired of showing up unprepared.',
+    intro: 'This is the exact system we use at Newteam FC — the same one behind 4 championships in 3 years. And we\'re giving it away completely free.',
+    contents: '30 days. 27 drills. Weekly schedules. Accountability tracking.',
+    noExcuses: 'No gym required. No excuses accepted.',
+    whyFree: 'Why free? Because this guide is the front door. Once you\'re in, you\'ll get weekly training drops and insider content I only share with the list. When you show up to your next tryout in the best shape of your life, you\'ll remember where it started.',
+    shareIt: 'And when your teammate asks what changed — send them here.',
+    previewAlt: 'Winter Protocol Guide Preview',
+    successTitle: 'You\'re In',
+    successBody: 'Check your inbox. If you don\'t see it, check Promotions/Spam and move it to Primary so you don\'t miss what\'s next.',
+    shareSubject: 'Free 30-day winter training guide from Newteam FC',
+    shareMessage: 'I\'m training with the Newteam FC Winter Protocol — 30 days, 27 drills, no gym needed. It\'s free: {url}'
+  }
+};
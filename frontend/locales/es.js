@@ -0,0 +1,601 @@
+/**
+ * Spanish messages (es-US)
+ * Translates en.js — a key left out here falls back to English.
+ */
+export default {
+  common: {
+    language: 'Idioma',
+    backToHome: 'Volver al inicio',
+    processing: 'Procesando...',
+    processingStatus: 'Procesando tu pago. Por favor espera.',
+    joiningWaitlist: 'Uniéndote a la lista de espera…',
+    joinWaitlistButton: 'UNIRME A LA LISTA DE ESPERA',
+    tryAgain: 'Intentar de nuevo',
+    tryAgainNow: 'Intentar ahora',
+    remove: 'Quitar',
+    apply: 'Aplicar',
+    checking: 'Verificando...',
+    promoCode: 'Código promocional',
+    promoPlaceholder: '¿Tienes un código?',
+    paymentDetails: 'Datos de pago',
+    paymentNotInitialized: 'El sistema de pago no se inició. Por favor recarga la página.',
+    cardAuthNotCompleted: 'No se completó la autenticación de la tarjeta',
+    waitlistNotice: 'Únete a la lista de espera — sin pagar ahora. Si se libera un cupo, te enviaremos por correo un enlace para reclamarlo; tendrás {hours} horas antes de que pase al siguiente jugador.',
+    offerHolding: 'Te lo guardamos por {time}. Completa el pago abajo para reclamarlo.',
+    draft: {
+      title: 'Continúa tu inscripción',
+      body: 'Empezaste a inscribir a {name} el {date}. ¿Quieres continuar donde lo dejaste? Nunca guardamos los datos de la tarjeta — tendrás que ingresarlos de nuevo.',
+      bodyAnonymous: 'Empezaste una inscripción el {date}. ¿Quieres continuar donde lo dejaste? Nunca guardamos los datos de la tarjeta — tendrás que ingresarlos de nuevo.',
+      aPlayer: 'un jugador',
+      resume: 'Continuar',
+      startOver: 'Empezar de nuevo'
+    },
+    redirect: {
+      confirmingTitle: 'Confirmando tu pago…',
+      confirmingBody: 'Verificando con tu banco. Solo toma un momento.',
+      paidTitle: 'Tu pago se realizó',
+      paidNoDetails: 'No encontramos los datos de tu inscripción en este navegador, así que no podemos terminarla automáticamente. Por favor no vuelvas a pagar — escribe a {email} con la referencia de pago {reference} y completaremos tu inscripción.',
+      failedTitle: 'El pago no se completó'
+    },
+    pending: {
+      title: 'Terminando tu inscripción…',
+      paid: 'Tu pago se realizó — por favor no vuelvas a pagar.',
+      saving: 'Guardando tu inscripción. Por favor mantén esta página abierta.',
+      retrying: 'Todavía no pudimos guardar tu inscripción ({error}). Lo intentaremos de nuevo automáticamente…'
+    }
+  },
+
+  validation: {
+    email: 'Ingresa un correo electrónico válido',
+    phone: 'Ingresa un número de teléfono válido',
+    dateOfBirth: 'Ingresa una fecha de nacimiento válida'
+  },
+
+  errors: {
+    generic: 'Algo salió mal. Por favor intenta de nuevo.',
+    network: 'No pudimos conectar con el servidor. Revisa tu conexión e intenta de nuevo.',
+    timeout: 'El servidor está tardando demasiado en responder. Intenta de nuevo en un momento.',
+    security: 'Tu sesión expiró. Recarga la página e intenta de nuevo.',
+    server: 'Algo salió mal de nuestro lado. Intenta de nuevo o contáctanos si sigue pasando.'
+  },
+
+  payment: {
+    notConfigured: 'El sistema de pago no está configurado. Contáctanos para inscribirte.',
+    loadFailed: 'El formulario de pago seguro no cargó. Revisa tu conexión y recarga la página.',
+    loadFailedRefresh: 'El formulario de pago seguro no cargó. Por favor recarga la página.',
+    loading: 'Cargando el formulario de pago seguro...',
+    orPayAnotherWay: 'o paga de otra forma',
+    bankDeclined: 'Tu banco no aprobó el pago. No se hizo ningún cargo — intenta de nuevo o usa otra tarjeta.',
+    authIncomplete: 'No se completó la autenticación de la tarjeta. No se hizo ningún cargo — intenta de nuevo.',
+    canceled: 'Este pago fue cancelado. No se hizo ningún cargo — intenta de nuevo.',
+    checkFailed: 'No pudimos verificar tu pago. Por favor intenta de nuevo.',
+    stillConfirming: 'Tu pago todavía se está confirmando',
+    authRetry: 'No se completó la autenticación de la tarjeta. Intenta de nuevo o usa otra tarjeta.'
+  },
+
+  botProtection: {
+    loading: 'Cargando verificación de seguridad...',
+    loadFailed: 'No se pudo cargar la verificación de seguridad. Revisa tu conexión o permite este sitio en tu bloqueador de contenido.',
+    required: 'Completa la verificación de seguridad.',
+    honeypot: 'Deja este campo vacío'
+  },
+
+  waitlistOffer: {
+    expired: 'Esta oferta expiró y el cupo pasó al siguiente jugador de la lista de espera.',
+    days: '{days} d {hours} h',
+    hours: '{hours} h {minutes} min',
+    minutes: '{minutes} min'
+  },
+
+  sessions: {
+    closed: 'cerrada',
+    full: 'llena — únete a la lista de espera',
+    spotsLeft: {
+      one: 'queda {count} cupo',
+      other: 'quedan {count} cupos'
+    }
+  },
+
+  catalog: {
+    tiers: {
+      full_season: {
+        label: 'Jugador de temporada completa',
+        gamesLabel: 'Todos los partidos',
+        summary: 'Equipamiento incluido',
+        highlights: ['Lugar garantizado en la plantilla', 'Todos los partidos y entrenamientos de la liga', 'Video VEO de los partidos y jugadas destacadas']
+      },
+      guest: {
+        label: 'Jugador invitado',
+        gamesLabel: '3-5 partidos',
+        summary: '3-5 partidos • Equipamiento',
+        highlights: ['3-5 partidos por temporada', 'Partidos asignados según las necesidades de la plantilla', 'Video VEO de tus partidos']
+      }
+    },
+    frequencies: {
+      monthly: { label: 'Pagos mensuales' },
+      full: { label: 'Pago único', tagline: '⭐ ¡Nombre personalizado GRATIS!' }
+    },
+    addOns: {
+      name_personalization: { label: 'Nombre personalizado' }
+    }
+  },
+
+  seasonTerms: {
+    equipment: [
+      'Camisetas de juego local y visitante',
+      'Camiseta de entrenamiento',
+      'Chándal del equipo',
+      'Pantalones cortos de juego',
+      'Medias del equipo',
+      'Mochila del equipo'
+    ],
+    waiver: {
+      title: 'Acuerdo de compromiso de temporada',
+      intro: 'Por favor lee con atención antes de inscribirte:',
+      sections: [
+        {
+          heading: 'Compromiso de temporada',
+          body: 'Entiendo que me comprometo a participar en toda la temporada {season} y haré todo lo posible por estar disponible para los partidos y entrenamientos programados. Reconozco que la asistencia constante es esencial para el éxito del equipo.'
+        },
+        {
+          heading: 'Comunicación',
+          body: 'Si no puedo asistir a alguna actividad del equipo, avisaré con anticipación al cuerpo técnico y a la dirección del equipo siempre que sea posible, para permitir una buena planificación de los partidos.'
+        },
+        {
+          heading: 'Cuidado del equipamiento',
+          body: 'Me comprometo a mantener en excelentes condiciones todo el equipamiento entregado por el equipo y a cuidar en todo momento la imagen profesional que se espera de Newteam FC.'
+        },
+        {
+          heading: 'Conducta profesional',
+          body: 'Me comprometo a comportarme de forma profesional y respetuosa dentro y fuera de la cancha. Esto incluye {emphasis}, aceptar las decisiones arbitrales con deportividad y plantear cualquier inquietud por los canales adecuados con la dirección del equipo después del partido. Las faltas repetidas pueden resultar en la suplencia o la salida del equipo.',
+          emphasis: 'NO discutir con los árbitros',
+          highlight: true
+        },
+        {
+          heading: 'Unidad del equipo',
+          body: 'Entiendo que el éxito depende del trabajo en equipo, el respeto y la dedicación. Me comprometo a apoyar a mis compañeros y a contribuir positivamente al ambiente del equipo durante toda la temporada.'
+        }
+      ],
+      acknowledgement: 'He leído, entiendo y acepto el Acuerdo de compromiso de temporada anterior. Reconozco mis responsabilidades como miembro de Newteam FC para la temporada {season}.'
+    }
+  },
+
+  tryout: {
+    validation: {
+      firstName: 'El nombre es obligatorio',
+      lastName: 'El apellido es obligatorio',
+      email: 'El correo electrónico es obligatorio',
+      emailInvalid: 'Se requiere un correo electrónico válido',
+      phone: 'El teléfono es obligatorio',
+      dateOfBirth: 'La fecha de nacimiento es obligatoria',
+      age: 'Los jugadores deben tener 18 años o más para las pruebas',
+      position: 'La posición es obligatoria',
+      experience: 'El nivel de experiencia es obligatorio',
+      tryoutDate: 'Debes elegir una fecha de prueba',
+      sessionUnavailable: 'Esa sesión de prueba ya no está disponible — por favor elige otra fecha'
+    },
+    success: {
+      title: '🎉 ¡Bienvenido a Newteam FC!',
+      body: '¡Tu inscripción y tu pago se procesaron correctamente!',
+      email: 'En breve recibirás un correo de confirmación con todos los detalles de la prueba.',
+      tagline: 'Tu camino hacia la grandeza empieza ahora.'
+    },
+    needsHelp: 'Esto está tardando más de lo normal. Seguiremos intentando — y retomaremos donde quedamos si vuelves a esta página. Si aún no se completa, escribe a {contact} desde {email} con la referencia de pago {reference}.',
+    waitlistJoined: {
+      title: 'Estás en la lista de espera',
+      inLine: 'en fila para el {date}',
+      body: 'No se ha cobrado nada. Si se libera un cupo, enviaremos a {email} un enlace para reclamarlo — tendrás {hours} horas antes de que pase al siguiente jugador.'
+    },
+    hero: {
+      title: 'Estamos construyendo algo {highlight}. Sé parte de ello.',
+      titleHighlight: 'especial',
+      subtitle: 'Estamos redefiniendo el fútbol amateur en Massachusetts. {highlight}',
+      subtitleHighlight: 'Ayúdanos a construir el futuro',
+      pitch: '{lead} No solo estamos armando un equipo — estamos creando un {highlight} con conexión directa con visores profesionales gracias a nuestra alianza con Diaza.',
+      pitchLead: 'Únete al proyecto de fútbol más ambicioso de Massachusetts.',
+      pitchHighlight: 'camino hacia tus sueños',
+      question: '¿Quieres jugar fútbol competitivo y tener la oportunidad de llegar a profesional?',
+      cta: 'Ven a la prueba - {highlight}',
+      ctaHighlight: 'Los cupos se llenan rápido',
+      diazaAlt: 'Alianza con Diaza Football',
+      button: 'ASEGURAR MI CUPO - {price}',
+      perks: '💳 Inscripción inmediata • ⚡ Confirmación por correo • 🛡️ Garantía de devolución del 100%'
+    },
+    championships: {
+      title: 'Nuestro {highlight}',
+      titleHighlight: 'legado de campeonatos',
+      intro: 'Únete a un equipo con un historial comprobado de éxito. Varios títulos de campeón demuestran nuestro compromiso con la excelencia.',
+      teamPhotoAlt: 'Foto del equipo Newteam FC',
+      squadTitle: 'El plantel campeón',
+      squadSubtitle: 'Listos para sumar otro título',
+      gallery: [
+        { title: '🏆 Campeones de otoño 2023', desc: 'Nuestro campeonato más reciente' },
+        { title: '🏆 Campeones de primavera 2023', desc: 'Excelencia consecutiva' },
+        { title: '🏆 Campeones de primavera 2022', desc: 'Construyendo nuestra cultura de campeones' },
+        { title: '🏆 Campeones de otoño 2022', desc: 'Tradición de campeones' }
+      ],
+      recordTitle: '🏆 Historial de campeonatos',
+      recordCount: '4 campeonatos en 2 años',
+      recordBody: 'Ganadores comprobados en el más alto nivel del fútbol amateur de Massachusetts'
+    },
+    form: {
+      title: 'Asegura tu cupo — {highlight}',
+      titleHighlight: 'Da el primer paso',
+      subtitle: 'Completa tu inscripción abajo y da el primer paso hacia el siguiente nivel.',
+      offerTitle: '🎉 Se liberó un cupo — ¡es tuyo si lo quieres!',
+      firstName: 'Nombre *',
+      lastName: 'Apellido *',
+      email: 'Correo electrónico *',
+      phone: 'Teléfono *',
+      dateOfBirth: 'Fecha de nacimiento *',
+      position: 'Posición *',
+      selectPosition: 'Elige tu posición',
+      positions: {
+        goalkeeper: 'Portero',
+        defender: 'Defensa',
+        midfielder: 'Mediocampista',
+        forward: 'Delantero'
+      },
+      experience: 'Nivel de experiencia *',
+      selectExperience: 'Elige tu experiencia',
+      experienceLevels: {
+        high_school: 'Preparatoria',
+        club: 'Club',
+        college: 'Universidad',
+        semi_pro: 'Semiprofesional',
+        professional: 'Profesional'
+      },
+      tryoutDate: 'Fecha de la prueba *',
+      chooseDate: 'Elige una fecha',
+      sessionFull: 'Esta sesión está llena',
+      noSessionsTitle: 'No hay pruebas programadas por ahora',
+      noSessionsBody: 'Aún no hemos anunciado las próximas fechas de prueba. Escribe a {contact} y te avisaremos en cuanto las tengamos.',
+      paymentNote: 'Tu cupo queda asegurado al instante al pagar. Demuéstranos que vas en serio.',
+      feeTitle: 'Cuota de inscripción a la prueba',
+      discount: 'Descuento ({code}): -{amount}',
+      total: 'Total: {amount}',
+      inDays: {
+        one: 'en {count} día',
+        other: 'en {count} días'
+      },
+      feeNote: 'Evaluación profesional y consideración para el equipo',
+      submit: 'ASEGURAR MI CUPO - {price}',
+      security: '🔒 Pago seguro • Confirmación inmediata • Garantía de devolución'
+    },
+    about: {
+      leagueLogoAlt: 'Logo de Casa League',
+      title: 'Sobre Newteam FC',
+      photoAlt: 'Sobre Newteam FC',
+      body: 'Somos un grupo de amigos que ha logrado competir en el más alto nivel del fútbol amateur de Massachusetts. Con trabajo duro, dedicación y ahora nuestra alianza con Diaza Football, creamos algo especial — un camino para que los jugadores serios alcancen su potencial y se conecten con oportunidades profesionales.',
+      leagueTitle: 'Compitiendo en Casa League',
+      leagueDivision: '{highlight} - El nivel más alto del fútbol amateur en Massachusetts',
+      leagueDivisionHighlight: 'Primera división',
+      leagueStats: 'Más de 40 equipos • Competencia de nivel campeonato',
+      pricingTitle: 'Inscripción a la prueba',
+      pricingBody: 'Solo {price} • Evaluación profesional'
+    },
+    benefits: {
+      title: 'A qué te estás {highlight}',
+      titleHighlight: 'inscribiendo realmente',
+      intro: 'Gracias a nuestra alianza con Diaza Football, esto no es solo una prueba — es la puerta de entrada a algo más grande:',
+      items: [
+        {
+          title: 'Entrenamiento de nivel campeón',
+          desc: 'Estándares profesionales y desarrollo serio con entrenadores experimentados que han trabajado en los niveles más altos.',
+          value: null
+        },
+        {
+          title: '🏆 2 camisetas personalizadas',
+          desc: 'Uniformes de local y visitante para los jugadores que entren al equipo',
+          value: 'valor de $120'
+        },
+        {
+          title: '⚽ Partidos competitivos cada semana',
+          desc: 'En una de las ligas más respetadas de Boston — compite al más alto nivel cada semana',
+          value: 'valor de más de $200'
+        },
+        {
+          title: 'Hermandad de equipo',
+          desc: 'Únete a un grupo unido de jugadores comprometidos que se apoyan dentro y fuera de la cancha.',
+          value: null
+        },
+        {
+          title: '🎯 Exposición ante visores y marcas',
+          desc: 'Visibilidad ante visores, marcas y oportunidades a través de nuestra creciente red de medios',
+          value: 'valor de más de $500'
+        },
+        {
+          title: '🚀 Un camino real al profesionalismo',
+          desc: 'Gracias a nuestra alianza con Diaza Football, los jugadores tienen la oportunidad de jugar frente a visores de equipos europeos y americanos con una posibilidad real de llegar a profesional',
+          value: 'valor de más de $1000'
+        },
+        {
+          title: '💡 Retroalimentación directa de los entrenadores',
+          desc: 'Sube de nivel aunque no entres al equipo — comentarios valiosos para tu desarrollo',
+          value: 'valor de más de $150'
+        }
+      ]
+    },
+    testimonials: {
+      title: 'De nuestros {highlight}',
+      titleHighlight: 'jugadores actuales',
+      intro: 'Experiencias reales de jugadores que se unieron a algo especial.',
+      items: [
+        {
+          quote: 'Me uní a Newteam en la primavera de 2022 después de volver de una lesión el año anterior y tengo que decir que ha sido una aventura increíble. Las historias que podría contar de todos los partidos y aventuras que hemos vivido llenarían un libro.',
+          author: 'Christian Mukala',
+          position: 'Mediocampista'
+        },
+        {
+          quote: 'La marca Newteam está creciendo. Cuando alguien escucha Newteam FC, dice \'oh… ese es un buen club\', jugadores fuertes.',
+          author: 'Isai D.',
+          position: 'Defensa'
+        },
+        {
+          quote: 'Cuando llegué a Newteam, los muchachos me recibieron con los brazos abiertos. No se trata solo de fútbol, va más allá, y lo aprecio y lo amo porque me deja ser yo mismo y me impulsa a ser mejor dentro y fuera de la cancha como persona. Además, convivir con desconocidos que se preocupan por ti y por los que yo daría la cara es la verdadera lección de la vida.',
+          author: 'Tonis',
+          position: 'Mediocampista'
+        }
+      ]
+    },
+    countdown: {
+      label: {
+        one: 'Falta {count} día para las pruebas',
+        other: 'Faltan {count} días para las pruebas'
+      },
+      caption: {
+        one: 'Día para las pruebas',
+        other: 'Días para las pruebas'
+      },
+      spotsLeft: {
+        one: 'queda {count} cupo',
+        other: 'quedan {count} cupos'
+      }
+    }
+  },
+
+  season: {
+    steps: {
+      plan: 'Plan',
+      player: 'Jugador',
+      equipment: 'Equipamiento',
+      agreement: 'Acuerdo',
+      review: 'Revisar y pagar',
+      reviewWaitlist: 'Revisar y unirme'
+    },
+    results: {
+      registered: '✓ Inscrito',
+      payment_failed: '✗ El pago falló — no inscrito',
+      not_charged: '• Sin cobrar — no inscrito'
+    },
+    equipmentFields: {
+      tracksuit_size: 'Chándal',
+      practice_jersey_size: 'Camiseta de entrenamiento',
+      shorts_size: 'Pantalones cortos',
+      socks_size: 'Medias'
+    },
+    validation: {
+      firstName: 'Ingresa el nombre',
+      lastName: 'Ingresa el apellido',
+      email: 'Ingresa un correo electrónico válido',
+      age: 'Ingresa la edad',
+      ageRange: 'La edad debe estar entre 18 y 45 años',
+      position: 'Ingresa la(s) posición(es)',
+      sizes: {
+        tracksuit_size: 'Elige una talla de chándal',
+        practice_jersey_size: 'Elige una talla de camiseta de entrenamiento',
+        shorts_size: 'Elige una talla de pantalones cortos',
+        socks_size: 'Elige una talla de medias'
+      },
+      waiver: 'Lee y acepta el {title}',
+      playerPrefix: 'Jugador {number}: {message}'
+    },
+    edit: 'Editar',
+    someFailed: 'No se pudo completar la inscripción de algunos jugadores — mira los detalles abajo. Si vuelves a intentarlo, solo se cobrará a los jugadores que siguen en el formulario.',
+    rosterFull: 'Esta plantilla está llena — por favor únete a la lista de espera',
+    needsHelp: 'Esto está tardando más de lo normal. Seguiremos intentando — y retomaremos donde quedamos si vuelves a esta página. Si aún no se completa, escribe a {contact} desde {email} y lo completaremos por ti.',
+    savingPlayer: '{name} — guardando…',
+    success: {
+      titleFull: '🎉 ¡Bienvenido a la temporada {season}!',
+      titleGuest: '🎉 ¡Bienvenido, jugador invitado!',
+      bankProcessing: 'Tu pago bancario de {amount} se está procesando — puede tardar hasta 4 días hábiles en acreditarse. Tu cupo está reservado y te avisaremos si algo sale mal.',
+      paidInFull: '¡Tu pago de {amount} se procesó! Ya estás listo para la temporada.',
+      subscriptions: {
+        one: '¡Tu suscripción está activa! Se te cobrará {amount}/mes durante {months} meses.',
+        other: '¡{count} suscripciones están activas! Se te cobrará {amount}/mes en total durante {months} meses.'
+      },
+      detailsFull: 'Ya tienes un lugar garantizado en la plantilla y recibirás tu equipamiento antes de que empiece la temporada.',
+      detailsGuest: 'Se te asignarán 3-5 partidos según la disponibilidad de la plantilla. Tu equipamiento se entregará antes de que empiece la temporada.',
+      personalization: '✓ ¡Nombre personalizado incluido en tu chándal, camiseta de entrenamiento y mochila!',
+      cta: '¡Nos vemos en la cancha!'
+    },
+    closed: {
+      title: 'Las inscripciones para {season} están cerradas',
+      body: 'La temporada {season} ya terminó, así que no podemos aceptar nuevas inscripciones. Escribe a {contact} para saber cuándo abre la próxima temporada.'
+    },
+    waitlistJoined: {
+      title: 'Estás en la lista de espera de {tier}',
+      body: 'No se ha cobrado nada. Si se libera un cupo para la temporada {season}, enviaremos a {email} un enlace para reclamarlo — tendrás {hours} horas antes de que pase al siguiente jugador.'
+    },
+    summary: {
+      playerFallback: 'Jugador {number}',
+      perMonthShort: '/mes',
+      perMonth: '/mes',
+      oneTime: 'Pago único',
+      firstMonth: 'Pago del primer mes',
+      playerCount: ' ({count} jugadores)',
+      includedFree: '✓ Nombre personalizado GRATIS (valor de {amount}) •',
+      withEquipment: '{games} + equipamiento',
+      thenMonthly: {
+        one: 'Luego {amount}/mes durante {count} mes más •',
+        other: 'Luego {amount}/mes durante {count} meses más •'
+      },
+      discount: '✓ {code}: -{amount}',
+      perPlayer: ' por jugador',
+      youSave: ' (ahorras {amount})'
+    },
+    hero: {
+      title: 'Inscripción temporada {season}',
+      subtitle: 'Únete a Newteam FC para la temporada {season}',
+      description: 'La inscripción cubre el alquiler de canchas, el equipamiento, las camisetas de local y visitante, el arbitraje y la inscripción a la liga.',
+      commitment: 'Compromiso de {count} meses',
+      equipmentPackage: 'Paquete de equipamiento:'
+    },
+    form: {
+      title: 'Asegura tu {highlight}',
+      titleHighlight: 'cupo para la temporada {season}',
+      subtitle: 'Únete a nuestro equipo de fútbol competitivo para la temporada {season}.',
+      offerTitle: '🎉 Se liberó un cupo de {tier} — ¡es tuyo si lo quieres!',
+      stepsLabel: 'Pasos de la inscripción',
+      stepCaption: 'Paso {current} de {total}: {label}',
+      chooseType: 'Elige tu tipo de inscripción',
+      rosterFullJoin: 'Plantilla llena • Únete a la lista de espera',
+      monthsSummary: '{count} meses • {summary}',
+      tracksuitAlt: 'Chándal oficial de Newteam FC',
+      teaser: '¿Quieres {highlight} aquí?',
+      teaserHighlight: 'TU NOMBRE',
+      rosterFullTitle: 'La plantilla de {tier} está llena',
+      paymentOption: 'Forma de pago',
+      totalSuffix: ' en total',
+      monthlyPayments: '{count} pagos mensuales',
+      promoNotApplicable: '{code} no aplica a {tier} con {frequency}.',
+      playerHeading: 'Jugador {number}',
+      paying: ' (paga)',
+      firstName: 'Nombre *',
+      lastName: 'Apellido *',
+      email: 'Correo electrónico *',
+      emailPlaceholder: 'Para recibos de pago y novedades',
+      age: 'Edad *',
+      position: 'Posición(es) *',
+      positionPlaceholder: 'Escribe todas las posiciones que juegas (p. ej., mediocampista, defensa)',
+      addPlayer: '+ Agregar otro jugador',
+      equipmentTitle: 'Tallas del equipamiento *',
+      equipmentTitleFor: '{name} — Tallas del equipamiento *',
+      equipmentNote: 'Elige tus tallas para el paquete de equipamiento del equipo (las camisetas de juego y la mochila son talla única)',
+      sizeLabels: {
+        tracksuit_size: 'Talla de chándal *',
+        practice_jersey_size: 'Talla de camiseta de entrenamiento *',
+        shorts_size: 'Talla de pantalones cortos *',
+        socks_size: 'Talla de medias *'
+      },
+      selectSize: 'Elige la talla',
+      upsellTitle: '⭐ Agrega tu nombre',
+      upsellBody: 'Lleva tu nombre impreso en tu chándal, camiseta de entrenamiento y mochila',
+      upsellCheckbox: '¡Sí, agregar mi nombre!',
+      includedTitle: '✓ ¡Nombre personalizado incluido!',
+      includedBody: 'Tu nombre se imprimirá en tu chándal, camiseta de entrenamiento y mochila sin costo adicional.',
+      groupConfirm: ' Confirmo que cada jugador de la lista lo ha leído y aceptado.',
+      paymentNote: 'Asegura tu cupo con el pago inmediato.',
+      back: '← Atrás',
+      next: 'Siguiente: {step} →',
+      payInFull: 'PAGAR TODO - {amount}',
+      startSubscriptions: {
+        one: 'INICIAR SUSCRIPCIÓN - {amount}/mes',
+        other: 'INICIAR {count} SUSCRIPCIONES - {amount}/mes'
+      },
+      security: '🔒 Pago seguro con Stripe • Confirmación inmediata'
+    },
+    review: {
+      plan: 'Plan',
+      planLine: '{tier} • temporada {season}',
+      frequencyLine: ' • {frequency} ({count} meses)',
+      waitlistNote: 'Plantilla llena — te estás uniendo a la lista de espera. Sin pagar ahora.',
+      player: 'Jugador',
+      players: 'Jugadores ({count})',
+      playerDetails: ' • Edad {age} • {position}',
+      equipment: 'Equipamiento',
+      personalization: ' • ✓ Nombre personalizado',
+      agreement: 'Acuerdo',
+      agreed: '✓ Aceptó el {title}'
+    }
+  },
+
+  // Shared by every lead magnet page — each guide's own copy has its own section below
+  leadMagnet: {
+    validation: {
+      firstName: 'Ingresa tu nombre.',
+      lastName: 'Ingresa tu apellido.',
+      email: 'Ingresa tu correo electrónico.',
+      emailInvalid: 'Ingresa un correo electrónico válido.',
+      source: 'Cuéntanos cómo supiste de nosotros.'
+    },
+    sources: {
+      placeholder: 'Elige una opción...',
+      'Google Search': 'Búsqueda en Google',
+      'Friend/Teammate': 'Un amigo o compañero de equipo',
+      Coach: 'Entrenador',
+      Other: 'Otro'
+    },
+    backToSite: 'Volver al sitio',
+    sampleCaption: 'Una muestra de lo que vas a encontrar',
+    sendingStatus: 'Enviando tu guía…',
+    sentStatus: 'Ya estás dentro. Revisa tu correo para encontrar la guía.',
+    formTitle: 'Recibe la guía',
+    firstName: 'Nombre *',
+    firstNamePlaceholder: 'Nombre',
+    lastName: 'Apellido *',
+    lastNamePlaceholder: 'Apellido',
+    email: 'Correo electrónico *',
+    emailPlaceholder: 'tu@ejemplo.com',
+    source: '¿Cómo supiste de nosotros? *',
+    submit: 'Envíame la guía',
+    sending: 'Enviando...',
+    noSpam: 'Sin spam. Date de baja cuando quieras.',
+    download: 'Descargar la guía',
+    downloadNote: 'La descarga debería empezar automáticamente. Si no, usa el botón de arriba.',
+    mainSite: 'Sitio principal',
+    followUp: {
+      sentTo: 'Enviamos la guía a {email}.',
+      resend: 'Reenviar la guía',
+      resending: 'Reenviando…',
+      resendIn: 'Podrás reenviarla en {time}',
+      resent: 'Enviada de nuevo — espera un minuto y revisa también Promociones/Spam.',
+      fixEmail: '¿Correo equivocado? Corrígelo',
+      newEmail: 'Correo electrónico correcto',
+      save: 'Actualizar y reenviar',
+      saving: 'Actualizando…',
+      cancel: 'Cancelar',
+      changed: 'Listo. La guía va en camino a {email}.',
+      wait: 'Espera {time} antes de volver a intentarlo.',
+      changeWait: 'Podrás cambiarlo de nuevo en {time}.'
+    },
+    referral: {
+      title: 'Trae a tus compañeros',
+      body: 'Comparte tu enlace personal. Cada jugador que descargue la guía, reserve una prueba o se inscriba en la temporada a través de él cuenta como tuyo.',
+      linkLabel: 'Tu enlace de referido',
+      copy: 'Copiar',
+      copied: 'Copiado',
+      copiedStatus: 'Enlace copiado al portapapeles.',
+      copyFailed: 'No se pudo copiar automáticamente — selecciona el enlace y cópialo.',
+      share: 'Compartir',
+      whatsapp: 'WhatsApp',
+      sms: 'SMS',
+      email: 'Correo',
+      statsLink: 'Mira cuántos jugadores ha traído tu enlace →',
+      stats: {
+        title: 'Tus referidos',
+        titleNamed: 'Referidos de {name}',
+        loading: 'Cargando tus referidos…',
+        signups: 'Descargas de la guía',
+        tryouts: 'Pruebas reservadas',
+        seasons: 'Inscripciones de temporada',
+        note: 'Cada jugador cuenta una vez por lista, aunque use tu enlace varias veces.'
+      }
+    }
+  },
+  // Winter Protocol guide — see frontend/leadMagnets.js for the keys a guide needs
+  winter: {
+    eyebrow: 'Guía de entrenamiento gratis',
+    title: 'Para jugadores cansados de llegar sin preparación.',
+    intro: 'Este es el sistema exacto que usamos en Newteam FC — el mismo detrás de 4 campeonatos en 3 años. Y lo regalamos completamente gratis.',
+    contents: '30 días. 27 ejercicios. Calendarios semanales. Seguimiento de tu progreso.',
+    noExcuses: 'No necesitas gimnasio. No se aceptan excusas.',
+    whyFree: '¿Por qué gratis? Porque esta guía es la puerta de entrada. Una vez dentro, recibirás entrenamientos cada semana y contenido exclusivo que solo comparto con la lista. Cuando llegues a tu próxima prueba en la mejor forma de tu vida, recordarás dónde empezó todo.',
+    shareIt: 'Y cuando tu compañero te pregunte qué cambió — mándalo aquí.',
+    previewAlt: 'Vista previa de la guía Winter Protocol',
+    successTitle: 'Ya estás dentro',
+    successBody: 'Revisa tu bandeja de entrada. Si no lo ves, busca en Promociones/Spam y muévelo a Principal para no perderte lo que viene.',
+    shareSubject: 'Guía gratuita de entrenamiento de invierno de 30 días de Newteam FC',
+    shareMessage: 'Estoy entrenando con el Winter Protocol de Newteam FC — 30 días, 27 ejercicios, sin gimnasio. Es gratis: {url}'
+  }
+};
@@ -0,0 +1,601 @@
+/**
+ * Portuguese messages (pt-BR)
+ * Translates en.js — a key left out here falls back to English.
+ */
+export default {
+  common: {
+    language: 'Idioma',
+    backToHome: 'Voltar ao início',
+    processing: 'Processando...',
+    processingStatus: 'Processando seu pagamento. Aguarde, por favor.',
+    joiningWaitlist: 'Entrando na lista de espera…',
+    joinWaitlistButton: 'ENTRAR NA LISTA DE ESPERA',
+    tryAgain: 'Tentar de novo',
+    tryAgainNow: 'Tentar agora',
+    remove: 'Remover',
+    apply: 'Aplicar',
+    checking: 'Verificando...',
+    promoCode: 'Cupom de desconto',
+    promoPlaceholder: 'Tem um cupom?',
+    paymentDetails: 'Dados de pagamento',
+    paymentNotInitialized: 'O sistema de pagamento não foi iniciado. Recarregue a página, por favor.',
+    cardAuthNotCompleted: 'A autenticação do cartão não foi concluída',
+    waitlistNotice: 'Entre na lista de espera — sem pagar agora. Se uma vaga abrir, enviaremos por e-mail um link para garanti-la; você terá {hours} horas antes que ela passe para o próximo jogador.',
+    offerHolding: 'Estamos guardando para você por {time}. Conclua o pagamento abaixo para garantir.',
+    draft: {
+      title: 'Continue sua inscrição',
+      body: 'Você começou a inscrever {name} em {date}. Quer continuar de onde parou? Nunca guardamos os dados do cartão — você vai precisar digitá-los de novo.',
+      bodyAnonymous: 'Você começou uma inscrição em {date}. Quer continuar de onde parou? Nunca guardamos os dados do cartão — você vai precisar digitá-los de novo.',
+      aPlayer: 'um jogador',
+      resume: 'Continuar',
+      startOver: 'Começar de novo'
+    },
+    redirect: {
+      confirmingTitle: 'Confirmando seu pagamento…',
+      confirmingBody: 'Verificando com o seu banco. Leva só um instante.',
+      paidTitle: 'Seu pagamento foi aprovado',
+      paidNoDetails: 'Não encontramos os dados da sua inscrição neste navegador, então não conseguimos concluí-la automaticamente. Não pague de novo — escreva para {email} com a referência de pagamento {reference} e concluiremos sua inscrição.',
+      failedTitle: 'O pagamento não foi concluído'
+    },
+    pending: {
+      title: 'Finalizando sua inscrição…',
+      paid: 'Seu pagamento foi aprovado — não pague de novo, por favor.',
+      saving: 'Salvando sua inscrição. Mantenha esta página aberta, por favor.',
+      retrying: 'Ainda não conseguimos salvar sua inscrição ({error}). Vamos tentar de novo automaticamente…'
+    }
+  },
+
+  validation: {
+    email: 'Digite um e-mail válido',
+    phone: 'Digite um telefone válido',
+    dateOfBirth: 'Digite uma data de nascimento válida'
+  },
+
+  errors: {
+    generic: 'Algo deu errado. Tente de novo, por favor.',
+    network: 'Não foi possível conectar ao servidor. Verifique sua conexão e tente de novo.',
+    timeout: 'O servidor está demorando demais para responder. Tente de novo em instantes.',
+    security: 'Sua sessão expirou. Recarregue a página e tente de novo.',
+    server: 'Algo deu errado do nosso lado. Tente de novo ou fale com a gente se continuar acontecendo.'
+  },
+
+  payment: {
+    notConfigured: 'O sistema de pagamento não está configurado. Fale com a gente para se inscrever.',
+    loadFailed: 'O formulário de pagamento seguro não carregou. Verifique sua conexão e recarregue a página.',
+    loadFailedRefresh: 'O formulário de pagamento seguro não carregou. Recarregue a página, por favor.',
+    loading: 'Carregando o formulário de pagamento seguro...',
+    orPayAnotherWay: 'ou pague de outra forma',
+    bankDeclined: 'Seu banco não aprovou o pagamento. Nada foi cobrado — tente de novo ou use outro cartão.',
+    authIncomplete: 'A autenticação do cartão não foi concluída. Nada foi cobrado — tente de novo.',
+    canceled: 'Este pagamento foi cancelado. Nada foi cobrado — tente de novo.',
+    checkFailed: 'Não conseguimos verificar seu pagamento. Tente de novo, por favor.',
+    stillConfirming: 'Seu pagamento ainda está sendo confirmado',
+    authRetry: 'A autenticação do cartão não foi concluída. Tente de novo ou use outro cartão.'
+  },
+
+  botProtection: {
+    loading: 'Carregando verificação de segurança...',
+    loadFailed: 'Não foi possível carregar a verificação de segurança. Verifique sua conexão ou permita este site no seu bloqueador de conteúdo.',
+    required: 'Conclua a verificação de segurança.',
+    honeypot: 'Deixe este campo vazio'
+  },
+
+  waitlistOffer: {
+    expired: 'Esta oferta expirou e a vaga passou para o próximo jogador da lista de espera.',
+    days: '{days} d {hours} h',
+    hours: '{hours} h {minutes} min',
+    minutes: '{minutes} min'
+  },
+
+  sessions: {
+    closed: 'encerrada',
+    full: 'lotada — entre na lista de espera',
+    spotsLeft: {
+      one: 'resta {count} vaga',
+      other: 'restam {count} vagas'
+    }
+  },
+
+  catalog: {
+    tiers: {
+      full_season: {
+        label: 'Jogador da temporada completa',
+        gamesLabel: 'Todos os jogos',
+        summary: 'Equipamento incluído',
+        highlights: ['Vaga garantida no elenco', 'Todos os jogos e treinos da liga', 'Vídeo VEO dos jogos e melhores momentos']
+      },
+      guest: {
+        label: 'Jogador convidado',
+        gamesLabel: '3-5 jogos',
+        summary: '3-5 jogos • Equipamento',
+        highlights: ['3-5 jogos por temporada', 'Jogos definidos conforme a necessidade do elenco', 'Vídeo VEO dos seus jogos']
+      }
+    },
+    frequencies: {
+      monthly: { label: 'Pagamentos mensais' },
+      full: { label: 'Pagamento único', tagline: '⭐ Nome personalizado GRÁTIS!' }
+    },
+    addOns: {
+      name_personalization: { label: 'Nome personalizado' }
+    }
+  },
+
+  seasonTerms: {
+    equipment: [
+      'Camisas de jogo mandante e visitante',
+      'Camisa de treino',
+      'Agasalho do time',
+      'Calção de jogo',
+      'Meiões do time',
+      'Mochila do time'
+    ],
+    waiver: {
+      title: 'Termo de compromisso da temporada',
+      intro: 'Leia com atenção antes de se inscrever:',
+      sections: [
+        {
+          heading: 'Compromisso com a temporada',
+          body: 'Entendo que estou me comprometendo a participar de toda a temporada {season} e farei o possível para estar disponível para os jogos e treinos programados. Reconheço que a presença constante é essencial para o sucesso do time.'
+        },
+        {
+          heading: 'Comunicação',
+          body: 'Se eu não puder comparecer a alguma atividade do time, avisarei a comissão técnica e a direção do time com antecedência sempre que possível, para permitir um bom planejamento dos jogos.'
+        },
+        {
+          heading: 'Cuidado com o equipamento',
+          body: 'Comprometo-me a manter em ótimo estado todo o equipamento fornecido pelo time e a zelar sempre pela imagem profissional esperada do Newteam FC.'
+        },
+        {
+          heading: 'Conduta profissional',
+          body: 'Comprometo-me a agir de forma profissional e respeitosa dentro e fora de campo. Isso inclui {emphasis}, aceitar as decisões da arbitragem com espírito esportivo e levar qualquer questão pelos canais adequados à direção do time depois do jogo. Infrações repetidas podem resultar em banco ou desligamento do time.',
+          emphasis: 'NÃO discutir com os árbitros',
+          highlight: true
+        },
+        {
+          heading: 'União do time',
+          body: 'Entendo que o sucesso depende de trabalho em equipe, respeito e dedicação. Comprometo-me a apoiar meus companheiros e a contribuir positivamente para o ambiente do time durante toda a temporada.'
+        }
+      ],
+      acknowledgement: 'Li, entendi e aceito o Termo de compromisso da temporada acima. Reconheço minhas responsabilidades como integrante do Newteam FC na temporada {season}.'
+    }
+  },
+
+  tryout: {
+    validation: {
+      firstName: 'O nome é obrigatório',
+      lastName: 'O sobrenome é obrigatório',
+      email: 'O e-mail é obrigatório',
+      emailInvalid: 'É preciso um e-mail válido',
+      phone: 'O telefone é obrigatório',
+      dateOfBirth: 'A data de nascimento é obrigatória',
+      age: 'É preciso ter 18 anos ou mais para a peneira',
+      position: 'A posição é obrigatória',
+      experience: 'O nível de experiência é obrigatório',
+      tryoutDate: 'Escolha uma data de peneira',
+      sessionUnavailable: 'Essa sessão de peneira não está mais disponível — escolha outra data, por favor'
+    },
+    success: {
+      title: '🎉 Bem-vindo ao Newteam FC!',
+      body: 'Sua inscrição e seu pagamento foram processados com sucesso!',
+      email: 'Em breve você vai receber um e-mail de confirmação com todos os detalhes da peneira.',
+      tagline: 'Sua jornada rumo à grandeza começa agora.'
+    },
+    needsHelp: 'Isso está demorando mais que o normal. Vamos continuar tentando — e retomamos de onde paramos se você voltar a esta página. Se ainda não concluir, escreva para {contact} a partir de {email} com a referência de pagamento {reference}.',
+    waitlistJoined: {
+      title: 'Você está na lista de espera',
+      inLine: 'na fila para {date}',
+      body: 'Nada foi cobrado. Se uma vaga abrir, enviaremos para {email} um link para garanti-la — você terá {hours} horas antes que ela passe para o próximo jogador.'
+    },
+    hero: {
+      title: 'Estamos construindo algo {highlight}. Faça parte.',
+      titleHighlight: 'especial',
+      subtitle: 'Estamos redefinindo o futebol amador em Massachusetts. {highlight}',
+      subtitleHighlight: 'Ajude a construir o futuro',
+      pitch: '{lead} Não estamos só montando um time — estamos criando um {highlight} com ligação direta com olheiros profissionais graças à nossa parceria com a Diaza.',
+      pitchLead: 'Entre no projeto de futebol mais ambicioso de Massachusetts.',
+      pitchHighlight: 'caminho para os seus sonhos',
+      question: 'Quer jogar futebol competitivo e ter a chance de se profissionalizar?',
+      cta: 'Venha para a peneira - {highlight}',
+      ctaHighlight: 'As vagas acabam rápido',
+      diazaAlt: 'Parceria com a Diaza Football',
+      button: 'GARANTIR MINHA VAGA - {price}',
+      perks: '💳 Inscrição imediata • ⚡ Confirmação por e-mail • 🛡️ Garantia de reembolso de 100%'
+    },
+    championships: {
+      title: 'Nosso {highlight}',
+      titleHighlight: 'legado de títulos',
+      intro: 'Entre para um time com histórico comprovado de sucesso. Vários títulos mostram nosso compromisso com a excelência.',
+      teamPhotoAlt: 'Foto do time Newteam FC',
+      squadTitle: 'O elenco campeão',
+      squadSubtitle: 'Prontos para mais um título',
+      gallery: [
+        { title: '🏆 Campeões do outono de 2023', desc: 'Nosso título mais recente' },
+        { title: '🏆 Campeões da primavera de 2023', desc: 'Excelência seguida' },
+        { title: '🏆 Campeões da primavera de 2022', desc: 'Construindo nossa cultura vencedora' },
+        { title: '🏆 Campeões do outono de 2022', desc: 'Tradição de campeões' }
+      ],
+      recordTitle: '🏆 Histórico de títulos',
+      recordCount: '4 títulos em 2 anos',
+      recordBody: 'Vencedores comprovados no mais alto nível do futebol amador de Massachusetts'
+    },
+    form: {
+      title: 'Garanta sua vaga — {highlight}',
+      titleHighlight: 'Dê o primeiro passo',
+      subtitle: 'Preencha sua inscrição abaixo e dê o primeiro passo rumo ao próximo nível.',
+      offerTitle: '🎉 Uma vaga abriu — é sua se quiser!',
+      firstName: 'Nome *',
+      lastName: 'Sobrenome *',
+      email: 'E-mail *',
+      phone: 'Telefone *',
+      dateOfBirth: 'Data de nascimento *',
+      position: 'Posição *',
+      selectPosition: 'Escolha sua posição',
+      positions: {
+        goalkeeper: 'Goleiro',
+        defender: 'Zagueiro',
+        midfielder: 'Meio-campista',
+        forward: 'Atacante'
+      },
+      experience: 'Nível de experiência *',
+      selectExperience: 'Escolha sua experiência',
+      experienceLevels: {
+        high_school: 'Ensino médio',
+        club: 'Clube',
+        college: 'Universitário',
+        semi_pro: 'Semiprofissional',
+        professional: 'Profissional'
+      },
+      tryoutDate: 'Data da peneira *',
+      chooseDate: 'Escolha uma data',
+      sessionFull: 'Esta sessão está lotada',
+      noSessionsTitle: 'Nenhuma peneira marcada no momento',
+      noSessionsBody: 'As próximas datas de peneira ainda não foram anunciadas. Escreva para {contact} e avisaremos assim que forem definidas.',
+      paymentNote: 'Sua vaga fica garantida na hora com o pagamento. Mostre que você leva a sério.',
+      feeTitle: 'Taxa de inscrição da peneira',
+      discount: 'Desconto ({code}): -{amount}',
+      total: 'Total: {amount}',
+      inDays: {
+        one: 'em {count} dia',
+        other: 'em {count} dias'
+      },
+      feeNote: 'Avaliação profissional e consideração para o time',
+      submit: 'GARANTIR MINHA VAGA - {price}',
+      security: '🔒 Pagamento seguro • Confirmação imediata • Garantia de reembolso'
+    },
+    about: {
+      leagueLogoAlt: 'Logo da Casa League',
+      title: 'Sobre o Newteam FC',
+      photoAlt: 'Sobre o Newteam FC',
+      body: 'Somos um grupo de amigos que conseguiu competir no mais alto nível do futebol amador de Massachusetts. Com muito trabalho, dedicação e agora nossa parceria com a Diaza Football, criamos algo especial — um caminho para jogadores dedicados alcançarem seu potencial e se conectarem com oportunidades profissionais.',
+      leagueTitle: 'Competindo na Casa League',
+      leagueDivision: '{highlight} - O nível mais alto do futebol amador em Massachusetts',
+      leagueDivisionHighlight: 'Primeira divisão',
+      leagueStats: 'Mais de 40 times • Competição de nível de campeonato',
+      pricingTitle: 'Inscrição da peneira',
+      pricingBody: 'Só {price} • Avaliação profissional'
+    },
+    benefits: {
+      title: 'No que você está {highlight}',
+      titleHighlight: 'se inscrevendo de verdade',
+      intro: 'Com nossa parceria com a Diaza Football, isto não é só uma peneira — é a porta de entrada para algo maior:',
+      items: [
+        {
+          title: 'Treino de nível campeão',
+          desc: 'Padrões profissionais e desenvolvimento sério com treinadores experientes que já trabalharam nos níveis mais altos.',
+          value: null
+        },
+        {
+          title: '🏆 2 camisas personalizadas',
+          desc: 'Uniformes de mandante e visitante para quem entrar no time',
+          value: 'valor de US$ 120'
+        },
+        {
+          title: '⚽ Jogos competitivos toda semana',
+          desc: 'Em uma das ligas mais respeitadas de Boston — compita no mais alto nível toda semana',
+          value: 'valor de mais de US$ 200'
+        },
+        {
+          title: 'Irmandade do time',
+          desc: 'Entre para um grupo unido de jogadores comprometidos que se apoiam dentro e fora de campo.',
+          value: null
+        },
+        {
+          title: '🎯 Visibilidade para olheiros e marcas',
+          desc: 'Visibilidade para olheiros, marcas e oportunidades pela nossa rede de mídia em crescimento',
+          value: 'valor de mais de US$ 500'
+        },
+        {
+          title: '🚀 Um caminho real para o profissional',
+          desc: 'Com nossa parceria com a Diaza Football, os jogadores têm a chance de jogar diante de olheiros de times europeus e americanos, com uma possibilidade real de se profissionalizar',
+          value: 'valor de mais de US$ 1000'
+        },
+        {
+          title: '💡 Feedback direto dos treinadores',
+          desc: 'Evolua mesmo que não entre no time — feedback valioso para o seu desenvolvimento',
+          value: 'valor de mais de US$ 150'
+        }
+      ]
+    },
+    testimonials: {
+      title: 'Dos nossos {highlight}',
+      titleHighlight: 'jogadores atuais',
+      intro: 'Experiências reais de jogadores que entraram em algo especial.',
+      items: [
+        {
+          quote: 'Entrei no Newteam na primavera de 2022, depois de voltar de uma lesão no ano anterior, e preciso dizer que tem sido uma jornada incrível. As histórias que eu poderia contar de todos os jogos e aventuras que vivemos dariam um livro.',
+          author: 'Christian Mukala',
+          position: 'Meio-campista'
+        },
+        {
+          quote: 'A marca Newteam está crescendo. Quando alguém ouve Newteam FC, diz \'ah… esse é um clube bom\', jogadores fortes.',
+          author: 'Isai D.',
+          position: 'Zagueiro'
+        },
+        {
+          quote: 'Quando cheguei ao Newteam, os caras me receberam de braços abertos. Não é só futebol, vai além, e eu valorizo e amo isso porque me deixa ser eu mesmo e me empurra a ser melhor dentro e fora de campo como pessoa. E conviver com desconhecidos que se importam com você e por quem eu daria a cara é a verdadeira lição da vida.',
+          author: 'Tonis',
+          position: 'Meio-campista'
+        }
+      ]
+    },
+    countdown: {
+      label: {
+        one: 'Falta {count} dia para a peneira',
+        other: 'Faltam {count} dias para a peneira'
+      },
+      caption: {
+        one: 'Dia para a peneira',
+        other: 'Dias para a peneira'
+      },
+      spotsLeft: {
+        one: 'resta {count} vaga',
+        other: 'restam {count} vagas'
+      }
+    }
+  },
+
+  season: {
+    steps: {
+      plan: 'Plano',
+      player: 'Jogador',
+      equipment: 'Equipamento',
+      agreement: 'Termo',
+      review: 'Revisar e pagar',
+      reviewWaitlist: 'Revisar e entrar'
+    },
+    results: {
+      registered: '✓ Inscrito',
+      payment_failed: '✗ O pagamento falhou — não inscrito',
+      not_charged: '• Não cobrado — não inscrito'
+    },
+    equipmentFields: {
+      tracksuit_size: 'Agasalho',
+      practice_jersey_size: 'Camisa de treino',
+      shorts_size: 'Calção',
+      socks_size: 'Meiões'
+    },
+    validation: {
+      firstName: 'Digite o nome',
+      lastName: 'Digite o sobrenome',
+      email: 'Digite um e-mail válido',
+      age: 'Digite a idade',
+      ageRange: 'A idade deve estar entre 18 e 45 anos',
+      position: 'Digite a(s) posição(ões)',
+      sizes: {
+        tracksuit_size: 'Escolha um tamanho de agasalho',
+        practice_jersey_size: 'Escolha um tamanho de camisa de treino',
+        shorts_size: 'Escolha um tamanho de calção',
+        socks_size: 'Escolha um tamanho de meião'
+      },
+      waiver: 'Leia e aceite o {title}',
+      playerPrefix: 'Jogador {number}: {message}'
+    },
+    edit: 'Editar',
+    someFailed: 'Não foi possível concluir a inscrição de alguns jogadores — veja os detalhes abaixo. Se tentar de novo, só serão cobrados os jogadores que continuam no formulário.',
+    rosterFull: 'Este elenco está completo — entre na lista de espera, por favor',
+    needsHelp: 'Isso está demorando mais que o normal. Vamos continuar tentando — e retomamos de onde paramos se você voltar a esta página. Se ainda não concluir, escreva para {contact} a partir de {email} e concluiremos para você.',
+    savingPlayer: '{name} — salvando…',
+    success: {
+      titleFull: '🎉 Bem-vindo à temporada {season}!',
+      titleGuest: '🎉 Bem-vindo, jogador convidado!',
+      bankProcessing: 'Seu pagamento bancário de {amount} está sendo processado — pode levar até 4 dias úteis para compensar. Sua vaga está reservada e avisaremos se algo der errado.',
+      paidInFull: 'Seu pagamento de {amount} foi processado! Você está pronto para a temporada.',
+      subscriptions: {
+        one: 'Sua assinatura está ativa! Você será cobrado {amount}/mês por {months} meses.',
+        other: '{count} assinaturas estão ativas! Você será cobrado {amount}/mês no total por {months} meses.'
+      },
+      detailsFull: 'Você tem vaga garantida no elenco e vai receber seu equipamento antes do início da temporada.',
+      detailsGuest: 'Você será escalado para 3-5 jogos conforme a disponibilidade do elenco. Seu equipamento será entregue antes do início da temporada.',
+      personalization: '✓ Nome personalizado incluído no seu agasalho, camisa de treino e mochila!',
+      cta: 'Nos vemos em campo!'
+    },
+    closed: {
+      title: 'As inscrições para {season} estão encerradas',
+      body: 'A temporada {season} já terminou, então não podemos aceitar novas inscrições. Escreva para {contact} para saber quando a próxima temporada abre.'
+    },
+    waitlistJoined: {
+      title: 'Você está na lista de espera de {tier}',
+      body: 'Nada foi cobrado. Se uma vaga abrir para a temporada {season}, enviaremos para {email} um link para garanti-la — você terá {hours} horas antes que ela passe para o próximo jogador.'
+    },
+    summary: {
+      playerFallback: 'Jogador {number}',
+      perMonthShort: '/mês',
+      perMonth: '/mês',
+      oneTime: 'Pagamento único',
+      firstMonth: 'Pagamento do primeiro mês',
+      playerCount: ' ({count} jogadores)',
+      includedFree: '✓ Nome personalizado GRÁTIS (valor de {amount}) •',
+      withEquipment: '{games} + equipamento',
+      thenMonthly: {
+        one: 'Depois {amount}/mês por mais {count} mês •',
+        other: 'Depois {amount}/mês por mais {count} meses •'
+      },
+      discount: '✓ {code}: -{amount}',
+      perPlayer: ' por jogador',
+      youSave: ' (você economiza {amount})'
+    },
+    hero: {
+      title: 'Inscrição temporada {season}',
+      subtitle: 'Jogue pelo Newteam FC na temporada {season}',
+      description: 'A inscrição cobre aluguel de campo, equipamento, camisas de mandante e visitante, arbitragem e inscrição na liga.',
+      commitment: 'Compromisso de {count} meses',
+      equipmentPackage: 'Kit de equipamento:'
+    },
+    form: {
+      title: 'Garanta sua {highlight}',
+      titleHighlight: 'vaga na temporada {season}',
+      subtitle: 'Entre para o nosso time de futebol competitivo na temporada {season}.',
+      offerTitle: '🎉 Uma vaga de {tier} abriu — é sua se quiser!',
+      stepsLabel: 'Etapas da inscrição',
+      stepCaption: 'Etapa {current} de {total}: {label}',
+      chooseType: 'Escolha seu tipo de inscrição',
+      rosterFullJoin: 'Elenco completo • Entre na lista de espera',
+      monthsSummary: '{count} meses • {summary}',
+      tracksuitAlt: 'Agasalho oficial do Newteam FC',
+      teaser: 'Quer {highlight} aqui?',
+      teaserHighlight: 'O SEU NOME',
+      rosterFullTitle: 'O elenco de {tier} está completo',
+      paymentOption: 'Forma de pagamento',
+      totalSuffix: ' no total',
+      monthlyPayments: '{count} pagamentos mensais',
+      promoNotApplicable: '{code} não vale para {tier} com {frequency}.',
+      playerHeading: 'Jogador {number}',
+      paying: ' (pagante)',
+      firstName: 'Nome *',
+      lastName: 'Sobrenome *',
+      email: 'E-mail *',
+      emailPlaceholder: 'Para recibos de pagamento e novidades',
+      age: 'Idade *',
+      position: 'Posição(ões) *',
+      positionPlaceholder: 'Liste todas as posições em que você joga (ex.: meio-campista, zagueiro)',
+      addPlayer: '+ Adicionar outro jogador',
+      equipmentTitle: 'Tamanhos do equipamento *',
+      equipmentTitleFor: '{name} — Tamanhos do equipamento *',
+      equipmentNote: 'Escolha seus tamanhos para o kit de equipamento do time (as camisas de jogo e a mochila são tamanho único)',
+      sizeLabels: {
+        tracksuit_size: 'Tamanho do agasalho *',
+        practice_jersey_size: 'Tamanho da camisa de treino *',
+        shorts_size: 'Tamanho do calção *',
+        socks_size: 'Tamanho do meião *'
+      },
+      selectSize: 'Escolha o tamanho',
+      upsellTitle: '⭐ Adicione seu nome',
+      upsellBody: 'Tenha seu nome impresso no agasalho, na camisa de treino e na mochila',
+      upsellCheckbox: 'Sim, quero meu nome!',
+      includedTitle: '✓ Nome personalizado incluído!',
+      includedBody: 'Seu nome será impresso no agasalho, na camisa de treino e na mochila sem custo extra.',
+      groupConfirm: ' Confirmo que cada jogador listado leu e aceitou este termo.',
+      paymentNote: 'Garanta sua vaga com o pagamento imediato.',
+      back: '← Voltar',
+      next: 'Próximo: {step} →',
+      payInFull: 'PAGAR TUDO - {amount}',
+      startSubscriptions: {
+        one: 'INICIAR ASSINATURA - {amount}/mês',
+        other: 'INICIAR {count} ASSINATURAS - {amount}/mês'
+      },
+      security: '🔒 Pagamento seguro com Stripe • Confirmação imediata'
+    },
+    review: {
+      plan: 'Plano',
+      planLine: '{tier} • temporada {season}',
+      frequencyLine: ' • {frequency} ({count} meses)',
+      waitlistNote: 'Elenco completo — você está entrando na lista de espera. Sem pagar agora.',
+      player: 'Jogador',
+      players: 'Jogadores ({count})',
+      playerDetails: ' • {age} anos • {position}',
+      equipment: 'Equipamento',
+      personalization: ' • ✓ Nome personalizado',
+      agreement: 'Termo',
+      agreed: '✓ Aceitou o {title}'
+    }
+  },
+
+  // Shared by every lead magnet page — each guide's own copy has its own section below
+  leadMagnet: {
+    validation: {
+      firstName: 'Digite seu nome.',
+      lastName: 'Digite seu sobrenome.',
+      email: 'Digite seu e-mail.',
+      emailInvalid: 'Digite um e-mail válido.',
+      source: 'Conte como você nos conheceu.'
+    },
+    sources: {
+      placeholder: 'Escolha uma opção...',
+      'Google Search': 'Pesquisa no Google',
+      'Friend/Teammate': 'Um amigo ou colega de time',
+      Coach: 'Treinador',
+      Other: 'Outro'
+    },
+    backToSite: 'Voltar ao site',
+    sampleCaption: 'Uma amostra do que tem dentro',
+    sendingStatus: 'Enviando seu guia…',
+    sentStatus: 'Você está dentro. Confira seu e-mail para ver o guia.',
+    formTitle: 'Receba o guia',
+    firstName: 'Nome *',
+    firstNamePlaceholder: 'Nome',
+    lastName: 'Sobrenome *',
+    lastNamePlaceholder: 'Sobrenome',
+    email: 'E-mail *',
+    emailPlaceholder: 'voce@exemplo.com',
+    source: 'Como você nos conheceu? *',
+    submit: 'Quero o guia',
+    sending: 'Enviando...',
+    noSpam: 'Sem spam. Cancele quando quiser.',
+    download: 'Baixar o guia',
+    downloadNote: 'O download deve começar automaticamente. Se não começar, use o botão acima.',
+    mainSite: 'Site principal',
+    followUp: {
+      sentTo: 'Enviamos o guia para {email}.',
+      resend: 'Reenviar o guia',
+      resending: 'Reenviando…',
+      resendIn: 'Reenvio disponível em {time}',
+      resent: 'Enviado novamente — aguarde um minuto e confira também Promoções/Spam.',
+      fixEmail: 'E-mail errado? Corrija',
+      newEmail: 'E-mail correto',
+      save: 'Atualizar e reenviar',
+      saving: 'Atualizando…',
+      cancel: 'Cancelar',
+      changed: 'Pronto. O guia está a caminho de {email}.',
+      wait: 'Aguarde {time} antes de tentar novamente.',
+      changeWait: 'Você poderá alterá-lo novamente em {time}.'
+    },
+    referral: {
+      title: 'Traga seus companheiros',
+      body: 'Compartilhe seu link pessoal. Cada jogador que baixar o guia, reservar uma peneira ou se inscrever na temporada por ele conta como seu.',
+      linkLabel: 'Seu link de indicação',
+      copy: 'Copiar',
+      copied: 'Copiado',
+      copiedStatus: 'Link copiado para a área de transferência.',
+      copyFailed: 'Não foi possível copiar automaticamente — selecione o link e copie.',
+      share: 'Compartilhar',
+      whatsapp: 'WhatsApp',
+      sms: 'SMS',
+      email: 'E-mail',
+      statsLink: 'Veja quantos jogadores seu link já trouxe →',
+      stats: {
+        title: 'Suas indicações',
+        titleNamed: 'Indicações de {name}',
+        loading: 'Carregando suas indicações…',
+        signups: 'Downloads do guia',
+        tryouts: 'Peneiras reservadas',
+        seasons: 'Inscrições na temporada',
+        note: 'Cada jogador conta uma vez por lista, mesmo que use seu link várias vezes.'
+      }
+    }
+  },
+  // Winter Protocol guide — see frontend/leadMagnets.js for the keys a guide needs
+  winter: {
+    eyebrow: 'Guia de treino grátis',
+    title: 'Para jogadores cansados de chegar despreparados.',
+    intro: 'Este é o sistema exato que usamos no Newteam FC — o mesmo por trás de 4 títulos em 3 anos. E estamos dando de graça.',
+    contents: '30 dias. 27 exercícios. Calendários semanais. Acompanhamento do seu progresso.',
+    noExcuses: 'Não precisa de academia. Desculpas não são aceitas.',
+    whyFree: 'Por que de graça? Porque este guia é a porta de entrada. Depois que você entrar, vai receber treinos toda semana e conteúdo exclusivo que só compartilho com a lista. Quando chegar à sua próxima peneira na melhor forma da sua vida, vai lembrar onde tudo começou.',
+    shareIt: 'E quando seu colega de time perguntar o que mudou — mande ele para cá.',
+    previewAlt: 'Prévia do guia Winter Protocol',
+    successTitle: 'Você está dentro',
+    successBody: 'Confira sua caixa de entrada. Se não encontrar, procure em Promoções/Spam e mova para a Principal para não perder o que vem por aí.',
+    shareSubject: 'Guia gratuito de treino de inverno de 30 dias do Newteam FC',
+    shareMessage: 'Estou treinando com o Winter Protocol do Newteam FC — 30 dias, 27 exercícios, sem academia. É grátis: {url}'
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * Checkout Payment Methods
+ * Which ways to pay each page offers besides cards — Apple Pay / Google Pay
+ * wallet buttons, Stripe Link, and US bank account (ACH) debit for season
+ * pay-in-full. WordPress localizes the settings as `paymentMethods`
+ * (see payment-processing/payment-methods.php); these defaults match it.
+ */
+
+export const PAYMENT_METHOD_DEFAULTS = {
+  tryout: { wallets: true, link: true, bankDebit: false },
+  season: { wallets: true, link: true, bankDebit: true }
+};
+
+/**
+ * @param {Object} config Runtime config from getRuntimeConfig()
+ * @param {string} page 'tryout' | 'season'
+ * @returns {Object} { wallets, link, bankDebit }
+ */
+export const getPaymentMethodSettings = (config, page) => ({
+  ...PAYMENT_METHOD_DEFAULTS[page],
+  ...(config.paymentMethods?.[page] || {})
+});
+
+/**
+ * Payment Element types — must match newteam_get_payment_method_types() so
+ * the PaymentIntent accepts whatever the player picks
+ *
+ * @param {Object} settings From getPaymentMethodSettings()
+ * @param {Object} [options]
+ * @param {boolean} [options.payInFull] Bank debit is only offered for one-time charges
+ * @returns {string[]} e.g. ['card', 'link', 'us_bank_account']
+ */
+export const getPaymentMethodTypes = (settings, { payInFull = true } = {}) => [
+  'card',
+  ...(settings.link ? ['link'] : []),
+  ...(settings.bankDebit && payInFull ? ['us_bank_account'] : [])
+];
+
+/**
+ * Express Checkout Element buttons, or null when the page shows none
+ *
+ * @param {Object} settings From getPaymentMethodSettings()
+ * @returns {Object|null} paymentMethods option for elements.create('expressCheckout')
+ */
+export const getExpressCheckoutMethods = (settings) => {
+  if (!settings.wallets && !settings.link) return null;
+  const wallet = settings.wallets ? 'auto' : 'never';
+  return {
+    applePay: wallet,
+    googlePay: wallet,
+    link: settings.link ? 'auto' : 'never'
+  };
+};
+
+// ACH debits take a few business days to settle after a successful confirmation
+export const isPaymentProcessing = (status) => status === 'processing';
@@ -0,0 +1,264 @@
+import { getLocale } from './i18n';
+
+/**
+ * Season Pricing Engine
+ * Pure, data-driven quotes for season registration — all amounts in integer cents.
+ *
+ * The catalog's tier + add-on combinations must match the recurring Prices
+ * created in payment-processing/subscription-lifecycle.php:
+ *   Full Season $85 · Full Season + Personalization $98 · Guest $42 · Guest + Personalization $55
+ */
+
+/**
+ * Season catalog
+ *
+ * Add-on rules are evaluated in order; the first rule whose `when` matches
+ * the selection applies its effect:
+ * - 'included_free' — added automatically at no charge
+ * - 'free'          — no charge if the player selects it
+ * - 'unavailable'   — can't be selected
+ */
+export const SEASON_CATALOG = {
+  currency: 'usd',
+  billingMonths: 6,
+  tiers: [
+    {
+      id: 'full_season',
+      label: 'Full Season Player',
+      monthlyCents: 8500,
+      gamesLabel: 'All games',
+      summary: 'Equipment included',
+      highlights: [
+        { text: 'Guaranteed roster spot' },
+        { text: 'All league matches & practices' },
+        { text: 'VEO game footage & highlights' }
+      ]
+    },
+    {
+      id: 'guest',
+      label: 'Guest Player',
+      monthlyCents: 4200,
+      gamesLabel: '3-5 games',
+      summary: '3-5 games • Equipment',
+      variant: 'guest',
+      highlights: [
+        { text: '3-5 games per season', emphasis: true },
+        { text: 'Games assigned based on roster needs' },
+        { text: 'VEO footage for your games' }
+      ]
+    }
+  ],
+  frequencies: [
+    {
+      id: 'monthly',
+      label: 'Monthly Payments',
+      billing: 'recurring'
+    },
+    {
+      id: 'full',
+      label: 'Pay in Full',
+      billing: 'upfront',
+      tagline: '⭐ FREE name personalization!'
+    }
+  ],
+  addOns: [
+    {
+      id: 'name_personalization',
+      label: 'Name Personalization',
+      monthlyCents: 1300,
+      rules: [
+        { when: { frequency: 'full' }, effect: 'included_free' }
+      ]
+    }
+  ]
+};
+
+const ruleMatches = (when, context) =>
+  Object.entries(when).every(([key, value]) =>
+    Array.isArray(value) ? value.includes(context[key]) : context[key] === value
+  );
+
+export const findTier = (catalog, tierId) =>
+  catalog.tiers.find(tier => tier.id === tierId) || catalog.tiers[0];
+
+export const findFrequency = (catalog, frequencyId) =>
+  catalog.frequencies.find(frequency => frequency.id === frequencyId) || catalog.frequencies[0];
+
+/**
+ * Build an itemized quote for one selection
+ *
+ * @param {Object} catalog Pricing catalog (e.g. SEASON_CATALOG)
+ * @param {Object} selection
+ * @param {string} selection.tierId Tier ID ('full_season' | 'guest')
+ * @param {string} selection.frequency Frequency ID ('monthly' | 'full')
+ * @param {string[]} [selection.addOnIds] Add-ons the player opted into
+ * @returns {Object} Quote with lineItems and monthly/total/dueNow/recurring/savings in cents
+ */
+export const buildQuote = (catalog, { tierId, frequency, addOnIds = [] }) => {
+  const tier = findTier(catalog, tierId);
+  const billing = findFrequency(catalog, frequency);
+  const months = catalog.billingMonths;
+  const context = { tier: tier.id, frequency: billing.id };
+
+  const lineItems = [{
+    id: tier.id,
+    type: 'tier',
+    label: tier.label,
+    unitMonthlyCents: tier.monthlyCents,
+    monthlyCents: tier.monthlyCents,
+    totalCents: tier.monthlyCents * months,
+    free: false
+  }];
+
+  const addOns = {};
+  let savingsCents = 0;
+
+  catalog.addOns.forEach(addOn => {
+    const rule = (addOn.rules || []).find(r => ruleMatches(r.when, context));
+    const effect = rule ? rule.effect : null;
+    const available = effect !== 'unavailable';
+    const selected = available && (effect === 'included_free' || addOnIds.includes(addOn.id));
+    const free = selected && (effect === 'included_free' || effect === 'free');
+
+    addOns[addOn.id] = { available, selected, free, included: effect === 'included_free', monthlyCents: addOn.monthlyCents };
+
+    if (!selected) return;
+
+    const monthlyCents = free ? 0 : addOn.monthlyCents;
+    if (free) {
+      savingsCents += addOn.monthlyCents * months;
+    }
+
+    lineItems.push({
+      id: addOn.id,
+      type: 'addOn',
+      label: addOn.label,
+      unitMonthlyCents: addOn.monthlyCents,
+      monthlyCents,
+      totalCents: monthlyCents * months,
+      free
+    });
+  });
+
+  const monthlyCents = lineItems.reduce((sum, item) => sum + item.monthlyCents, 0);
+  const totalCents = monthlyCents * months;
+  const isPayingInFull = billing.billing === 'upfront';
+
+  return {
+    tier,
+    frequency: billing,
+    billingMonths: months,
+    currency: catalog.currency,
+    isPayingInFull,
+    lineItems,
+    addOns,
+    monthlyCents,
+    totalCents,
+    dueNowCents: isPayingInFull ? totalCents : monthlyCents,
+    recurringCents: isPayingInFull ? 0 : monthlyCents,
+    savingsCents
+  };
+};
+
+// Stripe won't charge less than $0.50 — discounts stop there
+export const STRIPE_MINIMUM_CENTS = 50;
+
+/**
+ * Whether a validated promo (from validate_promo_code) covers a selection —
+ * empty tiers/frequencies lists mean no restriction
+ */
+export const promoAppliesTo = (promo, { tierId, frequency } = {}) => {
+  if (!promo) return false;
+  if (tierId && promo.tiers?.length > 0 && !promo.tiers.includes(tierId)) return false;
+  if (frequency && promo.frequencies?.length > 0 && !promo.frequencies.includes(frequency)) return false;
+  return true;
+};
+
+/**
+ * Cents off one charge — mirrors newteam_get_promo_discount_cents() in
+ * payment-processing/promo-codes.php
+ */
+export const getPromoDiscountCents = (amountCents, promo) => {
+  if (!promo) return 0;
+  const discount = promo.type === 'percent'
+    ? Math.round(amountCents * promo.value / 100)
+    : parseInt(promo.value, 10);
+  return Math.max(Math.min(discount, amountCents - STRIPE_MINIMUM_CENTS), 0);
+};
+
+/**
+ * Apply a promo to a season quote
+ *
+ * The discount comes off every charge: the single upfront payment, or each
+ * monthly payment (the Stripe coupon runs for the whole subscription).
+ * monthlyCents/totalCents stay at list price; dueNowCents/recurringCents
+ * and discountedTotalCents are what the player pays.
+ *
+ * @returns {Object} Quote plus discount ({ code, description, perChargeCents, totalCents } | null)
+ */
+export const applyPromoToQuote = (quote, promo) => {
+  const applies = promoAppliesTo(promo, { tierId: quote.tier.id, frequency: quote.frequency.id });
+  if (!applies) {
+    return { ...quote, discount: null, discountedTotalCents: quote.totalCents };
+  }
+
+  const chargeCents = quote.isPayingInFull ? quote.totalCents : quote.monthlyCents;
+  const perChargeCents = getPromoDiscountCents(chargeCents, promo);
+  const charges = quote.isPayingInFull ? 1 : quote.billingMonths;
+
+  return {
+    ...quote,
+    dueNowCents: quote.dueNowCents - perChargeCents,
+    recurringCents: quote.isPayingInFull ? 0 : quote.recurringCents - perChargeCents,
+    discountedTotalCents: quote.totalCents - perChargeCents * charges,
+    discount: {
+      code: promo.code,
+      description: promo.description,
+      perChargeCents,
+      totalCents: perChargeCents * charges
+    }
+  };
+};
+
+/**
+ * Combine per-player quotes into group totals for a multi-player checkout
+ *
+ * @param {Object[]} quotes One quote per player (same tier + frequency)
+ * @returns {Object} Summed monthly/total/dueNow/recurring/discountedTotal/savings/discount cents
+ */
+export const sumQuotes = (quotes) => {
+  const sum = (pick) => quotes.reduce((total, quote) => total + pick(quote), 0);
+
+  return {
+    playerCount: quotes.length,
+    monthlyCents: sum(quote => quote.monthlyCents),
+    totalCents: sum(quote => quote.totalCents),
+    dueNowCents: sum(quote => quote.dueNowCents),
+    recurringCents: sum(quote => quote.recurringCents),
+    discountedTotalCents: sum(quote => quote.discountedTotalCents ?? quote.totalCents),
+    savingsCents: sum(quote => quote.savingsCents),
+    discountCents: sum(quote => (quote.discount ? quote.discount.totalCents : 0))
+  };
+};
+
+/**
+ * Format integer cents as a dollar string in the active language —
+ * '$85', '$85.50', 'US$ 85,50'
+ */
+export const formatCents = (cents) => {
+  const dollars = cents / 100;
+  const fractionDigits = Number.isInteger(dollars) ? 0 : 2;
+  return new Intl.NumberFormat(getLocale(), {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits
+  }).format(dollars);
+};
+
+/**
+ * Integer cents → dollar amount for AJAX params the PHP handlers read as dollars
+ */
+export const centsToDollars = (cents) => cents / 100;
+
+export default buildQuote;
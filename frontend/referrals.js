@@ -0,0 +1,83 @@
+/**
+ * Referrals
+ * Every lead magnet subscriber gets a personal link (?ref=<code>) to
+ * share with teammates. The code a visitor arrives with is kept in
+ * localStorage, so a friend who opens the link today and registers for the
+ * season next week still credits the player who sent it.
+ *
+ * Sent as `ref` with process_lead_magnet_signup,
+ * process_tryout_registration and process_season_registration (see
+ * lead-capture/referral-handler.php). A referrer checks their totals on
+ * ?ref_stats=<code> (see useReferralStats.js).
+ */
+
+export const REFERRAL_PARAM = 'ref';
+export const REFERRAL_STATS_PARAM = 'ref_stats';
+
+const STORAGE_KEY = 'newteam_referral';
+
+// The most recent link wins; forgotten after this long
+const REFERRAL_TTL = 60 * 24 * 60 * 60 * 1000;
+
+// Same rule as newteam_sanitize_referral_code()
+const normalizeCode = (raw) => (raw || '').toLowerCase().replace(/[^a-z0-9-]/g, '').slice(0, 32);
+
+/**
+ * Keep the ?ref= code this page load arrived with — call once when a page mounts
+ */
+export const captureReferral = () => {
+  if (typeof window === 'undefined') return;
+  const code = normalizeCode(new URLSearchParams(window.location.search).get(REFERRAL_PARAM));
+  if (!code) return;
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ code, captured_at: Date.now() }));
+  } catch (e) {
+    // Storage blocked — the signup still goes through, just uncredited
+  }
+};
+
+/**
+ * Referral code to send with a signup or registration
+ *
+ * @returns {string|undefined} undefined when there's none (ajaxClient drops undefined params)
+ */
+export const getReferralCode = () => {
+  if (typeof window === 'undefined') return undefined;
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    if (!stored || Date.now() - stored.captured_at > REFERRAL_TTL) return undefined;
+    return stored.code;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+const pageUrl = (param, code) => {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(param, code);
+  return url.toString();
+};
+
+/**
+ * The subscriber's shareable link — this page with their code
+ */
+export const buildReferralUrl = (code) => pageUrl(REFERRAL_PARAM, code);
+
+/**
+ * Where the referrer checks how many signups and registrations the link drove
+ */
+export const buildReferralStatsUrl = (code) => pageUrl(REFERRAL_STATS_PARAM, code);
+
+/**
+ * One-tap share targets for a message that already contains the link
+ *
+ * @param {string} message Text including the referral URL
+ * @param {string} subject Email subject
+ * @returns {Object} { whatsapp, sms, email } hrefs
+ */
+export const buildShareLinks = (message, subject) => ({
+  whatsapp: `https://wa.me/?text=${encodeURIComponent(message)}`,
+  sms: `sms:?&body=${encodeURIComponent(message)}`,
+  email: `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(message)}`
+});
@@ -0,0 +1,172 @@
+/**
+ * Runtime Configuration Loader
+ * Merges the globals WordPress injects via wp_localize_script() into one
+ * validated config object shared by every page.
+ *
+ * Sources (first non-empty value wins):
+ * - window.newteamSeasonConfig  (season-registration template)
+ * - window.newteamConfig        (tryout template)
+ * - window.NEWTEAM_DATA / window.newteamData  (lead magnet templates, e.g. winter-protocol)
+ */
+
+const DEFAULT_AJAX_URL = '/wp-admin/admin-ajax.php';
+
+// Where players are sent when a registration needs a hand — the address the club's emails sign off with
+const DEFAULT_CONTACT_EMAIL = 'goal@newteamfc.com';
+
+// Keys each page can't work without — checked by validateRuntimeConfig()
+const REQUIRED_KEYS = {
+  tryout: ['stripePublishableKey', 'ajaxUrl', 'themeUri', 'nonces.tryout'],
+  season: ['stripePublishableKey', 'ajaxUrl', 'themeUri', 'nonces.season'],
+  leadMagnet: ['ajaxUrl', 'themeUri', 'nonces.leadMagnet']
+};
+
+// Providers useBotProtection() can load (see botProtection.js)
+const BOT_PROTECTION_PROVIDER_IDS = ['recaptcha_v2', 'recaptcha_v3', 'turnstile', 'none'];
+
+const readSources = () => {
+  if (typeof window === 'undefined') return [];
+  return [
+    window.newteamSeasonConfig,
+    window.newteamConfig,
+    window.NEWTEAM_DATA || window.newteamData
+  ].filter(Boolean);
+};
+
+const pick = (sources, ...keys) => {
+  for (const source of sources) {
+    for (const key of keys) {
+      if (source[key]) return source[key];
+    }
+  }
+  return '';
+};
+
+const getPath = (config, path) => path.split('.').reduce((value, key) => value?.[key], config);
+
+/**
+ * Stripe key mode — 'test', 'live', or 'unknown' for missing/malformed keys
+ */
+export const getStripeMode = (publishableKey) => {
+  if (/^pk_test_/.test(publishableKey)) return 'test';
+  if (/^pk_live_/.test(publishableKey)) return 'live';
+  return 'unknown';
+};
+
+/**
+ * Development builds always show the diagnostics banner; WordPress can also
+ * force it with `debug: true` in any of the localized config objects.
+ */
+export const isDevelopment = (config) => {
+  if (config?.debug) return true;
+  try {
+    return process.env.NODE_ENV !== 'production';
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Bot-protection settings from newteam_get_bot_protection_client_config(),
+ * or the reCAPTCHA v2 checkbox on templates that still localize only
+ * `recaptchaSiteKey`
+ */
+const readBotProtection = (sources) => {
+  const botProtection = pick(sources, 'botProtection');
+  if (botProtection) {
+    return { provider: botProtection.provider || 'none', siteKey: botProtection.siteKey || '' };
+  }
+
+  const recaptchaSiteKey = pick(sources, 'recaptchaSiteKey');
+  return recaptchaSiteKey
+    ? { provider: 'recaptcha_v2', siteKey: recaptchaSiteKey }
+    : { provider: 'none', siteKey: '' };
+};
+
+/**
+ * Build the normalized config from whatever globals are on the page
+ *
+ * @returns {Object} { stripePublishableKey, stripeMode, ajaxUrl, siteUrl, themeUri,
+ *                     botProtection: { provider, siteKey }, seasonId, tryoutSessions,
+ *                     seasonAvailability, paymentMethods, analytics, contactEmail,
+ *                     nonces: { season, tryout, leadMagnet }, debug }
+ */
+export const loadRuntimeConfig = () => {
+  const sources = readSources();
+  const leadMagnetData = typeof window !== 'undefined' ? (window.NEWTEAM_DATA || window.newteamData || {}) : {};
+  const stripePublishableKey = pick(sources, 'stripePublishableKey');
+
+  return {
+    stripePublishableKey,
+    stripeMode: getStripeMode(stripePublishableKey),
+    ajaxUrl: pick(sources, 'ajaxUrl') || DEFAULT_AJAX_URL,
+    siteUrl: pick(sources, 'siteUrl'),
+    themeUri: pick(sources, 'themeUri', 'themeUrl'),
+    botProtection: readBotProtection(sources),
+    seasonId: pick(sources, 'seasonId'),
+    // null when not localized — an empty list means no sessions are scheduled
+    tryoutSessions: pick(sources, 'tryoutSessions') || null,
+    seasonAvailability: pick(sources, 'seasonAvailability') || {},
+    paymentMethods: pick(sources, 'paymentMethods') || {},
+    analytics: pick(sources, 'analytics') || {},
+    contactEmail: pick(sources, 'contactEmail') || DEFAULT_CONTACT_EMAIL,
+    nonces: {
+      season: pick(sources, 'seasonNonce'),
+      tryout: pick(sources, 'tryoutNonce'),
+      // The winter-protocol template localizes its nonce under the generic 'nonce' key
+      leadMagnet: leadMagnetData.leadMagnetNonce || leadMagnetData.winterProtocolNonce || leadMagnetData.nonce || ''
+    },
+    debug: Boolean(pick(sources, 'debug'))
+  };
+};
+
+/**
+ * Check a config against one page's required keys
+ *
+ * @param {Object} config Result of loadRuntimeConfig()
+ * @param {string} page 'tryout' | 'season' | 'leadMagnet'
+ * @returns {Object} { missing: string[], warnings: string[] }
+ */
+export const validateRuntimeConfig = (config, page) => {
+  const missing = (REQUIRED_KEYS[page] || []).filter(path => !getPath(config, path));
+  const warnings = [];
+
+  if (config.stripePublishableKey && config.stripeMode === 'unknown') {
+    warnings.push('stripePublishableKey does not look like a Stripe publishable key (pk_test_/pk_live_).');
+  }
+
+  const isLocalHost = typeof window !== 'undefined' && /^(localhost|127\.0\.0\.1|.*\.local)$/.test(window.location.hostname);
+  if (config.stripeMode === 'test' && !isLocalHost && !isDevelopment(config)) {
+    warnings.push('Stripe is in TEST mode on a public host — no real payments will be collected.');
+  }
+  if (config.stripeMode === 'live' && isLocalHost) {
+    warnings.push('Stripe is in LIVE mode on a local host — real cards will be charged.');
+  }
+
+  const { provider, siteKey } = config.botProtection || {};
+  if (!BOT_PROTECTION_PROVIDER_IDS.includes(provider)) {
+    warnings.push(`botProtection.provider "${provider}" is not one of ${BOT_PROTECTION_PROVIDER_IDS.join(', ')} — no challenge will render.`);
+  } else if (provider !== 'none' && !siteKey) {
+    warnings.push(`botProtection.siteKey missing for ${provider} — no challenge will render.`);
+  }
+
+  if (config.ajaxUrl === DEFAULT_AJAX_URL && !pick(readSources(), 'ajaxUrl')) {
+    warnings.push(`ajaxUrl not provided — falling back to ${DEFAULT_AJAX_URL}.`);
+  }
+
+  return { missing, warnings };
+};
+
+let cachedConfig = null;
+
+/**
+ * Config for the current page load (globals are set before the bundle runs)
+ */
+export const getRuntimeConfig = () => {
+  if (!cachedConfig) {
+    cachedConfig = loadRuntimeConfig();
+  }
+  return cachedConfig;
+};
+
+export default getRuntimeConfig;
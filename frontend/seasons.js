@@ -0,0 +1,108 @@
+import { SEASON_CATALOG } from './pricing';
+import { t, tList } from './i18n';
+import { parseClubTime } from './clubTime';
+
+/**
+ * Season Definitions
+ * Everything season-specific on SeasonRegistrationPage — name, dates, billing
+ * length, equipment package and commitment agreement. Launching a new season
+ * means adding an entry here (and in payment-processing/season-definitions.php)
+ * and pointing WordPress' seasonId at it.
+ *
+ * Equipment and waiver copy come from the seasonTerms messages in ./locales,
+ * so they render in the player's language; a season that needs its own sets
+ * `equipment` / `waiver` on its entry instead. Waiver text may use {season} —
+ * replaced with the season name at render time.
+ */
+
+export const SEASONS = [
+  {
+    id: 'spring_2026',
+    name: 'Spring 2026',
+    startDate: '2026-03-01',
+    endDate: '2026-08-31',
+    billingMonths: 6
+  }
+];
+
+export const DEFAULT_SEASON_ID = 'spring_2026';
+
+const getSeasonWaiver = () => ({
+  title: t('seasonTerms.waiver.title'),
+  intro: t('seasonTerms.waiver.intro'),
+  sections: tList('seasonTerms.waiver.sections'),
+  acknowledgement: t('seasonTerms.waiver.acknowledgement')
+});
+
+/**
+ * Look up a season by ID, falling back to the default season, with its
+ * equipment and waiver in the active language
+ */
+export const getSeason = (seasonId) => {
+  const season = SEASONS.find(entry => entry.id === seasonId) ||
+    SEASONS.find(entry => entry.id === DEFAULT_SEASON_ID);
+
+  return {
+    ...season,
+    equipment: season.equipment || tList('seasonTerms.equipment'),
+    waiver: season.waiver || getSeasonWaiver()
+  };
+};
+
+/**
+ * Pricing catalog with the season's billing length applied and its labels
+ * in the active language — the English labels in SEASON_CATALOG are the
+ * fallback for anything untranslated
+ */
+export const getSeasonCatalog = (season) => ({
+  ...SEASON_CATALOG,
+  billingMonths: season.billingMonths,
+  tiers: SEASON_CATALOG.tiers.map(tier => {
+    const key = `catalog.tiers.${tier.id}`;
+    const highlights = tList(`${key}.highlights`);
+    return {
+      ...tier,
+      label: t(`${key}.label`, { defaultValue: tier.label }),
+      gamesLabel: t(`${key}.gamesLabel`, { defaultValue: tier.gamesLabel }),
+      summary: t(`${key}.summary`, { defaultValue: tier.summary }),
+      highlights: tier.highlights.map((highlight, index) => ({ ...highlight, text: highlights[index] ?? highlight.text }))
+    };
+  }),
+  frequencies: SEASON_CATALOG.frequencies.map(frequency => ({
+    ...frequency,
+    label: t(`catalog.frequencies.${frequency.id}.label`, { defaultValue: frequency.label }),
+    ...(frequency.tagline && {
+      tagline: t(`catalog.frequencies.${frequency.id}.tagline`, { defaultValue: frequency.tagline })
+    })
+  })),
+  addOns: SEASON_CATALOG.addOns.map(addOn => ({
+    ...addOn,
+    label: t(`catalog.addOns.${addOn.id}.label`, { defaultValue: addOn.label })
+  }))
+});
+
+/**
+ * Whether a season still takes registrations — until the end of its endDate,
+ * club time (mirrors newteam_season_is_open())
+ */
+export const isSeasonOpen = (season, now = new Date()) => now <= parseClubTime(season.endDate, '23:59:59');
+
+/**
+ * Roster availability for one tier from the `seasonAvailability` map WordPress
+ * localizes ({ [tierId]: { capacity, spots_taken } }) — capacity 0 = unlimited
+ */
+export const getTierAvailability = (availability, tierId) => {
+  const entry = (availability && availability[tierId]) || {};
+  const capacity = parseInt(entry.capacity ?? 0, 10);
+  const spotsTaken = parseInt(entry.spots_taken ?? 0, 10);
+  const spotsRemaining = capacity > 0 ? Math.max(capacity - spotsTaken, 0) : null;
+
+  return { capacity, spotsTaken, spotsRemaining, isFull: spotsRemaining === 0 };
+};
+
+/**
+ * Replace {season} placeholders in season copy
+ */
+export const fillSeasonText = (text, season) => text.replace(/\{season\}/g, season.name);
+
+export default getSeason;
@@ -0,0 +1,88 @@
+import { AjaxError } from './ajaxClient';
+import { t } from './i18n';
+
+/**
+ * Subscription Checkout
+ * Monthly season checkout creates each subscription with its first invoice
+ * charged straight away. create_season_subscription,
+ * retry_season_subscription_payment and get_season_subscription_status all
+ * answer with the subscription's checkout `state`
+ * (see newteam_get_season_subscription_checkout_state()):
+ *
+ * - 'active'                  registered next
+ * - 'processing'              paid — poll until Stripe marks it active
+ * - 'requires_action'         3D Secure, then poll
+ * - 'requires_payment_method' declined — retry with another card on the SAME subscription
+ * - 'expired'                 never paid in time — the next attempt starts a new subscription
+ *
+ * A player is only registered once their subscription is 'active'.
+ */
+
+const STATUS_POLL_DELAY = 1500;
+const STATUS_POLL_ATTEMPTS = 8;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until Stripe marks a paid subscription active
+ *
+ * @param {Object} api Client from createAjaxClient()
+ * @param {Object} subscription Latest checkout state { subscription_id, customer_id, state }
+ * @param {string} payerEmail Email the subscription's customer was created for
+ * @returns {Promise<Object>} The 'active' checkout state
+ * @throws {AjaxError} 'server' with the state in data when it was declined or expired,
+ *                     'timeout' when it's still processing — the charge may yet go through
+ */
+export const waitForActiveSubscription = async (api, subscription, payerEmail) => {
+  let current = subscription;
+
+  for (let attempt = 0; current.state !== 'active'; attempt++) {
+    if (attempt >= STATUS_POLL_ATTEMPTS) {
+      throw new AjaxError('timeout', t('payment.stillConfirming'), {
+        action: 'get_season_subscription_status',
+        data: current
+      });
+    }
+
+    await wait(STATUS_POLL_DELAY);
+    try {
+      current = await api.getSeasonSubscriptionStatus({
+        subscription_id: subscription.subscription_id,
+        payer_email: payerEmail
+      });
+    } catch (err) {
+      // Declined or expired comes back as a rejection carrying the state
+      if (err instanceof AjaxError && err.data?.state) throw err;
+      // A failed poll says nothing new — only a fresh response can ask for another challenge
+      current = { ...current, state: 'processing', requires_action: false };
+    }
+
+    // Authentication already ran on this page — a new challenge means the card needs replacing
+    if (current.requires_action) {
+      throw new AjaxError('server', t('payment.authRetry'), {
+        action: 'get_season_subscription_status',
+        data: { ...current, state: 'requires_payment_method' }
+      });
+    }
+  }
+
+  return current;
+};
+
+/**
+ * The incomplete subscription a failed attempt left behind, so the next try
+ * pays its first invoice instead of creating another subscription
+ *
+ * @param {Error} error Why the player's payment failed
+ * @param {Object|null} subscription Checkout state the attempt had reached, if any
+ * @returns {Object|null} { subscription_id, customer_id }, null when it expired or none was created
+ */
+export const getRetryableSubscription = (error, subscription = null) => {
+  const failedState = error instanceof AjaxError ? error.data : null;
+  if (failedState?.state === 'expired') return null;
+
+  const source = failedState?.subscription_id ? failedState : subscription;
+  if (!source?.subscription_id) return null;
+
+  return { subscription_id: source.subscription_id, customer_id: source.customer_id };
+};
@@ -0,0 +1,101 @@
+import { formatCents } from './pricing';
+import { t, formatDate } from './i18n';
+import { CLUB_TIME_ZONE, parseClubTime } from './clubTime';
+
+/**
+ * Tryout Sessions
+ * Normalizes the session list WordPress localizes as `tryoutSessions`
+ * (see payment-processing/tryout-sessions.php) and answers the questions
+ * TryoutPage asks of it: which sessions are open, how many spots are left,
+ * and how long until the next one.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Used when WordPress doesn't localize a list — mirrors the PHP default
+export const DEFAULT_TRYOUT_SESSIONS = [
+  {
+    id: 'august_9',
+    date: '2025-08-09',
+    time: '',
+    timeZone: CLUB_TIME_ZONE,
+    location: '',
+    priceCents: 1500,
+    capacity: 0,
+    spotsTaken: 0
+  }
+];
+
+/**
+ * Coerce one raw session (snake_case from PHP or camelCase) into a known shape
+ * capacity 0 means unlimited.
+ */
+export const normalizeSession = (raw) => ({
+  id: String(raw.id),
+  date: raw.date,
+  time: raw.time || '',
+  timeZone: raw.timeZone || raw.time_zone || CLUB_TIME_ZONE,
+  location: raw.location || '',
+  priceCents: parseInt(raw.priceCents ?? raw.price_cents ?? 1500, 10),
+  capacity: parseInt(raw.capacity ?? 0, 10),
+  spotsTaken: parseInt(raw.spotsTaken ?? raw.spots_taken ?? 0, 10)
+});
+
+/**
+ * Sessions sorted by start — an empty list from WordPress stays empty
+ * (nothing scheduled); only a missing one falls back to the default
+ */
+export const loadTryoutSessions = (rawSessions) => {
+  const list = Array.isArray(rawSessions) ? rawSessions : DEFAULT_TRYOUT_SESSIONS;
+  return list
+    .map(normalizeSession)
+    .sort((a, b) => getSessionStart(a) - getSessionStart(b));
+};
+
+/**
+ * Session start — date and time are wall clock in the session's time zone,
+ * so a visitor in another zone sees the same start and countdown
+ */
+export const getSessionStart = (session) => parseClubTime(session.date, session.time, session.timeZone);
+
+export const getSessionStatus = (session, now = new Date()) => {
+  const start = getSessionStart(session);
+  const isPast = start.getTime() <= now.getTime();
+  const spotsRemaining = session.capacity > 0 ? Math.max(session.capacity - session.spotsTaken, 0) : null;
+  const isFull = spotsRemaining === 0;
+
+  return {
+    isPast,
+    isFull,
+    isOpen: !isPast && !isFull,
+    spotsRemaining,
+    daysRemaining: Math.max(Math.ceil((start.getTime() - now.getTime()) / DAY_MS), 0)
+  };
+};
+
+export const getNextOpenSession = (sessions, now = new Date()) =>
+  sessions.find(session => getSessionStatus(session, now).isOpen) || null;
+
+export const formatSessionDate = (session) =>
+  formatDate(getSessionStart(session), { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: session.timeZone });
+
+/**
+ * Picker label — 'Saturday, August 9, 2025 · 10:00 AM EDT - $15 (4 spots left)'
+ */
+export const formatSessionLabel = (session, now = new Date()) => {
+  const status = getSessionStatus(session, now);
+  const time = session.time
+    ? ` · ${formatDate(getSessionStart(session), { hour: 'numeric', minute: '2-digit', timeZone: session.timeZone, timeZoneName: 'short' })}`
+    : '';
+  let availability = '';
+
+  if (status.isPast) {
+    availability = ` (${t('sessions.closed')})`;
+  } else if (status.isFull) {
+    availability = ` (${t('sessions.full')})`;
+  } else if (status.spotsRemaining !== null) {
+    availability = ` (${t('sessions.spotsLeft', { count: status.spotsRemaining })})`;
+  }
+
+  return `${formatSessionDate(session)}${time} - ${formatCents(session.priceCents)}${availability}`;
+};
@@ -0,0 +1,33 @@
+import { useEffect, useRef } from 'react';
+import { track, EVENTS } from './analytics';
+
+/**
+ * Funnel Analytics Hook
+ * Sends the page view once on mount and tags every event with the page's
+ * flow, so reports can line the three funnels up side by side.
+ *
+ * @param {string} flow 'tryout' | 'season' | a lead magnet ID, e.g. 'winter_protocol'
+ * @returns {Object} {
+ *   track,      (event, params) => void — params get { flow } added
+ *   formStart,  () => void — first interaction with the form; only the first call counts
+ * }
+ */
+const useAnalytics = (flow) => {
+  const hasStarted = useRef(false);
+
+  useEffect(() => {
+    track(EVENTS.PAGE_VIEW, { flow, page_path: window.location.pathname });
+  }, [flow]);
+
+  const trackEvent = (event, params = {}) => track(event, { flow, ...params });
+
+  const formStart = () => {
+    if (hasStarted.current) return;
+    hasStarted.current = true;
+    trackEvent(EVENTS.FORM_START);
+  };
+
+  return { track: trackEvent, formStart };
+};
+
+export default useAnalytics;
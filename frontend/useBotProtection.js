@@ -0,0 +1,147 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { t } from './i18n';
+import { getBotProtectionProvider, HONEYPOT_FIELD } from './botProtection';
+
+/**
+ * Bot Protection Hook
+ * Loads the configured challenge provider when the form first renders and
+ * collects what the server checks on submit: the provider token, the
+ * honeypot field and how many seconds the form has been open.
+ *
+ * Like useStripePaymentElement, the widget mounts through a callback ref,
+ * so it appears whenever the container renders — including on the last
+ * step of a wizard.
+ *
+ * @param {Object} options
+ * @param {Object} options.config `botProtection` from getRuntimeConfig() — { provider, siteKey }
+ * @param {string} options.action Form action from BOT_ACTIONS
+ * @param {string} [options.language] Widget language
+ * @returns {Object} containerRef, honeypot, setHoneypot, status, error, interactive,
+ *                   isComplete, retry, reset and getParams
+ */
+const useBotProtection = ({ config, action, language = 'en' }) => {
+  const provider = getBotProtectionProvider(config);
+  const siteKey = config?.siteKey;
+  const [status, setStatus] = useState(provider ? 'loading' : 'disabled'); // 'disabled' | 'loading' | 'ready' | 'failed'
+  const [error, setError] = useState('');
+  const [container, setContainer] = useState(null);
+  const [token, setToken] = useState('');
+  const [honeypot, setHoneypot] = useState('');
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const widgetIdRef = useRef(null);
+  const openedAtRef = useRef(Date.now());
+
+  // Language only matters for the first load — the script can't switch afterwards
+  const languageRef = useRef(language);
+  languageRef.current = language;
+
+  const containerRef = useCallback((node) => setContainer(node), []);
+
+  // Load the provider script (again, after retry())
+  useEffect(() => {
+    if (!provider) return;
+
+    let cancelled = false;
+    setStatus('loading');
+    setError('');
+
+    provider.load({ siteKey, language: languageRef.current })
+      .then(() => {
+        if (!cancelled) setStatus('ready');
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setError(t('botProtection.loadFailed'));
+        setStatus('failed');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, siteKey, loadAttempt]);
+
+  // Render the widget once the script is ready and the container exists
+  useEffect(() => {
+    if (status !== 'ready' || !provider?.interactive || !container) return;
+
+    try {
+      widgetIdRef.current = provider.render(container, {
+        siteKey,
+        action,
+        language: languageRef.current,
+        onToken: setToken
+      });
+    } catch (err) {
+      setError(t('botProtection.loadFailed'));
+      setStatus('failed');
+      return;
+    }
+
+    return () => {
+      provider.remove(widgetIdRef.current);
+      widgetIdRef.current = null;
+      setToken('');
+    };
+  }, [provider, status, container, siteKey, action]);
+
+  /**
+   * Whether the form can be submitted — false while a widget is unanswered
+   * or the provider failed to load
+   */
+  const isComplete = () => {
+    if (status === 'disabled') return true;
+    if (status !== 'ready') return false;
+    return provider.interactive ? Boolean(token) : true;
+  };
+
+  /**
+   * Fields to post with the form action
+   *
+   * @returns {Promise<Object>} { bot_token, company_website, form_elapsed } — rejects
+   *                            with a player-facing message if no token can be produced
+   */
+  const getParams = async () => {
+    const params = {
+      [HONEYPOT_FIELD]: honeypot,
+      form_elapsed: Math.round((Date.now() - openedAtRef.current) / 1000)
+    };
+
+    if (!provider) return params;
+    if (provider.interactive) return { ...params, bot_token: token };
+
+    try {
+      return { ...params, bot_token: await provider.getToken({ siteKey, action }) };
+    } catch (err) {
+      // Shown with a retry until the provider loads again
+      setError(t('botProtection.loadFailed'));
+      setStatus('failed');
+      throw new Error(t('botProtection.loadFailed'));
+    }
+  };
+
+  /**
+   * Clear an answered widget — after the server rejects its token, or once
+   * the form has gone through
+   */
+  const reset = () => {
+    if (provider?.interactive && widgetIdRef.current !== null) {
+      provider.reset(widgetIdRef.current);
+    }
+    setToken('');
+  };
+
+  return {
+    containerRef,
+    honeypot,
+    setHoneypot,
+    status,
+    error,
+    interactive: Boolean(provider?.interactive),
+    isComplete,
+    retry: () => setLoadAttempt(n => n + 1),
+    reset,
+    getParams
+  };
+};
+
+export default useBotProtection;
@@ -0,0 +1,78 @@
+import { useState, useRef } from 'react';
+import { isOutcomeUnknown } from './ajaxClient';
+
+/**
+ * Checkout Attempt Hook
+ * Submission lock + idempotency key for one checkout form session.
+ *
+ * The key is generated once and kept in sessionStorage, so a double submit, a
+ * retry after a network blip or a reload all send the same `idempotency_key`
+ * and the PHP handlers answer with the intent or subscription the first
+ * request created (see payment-processing/checkout-attempts.php).
+ *
+ * The key only rotates once an attempt has a known outcome — paid, declined
+ * or rejected — so the next checkout can start fresh with another card.
+ */
+
+const STORAGE_PREFIX = 'newteam_checkout_key:';
+
+export const createIdempotencyKey = () => {
+  if (typeof window !== 'undefined' && window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+};
+
+const storeKey = (page, key) => {
+  try {
+    window.sessionStorage.setItem(STORAGE_PREFIX + page, key);
+  } catch (e) {
+    // Private mode — the key still covers double submits and retries until a reload
+  }
+  return key;
+};
+
+const loadKey = (page) => {
+  try {
+    const saved = window.sessionStorage.getItem(STORAGE_PREFIX + page);
+    if (saved) return saved;
+  } catch (e) {
+    // Fall through to a new key
+  }
+  return storeKey(page, createIdempotencyKey());
+};
+
+/**
+ * @param {string} page 'tryout' | 'season' — storage key suffix
+ * @returns {Object} {
+ *   key,      idempotency key for the current attempt
+ *   lock,     () => boolean — false when a submission is already running (ignore the click)
+ *   unlock,   () => void — nothing reached the payment handlers; keep the key
+ *   settle    (error?) => void — a payment request ran: unlock, and rotate the key unless
+ *             the error leaves the charge unknown
+ * }
+ */
+const useCheckoutAttempt = (page) => {
+  const [key, setKey] = useState(() => loadKey(page));
+  const lockedRef = useRef(false);
+
+  const lock = () => {
+    if (lockedRef.current) return false;
+    lockedRef.current = true;
+    return true;
+  };
+
+  const unlock = () => {
+    lockedRef.current = false;
+  };
+
+  const settle = (error = null) => {
+    lockedRef.current = false;
+    if (error && isOutcomeUnknown(error)) return;
+    setKey(storeKey(page, createIdempotencyKey()));
+  };
+
+  return { key, lock, unlock, settle };
+};
+
+export default useCheckoutAttempt;
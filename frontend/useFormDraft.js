@@ -0,0 +1,113 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Form Draft Hook
+ * Autosaves an in-progress registration to localStorage on every change, so a
+ * refresh or a visit to another page doesn't lose it. Pages only pass plain
+ * form fields — card details live inside Stripe's iframe and never reach React
+ * state, so they can't end up in a draft.
+ *
+ * A draft left from an earlier visit is offered back (`saved`) instead of
+ * being overwritten: nothing is saved until the player resumes it or starts
+ * over. Drafts expire after DRAFT_TTL, and a page bumps its `version` when the
+ * shape of its form changes so old drafts are ignored.
+ */
+
+const STORAGE_PREFIX = 'newteam_registration_draft:';
+
+export const DRAFT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Saved draft for a page, or null if missing, expired or from another form version
+ *
+ * @param {string} page 'tryout' | 'season'
+ * @param {number} version Form version the page expects
+ * @returns {Object|null} { version, savedAt, data }
+ */
+export const loadFormDraft = (page, version) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + page));
+    if (!saved || saved.version !== version || !saved.data) {
+      return null;
+    }
+    if (Date.now() - saved.savedAt > DRAFT_TTL) {
+      clearFormDraft(page);
+      return null;
+    }
+    return saved;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const saveFormDraft = (page, version, data) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + page, JSON.stringify({
+      version,
+      savedAt: Date.now(),
+      data
+    }));
+  } catch (e) {
+    // Private mode / full storage — the form still works, it just won't resume
+  }
+};
+
+export const clearFormDraft = (page) => {
+  try {
+    window.localStorage.removeItem(STORAGE_PREFIX + page);
+  } catch (e) {
+    // Nothing saved
+  }
+};
+
+/**
+ * @param {string} page 'tryout' | 'season' — storage key suffix
+ * @param {Object} draft Current non-sensitive form state
+ * @param {Object} [options]
+ * @param {number} [options.version] Form version — bump when the draft shape changes
+ * @param {boolean} [options.enabled] false while checkout is finishing or finished
+ * @returns {Object} {
+ *   saved,      { data, savedAt } from an earlier visit, until the player decides (else null)
+ *   resume,     () => Object — the saved form state; autosave continues from it
+ *   startOver,  () => void — discard the saved draft
+ *   clear       () => void — the registration went through; forget the draft
+ * }
+ */
+const useFormDraft = (page, draft, { version = 1, enabled = true } = {}) => {
+  const [saved, setSaved] = useState(() => loadFormDraft(page, version));
+  const serialized = JSON.stringify(draft);
+
+  // An untouched form isn't worth resuming
+  const [blank] = useState(serialized);
+
+  useEffect(() => {
+    if (!enabled || saved) return;
+    if (serialized === blank) {
+      clearFormDraft(page);
+      return;
+    }
+    // Saved from its serialized form — `draft` is a new object every render
+    saveFormDraft(page, version, JSON.parse(serialized));
+  }, [page, version, serialized, blank, enabled, saved]);
+
+  const resume = () => {
+    const data = saved?.data;
+    setSaved(null);
+    return data;
+  };
+
+  // Stable, so pages can clear the draft from an effect
+  const startOver = useCallback(() => {
+    clearFormDraft(page);
+    setSaved(null);
+  }, [page]);
+
+  return {
+    saved: saved && enabled ? { data: saved.data, savedAt: saved.savedAt } : null,
+    resume,
+    startOver,
+    clear: startOver
+  };
+};
+
+export default useFormDraft;
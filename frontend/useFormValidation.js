@@ -0,0 +1,93 @@
+import { useState, useEffect, useRef } from 'react';
+import { validateValues } from './formValidation';
+
+/**
+ * Form Validation Hook
+ * Inline per-field errors for a schema from formValidation.js. A field's error
+ * shows once the player leaves it (blur) or tries to move on (validate), then
+ * follows their typing so it clears as soon as the value is fixed.
+ *
+ * validate() focuses the first invalid field it checked. A field that isn't
+ * on screen yet (another wizard step) is focused as soon as it renders.
+ * fieldProps() marks a field aria-invalid and points aria-describedby at its
+ * message, so screen readers read the error when the field takes focus.
+ */
+
+// Error message element id for a field — names can hold dots (season players)
+const errorIdFor = (name) => `${name.replace(/[^\w-]/g, '-')}-error`;
+
+/**
+ * @param {Object} schema { [field]: rules[] } in page order — may be rebuilt every render
+ * @param {Object} values { [field]: value }
+ * @returns {Object} {
+ *   errors,      { [field]: message } for every invalid field, shown or not
+ *   errorFor,    (field) => string — the message to show inline ('' until touched)
+ *   errorId,     (field) => string — id for the element showing that message
+ *   fieldProps,  (field) => { ref, onBlur, aria-* } — spread onto the field's input
+ *   validate,    (fields?) => [{ name, message }] — checks fields (default: all), shows their errors
+ *   reset        () => void — hide every error again
+ * }
+ */
+const useFormValidation = (schema, values) => {
+  const [touched, setTouched] = useState({});
+  // Bumped by every validate() that finds an error, so a repeat attempt refocuses
+  const [focusAttempt, setFocusAttempt] = useState(0);
+  const focusTargetRef = useRef(null);
+  const fieldRefs = useRef({});
+
+  const errors = validateValues(schema, values);
+
+  // Focus the first invalid field once the attempt renders — a field that isn't
+  // mounted yet is focused by its ref instead
+  useEffect(() => {
+    const field = focusTargetRef.current && fieldRefs.current[focusTargetRef.current];
+    if (!field) return;
+    field.focus();
+    focusTargetRef.current = null;
+  }, [focusAttempt]);
+
+  const touch = (names) => setTouched(prev => (
+    names.every(name => prev[name]) ? prev : { ...prev, ...Object.fromEntries(names.map(name => [name, true])) }
+  ));
+
+  const validate = (names = Object.keys(schema)) => {
+    const invalid = names
+      .filter(name => errors[name])
+      .map(name => ({ name, message: errors[name] }));
+
+    touch(names);
+    if (invalid.length > 0) {
+      focusTargetRef.current = invalid[0].name;
+      setFocusAttempt(n => n + 1);
+    }
+    return invalid;
+  };
+
+  const errorFor = (name) => (touched[name] && errors[name]) || '';
+
+  return {
+    errors,
+    errorFor,
+    errorId: errorIdFor,
+    fieldProps: (name) => ({
+      ref: (element) => {
+        if (!element) {
+          delete fieldRefs.current[name];
+          return;
+        }
+        fieldRefs.current[name] = element;
+        if (focusTargetRef.current === name) {
+          element.focus();
+          focusTargetRef.current = null;
+        }
+      },
+      onBlur: () => touch([name]),
+      'aria-invalid': errorFor(name) ? true : undefined,
+      'aria-describedby': errorFor(name) ? errorIdFor(name) : undefined
+    }),
+    validate,
+    reset: () => setTouched({})
+  };
+};
+
+export default useFormValidation;
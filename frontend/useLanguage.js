@@ -0,0 +1,24 @@
+import { useState } from 'react';
+import { getActiveLanguage, setActiveLanguage, saveLanguage } from './i18n';
+
+/**
+ * Language Hook
+ * The page's current language, and a way to switch it that re-renders the
+ * page and remembers the choice for the next visit. Call it at the top of a
+ * page so every t() below it renders in the chosen language.
+ *
+ * @returns {Object} { language ('en'|'es'|'pt'), setLanguage (language) => void }
+ */
+const useLanguage = () => {
+  const [language, setLanguageState] = useState(getActiveLanguage);
+
+  const setLanguage = (next) => {
+    setActiveLanguage(next);
+    saveLanguage(getActiveLanguage());
+    setLanguageState(getActiveLanguage());
+  };
+
+  return { language, setLanguage };
+};
+
+export default useLanguage;
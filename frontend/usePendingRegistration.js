@@ -0,0 +1,173 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAjaxErrorMessage } from './ajaxClient';
+
+/**
+ * Pending Registration Hook
+ * Checkout charges the card first and saves the registration second. As soon
+ * as a charge succeeds the page hands its registration params (with the
+ * payment/subscription IDs) to begin(); they're saved to localStorage and
+ * submitted with backoff until the server accepts them. After a reload the
+ * saved registrations resume on mount, so the page shows "finishing your
+ * registration" instead of checkout and nobody is asked to pay twice.
+ *
+ * The registration handlers ignore repeats of a saved registration (see
+ * data-pipeline/registration-receipts.php), so a retry after a lost response
+ * is safe.
+ */
+
+export const PENDING_REGISTRATION_VERSION = 1;
+
+const STORAGE_PREFIX = 'newteam_pending_registration:';
+
+// Wait before each retry; the last delay repeats until the registration goes through
+export const RETRY_DELAYS = [2000, 5000, 15000, 30000, 60000];
+
+const storageKey = (page) => STORAGE_PREFIX + page;
+
+/**
+ * Saved registrations for a page, or null
+ *
+ * @param {string} page 'tryout' | 'season'
+ * @returns {Object|null} { version, savedAt, registrations: [{ id, label, params }], context }
+ */
+export const loadPendingRegistration = (page) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(page)));
+    if (!saved || saved.version !== PENDING_REGISTRATION_VERSION || !saved.registrations?.length) {
+      return null;
+    }
+    return saved;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const savePendingRegistration = (page, pending) => {
+  try {
+    window.localStorage.setItem(storageKey(page), JSON.stringify(pending));
+  } catch (e) {
+    // Private mode / full storage — retries still run while the page stays open
+  }
+};
+
+export const clearPendingRegistration = (page) => {
+  try {
+    window.localStorage.removeItem(storageKey(page));
+  } catch (e) {
+    // Nothing saved
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {string} page 'tryout' | 'season' — storage key suffix
+ * @param {Function} submit api.processTryoutRegistration or api.processSeasonRegistration
+ * @param {Function} [onCompleted] (context) => void — every saved registration went through;
+ *                                 receives the context passed to begin()
+ * @returns {Object} {
+ *   pending,    saved registrations still to submit (null when none)
+ *   status,     'idle' | 'submitting' | 'waiting' | 'completed'
+ *   attempt,    retries so far
+ *   error,      message from the last failed attempt
+ *   needsHelp,  true once the backoff schedule is exhausted — show contact details
+ *   isActive,   true while registrations are waiting to be saved
+ *   begin,      (registrations, context) => void — call right after payment succeeds
+ *   retryNow    () => void — skip the current backoff delay
+ * }
+ */
+const usePendingRegistration = (page, submit, onCompleted) => {
+  const [pending, setPending] = useState(() => loadPendingRegistration(page));
+  const [status, setStatus] = useState(() => (pending ? 'submitting' : 'idle'));
+  const [attempt, setAttempt] = useState(0);
+  const [error, setError] = useState('');
+
+  // Latest page callbacks, so a re-render doesn't restart a submission
+  const callbacksRef = useRef({ submit, onCompleted });
+  callbacksRef.current = { submit, onCompleted };
+
+  useEffect(() => {
+    if (status !== 'submitting' || !pending) return;
+    let cancelled = false;
+
+    const submitAll = async () => {
+      const remaining = [];
+      let lastError = null;
+
+      for (const registration of pending.registrations) {
+        try {
+          await callbacksRef.current.submit(registration.params);
+        } catch (err) {
+          lastError = err;
+          remaining.push(registration);
+        }
+      }
+
+      if (cancelled) return;
+
+      if (remaining.length === 0) {
+        clearPendingRegistration(page);
+        setPending(null);
+        setError('');
+        setStatus('completed');
+        callbacksRef.current.onCompleted?.(pending.context);
+        return;
+      }
+
+      const next = { ...pending, registrations: remaining };
+      savePendingRegistration(page, next);
+      setPending(next);
+      setError(getAjaxErrorMessage(lastError));
+      setStatus('waiting');
+    };
+
+    submitAll();
+    return () => { cancelled = true; };
+  }, [status, pending, page]);
+
+  useEffect(() => {
+    if (status !== 'waiting') return;
+    let cancelled = false;
+
+    wait(RETRY_DELAYS[Math.min(attempt, RETRY_DELAYS.length - 1)]).then(() => {
+      if (cancelled) return;
+      setAttempt(prev => prev + 1);
+      setStatus('submitting');
+    });
+
+    return () => { cancelled = true; };
+  }, [status, attempt]);
+
+  const begin = (registrations, context = {}) => {
+    const next = {
+      version: PENDING_REGISTRATION_VERSION,
+      savedAt: Date.now(),
+      registrations,
+      context
+    };
+    savePendingRegistration(page, next);
+    setPending(next);
+    setAttempt(0);
+    setError('');
+    setStatus('submitting');
+  };
+
+  const retryNow = () => {
+    if (status !== 'waiting') return;
+    setAttempt(prev => prev + 1);
+    setStatus('submitting');
+  };
+
+  return {
+    pending,
+    status,
+    attempt,
+    error,
+    needsHelp: attempt >= RETRY_DELAYS.length,
+    isActive: status === 'submitting' || status === 'waiting',
+    begin,
+    retryNow
+  };
+};
+
+export default usePendingRegistration;
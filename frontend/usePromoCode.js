@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { getAjaxErrorMessage } from './ajaxClient';
+
+/**
+ * Promo Code Hook
+ * Input + apply/remove state for the checkout promo code field. Validation
+ * runs through the validate_promo_code AJAX action (see
+ * payment-processing/promo-codes.php); the page turns the returned promo
+ * into a discount with pricing.js and sends `promo_code` with the payment.
+ *
+ * @param {Function} validate api.validateTryoutPromoCode or api.validateSeasonPromoCode
+ * @returns {Object} { code, setCode, promo, error, isValidating, apply, restore, remove }
+ */
+const usePromoCode = (validate) => {
+  const [code, setCode] = useState('');
+  const [promo, setPromo] = useState(null);
+  const [error, setError] = useState('');
+  const [isValidating, setIsValidating] = useState(false);
+
+  const applyCode = async (value) => {
+    const trimmed = value.trim();
+    if (!trimmed) return;
+
+    setIsValidating(true);
+    setError('');
+
+    try {
+      const result = await validate({ promo_code: trimmed });
+      setPromo(result.promo);
+      setCode(result.promo.code);
+    } catch (err) {
+      setPromo(null);
+      setError(getAjaxErrorMessage(err));
+    } finally {
+      setIsValidating(false);
+    }
+  };
+
+  const apply = () => applyCode(code);
+
+  // A code saved with a form draft — validated again, so the resumed quote carries its discount
+  const restore = (value) => {
+    setPromo(null);
+    setCode(value);
+    setError('');
+    applyCode(value);
+  };
+
+  const remove = () => {
+    setPromo(null);
+    setCode('');
+    setError('');
+  };
+
+  return { code, setCode, promo, error, isValidating, apply, restore, remove };
+};
+
+export default usePromoCode;
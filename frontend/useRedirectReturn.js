@@ -0,0 +1,175 @@
+import { useState, useEffect, useRef } from 'react';
+import { t } from './i18n';
+
+/**
+ * Redirect Return Hook
+ * Some banks authenticate 3D Secure on their own page, so confirmPayment /
+ * handleNextAction leave the site and come back to return_url with
+ * ?payment_intent=…&payment_intent_client_secret=…&redirect_status=…
+ *
+ * Before confirming, a page saves what it needs to finish the checkout with
+ * saveRedirectCheckout(). On the way back this hook retrieves the
+ * PaymentIntent and hands the saved checkout back, so the page can run the
+ * registration step — or restore the form for a retry.
+ */
+
+export const REDIRECT_PARAMS = ['payment_intent', 'payment_intent_client_secret', 'redirect_status'];
+
+export const REDIRECT_CHECKOUT_VERSION = 1;
+
+const STORAGE_PREFIX = 'newteam_redirect_checkout:';
+
+// Bank authentication pages time out long before this
+const REDIRECT_CHECKOUT_TTL = 24 * 60 * 60 * 1000;
+
+// Built on use so they're in the player's current language
+const getFailureMessages = () => ({
+  requires_payment_method: t('payment.bankDeclined'),
+  requires_action: t('payment.authIncomplete'),
+  canceled: t('payment.canceled')
+});
+
+/**
+ * Redirect params on the current URL, or null when this isn't a return from a bank
+ *
+ * @returns {Object|null} { paymentIntentId, clientSecret, redirectStatus }
+ */
+export const getRedirectReturn = () => {
+  if (typeof window === 'undefined') return null;
+  const params = new URLSearchParams(window.location.search);
+  const clientSecret = params.get('payment_intent_client_secret');
+  if (!clientSecret) return null;
+
+  return {
+    paymentIntentId: params.get('payment_intent') || paymentIntentIdFromSecret(clientSecret),
+    clientSecret,
+    redirectStatus: params.get('redirect_status') || ''
+  };
+};
+
+// Drop the params so a reload doesn't process the return twice
+export const clearRedirectParams = () => {
+  const url = new URL(window.location.href);
+  REDIRECT_PARAMS.forEach(param => url.searchParams.delete(param));
+  window.history.replaceState(window.history.state, '', url.toString());
+};
+
+// 'pi_123_secret_abc' → 'pi_123'
+export const paymentIntentIdFromSecret = (clientSecret) => (clientSecret || '').split('_secret_')[0];
+
+/**
+ * Save what a page needs to finish a checkout if the bank redirects away
+ *
+ * @param {string} page 'tryout' | 'season'
+ * @param {string} paymentIntentId Intent being confirmed
+ * @param {Object} checkout Page-specific — registrations, context, form data
+ */
+export const saveRedirectCheckout = (page, paymentIntentId, checkout) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + page, JSON.stringify({
+      version: REDIRECT_CHECKOUT_VERSION,
+      savedAt: Date.now(),
+      paymentIntentId,
+      checkout
+    }));
+  } catch (e) {
+    // Private mode — a redirect return will ask the player to contact us
+  }
+};
+
+/**
+ * Saved checkout for this intent, or null if missing, stale or for another intent
+ */
+export const loadRedirectCheckout = (page, paymentIntentId) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + page));
+    if (!saved || saved.version !== REDIRECT_CHECKOUT_VERSION || saved.paymentIntentId !== paymentIntentId) {
+      return null;
+    }
+    if (Date.now() - saved.savedAt > REDIRECT_CHECKOUT_TTL) {
+      return null;
+    }
+    return saved.checkout;
+  } catch (e) {
+    return null;
+  }
+};
+
+export const clearRedirectCheckout = (page) => {
+  try {
+    window.localStorage.removeItem(STORAGE_PREFIX + page);
+  } catch (e) {
+    // Nothing saved
+  }
+};
+
+/**
+ * @param {string} page 'tryout' | 'season'
+ * @param {Object|null} stripe Stripe instance from useStripePaymentElement()
+ * @param {Function} [onReturn] ({ status, paymentIntent, checkout, error }) => void — called once
+ *                              the return is 'succeeded' or 'failed'; call dismiss() when done with it
+ * @returns {Object} {
+ *   status,         'none' | 'checking' | 'succeeded' | 'failed' ('succeeded' includes a processing bank debit)
+ *   paymentIntent,  retrieved PaymentIntent
+ *   checkout,       what the page saved before confirming (null if this browser has none)
+ *   error,          player-facing message for 'failed'
+ *   dismiss         () => void — forget the return once the page has acted on it
+ * }
+ */
+const useRedirectReturn = (page, stripe, onReturn) => {
+  const [redirect] = useState(getRedirectReturn);
+  const [checkout] = useState(() => (redirect ? loadRedirectCheckout(page, redirect.paymentIntentId) : null));
+  const [status, setStatus] = useState(redirect ? 'checking' : 'none');
+  const [paymentIntent, setPaymentIntent] = useState(null);
+  const [error, setError] = useState('');
+
+  // Latest page handler, so a re-render doesn't retrieve the PaymentIntent again
+  const onReturnRef = useRef(onReturn);
+  onReturnRef.current = onReturn;
+
+  useEffect(() => {
+    if (!redirect || !stripe) return;
+    let cancelled = false;
+
+    const finish = (result) => {
+      setPaymentIntent(result.paymentIntent);
+      setError(result.error);
+      setStatus(result.status);
+      onReturnRef.current?.({ ...result, checkout });
+    };
+
+    stripe.retrievePaymentIntent(redirect.clientSecret)
+      .then(({ paymentIntent: intent, error: retrieveError }) => {
+        if (cancelled) return;
+        clearRedirectParams();
+
+        if (retrieveError || !intent) {
+          finish({ status: 'failed', paymentIntent: null, error: retrieveError?.message || t('payment.checkFailed') });
+          return;
+        }
+
+        // A bank debit settles days later — it counts as paid, like the in-page checkout
+        if (intent.status === 'succeeded' || intent.status === 'processing') {
+          finish({ status: 'succeeded', paymentIntent: intent, error: '' });
+        } else {
+          const failureMessages = getFailureMessages();
+          finish({ status: 'failed', paymentIntent: intent, error: failureMessages[intent.status] || failureMessages.requires_payment_method });
+        }
+      })
+      // Network or Stripe.js failure — leave 'checking' rather than spin forever
+      .catch((err) => {
+        if (!cancelled) finish({ status: 'failed', paymentIntent: null, error: err?.message || t('payment.checkFailed') });
+      });
+
+    return () => { cancelled = true; };
+  }, [redirect, checkout, stripe]);
+
+  const dismiss = () => {
+    clearRedirectCheckout(page);
+    setStatus('none');
+  };
+
+  return { status, paymentIntent, checkout, error, dismiss };
+};
+
+export default useRedirectReturn;
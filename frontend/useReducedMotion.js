@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Reduced Motion Hook
+ * Follows the visitor's prefers-reduced-motion setting, including changes
+ * made while the page is open. Pages use it for what CSS can't reach:
+ * smooth scrolling, inline-style transitions and live countdowns.
+ */
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+const matches = () => (
+  typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(QUERY).matches
+);
+
+/**
+ * @returns {boolean} true when the visitor asked for less motion
+ */
+const useReducedMotion = () => {
+  const [reduced, setReduced] = useState(matches);
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return;
+    const query = window.matchMedia(QUERY);
+    const handleChange = () => setReduced(query.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  return reduced;
+};
+
+export default useReducedMotion;
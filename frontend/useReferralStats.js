@@ -0,0 +1,54 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAjaxErrorMessage } from './ajaxClient';
+import { REFERRAL_STATS_PARAM } from './referrals';
+
+/**
+ * Referral Stats Hook
+ * Reads the ?ref_stats=<code> link shown to a subscriber next to their
+ * referral link and looks up how many signups, tryouts and season
+ * registrations it drove.
+ */
+
+export const getReferralStatsCode = () => {
+  if (typeof window === 'undefined') return '';
+  return new URLSearchParams(window.location.search).get(REFERRAL_STATS_PARAM) || '';
+};
+
+/**
+ * @param {Object} api Client from createAjaxClient()
+ * @returns {Object} { code, referrer, status ('none'|'loading'|'valid'|'invalid'), error, isValid }
+ *   referrer: { first_name, stats: { signups, tryouts, seasons } }
+ */
+const useReferralStats = (api) => {
+  const [code] = useState(getReferralStatsCode);
+  const [referrer, setReferrer] = useState(null);
+  const [status, setStatus] = useState(code ? 'loading' : 'none');
+  const [error, setError] = useState('');
+
+  // Latest client (see createAjaxClient) — only a new code is worth another lookup
+  const apiRef = useRef(api);
+  apiRef.current = api;
+
+  useEffect(() => {
+    if (!code) return;
+    let cancelled = false;
+
+    apiRef.current.getReferralStats({ code })
+      .then(result => {
+        if (cancelled) return;
+        setReferrer({ first_name: result.first_name, stats: result.stats });
+        setStatus('valid');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(getAjaxErrorMessage(err));
+        setStatus('invalid');
+      });
+
+    return () => { cancelled = true; };
+  }, [code]);
+
+  return { code, referrer, status, error, isValid: status === 'valid' };
+};
+
+export default useReferralStats;
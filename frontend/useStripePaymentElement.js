@@ -0,0 +1,255 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { t } from './i18n';
+
+/**
+ * Stripe Payment Element Hook
+ * Shared Stripe.js + Payment Element setup for the checkout pages
+ *
+ * Mounts through a callback ref instead of a DOM id, so the card field
+ * appears whenever the container renders — no setTimeout race, and two
+ * instances on one page never fight over '#payment-element'.
+ *
+ * With `expressCheckout`, an Express Checkout Element (Apple Pay, Google Pay,
+ * Link buttons) shares the same Elements instance, so the page completes a
+ * wallet payment with the same createPaymentMethod() / confirmPayment() call
+ * it uses for the Payment Element.
+ */
+
+const STRIPE_JS_URL = 'https://js.stripe.com/v3/';
+const STRIPE_JS_TIMEOUT = 10000;
+
+// Shared look for every Payment Element on the site
+export const STRIPE_APPEARANCE = {
+  theme: 'night',
+  variables: {
+    colorPrimary: '#dc2626',
+    colorBackground: '#374151',
+    colorText: '#ffffff',
+    colorDanger: '#ef4444',
+    fontFamily: 'system-ui, sans-serif',
+    borderRadius: '8px'
+  }
+};
+
+/**
+ * Resolve window.Stripe, injecting the Stripe.js script if the theme didn't
+ * enqueue it. Rejects if the script errors or doesn't arrive in time.
+ */
+export const loadStripeJs = (timeout = STRIPE_JS_TIMEOUT) => new Promise((resolve, reject) => {
+  if (typeof window === 'undefined') {
+    reject(new Error('Stripe.js can only load in the browser'));
+    return;
+  }
+  if (window.Stripe) {
+    resolve(window.Stripe);
+    return;
+  }
+
+  let script = document.querySelector(`script[src^="${STRIPE_JS_URL}"]`);
+  if (!script) {
+    script = document.createElement('script');
+    script.src = STRIPE_JS_URL;
+    script.async = true;
+    document.head.appendChild(script);
+  }
+
+  const timer = setTimeout(() => {
+    cleanup();
+    reject(new Error('Stripe.js took too long to load'));
+  }, timeout);
+
+  const handleLoad = () => {
+    cleanup();
+    if (window.Stripe) {
+      resolve(window.Stripe);
+    } else {
+      reject(new Error('Stripe.js loaded but did not initialize'));
+    }
+  };
+
+  const handleError = () => {
+    cleanup();
+    reject(new Error('Stripe.js failed to load'));
+  };
+
+  function cleanup() {
+    clearTimeout(timer);
+    script.removeEventListener('load', handleLoad);
+    script.removeEventListener('error', handleError);
+  }
+
+  script.addEventListener('load', handleLoad);
+  script.addEventListener('error', handleError);
+});
+
+/**
+ * @param {Object} options
+ * @param {string} options.publishableKey Stripe publishable key from WordPress
+ * @param {number} options.amount Amount to charge now, in cents
+ * @param {string} [options.currency] ISO currency code
+ * @param {string[]} [options.paymentMethodTypes] Payment method types for Elements
+ * @param {string} [options.paymentMethodCreation] 'manual' for createPaymentMethod() flows
+ * @param {string} [options.locale] Elements language — getStripeLocale() from i18n.js
+ * @param {Object} [options.expressCheckout] Wallet buttons — omit (or null) for none
+ * @param {Object} options.expressCheckout.paymentMethods From getExpressCheckoutMethods()
+ * @param {Function} options.expressCheckout.onClick (event) => void — call event.resolve() to open the sheet
+ * @param {Function} options.expressCheckout.onConfirm (event) => void — charge, or event.paymentFailed()
+ * @returns {Object} stripe, elements, mountRef, expressMountRef, hasExpressCheckout and
+ *                   ready/loading/error/complete state
+ */
+const useStripePaymentElement = ({
+  publishableKey,
+  amount,
+  currency = 'usd',
+  paymentMethodTypes = ['card'],
+  paymentMethodCreation,
+  locale = 'auto',
+  expressCheckout = null
+}) => {
+  const [stripe, setStripe] = useState(null);
+  const [elements, setElements] = useState(null);
+  const [container, setContainer] = useState(null);
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'error'
+  const [error, setError] = useState('');
+  const [isComplete, setIsComplete] = useState(false);
+  const [expressContainer, setExpressContainer] = useState(null);
+  const [hasExpressCheckout, setHasExpressCheckout] = useState(false);
+
+  // Latest page handlers, so the express element isn't re-created on every render
+  const expressHandlersRef = useRef(expressCheckout);
+  expressHandlersRef.current = expressCheckout;
+  const expressMethods = expressCheckout ? JSON.stringify(expressCheckout.paymentMethods) : '';
+
+  // Pages pass a new array each render — the list's contents decide when Elements is re-created
+  const paymentMethodTypesKey = paymentMethodTypes.join(',');
+
+  // Latest amount for Elements creation without re-mounting on every price change
+  const amountRef = useRef(amount);
+  amountRef.current = amount;
+
+  // Stripe rejects a zero amount in payment mode — Elements waits for the first
+  // real price, then stays mounted if a later quote drops to 0
+  const [hasAmount, setHasAmount] = useState(amount > 0);
+  if (amount > 0 && !hasAmount) setHasAmount(true);
+  const localeRef = useRef(locale);
+  localeRef.current = locale;
+
+  const mountRef = useCallback((node) => setContainer(node), []);
+  const expressMountRef = useCallback((node) => setExpressContainer(node), []);
+
+  // Load Stripe.js and create the Stripe instance
+  useEffect(() => {
+    if (!publishableKey) {
+      setStatus('error');
+      setError(t('payment.notConfigured'));
+      return;
+    }
+
+    let cancelled = false;
+    setStatus('loading');
+    setError('');
+
+    loadStripeJs()
+      .then((StripeConstructor) => {
+        if (!cancelled) setStripe(StripeConstructor(publishableKey));
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setStatus('error');
+        setError(t('payment.loadFailed'));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [publishableKey]);
+
+  // Create Elements and mount the Payment Element once the container exists
+  useEffect(() => {
+    if (!stripe || !container || !hasAmount) return;
+
+    const types = paymentMethodTypesKey.split(',');
+    const elementsInstance = stripe.elements({
+      mode: 'payment',
+      amount: amountRef.current,
+      currency,
+      locale: localeRef.current,
+      appearance: STRIPE_APPEARANCE,
+      paymentMethodTypes: types,
+      ...(paymentMethodCreation ? { paymentMethodCreation } : {})
+    });
+
+    const paymentElement = elementsInstance.create('payment', { paymentMethodTypes: types });
+
+    paymentElement.on('ready', () => setStatus('ready'));
+    paymentElement.on('change', (event) => setIsComplete(event.complete));
+    paymentElement.on('loaderror', (event) => {
+      setStatus('error');
+      setError(event.error?.message || t('payment.loadFailedRefresh'));
+    });
+
+    paymentElement.mount(container);
+    setElements(elementsInstance);
+
+    return () => {
+      paymentElement.destroy();
+      setElements(null);
+      setIsComplete(false);
+      setStatus((prev) => (prev === 'error' ? prev : 'loading'));
+    };
+  }, [stripe, container, hasAmount, currency, paymentMethodCreation, paymentMethodTypesKey]);
+
+  // Express Checkout Element — only shown once Stripe reports a wallet this device can use
+  useEffect(() => {
+    if (!elements || !expressContainer || !expressMethods) return;
+
+    const expressElement = elements.create('expressCheckout', {
+      paymentMethods: JSON.parse(expressMethods),
+      buttonHeight: 48
+    });
+
+    expressElement.on('ready', (event) => {
+      setHasExpressCheckout(Boolean(event.availablePaymentMethods));
+    });
+    expressElement.on('click', (event) => expressHandlersRef.current?.onClick(event));
+    expressElement.on('confirm', (event) => expressHandlersRef.current?.onConfirm(event));
+    // No wallet buttons then — the Payment Element below still takes the payment
+    expressElement.on('loaderror', () => setHasExpressCheckout(false));
+
+    expressElement.mount(expressContainer);
+
+    return () => {
+      expressElement.destroy();
+      setHasExpressCheckout(false);
+    };
+  }, [elements, expressContainer, expressMethods]);
+
+  // Keep Elements in sync when the price changes
+  useEffect(() => {
+    if (elements && amount > 0) {
+      elements.update({ amount });
+    }
+  }, [amount, elements]);
+
+  // Switch the form's language with the page's, keeping what the player typed
+  useEffect(() => {
+    if (elements) {
+      elements.update({ locale });
+    }
+  }, [locale, elements]);
+
+  return {
+    stripe,
+    elements,
+    mountRef,
+    expressMountRef: expressMethods ? expressMountRef : null,
+    hasExpressCheckout,
+    status,
+    error,
+    isLoading: status === 'loading',
+    isReady: status === 'ready',
+    isComplete
+  };
+};
+
+export default useStripePaymentElement;
@@ -0,0 +1,83 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAjaxErrorMessage } from './ajaxClient';
+import { t } from './i18n';
+
+/**
+ * Waitlist Offer Hook
+ * Reads the ?waitlist_offer=<token> link emailed to the next player on a
+ * waitlist (see lead-capture/waitlist-handler.php) and looks the offer up
+ * so the page can prefill checkout and show how long the spot is held.
+ */
+
+export const WAITLIST_OFFER_PARAM = 'waitlist_offer';
+
+// Mirrors NEWTEAM_WAITLIST_OFFER_HOURS — shown in the "join the waitlist" copy
+export const WAITLIST_OFFER_HOURS = 48;
+
+export const getWaitlistOfferToken = () => {
+  if (typeof window === 'undefined') return '';
+  return new URLSearchParams(window.location.search).get(WAITLIST_OFFER_PARAM) || '';
+};
+
+/**
+ * Time left on an offer — '1d 4h', '3h 20m', '12m'
+ */
+export const formatOfferTimeRemaining = (expiresAt, now = new Date()) => {
+  const minutes = Math.max(Math.floor((expiresAt - now.getTime()) / 60000), 0);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  if (days > 0) return t('waitlistOffer.days', { days, hours });
+  if (hours > 0) return t('waitlistOffer.hours', { hours, minutes: minutes % 60 });
+  return t('waitlistOffer.minutes', { minutes });
+};
+
+/**
+ * @param {Object} api Client from createAjaxClient()
+ * @returns {Object} { token, offer, status ('none'|'loading'|'valid'|'invalid'), error, isValid }
+ *   offer: { list_type, target_id, player_type, first_name, last_name, email, phone, expires_at (ms) }
+ */
+const useWaitlistOffer = (api) => {
+  const [token] = useState(getWaitlistOfferToken);
+  const [offer, setOffer] = useState(null);
+  const [status, setStatus] = useState(token ? 'loading' : 'none');
+  const [error, setError] = useState('');
+
+  // Latest client (see createAjaxClient) — only a new token is worth another lookup
+  const apiRef = useRef(api);
+  apiRef.current = api;
+
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+
+    apiRef.current.getWaitlistOffer({ token })
+      .then(result => {
+        if (cancelled) return;
+        setOffer(result.offer);
+        setStatus('valid');
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(getAjaxErrorMessage(err));
+        setStatus('invalid');
+      });
+
+    return () => { cancelled = true; };
+  }, [token]);
+
+  // Expire the offer on the page too — the server rejects it after the deadline anyway
+  useEffect(() => {
+    if (status !== 'valid') return;
+    const remaining = offer.expires_at - Date.now();
+    const timer = setTimeout(() => {
+      setStatus('invalid');
+      setError(t('waitlistOffer.expired'));
+    }, Math.max(remaining, 0));
+    return () => clearTimeout(timer);
+  }, [status, offer]);
+
+  return { token, offer, status, error, isValid: status === 'valid' };
+};
+
+export default useWaitlistOffer;
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Wizard Steps Hook
+ * Step navigation for a multi-step form, with the current step in the URL
+ * hash (#step-<id>) so steps can be linked to and the browser's back button
+ * walks back through them.
+ *
+ * Moving forward runs each skipped step's validation and stops at the first
+ * one with errors — a deep link or a click on a later step never lands past
+ * an incomplete step. Going back is always allowed. Form state lives in the
+ * page, so it survives moving between steps.
+ */
+
+const HASH_PREFIX = '#step-';
+
+const stepFromHash = (steps) => {
+  if (typeof window === 'undefined' || !window.location.hash.startsWith(HASH_PREFIX)) return null;
+  const id = window.location.hash.slice(HASH_PREFIX.length);
+  return steps.some(step => step.id === id) ? id : null;
+};
+
+const writeHash = (id) => {
+  if (window.location.hash !== HASH_PREFIX + id) {
+    window.location.hash = HASH_PREFIX + id;
+  }
+};
+
+/**
+ * @param {Object[]} steps [{ id, label }] in order
+ * @param {Function} validateStep (stepId) => string[] — errors blocking the step after it
+ * @returns {Object} {
+ *   steps,
+ *   step,       current step
+ *   index,      its position
+ *   isFirst,
+ *   isLast,
+ *   errors,     errors from the last blocked move
+ *   goTo,       (stepId) => boolean — false when an earlier step stopped it
+ *   next,       () => boolean
+ *   back,       () => void
+ *   validateAll () => boolean — checks every step before the last, stopping at the first invalid one
+ * }
+ */
+const useWizardSteps = (steps, validateStep) => {
+  const [currentId, setCurrentId] = useState(steps[0].id);
+  const [errors, setErrors] = useState([]);
+
+  // The step list can shrink (e.g. waitlist mode) — fall back to the last one
+  const foundIndex = steps.findIndex(step => step.id === currentId);
+  const index = foundIndex === -1 ? steps.length - 1 : foundIndex;
+
+  const show = (id) => {
+    setCurrentId(id);
+    writeHash(id);
+  };
+
+  /**
+   * Move to a step, validating every step in between when moving forward
+   */
+  const navigate = (id) => {
+    const targetIndex = steps.findIndex(step => step.id === id);
+    if (targetIndex === -1) return false;
+
+    for (let i = Math.min(index, targetIndex); i < targetIndex; i++) {
+      const stepErrors = validateStep(steps[i].id);
+      if (stepErrors.length > 0) {
+        setErrors(stepErrors);
+        show(steps[i].id);
+        return false;
+      }
+    }
+
+    setErrors([]);
+    show(id);
+    return true;
+  };
+
+  // Deep link on load, then browser back/forward and edited hashes
+  useEffect(() => {
+    const handleHashChange = () => {
+      // Back past the first deep link leaves no hash at all — that's the first step
+      const id = stepFromHash(steps) || (window.location.hash === '' ? steps[0].id : null);
+      if (id && id !== currentId) navigate(id);
+    };
+    handleHashChange();
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }); // re-bound every render so navigation always validates current form state
+
+  const validateAll = () => {
+    for (let i = 0; i < steps.length - 1; i++) {
+      const stepErrors = validateStep(steps[i].id);
+      if (stepErrors.length > 0) {
+        setErrors(stepErrors);
+        show(steps[i].id);
+        return false;
+      }
+    }
+    setErrors([]);
+    return true;
+  };
+
+  return {
+    steps,
+    step: steps[index],
+    index,
+    isFirst: index === 0,
+    isLast: index === steps.length - 1,
+    errors,
+    goTo: navigate,
+    next: () => (index < steps.length - 1 ? navigate(steps[index + 1].id) : false),
+    back: () => {
+      if (index > 0) navigate(steps[index - 1].id);
+    },
+    validateAll
+  };
+};
+
+export default useWizardSteps;
@@ -0,0 +1,59 @@
+<?php
+/**
+ * Lead Magnet Definitions
+ *
+ * Server-side source of truth for each free guide — its Mailchimp tags and
+ * the tag that resends it. The magnet_id posted by LeadMagnetPage.jsx
+ * selects the definition, so a page can't choose its own tags.
+ *
+ * Must stay in sync with LEAD_MAGNETS in frontend/leadMagnets.js. Additional
+ * guides can be registered through the 'newteam_lead_magnet_definitions' filter.
+ *
+ * Each guide's Mailchimp journey should start on both its signup tag and
+ * its resend_tag — resending removes and re-adds resend_tag.
+ */
+
+/**
+ * Default guide when the request omits magnet_id or sends an unknown one
+ * (pages cached from before magnet_id existed are all Winter Protocol)
+ */
+define('NEWTEAM_DEFAULT_LEAD_MAGNET_ID', 'winter_protocol');
+
+/**
+ * All known lead magnet definitions, keyed by magnet ID
+ *
+ * @return array
+ */
+function newteam_get_lead_magnet_definitions() {
+    $magnets = [
+        'winter_protocol' => [
+            'id' => 'winter_protocol',
+            'name' => 'Winter Protocol',
+            'tags' => ['Winter Protocol Insider Club', 'Newteam FC'],
+            'resend_tag' => 'Winter Protocol Resend'
+        ]
+    ];
+
+    return apply_filters('newteam_lead_magnet_definitions', $magnets);
+}
+
+/**
+ * Resolve a lead magnet definition from a (possibly untrusted) magnet ID
+ *
+ * @param string $magnet_id Magnet ID from the signup form
+ * @return array Lead magnet definition — falls back to the default guide
+ */
+function newteam_get_lead_magnet($magnet_id = '') {
+    $magnets = newteam_get_lead_magnet_definitions();
+    $magnet_id = sanitize_key($magnet_id);
+
+    if (!empty($magnet_id) && isset($magnets[$magnet_id])) {
+        return $magnets[$magnet_id];
+    }
+
+    if (!empty($magnet_id)) {
+        error_log("LEAD MAGNET: Unknown magnet_id '{$magnet_id}', using " . NEWTEAM_DEFAULT_LEAD_MAGNET_ID);
+    }
+
+    return $magnets[NEWTEAM_DEFAULT_LEAD_MAGNET_ID];
+}
@@ -0,0 +1,338 @@
+<?php
+/**
+ * Lead Capture — Free Guide (Lead Magnet) Handler
+ *
+ * Processes signups for the free training guides (Winter Protocol and any
+ * guide registered in lead-magnet-definitions.php). No payment — this
+ * drives the marketing funnel by capturing prospect data and routing it to
+ * the email marketing platform (Mailchimp) under the guide's own tags.
+ *
+ * Lead acquisition cost: $0
+ * Conversion goal: Free guide download → future season registration revenue
+ * Tracks acquisition channel (traffic source) for marketing ROI analysis
+ */
+
+// Credentials loaded from Docker secrets — never hardcoded
+
+// Seconds between resends, and between email fixes, for one lead (mirrored in GuideFollowUp.jsx)
+define('NEWTEAM_LEAD_MAGNET_RESEND_COOLDOWN', 120);
+
+// How long the success screen can resend or fix the email after a signup
+define('NEWTEAM_LEAD_MAGNET_FOLLOW_UP_TTL', 30 * MINUTE_IN_SECONDS);
+
+/**
+ * Verify the signup nonce
+ *
+ * Lead magnet templates localize a 'lead_magnet_signup' nonce; the
+ * winter-protocol template's original 'winter_protocol_signup' nonce is
+ * still accepted.
+ */
+function newteam_verify_lead_magnet_nonce() {
+    $nonce = $_POST['nonce'] ?? '';
+    if (!wp_verify_nonce($nonce, 'lead_magnet_signup') && !wp_verify_nonce($nonce, 'winter_protocol_signup')) {
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'Security check failed. Please refresh and try again.'
+        ]));
+    }
+}
+
+/**
+ * Proof that the browser asking to resend or fix an email made the signup
+ *
+ * A random token stored server-side for NEWTEAM_LEAD_MAGNET_FOLLOW_UP_TTL,
+ * returned with the signup response and sent back with resend/change
+ * requests. Posting someone's address to the signup form only yields
+ * can_change_email when that signup created the Mailchimp contact, so an
+ * existing player's contact can't be renamed or archived through it.
+ *
+ * @param string $magnet_id Lead magnet ID
+ * @param string $email Lead email
+ * @param bool $can_change_email Whether this signup created the contact
+ * @return string
+ */
+function newteam_issue_lead_magnet_token($magnet_id, $email, $can_change_email) {
+    $token = wp_generate_password(32, false);
+    set_transient('newteam_lead_token_' . md5($token), [
+        'magnet_id' => $magnet_id,
+        'email' => strtolower($email),
+        'can_change_email' => (bool) $can_change_email
+    ], NEWTEAM_LEAD_MAGNET_FOLLOW_UP_TTL);
+
+    return $token;
+}
+
+/**
+ * Verify the nonce and lead token on a resend/change request
+ *
+ * @param array $magnet Lead magnet definition
+ * @return array The lead record { magnet_id, email, can_change_email, token }
+ *               (dies with an error response otherwise)
+ */
+function newteam_verify_lead_magnet_request($magnet) {
+    newteam_verify_lead_magnet_nonce();
+
+    $email = sanitize_email($_POST['email'] ?? '');
+    $lead_token = sanitize_text_field($_POST['lead_token'] ?? '');
+    $lead = $lead_token !== '' ? get_transient('newteam_lead_token_' . md5($lead_token)) : false;
+
+    if (empty($email) || !$lead || $lead['magnet_id'] !== $magnet['id'] || $lead['email'] !== strtolower($email)) {
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'We couldn\'t find your signup. Please fill in the form again.'
+        ]));
+    }
+
+    return array_merge($lead, ['email' => $email, 'token' => $lead_token]);
+}
+
+/**
+ * Seconds left before this lead may resend or change email again (0 = allowed)
+ *
+ * Resends and email fixes cool down separately, so a player who spots a
+ * typo right after signing up can fix it straight away.
+ *
+ * @param array $magnet Lead magnet definition
+ * @param string $email Lead email
+ * @param string $action 'resend' | 'change'
+ * @return int
+ */
+function newteam_lead_magnet_cooldown_remaining($magnet, $email, $action) {
+    $available_at = get_transient("newteam_lead_{$action}_" . md5($magnet['id'] . '|' . strtolower($email)));
+    return $available_at ? max((int) $available_at - time(), 0) : 0;
+}
+
+function newteam_start_lead_magnet_cooldown($magnet, $email, $action) {
+    set_transient(
+        "newteam_lead_{$action}_" . md5($magnet['id'] . '|' . strtolower($email)),
+        time() + NEWTEAM_LEAD_MAGNET_RESEND_COOLDOWN,
+        NEWTEAM_LEAD_MAGNET_RESEND_COOLDOWN
+    );
+}
+
+/**
+ * Reject the request while the lead's cooldown for this action is running
+ *
+ * @param array $magnet Lead magnet definition
+ * @param string $email Lead email
+ * @param string $action 'resend' | 'change'
+ */
+function newteam_enforce_lead_magnet_cooldown($magnet, $email, $action) {
+    $remaining = newteam_lead_magnet_cooldown_remaining($magnet, $email, $action);
+    if ($remaining > 0) {
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'Please wait a moment before trying again.',
+            'retry_after' => $remaining
+        ]));
+    }
+}
+
+/**
+ * Process a lead magnet signup
+ *
+ * Flow:
+ * 1. Verify nonce (CSRF protection)
+ * 2. Check the bot-protection challenge, honeypot and time-to-submit
+ * 3. Resolve the guide from magnet_id and sanitize inputs
+ * 4. Run anti-spam gibberish detection on name fields
+ * 5. Validate email
+ * 6. Credit the referrer (if any) and look up the subscriber's own referral code
+ * 7. Add to Mailchimp with the guide's tags, traffic source, UTM attribution and referral merge fields
+ * 8. Return success with the referral code and lead token (PDF download happens client-side)
+ *
+ * Anti-fraud note: The honeypot, timing and gibberish checks silently
+ * reject spam submissions by returning a fake success response. This
+ * prevents bots from learning what triggers rejection — they think their
+ * submission worked.
+ */
+function newteam_process_lead_magnet_signup() {
+    // Nonce verification — internal control against CSRF
+    newteam_verify_lead_magnet_nonce();
+
+    newteam_enforce_bot_protection('lead_magnet_signup', [
+        'success' => true,
+        'message' => 'Your download is ready!'
+    ]);
+
+    // Sanitize form data
+    $magnet = newteam_get_lead_magnet($_POST['magnet_id'] ?? '');
+    $email = sanitize_email($_POST['email']);
+    $first_name = isset($_POST['first_name']) ? sanitize_text_field($_POST['first_name']) : '';
+    $last_name = isset($_POST['last_name']) ? sanitize_text_field($_POST['last_name']) : '';
+    $traffic_source = isset($_POST['traffic_source']) ? sanitize_text_field($_POST['traffic_source']) : 'Unknown';
+    $language = newteam_sanitize_language($_POST['language'] ?? '');
+    $attribution = newteam_sanitize_attribution($_POST['attribution'] ?? '');
+    $referred_by = newteam_sanitize_referral_code($_POST['ref'] ?? '');
+
+    // Anti-spam: Gibberish detection on name fields
+    // Returns fake success to avoid revealing detection logic to bots
+    if (function_exists('newteam_is_gibberish') && (newteam_is_gibberish($first_name) || newteam_is_gibberish($last_name))) {
+        error_log('GIBBERISH DETECTED (' . $magnet['name'] . '): Spam blocked - Name: ' . $first_name . ' ' . $last_name . ' from IP ' . $_SERVER['REMOTE_ADDR']);
+        wp_die(json_encode([
+            'success' => true,
+            'message' => 'Your download is ready!'
+        ]));
+    }
+
+    // Validate email
+    if (empty($email) || !is_email($email)) {
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'Please enter a valid email address.'
+        ]));
+    }
+
+    newteam_credit_referral($referred_by, 'signups', $email);
+    $referral_code = newteam_get_or_create_referral_code($email, $first_name);
+
+    // Add to Mailchimp with the guide's tags and traffic source tracking
+    $mailchimp_result = newteam_add_to_mailchimp_with_tags(
+        $email,
+        $first_name,
+        $last_name,
+        $magnet['tags'],
+        '', // use default list ID
+        // Self-reported source next to the first/last-touch campaign the page recorded
+        array_merge(
+            ['SOURCE' => $traffic_source, 'REF_CODE' => $referral_code],
+            $referred_by !== '' ? ['REF_BY' => $referred_by] : [],
+            newteam_map_attribution_merge_fields($attribution)
+        ),
+        $language // guide follow-up journey in the page's language
+    );
+
+    // The guide was just sent — the first resend waits like any other
+    newteam_start_lead_magnet_cooldown($magnet, $email, 'resend');
+
+    if ($mailchimp_result['success']) {
+        $channel = newteam_describe_touch($attribution['first_touch']) ?: 'direct';
+        error_log($magnet['name'] . ' signup success: ' . $email . ' (Source: ' . $traffic_source . ', Channel: ' . $channel . ')');
+    } else {
+        error_log($magnet['name'] . ' signup issue: ' . $email . ' - ' . $mailchimp_result['message']);
+    }
+
+    // Only a contact this signup created may have its address corrected
+    $can_change_email = !empty($mailchimp_result['created']);
+
+    // Always return success if we got this far (PDF download happens client-side)
+    wp_die(json_encode([
+        'success' => true,
+        'message' => 'Your download is ready!',
+        'referral_code' => $referral_code,
+        'lead_token' => newteam_issue_lead_magnet_token($magnet['id'], $email, $can_change_email),
+        'can_change_email' => $can_change_email,
+        'retry_after' => NEWTEAM_LEAD_MAGNET_RESEND_COOLDOWN
+    ]));
+}
+
+/**
+ * Resend a lead magnet guide
+ *
+ * For players whose guide email never arrived. Re-applies the guide's
+ * resend tag to the existing contact rather than subscribing them again,
+ * at most once per NEWTEAM_LEAD_MAGNET_RESEND_COOLDOWN.
+ */
+function newteam_resend_lead_magnet_guide() {
+    $magnet = newteam_get_lead_magnet($_POST['magnet_id'] ?? '');
+    $email = newteam_verify_lead_magnet_request($magnet)['email'];
+    newteam_enforce_lead_magnet_cooldown($magnet, $email, 'resend');
+
+    if (!newteam_retrigger_mailchimp_tag($email, $magnet['resend_tag'])) {
+        error_log($magnet['name'] . ' resend failed: ' . $email);
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'We couldn\'t resend the guide right now. Please try again in a few minutes.'
+        ]));
+    }
+
+    newteam_start_lead_magnet_cooldown($magnet, $email, 'resend');
+    error_log($magnet['name'] . ' guide resent: ' . $email);
+
+    wp_die(json_encode([
+        'success' => true,
+        'message' => 'Guide resent!',
+        'retry_after' => NEWTEAM_LEAD_MAGNET_RESEND_COOLDOWN
+    ]));
+}
+
+/**
+ * Correct a mistyped lead magnet email
+ *
+ * Changes the address on the existing Mailchimp contact (and the
+ * subscriber's referral code) instead of creating a second lead, then
+ * sends the guide to the corrected address. The corrected address starts
+ * both cooldowns, so fixing an email can't be used to skip the resend wait.
+ *
+ * Only for contacts the signup created — an address that was already on
+ * the list belongs to someone else's history and is never renamed or archived.
+ */
+function newteam_change_lead_magnet_email() {
+    $magnet = newteam_get_lead_magnet($_POST['magnet_id'] ?? '');
+    $lead = newteam_verify_lead_magnet_request($magnet);
+    $email = $lead['email'];
+    $new_email = sanitize_email($_POST['new_email'] ?? '');
+
+    if (!$lead['can_change_email']) {
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'This address was already on our list, so it can\'t be changed here. Please sign up again with the right address.'
+        ]));
+    }
+
+    if (empty($new_email) || !is_email($new_email)) {
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'Please enter a valid email address.'
+        ]));
+    }
+
+    if (strcasecmp($new_email, $email) === 0) {
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'That\'s the address we already have.'
+        ]));
+    }
+
+    newteam_enforce_lead_magnet_cooldown($magnet, $email, 'change');
+
+    $result = newteam_change_mailchimp_member_email($email, $new_email, $magnet['tags']);
+    if (!$result['success']) {
+        error_log($magnet['name'] . ' email change failed: ' . $email . ' -> ' . $new_email . ' - ' . $result['message']);
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'We couldn\'t update your email right now. Please try again in a few minutes.'
+        ]));
+    }
+
+    newteam_update_referrer_email($email, $new_email);
+    newteam_retrigger_mailchimp_tag($new_email, $magnet['resend_tag']);
+    newteam_start_lead_magnet_cooldown($magnet, $new_email, 'resend');
+    newteam_start_lead_magnet_cooldown($magnet, $new_email, 'change');
+    error_log($magnet['name'] . ' email changed: ' . $email . ' -> ' . $new_email . ' (' . $result['message'] . ')');
+
+    // The old token is spent; merged into a contact that already existed, the new one can't rename it
+    delete_transient('newteam_lead_token_' . md5($lead['token']));
+    $can_change_email = empty($result['merged']);
+
+    wp_die(json_encode([
+        'success' => true,
+        'message' => 'Email updated — the guide is on its way.',
+        'email' => $new_email,
+        'lead_token' => newteam_issue_lead_magnet_token($magnet['id'], $new_email, $can_change_email),
+        'can_change_email' => $can_change_email,
+        'retry_after' => NEWTEAM_LEAD_MAGNET_RESEND_COOLDOWN
+    ]));
+}
+
+// Register AJAX endpoints (accessible to both logged-in and anonymous users)
+add_action('wp_ajax_process_lead_magnet_signup', 'newteam_process_lead_magnet_signup');
+add_action('wp_ajax_nopriv_process_lead_magnet_signup', 'newteam_process_lead_magnet_signup');
+add_action('wp_ajax_resend_lead_magnet_guide', 'newteam_resend_lead_magnet_guide');
+add_action('wp_ajax_nopriv_resend_lead_magnet_guide', 'newteam_resend_lead_magnet_guide');
+add_action('wp_ajax_change_lead_magnet_email', 'newteam_change_lead_magnet_email');
+add_action('wp_ajax_nopriv_change_lead_magnet_email', 'newteam_change_lead_magnet_email');
+
+// Pages cached before the generic action existed post here without a magnet_id — Winter Protocol
+add_action('wp_ajax_process_winter_protocol_signup', 'newteam_process_lead_magnet_signup');
+add_action('wp_ajax_nopriv_process_winter_protocol_signup', 'newteam_process_lead_magnet_signup');
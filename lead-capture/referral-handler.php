@@ -0,0 +1,184 @@
+<?php
+/**
+ * Referral Program
+ *
+ * Every lead magnet subscriber gets a personal referral code, shown on
+ * the success screen as a link (?ref=<code>) to share with teammates. A
+ * `ref` code arriving on any public page is kept by the browser
+ * (frontend/referrals.js) and submitted with the guide signup,
+ * tryout registration and season registration it leads to — each credits
+ * the referrer once per referred player.
+ *
+ * Stored in the newteam_referrals option, keyed by code:
+ *   [ 'email', 'first_name', 'created_at',
+ *     'signups' => [email hash => time], 'tryouts' => [...], 'seasons' => [...] ]
+ *
+ * Referrers check their totals with get_referral_stats — the code is the
+ * credential, and only counts are returned, never who signed up.
+ */
+
+/**
+ * Kinds of conversion a referral is credited for
+ */
+function newteam_get_referral_types() {
+    return ['signups', 'tryouts', 'seasons'];
+}
+
+function newteam_get_referrals() {
+    return get_option('newteam_referrals', []);
+}
+
+function newteam_save_referrals($referrals) {
+    update_option('newteam_referrals', $referrals, false);
+}
+
+/**
+ * Normalize a submitted code — lowercase letters, digits and dashes only
+ *
+ * @param string $raw
+ * @return string '' when nothing usable is left
+ */
+function newteam_sanitize_referral_code($raw) {
+    return substr(preg_replace('/[^a-z0-9-]/', '', strtolower((string) $raw)), 0, 32);
+}
+
+/**
+ * Hash used to count each referred player once without storing their email
+ *
+ * @param string $email
+ * @return string
+ */
+function newteam_referral_email_hash($email) {
+    return md5(strtolower(trim($email)));
+}
+
+/**
+ * The subscriber's referral code, created on their first signup
+ *
+ * Codes read like "alex-k3x9p" — first name for recognition, random
+ * suffix so they can't be guessed.
+ *
+ * @param string $email Subscriber email
+ * @param string $first_name
+ * @return string
+ */
+function newteam_get_or_create_referral_code($email, $first_name = '') {
+    $referrals = newteam_get_referrals();
+
+    foreach ($referrals as $code => $referrer) {
+        if (strcasecmp($referrer['email'], $email) === 0) {
+            return $code;
+        }
+    }
+
+    $prefix = substr(preg_replace('/[^a-z]/', '', strtolower(remove_accents($first_name))), 0, 12) ?: 'player';
+    do {
+        $code = $prefix . '-' . strtolower(wp_generate_password(5, false));
+    } while (isset($referrals[$code]));
+
+    $referrals[$code] = [
+        'email' => $email,
+        'first_name' => $first_name,
+        'created_at' => time(),
+        'signups' => [],
+        'tryouts' => [],
+        'seasons' => []
+    ];
+    newteam_save_referrals($referrals);
+
+    error_log("REFERRAL: Created code {$code} for {$email}");
+    return $code;
+}
+
+/**
+ * Move a referrer's code to their corrected email address
+ *
+ * @param string $old_email
+ * @param string $new_email
+ */
+function newteam_update_referrer_email($old_email, $new_email) {
+    $referrals = newteam_get_referrals();
+    foreach ($referrals as $code => $referrer) {
+        if (strcasecmp($referrer['email'], $old_email) === 0) {
+            $referrals[$code]['email'] = $new_email;
+            newteam_save_referrals($referrals);
+            return;
+        }
+    }
+}
+
+/**
+ * Credit a referrer for a signup or registration
+ *
+ * Unknown codes, self-referrals and repeats for the same player are ignored.
+ *
+ * @param string $code Sanitized referral code
+ * @param string $type 'signups' | 'tryouts' | 'seasons'
+ * @param string $email The referred player's email
+ * @return bool Whether a new credit was recorded
+ */
+function newteam_credit_referral($code, $type, $email) {
+    if (empty($code) || empty($email) || !in_array($type, newteam_get_referral_types(), true)) {
+        return false;
+    }
+
+    $referrals = newteam_get_referrals();
+    if (!isset($referrals[$code]) || strcasecmp($referrals[$code]['email'], $email) === 0) {
+        return false;
+    }
+
+    $hash = newteam_referral_email_hash($email);
+    if (isset($referrals[$code][$type][$hash])) {
+        return false;
+    }
+
+    $referrals[$code][$type][$hash] = time();
+    newteam_save_referrals($referrals);
+
+    error_log("REFERRAL: Credited {$code} with {$type} for {$email}");
+    return true;
+}
+
+/**
+ * Referrer line for admin notification emails
+ *
+ * @param string $code Sanitized referral code
+ * @return string "Referred By: alex-k3x9p (alex@example.com)\n", or '' for none/unknown
+ */
+function newteam_format_referral_for_email($code) {
+    $referrals = newteam_get_referrals();
+    if (empty($code) || !isset($referrals[$code])) {
+        return '';
+    }
+    return "Referred By: {$code} ({$referrals[$code]['email']})\n";
+}
+
+/**
+ * AJAX handler: How many signups and registrations a referral code drove
+ */
+function newteam_ajax_get_referral_stats() {
+    header('Content-Type: application/json');
+
+    $code = newteam_sanitize_referral_code($_POST['code'] ?? '');
+    $referrals = newteam_get_referrals();
+
+    if (empty($code) || !isset($referrals[$code])) {
+        wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t find that referral link.']));
+    }
+
+    $referrer = $referrals[$code];
+    $stats = [];
+    foreach (newteam_get_referral_types() as $type) {
+        $stats[$type] = count($referrer[$type] ?? []);
+    }
+
+    wp_die(json_encode([
+        'success' => true,
+        'first_name' => $referrer['first_name'],
+        'stats' => $stats
+    ]));
+}
+
+// Register AJAX endpoints
+add_action('wp_ajax_get_referral_stats', 'newteam_ajax_get_referral_stats');
+add_action('wp_ajax_nopriv_get_referral_stats', 'newteam_ajax_get_referral_stats');
@@ -1,14 +1,21 @@
 <?php
 /**
- * Anti-Fraud Content Validation — Gibberish Detection
+ * Anti-Fraud Content Validation — Gibberish Detection and Bot Protection
  *
  * Analyzes text input for patterns consistent with spam/bot submissions.
  * Uses linguistic heuristics (consonant-to-vowel ratio, character patterns)
  * to identify gibberish without relying on external services.
  *
+ * Every public form (tryout, season, lead magnet) also passes through
+ * newteam_enforce_bot_protection(): a challenge token from the configured
+ * provider (reCAPTCHA v2, reCAPTCHA v3 or Cloudflare Turnstile), plus a
+ * honeypot field and the seconds the form was open, both sent by
+ * frontend/useBotProtection.js.
+ *
  * Key design decision: Returns fake success to spam bots instead of
  * showing an error. This prevents bots from reverse-engineering the
- * detection logic through trial and error.
+ * detection logic through trial and error. Only a failed challenge gets
+ * a real error — a person can fail that one too.
  */
 
 /**
@@ -69,3 +76,235 @@ function newteam_is_gibberish($text) {
 
     return false;
 }
+
+// Hidden field only bots fill in (mirrors HONEYPOT_FIELD in frontend/botProtection.js)
+define('NEWTEAM_HONEYPOT_FIELD', 'company_website');
+
+// Fewer seconds than this between the form appearing and its submit is a script, not a person
+define('NEWTEAM_MIN_FORM_SECONDS', 3);
+
+// How long a passed challenge is remembered — covers retries and one call per player in a group checkout
+define('NEWTEAM_BOT_PASS_TTL', 10 * MINUTE_IN_SECONDS);
+
+/**
+ * Supported bot-protection providers
+ *
+ * 'secret' and 'site_key' name the setting each key is read from (see
+ * newteam_get_bot_protection_setting()). Scored providers return a 0.0–1.0
+ * score instead of a pass/fail challenge.
+ *
+ * @return array Keyed by provider ID, as posted in the frontend config
+ */
+function newteam_get_bot_protection_providers() {
+    return [
+        'recaptcha_v2' => [
+            'verify_url' => 'https://www.google.com/recaptcha/api/siteverify',
+            'secret' => 'recaptcha_secret_key',
+            'site_key' => 'recaptcha_site_key',
+            'scored' => false
+        ],
+        'recaptcha_v3' => [
+            'verify_url' => 'https://www.google.com/recaptcha/api/siteverify',
+            'secret' => 'recaptcha_secret_key',
+            'site_key' => 'recaptcha_site_key',
+            'scored' => true
+        ],
+        'turnstile' => [
+            'verify_url' => 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+            'secret' => 'turnstile_secret_key',
+            'site_key' => 'turnstile_site_key',
+            'scored' => false
+        ]
+    ];
+}
+
+/**
+ * Read a bot-protection setting from Docker secrets, constants or environment
+ *
+ * @param string $name Secret file name, e.g. 'turnstile_secret_key' (constant/env is the uppercase form)
+ * @return string Empty when not configured
+ */
+function newteam_get_bot_protection_setting($name) {
+    if (function_exists('newteam_read_docker_secret')) {
+        $docker_value = newteam_read_docker_secret($name);
+        if ($docker_value) return trim($docker_value);
+    }
+
+    $constant = strtoupper($name);
+    if (defined($constant) && constant($constant)) {
+        return constant($constant);
+    }
+
+    return getenv($constant) ?: '';
+}
+
+/**
+ * The provider this site uses
+ *
+ * BOT_PROTECTION_PROVIDER picks one of newteam_get_bot_protection_providers()
+ * or 'none'. Unset, a site with reCAPTCHA keys keeps the v2 checkbox it has
+ * always shown.
+ *
+ * @return string Provider ID or 'none'
+ */
+function newteam_get_bot_protection_provider() {
+    $default = newteam_get_bot_protection_setting('recaptcha_site_key') ? 'recaptcha_v2' : 'none';
+    $provider = sanitize_key(newteam_get_bot_protection_setting('bot_protection_provider'));
+
+    if ($provider === '') {
+        return $default;
+    }
+    if ($provider !== 'none' && !isset(newteam_get_bot_protection_providers()[$provider])) {
+        error_log("BOT PROTECTION: Unknown provider '{$provider}', using {$default}");
+        return $default;
+    }
+
+    return $provider;
+}
+
+/**
+ * Provider and public site key for a page's localized config
+ *
+ * Templates pass this as `botProtection` in wp_localize_script() — it's
+ * what frontend/runtimeConfig.js reads.
+ *
+ * @return array { provider, siteKey }
+ */
+function newteam_get_bot_protection_client_config() {
+    $provider = newteam_get_bot_protection_provider();
+    $providers = newteam_get_bot_protection_providers();
+
+    return [
+        'provider' => $provider,
+        'siteKey' => $provider === 'none' ? '' : newteam_get_bot_protection_setting($providers[$provider]['site_key'])
+    ];
+}
+
+/**
+ * Check the honeypot and time-to-submit signals
+ *
+ * form_elapsed comes from the browser, so it only catches scripts that post
+ * straight away; it's skipped when missing (pages cached from before it existed).
+ *
+ * @return string Reason the submission looks automated, or '' if it doesn't
+ */
+function newteam_detect_bot_signals() {
+    if (trim($_POST[NEWTEAM_HONEYPOT_FIELD] ?? '') !== '') {
+        return 'honeypot filled';
+    }
+
+    if (isset($_POST['form_elapsed']) && $_POST['form_elapsed'] !== '') {
+        $elapsed = intval($_POST['form_elapsed']);
+        if ($elapsed < NEWTEAM_MIN_FORM_SECONDS) {
+            return "submitted after {$elapsed}s";
+        }
+    }
+
+    return '';
+}
+
+/**
+ * Verify a challenge token with the provider
+ *
+ * A passed token is remembered for NEWTEAM_BOT_PASS_TTL, since providers
+ * accept each token once and the pages resend it on retries.
+ *
+ * @param string $token Token from the widget (or reCAPTCHA v3 execute())
+ * @param string $action Form action the token was issued for
+ * @return bool
+ */
+function newteam_verify_bot_token($token, $action) {
+    $provider_id = newteam_get_bot_protection_provider();
+    if ($provider_id === 'none') {
+        return true;
+    }
+
+    $provider = newteam_get_bot_protection_providers()[$provider_id];
+    $secret = newteam_get_bot_protection_setting($provider['secret']);
+
+    // A missing secret is a deployment problem — log it rather than turn every player away
+    if (empty($secret)) {
+        error_log("BOT PROTECTION: {$provider['secret']} is not configured — {$action} not verified");
+        return true;
+    }
+
+    if (empty($token)) {
+        return false;
+    }
+
+    $pass_key = 'newteam_bot_pass_' . md5($token);
+    if (get_transient($pass_key) === $action) {
+        return true;
+    }
+
+    $response = wp_remote_post($provider['verify_url'], [
+        'body' => [
+            'secret' => $secret,
+            'response' => $token,
+            'remoteip' => $_SERVER['REMOTE_ADDR'] ?? ''
+        ],
+        'timeout' => 10
+    ]);
+
+    // Provider unreachable — same reasoning as a missing secret
+    if (is_wp_error($response)) {
+        error_log('BOT PROTECTION ERROR: ' . $response->get_error_message() . " — {$action} not verified");
+        return true;
+    }
+
+    $result = json_decode(wp_remote_retrieve_body($response), true);
+    $passed = !empty($result['success']);
+
+    // reCAPTCHA v3 and Turnstile report the action the token was issued for; v2 doesn't
+    if ($passed && !empty($result['action']) && $result['action'] !== $action) {
+        error_log("BOT PROTECTION: Token issued for '{$result['action']}' used on {$action}");
+        $passed = false;
+    }
+
+    if ($passed && $provider['scored']) {
+        $min_score = floatval(newteam_get_bot_protection_setting('recaptcha_min_score') ?: 0.5);
+        $score = floatval($result['score'] ?? 0);
+        if ($score < $min_score) {
+            error_log("BOT PROTECTION: {$action} scored {$score} (minimum {$min_score})");
+            $passed = false;
+        }
+    }
+
+    if (!$passed) {
+        error_log("BOT PROTECTION: {$action} failed verification — " . implode(', ', $result['error-codes'] ?? []));
+        return false;
+    }
+
+    set_transient($pass_key, $action, NEWTEAM_BOT_PASS_TTL);
+    return true;
+}
+
+/**
+ * Gate a public form submission on bot protection
+ *
+ * Honeypot and timing hits die with $silent_response, so a bot can't tell
+ * what gave it away. A missing or failed challenge dies with a real error
+ * carrying `bot_check`, which tells the page to reset its widget.
+ *
+ * @param string $action Form action — 'lead_magnet_signup' | 'tryout_checkout' | 'season_checkout'
+ *                       (the tryout/season waitlists share their form's action)
+ * @param array $silent_response Response for a submission the signals flag
+ */
+function newteam_enforce_bot_protection($action, $silent_response) {
+    $signal = newteam_detect_bot_signals();
+    if ($signal !== '') {
+        error_log("BOT DETECTED ({$action}): {$signal} from IP " . ($_SERVER['REMOTE_ADDR'] ?? ''));
+        wp_die(json_encode($silent_response));
+    }
+
+    // Lead magnet pages cached from before the generic field still post the v2 field name
+    $token = sanitize_text_field($_POST['bot_token'] ?? ($_POST['g-recaptcha-response'] ?? ''));
+
+    if (!newteam_verify_bot_token($token, $action)) {
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'Please complete the security check and try again.',
+            'bot_check' => true
+        ]));
+    }
+}
@@ -0,0 +1,371 @@
+<?php
+/**
+ * Lead Capture — Waitlist for Sold-Out Tryouts and Full Season Rosters
+ *
+ * When a tryout session or season tier reaches capacity, TryoutPage.jsx and
+ * SeasonRegistrationPage.jsx switch to a no-payment waitlist signup. Demand
+ * beyond capacity is captured instead of lost.
+ *
+ * Offer flow:
+ * 1. Admin releases a spot (admin/payment-tools.php) → next waiting player
+ *    gets an emailed offer link (?waitlist_offer=<token>)
+ * 2. The offered spot is held — it counts as taken for everyone else
+ * 3. Player completes checkout within NEWTEAM_WAITLIST_OFFER_HOURS, or the
+ *    hourly cron expires the offer and passes the spot to the next player
+ *
+ * Storage: 'newteam_waitlists' option — [list_key => [entries in join order]]
+ * List keys: 'tryout:{session_id}' and 'season:{season_id}:{tier}'
+ */
+
+/**
+ * Hours a waitlisted player has to complete checkout once offered a spot
+ */
+define('NEWTEAM_WAITLIST_OFFER_HOURS', 48);
+
+/**
+ * Build the list key for a tryout session or season tier
+ *
+ * @param string $list_type 'tryout' | 'season'
+ * @param string $target_id Session ID or season ID
+ * @param string $tier Season tier (season lists only)
+ * @return string
+ */
+function newteam_waitlist_key($list_type, $target_id, $tier = '') {
+    $key = sanitize_key($list_type) . ':' . sanitize_key($target_id);
+    return $list_type === 'season' ? $key . ':' . sanitize_key($tier) : $key;
+}
+
+function newteam_get_waitlists() {
+    return get_option('newteam_waitlists', []);
+}
+
+function newteam_save_waitlists($waitlists) {
+    update_option('newteam_waitlists', $waitlists, false);
+}
+
+/**
+ * 1-based position among players still waiting, or 0 if not waiting
+ *
+ * @param array $entries One waitlist
+ * @param string $email
+ * @return int
+ */
+function newteam_waitlist_position($entries, $email) {
+    $position = 0;
+    foreach ($entries as $entry) {
+        if ($entry['status'] !== 'waiting') continue;
+        $position++;
+        if (strcasecmp($entry['email'], $email) === 0) {
+            return $position;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Spots currently held by unexpired offers on one list
+ *
+ * @param string $list_key
+ * @return int
+ */
+function newteam_waitlist_held_spots($list_key) {
+    $entries = newteam_get_waitlists()[$list_key] ?? [];
+    $held = 0;
+    foreach ($entries as $entry) {
+        if ($entry['status'] === 'offered' && $entry['offer_expires_at'] > time()) {
+            $held++;
+        }
+    }
+    return $held;
+}
+
+/**
+ * Whether the waitlist target is actually at capacity
+ *
+ * @param string $list_type
+ * @param string $target_id
+ * @param string $tier
+ * @return bool
+ */
+function newteam_waitlist_target_is_full($list_type, $target_id, $tier = '') {
+    if ($list_type === 'tryout') {
+        $session = newteam_get_tryout_session($target_id);
+        return $session && !newteam_tryout_session_is_open($session);
+    }
+
+    return !newteam_season_tier_is_open(newteam_get_season($target_id), $tier);
+}
+
+/**
+ * Find an offer by token
+ *
+ * @param string $token
+ * @return array|null ['list_key' => string, 'index' => int, 'entry' => array]
+ */
+function newteam_find_waitlist_offer($token) {
+    if (empty($token)) return null;
+
+    foreach (newteam_get_waitlists() as $list_key => $entries) {
+        foreach ($entries as $index => $entry) {
+            if (!empty($entry['offer_token']) && hash_equals($entry['offer_token'], $token)) {
+                return ['list_key' => $list_key, 'index' => $index, 'entry' => $entry];
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether a token is an unexpired offer for the given list
+ *
+ * @param string $token Offer token from the checkout request
+ * @param string $list_key List the checkout is for
+ * @return bool
+ */
+function newteam_waitlist_offer_is_valid($token, $list_key) {
+    $offer = newteam_find_waitlist_offer($token);
+
+    return $offer
+        && $offer['list_key'] === $list_key
+        && $offer['entry']['status'] === 'offered'
+        && $offer['entry']['offer_expires_at'] > time();
+}
+
+/**
+ * Mark an offer claimed once its checkout and registration complete
+ *
+ * @param string $token
+ */
+function newteam_waitlist_claim_offer($token) {
+    $offer = newteam_find_waitlist_offer($token);
+    if (!$offer) return;
+
+    $waitlists = newteam_get_waitlists();
+    $waitlists[$offer['list_key']][$offer['index']]['status'] = 'claimed';
+    $waitlists[$offer['list_key']][$offer['index']]['claimed_at'] = time();
+    newteam_save_waitlists($waitlists);
+
+    error_log("WAITLIST: Offer claimed on {$offer['list_key']} by {$offer['entry']['email']}");
+}
+
+/**
+ * Offer the held spot to the next waiting player and email them the link
+ *
+ * @param string $list_key
+ * @return array|null The offered entry, or null when nobody is waiting
+ */
+function newteam_waitlist_offer_next($list_key) {
+    $waitlists = newteam_get_waitlists();
+    $entries = $waitlists[$list_key] ?? [];
+
+    foreach ($entries as $index => $entry) {
+        if ($entry['status'] !== 'waiting') continue;
+
+        $entry['status'] = 'offered';
+        $entry['offer_token'] = wp_generate_password(32, false);
+        $entry['offer_expires_at'] = time() + NEWTEAM_WAITLIST_OFFER_HOURS * HOUR_IN_SECONDS;
+        $waitlists[$list_key][$index] = $entry;
+        newteam_save_waitlists($waitlists);
+
+        $offer_url = add_query_arg('waitlist_offer', $entry['offer_token'], $entry['page_url'] ?: home_url('/'));
+        // Entries from before the pages were translated have no language — English
+        $language = newteam_sanitize_language($entry['language'] ?? 'en');
+        $deadline = newteam_email_date($entry['offer_expires_at'], $language);
+
+        $message = newteam_email_text('waitlist_offer.greeting', $language, ['first_name' => $entry['first_name']]) . "\n\n";
+        $message .= newteam_email_text('waitlist_offer.intro', $language) . "\n\n";
+        $message .= newteam_email_text('waitlist_offer.cta', $language, ['deadline' => $deadline]) . "\n{$offer_url}\n\n";
+        $message .= newteam_email_text('waitlist_offer.after', $language) . "\n\n";
+        $message .= newteam_email_text('waitlist_offer.signoff', $language) . "\nNewteam F.C.";
+
+        $subject = newteam_email_text('waitlist_offer.subject', $language, ['hours' => NEWTEAM_WAITLIST_OFFER_HOURS]);
+
+        wp_mail($entry['email'], $subject, $message, [
+            'Content-Type: text/plain; charset=UTF-8',
+            'From: Newteam F.C. <goal@newteamfc.com>'
+        ]);
+
+        error_log("WAITLIST: Offered spot on {$list_key} to {$entry['email']}, expires {$deadline}");
+        return $entry;
+    }
+
+    error_log("WAITLIST: No one waiting on {$list_key} — spot returned to general registration");
+    return null;
+}
+
+/**
+ * Cron: expire lapsed offers and pass each spot to the next player
+ */
+function newteam_waitlist_expire_offers() {
+    $waitlists = newteam_get_waitlists();
+    $expired_lists = [];
+
+    foreach ($waitlists as $list_key => $entries) {
+        foreach ($entries as $index => $entry) {
+            if ($entry['status'] === 'offered' && $entry['offer_expires_at'] <= time()) {
+                $waitlists[$list_key][$index]['status'] = 'expired';
+                $expired_lists[] = $list_key;
+                error_log("WAITLIST: Offer to {$entry['email']} on {$list_key} expired");
+            }
+        }
+    }
+
+    if (empty($expired_lists)) return;
+
+    newteam_save_waitlists($waitlists);
+    foreach ($expired_lists as $list_key) {
+        newteam_waitlist_offer_next($list_key);
+    }
+}
+
+/**
+ * AJAX handler: Join the waitlist for a full tryout session or season tier
+ *
+ * Signing up twice with the same email returns the existing position.
+ *
+ * The waitlist is a mode of the tryout and season forms, so it answers the
+ * same bot protection as their checkouts — a flagged submission gets a
+ * believable position without joining.
+ */
+function newteam_ajax_join_waitlist() {
+    header('Content-Type: application/json');
+
+    $list_type = sanitize_key($_POST['list_type'] ?? '');
+
+    // Nonce verification — the waitlist reuses each form's own nonce
+    $nonce_valid = $list_type === 'tryout'
+        ? wp_verify_nonce($_POST['tryout_nonce'] ?? '', 'tryout_form_nonce')
+        : wp_verify_nonce($_POST['season_nonce'] ?? '', 'season_form_nonce');
+
+    if (!in_array($list_type, ['tryout', 'season']) || !$nonce_valid) {
+        wp_die(json_encode(['success' => false, 'message' => 'Security check failed']));
+    }
+
+    $target_id = $list_type === 'tryout'
+        ? sanitize_key($_POST['session_id'] ?? '')
+        : newteam_get_season($_POST['season_id'] ?? '')['id'];
+    $tier = sanitize_key($_POST['player_type'] ?? '');
+
+    $entry = [
+        'first_name' => sanitize_text_field($_POST['first_name'] ?? ''),
+        'last_name' => sanitize_text_field($_POST['last_name'] ?? ''),
+        'email' => sanitize_email($_POST['email'] ?? ''),
+        'phone' => sanitize_text_field($_POST['phone'] ?? ''),
+        'page_url' => esc_url_raw($_POST['page_url'] ?? ''),
+        'language' => newteam_sanitize_language($_POST['language'] ?? ''),
+        'status' => 'waiting',
+        'joined_at' => time(),
+        'offer_token' => '',
+        'offer_expires_at' => 0
+    ];
+
+    if (empty($entry['first_name']) || empty($entry['last_name']) || !is_email($entry['email'])) {
+        wp_die(json_encode(['success' => false, 'message' => 'Please enter your name and a valid email address.']));
+    }
+
+    if (empty($target_id) || ($list_type === 'season' && !in_array($tier, ['full_season', 'guest']))) {
+        wp_die(json_encode(['success' => false, 'message' => 'Missing required fields']));
+    }
+
+    if (!newteam_waitlist_target_is_full($list_type, $target_id, $tier)) {
+        wp_die(json_encode(['success' => false, 'message' => 'Good news — spots are available. Please refresh the page to register.']));
+    }
+
+    $list_key = newteam_waitlist_key($list_type, $target_id, $tier);
+    $waitlists = newteam_get_waitlists();
+    $entries = $waitlists[$list_key] ?? [];
+
+    newteam_enforce_bot_protection(
+        $list_type === 'tryout' ? 'tryout_checkout' : 'season_checkout',
+        ['success' => true, 'position' => count($entries) + 1]
+    );
+
+    // Already waiting — don't add a duplicate
+    $position = newteam_waitlist_position($entries, $entry['email']);
+    if ($position > 0) {
+        wp_die(json_encode(['success' => true, 'position' => $position, 'already_joined' => true]));
+    }
+
+    $waitlists[$list_key][] = $entry;
+    newteam_save_waitlists($waitlists);
+    $position = newteam_waitlist_position($waitlists[$list_key], $entry['email']);
+
+    error_log("WAITLIST: {$entry['email']} joined {$list_key} at position {$position}");
+
+    if (function_exists('newteam_add_to_mailchimp_with_tags')) {
+        newteam_add_to_mailchimp_with_tags(
+            $entry['email'],
+            $entry['first_name'],
+            $entry['last_name'],
+            ['Newteam FC', $list_type === 'tryout' ? 'Tryout Waitlist' : 'Season Waitlist'],
+            '',
+            ['PHONE' => $entry['phone']],
+            $entry['language']
+        );
+    }
+
+    wp_mail('goal@newteamfc.com', "Waitlist Signup - {$entry['first_name']} {$entry['last_name']} ({$list_key})",
+        "New waitlist signup:\n\nName: {$entry['first_name']} {$entry['last_name']}\nEmail: {$entry['email']}\nPhone: {$entry['phone']}\nList: {$list_key}\nPosition: {$position}\n",
+        [
+            'Content-Type: text/plain; charset=UTF-8',
+            'From: Newteam F.C. Registration <noreply@newteamfc.com>'
+        ]
+    );
+
+    wp_die(json_encode(['success' => true, 'position' => $position, 'already_joined' => false]));
+}
+
+/**
+ * AJAX handler: Look up a waitlist offer so the page can prefill checkout
+ *
+ * The token itself is the credential — it was only ever sent to the
+ * player's email address.
+ */
+function newteam_ajax_get_waitlist_offer() {
+    header('Content-Type: application/json');
+
+    $token = sanitize_text_field($_POST['token'] ?? '');
+    $offer = newteam_find_waitlist_offer($token);
+
+    if (!$offer || $offer['entry']['status'] === 'waiting') {
+        wp_die(json_encode(['success' => false, 'message' => 'This waitlist offer link is not valid.']));
+    }
+
+    $entry = $offer['entry'];
+    if ($entry['status'] === 'claimed') {
+        wp_die(json_encode(['success' => false, 'message' => 'This spot has already been claimed.']));
+    }
+    if ($entry['status'] === 'expired' || $entry['offer_expires_at'] <= time()) {
+        wp_die(json_encode(['success' => false, 'message' => 'This offer has expired and the spot has passed to the next player on the waitlist.']));
+    }
+
+    $parts = explode(':', $offer['list_key']);
+
+    wp_die(json_encode([
+        'success' => true,
+        'offer' => [
+            'list_type' => $parts[0],
+            'target_id' => $parts[1] ?? '',
+            'player_type' => $parts[2] ?? '',
+            'first_name' => $entry['first_name'],
+            'last_name' => $entry['last_name'],
+            'email' => $entry['email'],
+            'phone' => $entry['phone'],
+            'expires_at' => $entry['offer_expires_at'] * 1000
+        ]
+    ]));
+}
+
+// Expire lapsed offers hourly
+add_action('newteam_waitlist_expire_offers', 'newteam_waitlist_expire_offers');
+add_action('init', function () {
+    if (!wp_next_scheduled('newteam_waitlist_expire_offers')) {
+        wp_schedule_event(time(), 'hourly', 'newteam_waitlist_expire_offers');
+    }
+});
+
+// Register AJAX endpoints
+add_action('wp_ajax_join_waitlist', 'newteam_ajax_join_waitlist');
+add_action('wp_ajax_nopriv_join_waitlist', 'newteam_ajax_join_waitlist');
+add_action('wp_ajax_get_waitlist_offer', 'newteam_ajax_get_waitlist_offer');
+add_action('wp_ajax_nopriv_get_waitlist_offer', 'newteam_ajax_get_waitlist_offer');
@@ -0,0 +1,269 @@
+<?php
+/**
+ * Player Email Language
+ *
+ * The public pages run in English, Spanish or Portuguese and send the
+ * player's choice as `language` with every AJAX action. This file turns
+ * that into the language of everything the player receives afterwards:
+ *
+ * - Waitlist offer emails (wp_mail)
+ * - Escalating payment failure emails (wp_mail)
+ * - Mailchimp journeys (subscriber `language` field)
+ * - Stripe receipts and hosted pages (customer preferred_locales)
+ *
+ * The language is stored wherever the player's record lives — waitlist
+ * entry, Airtable row, Stripe metadata — so emails sent days later by cron
+ * or webhook still match the page they signed up on. Admin emails stay in
+ * English.
+ */
+
+/**
+ * Languages the public pages and player emails are translated into
+ *
+ * @return array Language code => English name
+ */
+function newteam_get_supported_languages() {
+    return apply_filters('newteam_supported_languages', [
+        'en' => 'English',
+        'es' => 'Spanish',
+        'pt' => 'Portuguese',
+    ]);
+}
+
+/**
+ * Whitelist a submitted language code, falling back to English
+ *
+ * @param string $raw Language code from the request or stored metadata
+ * @return string 'en', 'es' or 'pt'
+ */
+function newteam_sanitize_language($raw) {
+    $language = strtolower(substr(sanitize_text_field((string) $raw), 0, 2));
+    return array_key_exists($language, newteam_get_supported_languages()) ? $language : 'en';
+}
+
+/**
+ * Stripe locale for a player language (receipts, hosted invoice pages)
+ *
+ * @param string $language
+ * @return string
+ */
+function newteam_get_stripe_locale($language) {
+    $locales = ['en' => 'en', 'es' => 'es', 'pt' => 'pt-BR'];
+    return $locales[newteam_sanitize_language($language)];
+}
+
+/**
+ * WordPress locale for a player language — used with switch_to_locale()
+ * so wp_date() writes month and weekday names in the player's language
+ *
+ * @param string $language
+ * @return string
+ */
+function newteam_get_wp_locale($language) {
+    $locales = ['en' => 'en_US', 'es' => 'es_ES', 'pt' => 'pt_BR'];
+    return $locales[newteam_sanitize_language($language)];
+}
+
+/**
+ * Format a timestamp in the player's language
+ *
+ * @param int $timestamp
+ * @param string $language
+ * @return string e.g. "Friday, March 6 at 7:00 PM" / "viernes, 6 de marzo a las 19:00"
+ */
+function newteam_email_date($timestamp, $language) {
+    $language = newteam_sanitize_language($language);
+    $formats = [
+        'en' => 'l, F j \a\t g:i A',
+        'es' => 'l, j \d\e F \a \l\a\s H:i',
+        'pt' => 'l, j \d\e F \à\s H:i',
+    ];
+
+    $switched = $language !== 'en' && function_exists('switch_to_locale') && switch_to_locale(newteam_get_wp_locale($language));
+    $formatted = wp_date($formats[$language], $timestamp);
+    if ($switched) {
+        restore_previous_locale();
+    }
+
+    return $formatted;
+}
+
+/**
+ * Get a translated player email string
+ *
+ * Falls back to English when a key is missing in the player's language.
+ * Placeholders like {first_name} are replaced from $replacements.
+ *
+ * @param string $key e.g. 'waitlist_offer.subject'
+ * @param string $language
+ * @param array $replacements Placeholder => value, without braces
+ * @return string
+ */
+function newteam_email_text($key, $language, $replacements = []) {
+    $strings = newteam_get_email_strings();
+    $language = newteam_sanitize_language($language);
+    $text = $strings[$language][$key] ?? $strings['en'][$key] ?? $key;
+
+    $pairs = [];
+    foreach ($replacements as $placeholder => $value) {
+        $pairs['{' . $placeholder . '}'] = $value;
+    }
+
+    return strtr($text, $pairs);
+}
+
+/**
+ * Player email copy in every supported language
+ *
+ * Payment failure strings may contain inline <strong> markup — the HTML
+ * templates in payment-failure-emails.php drop them in as-is.
+ *
+ * @return array Language code => [key => string]
+ */
+function newteam_get_email_strings() {
+    return [
+        'en' => [
+            'greeting_fallback' => 'there',
+            'signature' => '— The Newteam Crew',
+
+            'waitlist_offer.subject' => 'Your Newteam FC spot is ready — claim it within {hours} hours',
+            'waitlist_offer.greeting' => 'Hi {first_name},',
+            'waitlist_offer.intro' => "Good news — a spot just opened up and you're next on the waitlist.",
+            'waitlist_offer.cta' => 'Complete your registration here before {deadline}:',
+            'waitlist_offer.after' => 'After that, the spot passes to the next player in line.',
+            'waitlist_offer.signoff' => 'See you on the pitch,',
+
+            'payment_failed.1.subject' => 'Quick heads up about your Newteam payment',
+            'payment_failed.1.heading' => 'Hey {first_name}!',
+            'payment_failed.1.intro' => "Just wanted to give you a quick heads up — we tried to process your monthly payment of {amount} for the season, but it didn't go through.",
+            'payment_failed.1.reassure' => "No worries at all! This happens sometimes. We'll automatically try again in a couple days. If you think there might be an issue with your card, you can update your payment info anytime.",
+            'payment_failed.1.ignore' => "If everything's good on your end, just ignore this and we'll take care of it on the next try.",
+            'payment_failed.1.signoff' => 'See you on the pitch!',
+            'payment_failed.1.footer' => 'Questions? Just reply to this email or hit us up at goal@newteamfc.com',
+
+            'payment_failed.2.subject' => 'Following up on your Newteam payment',
+            'payment_failed.2.heading' => 'Hey {first_name}, checking in',
+            'payment_failed.2.intro' => "We gave your payment another shot today for your season dues ({amount}), but it still didn't go through.",
+            'payment_failed.2.tips_intro' => "Could you take a quick look at your card when you get a chance? Sometimes it's just a matter of:",
+            'payment_failed.2.tip_expired' => 'Card expired and needs updating',
+            'payment_failed.2.tip_flagged' => 'Bank flagged it as unusual (just approve it in your banking app)',
+            'payment_failed.2.tip_funds' => 'Insufficient funds at the time we tried',
+            'payment_failed.2.next' => "We'll try one more time in a few days. If you need to update your payment method, just reply to this email and we'll send you a link.",
+            'payment_failed.2.signoff' => 'Thanks for being part of the team!',
+            'payment_failed.2.footer' => 'Need help? Reply to this email or reach us at goal@newteamfc.com',
+
+            'payment_failed.3.subject' => 'Important: Action needed for your Newteam spot',
+            'payment_failed.3.heading' => '{first_name}, we need your help',
+            'payment_failed.3.intro' => "Hey, we've tried a few times now to process your {amount} payment but haven't been able to get it through.",
+            'payment_failed.3.warning' => "<strong>Heads up:</strong> If we can't process payment soon, we'll have to pause your roster spot. We really don't want that to happen!",
+            'payment_failed.3.contact' => 'Can you reply to this email or shoot us a message at <strong>goal@newteamfc.com</strong> so we can sort this out together?',
+            'payment_failed.3.signoff' => 'Talk soon,',
+            'payment_failed.3.footer' => "Reply to this email or contact us at goal@newteamfc.com — we're here to help!",
+
+            'payment_failed.final.subject' => 'Final notice: Your Newteam roster spot',
+            'payment_failed.final.heading' => '{first_name}, this is our last try',
+            'payment_failed.final.intro' => "We've been trying to reach you about your payment. We really want to keep you on the team, but we haven't been able to process your {amount} payment after several attempts.",
+            'payment_failed.final.warning' => "Your subscription will be canceled if we don't hear from you.",
+            'payment_failed.final.warning_detail' => "This means you'd lose your roster spot and equipment. We don't want that!",
+            'payment_failed.final.contact' => "<strong>Please reach out today</strong> — reply to this email or contact us at <strong>goal@newteamfc.com</strong>. Even if you're having financial difficulties, let's talk. We might be able to work something out.",
+            'payment_failed.final.signoff' => "We're rooting for you,",
+            'payment_failed.final.footer' => 'Contact us ASAP at goal@newteamfc.com — we want to help!',
+        ],
+
+        'es' => [
+            'greeting_fallback' => 'crack',
+            'signature' => '— El equipo de Newteam',
+
+            'waitlist_offer.subject' => 'Tu lugar en Newteam FC está listo — resérvalo en las próximas {hours} horas',
+            'waitlist_offer.greeting' => 'Hola {first_name}:',
+            'waitlist_offer.intro' => 'Buenas noticias — se acaba de liberar un lugar y eres el siguiente en la lista de espera.',
+            'waitlist_offer.cta' => 'Completa tu inscripción aquí antes del {deadline}:',
+            'waitlist_offer.after' => 'Después de esa fecha, el lugar pasa al siguiente jugador de la lista.',
+            'waitlist_offer.signoff' => 'Nos vemos en la cancha,',
+
+            'payment_failed.1.subject' => 'Un aviso rápido sobre tu pago de Newteam',
+            'payment_failed.1.heading' => '¡Hola {first_name}!',
+            'payment_failed.1.intro' => 'Solo queríamos avisarte — intentamos procesar tu pago mensual de {amount} de la temporada, pero no se completó.',
+            'payment_failed.1.reassure' => '¡No te preocupes! Esto pasa a veces. Lo volveremos a intentar automáticamente en un par de días. Si crees que hay algún problema con tu tarjeta, puedes actualizar tus datos de pago cuando quieras.',
+            'payment_failed.1.ignore' => 'Si todo está bien de tu lado, ignora este mensaje y nos encargamos en el próximo intento.',
+            'payment_failed.1.signoff' => '¡Nos vemos en la cancha!',
+            'payment_failed.1.footer' => '¿Preguntas? Responde a este correo o escríbenos a goal@newteamfc.com',
+
+            'payment_failed.2.subject' => 'Seguimiento de tu pago de Newteam',
+            'payment_failed.2.heading' => 'Hola {first_name}, te escribimos de nuevo',
+            'payment_failed.2.intro' => 'Hoy volvimos a intentar cobrar tu cuota de la temporada ({amount}), pero todavía no se completó.',
+            'payment_failed.2.tips_intro' => '¿Podrías revisar tu tarjeta cuando tengas un momento? A veces solo se trata de:',
+            'payment_failed.2.tip_expired' => 'La tarjeta venció y hay que actualizarla',
+            'payment_failed.2.tip_flagged' => 'El banco la marcó como inusual (solo apruébala en la app de tu banco)',
+            'payment_failed.2.tip_funds' => 'Fondos insuficientes en el momento del cobro',
+            'payment_failed.2.next' => 'Lo intentaremos una vez más en unos días. Si necesitas cambiar tu método de pago, responde a este correo y te enviamos un enlace.',
+            'payment_failed.2.signoff' => '¡Gracias por ser parte del equipo!',
+            'payment_failed.2.footer' => '¿Necesitas ayuda? Responde a este correo o escríbenos a goal@newteamfc.com',
+
+            'payment_failed.3.subject' => 'Importante: tu lugar en Newteam necesita atención',
+            'payment_failed.3.heading' => '{first_name}, necesitamos tu ayuda',
+            'payment_failed.3.intro' => 'Hola, ya intentamos varias veces procesar tu pago de {amount}, pero no hemos podido completarlo.',
+            'payment_failed.3.warning' => '<strong>Atención:</strong> si no podemos procesar el pago pronto, tendremos que pausar tu lugar en el plantel. ¡De verdad no queremos que pase eso!',
+            'payment_failed.3.contact' => '¿Puedes responder a este correo o escribirnos a <strong>goal@newteamfc.com</strong> para resolverlo juntos?',
+            'payment_failed.3.signoff' => 'Hablamos pronto,',
+            'payment_failed.3.footer' => 'Responde a este correo o escríbenos a goal@newteamfc.com — ¡estamos para ayudarte!',
+
+            'payment_failed.final.subject' => 'Último aviso: tu lugar en el plantel de Newteam',
+            'payment_failed.final.heading' => '{first_name}, este es nuestro último intento',
+            'payment_failed.final.intro' => 'Hemos intentado comunicarnos contigo sobre tu pago. Queremos que sigas en el equipo, pero no hemos podido procesar tu pago de {amount} después de varios intentos.',
+            'payment_failed.final.warning' => 'Tu suscripción se cancelará si no sabemos de ti.',
+            'payment_failed.final.warning_detail' => 'Eso significa que perderías tu lugar en el plantel y tu equipamiento. ¡No queremos eso!',
+            'payment_failed.final.contact' => '<strong>Escríbenos hoy mismo</strong> — responde a este correo o contáctanos en <strong>goal@newteamfc.com</strong>. Aunque estés pasando por dificultades económicas, hablemos. Quizás podamos encontrar una solución.',
+            'payment_failed.final.signoff' => 'Estamos contigo,',
+            'payment_failed.final.footer' => 'Contáctanos cuanto antes en goal@newteamfc.com — ¡queremos ayudarte!',
+        ],
+
+        'pt' => [
+            'greeting_fallback' => 'craque',
+            'signature' => '— A equipe Newteam',
+
+            'waitlist_offer.subject' => 'Sua vaga no Newteam FC está pronta — garanta em até {hours} horas',
+            'waitlist_offer.greeting' => 'Olá {first_name},',
+            'waitlist_offer.intro' => 'Boa notícia — uma vaga acabou de abrir e você é o próximo da lista de espera.',
+            'waitlist_offer.cta' => 'Conclua sua inscrição aqui antes de {deadline}:',
+            'waitlist_offer.after' => 'Depois disso, a vaga passa para o próximo jogador da fila.',
+            'waitlist_offer.signoff' => 'Nos vemos no campo,',
+
+            'payment_failed.1.subject' => 'Um aviso rápido sobre seu pagamento do Newteam',
+            'payment_failed.1.heading' => 'Oi {first_name}!',
+            'payment_failed.1.intro' => 'Só queríamos avisar — tentamos processar seu pagamento mensal de {amount} da temporada, mas ele não foi aprovado.',
+            'payment_failed.1.reassure' => 'Sem problemas! Isso acontece às vezes. Vamos tentar de novo automaticamente em alguns dias. Se achar que há algum problema com seu cartão, você pode atualizar seus dados de pagamento a qualquer momento.',
+            'payment_failed.1.ignore' => 'Se estiver tudo certo do seu lado, é só ignorar este e-mail que resolvemos na próxima tentativa.',
+            'payment_failed.1.signoff' => 'Nos vemos no campo!',
+            'payment_failed.1.footer' => 'Dúvidas? É só responder este e-mail ou falar com a gente em goal@newteamfc.com',
+
+            'payment_failed.2.subject' => 'Acompanhando seu pagamento do Newteam',
+            'payment_failed.2.heading' => 'Oi {first_name}, passando para saber',
+            'payment_failed.2.intro' => 'Tentamos de novo hoje cobrar sua mensalidade da temporada ({amount}), mas ainda não foi aprovado.',
+            'payment_failed.2.tips_intro' => 'Você poderia dar uma olhada no seu cartão quando puder? Às vezes é só questão de:',
+            'payment_failed.2.tip_expired' => 'Cartão vencido que precisa ser atualizado',
+            'payment_failed.2.tip_flagged' => 'O banco marcou como incomum (é só aprovar no app do seu banco)',
+            'payment_failed.2.tip_funds' => 'Saldo insuficiente no momento da cobrança',
+            'payment_failed.2.next' => 'Vamos tentar mais uma vez em alguns dias. Se precisar trocar a forma de pagamento, responda este e-mail e enviaremos um link.',
+            'payment_failed.2.signoff' => 'Obrigado por fazer parte do time!',
+            'payment_failed.2.footer' => 'Precisa de ajuda? Responda este e-mail ou fale com a gente em goal@newteamfc.com',
+
+            'payment_failed.3.subject' => 'Importante: sua vaga no Newteam precisa de atenção',
+            'payment_failed.3.heading' => '{first_name}, precisamos da sua ajuda',
+            'payment_failed.3.intro' => 'Oi, já tentamos algumas vezes processar seu pagamento de {amount}, mas não conseguimos concluir.',
+            'payment_failed.3.warning' => '<strong>Atenção:</strong> se não conseguirmos processar o pagamento em breve, teremos que pausar sua vaga no elenco. A gente não quer que isso aconteça!',
+            'payment_failed.3.contact' => 'Você pode responder este e-mail ou mandar uma mensagem para <strong>goal@newteamfc.com</strong> para resolvermos isso juntos?',
+            'payment_failed.3.signoff' => 'Até breve,',
+            'payment_failed.3.footer' => 'Responda este e-mail ou fale com a gente em goal@newteamfc.com — estamos aqui para ajudar!',
+
+            'payment_failed.final.subject' => 'Último aviso: sua vaga no elenco do Newteam',
+            'payment_failed.final.heading' => '{first_name}, esta é nossa última tentativa',
+            'payment_failed.final.intro' => 'Estamos tentando falar com você sobre seu pagamento. Queremos muito manter você no time, mas não conseguimos processar seu pagamento de {amount} depois de várias tentativas.',
+            'payment_failed.final.warning' => 'Sua assinatura será cancelada se não tivermos notícias suas.',
+            'payment_failed.final.warning_detail' => 'Isso significa que você perderia sua vaga no elenco e seu equipamento. Não queremos isso!',
+            'payment_failed.final.contact' => '<strong>Fale com a gente hoje</strong> — responda este e-mail ou escreva para <strong>goal@newteamfc.com</strong>. Mesmo que esteja passando por dificuldades financeiras, vamos conversar. Talvez a gente consiga dar um jeito.',
+            'payment_failed.final.signoff' => 'Estamos torcendo por você,',
+            'payment_failed.final.footer' => 'Fale com a gente o quanto antes em goal@newteamfc.com — queremos ajudar!',
+        ],
+    ];
+}
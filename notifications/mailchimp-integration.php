@@ -11,9 +11,13 @@
  * - "Season Registration Spring 2026" — active season members ($510+ revenue)
  * - "Full Season Player" / "Guest Player" — player tier segmentation
  * - "Winter Protocol Insider Club" — free lead magnet subscribers ($0 acquisition)
+ * - "Winter Protocol Resend" — removed and re-added to send the guide again
  * - "Newteam FC" — universal tag for all contacts
  *
  * Merge fields: FNAME, LNAME, PHONE, POSITION, EXPERIENCE, SOURCE
+ *
+ * Subscriber language ('en', 'es', 'pt') is set from the page the player
+ * signed up on, so journeys can branch to translated emails.
  */
 
 // Credentials loaded from Docker secrets — never hardcoded
@@ -54,7 +58,7 @@ function newteam_get_mailchimp_server() {
  * Used by all three flows:
  * - Tryout registration: tags=['Tryout Registration', 'Newteam FC'], fields=[PHONE, POSITION, EXPERIENCE]
  * - Season registration: tags=['Season Registration', player type], fields=[POSITION]
- * - Winter Protocol: tags=['Winter Protocol Insider Club'], fields=[SOURCE]
+ * - Lead magnets: tags from lead-magnet-definitions.php (e.g. 'Winter Protocol Insider Club'), fields=[SOURCE]
  *
  * If the subscriber already exists, their tags are updated instead of
  * creating a duplicate — idempotent operation.
@@ -65,9 +69,10 @@ function newteam_get_mailchimp_server() {
  * @param array $tags Tags to apply
  * @param string $list_id Mailchimp list/audience ID (empty = default)
  * @param array $extra_fields Additional merge fields beyond FNAME/LNAME
- * @return array ['success' => bool, 'message' => string]
+ * @param string $language Subscriber language (empty = leave unset)
+ * @return array ['success' => bool, 'message' => string, 'created' => bool — false when the contact already existed]
  */
-function newteam_add_to_mailchimp_with_tags($email, $first_name = '', $last_name = '', $tags = [], $list_id = '', $extra_fields = []) {
+function newteam_add_to_mailchimp_with_tags($email, $first_name = '', $last_name = '', $tags = [], $list_id = '', $extra_fields = [], $language = '') {
     $api_key = newteam_get_mailchimp_api_key();
     $server = newteam_get_mailchimp_server();
 
@@ -77,7 +82,7 @@ function newteam_add_to_mailchimp_with_tags($email, $first_name = '', $last_name
     }
 
     if (empty($list_id)) {
-        return ['success' => false, 'message' => 'Mailchimp list ID not configured'];
+        return ['success' => false, 'message' => 'Mailchimp list ID not configured', 'created' => false];
     }
 
     $url = 'https://' . $server . '.api.mailchimp.com/3.0/lists/' . $list_id . '/members';
@@ -99,6 +104,10 @@ function newteam_add_to_mailchimp_with_tags($email, $first_name = '', $last_name
         'tags' => $tags
     ];
 
+    if (!empty($language)) {
+        $data['language'] = newteam_sanitize_language($language);
+    }
+
     $response = wp_remote_post($url, [
         'headers' => [
             'Authorization' => 'Basic ' . base64_encode('anystring:' . $api_key),
@@ -110,21 +119,24 @@ function newteam_add_to_mailchimp_with_tags($email, $first_name = '', $last_name
 
     if (is_wp_error($response)) {
         error_log('Mailchimp API Error: ' . $response->get_error_message());
-        return ['success' => false, 'message' => 'Failed to connect to Mailchimp'];
+        return ['success' => false, 'message' => 'Failed to connect to Mailchimp', 'created' => false];
     }
 
     $body = json_decode(wp_remote_retrieve_body($response), true);
     $code = wp_remote_retrieve_response_code($response);
 
     if ($code === 200 || $code === 201) {
-        return ['success' => true, 'message' => 'Successfully subscribed with tags: ' . implode(', ', $tags)];
+        return ['success' => true, 'message' => 'Successfully subscribed with tags: ' . implode(', ', $tags), 'created' => true];
     } elseif ($code === 400 && isset($body['title']) && $body['title'] === 'Member Exists') {
         // Member exists — update their tags instead
         newteam_update_mailchimp_member_tags($email, $tags, $list_id);
-        return ['success' => true, 'message' => 'Email already subscribed, tags updated'];
+        if (!empty($language)) {
+            newteam_update_mailchimp_member_language($email, $language, $list_id);
+        }
+        return ['success' => true, 'message' => 'Email already subscribed, tags updated', 'created' => false];
     } else {
         error_log('Mailchimp API Response: ' . print_r($body, true));
-        return ['success' => false, 'message' => isset($body['detail']) ? $body['detail'] : 'Failed to subscribe'];
+        return ['success' => false, 'message' => isset($body['detail']) ? $body['detail'] : 'Failed to subscribe', 'created' => false];
     }
 }
 
@@ -132,14 +144,15 @@ function newteam_add_to_mailchimp_with_tags($email, $first_name = '', $last_name
  * Update tags for existing Mailchimp member
  *
  * Uses the Mailchimp Tags endpoint with subscriber hash (MD5 of lowercase email).
- * Each tag is set to 'active' status — existing tags are preserved.
+ * Each tag is set to 'active' status by default — existing tags are preserved.
  *
  * @param string $email Subscriber email
- * @param array $tags Tags to add/activate
+ * @param array $tags Tags to add/activate (or remove, with 'inactive')
  * @param string $list_id Mailchimp list ID
+ * @param string $status 'active' adds the tags, 'inactive' removes them
  * @return bool Success
  */
-function newteam_update_mailchimp_member_tags($email, $tags, $list_id = '') {
+function newteam_update_mailchimp_member_tags($email, $tags, $list_id = '', $status = 'active') {
     $api_key = newteam_get_mailchimp_api_key();
     $server = newteam_get_mailchimp_server();
 
@@ -154,7 +167,7 @@ function newteam_update_mailchimp_member_tags($email, $tags, $list_id = '') {
 
     $tag_objects = [];
     foreach ($tags as $tag) {
-        $tag_objects[] = ['name' => $tag, 'status' => 'active'];
+        $tag_objects[] = ['name' => $tag, 'status' => $status];
     }
 
     $response = wp_remote_post($url, [
@@ -173,3 +186,127 @@ function newteam_update_mailchimp_member_tags($email, $tags, $list_id = '') {
 
     return (wp_remote_retrieve_response_code($response) === 204);
 }
+
+/**
+ * Update an existing Mailchimp member's language
+ *
+ * Follows the player's latest signup — someone who joined in English and
+ * registers later in Spanish gets Spanish journeys from then on.
+ *
+ * @param string $email Subscriber email
+ * @param string $language 'en', 'es' or 'pt'
+ * @param string $list_id Mailchimp list ID
+ * @return bool Success
+ */
+function newteam_update_mailchimp_member_language($email, $language, $list_id = '') {
+    $api_key = newteam_get_mailchimp_api_key();
+    $server = newteam_get_mailchimp_server();
+
+    if (empty($list_id)) {
+        $list_id = get_option('newteam_mailchimp_list_id', '');
+    }
+
+    if (empty($list_id)) return false;
+
+    $subscriber_hash = md5(strtolower($email));
+    $url = 'https://' . $server . '.api.mailchimp.com/3.0/lists/' . $list_id . '/members/' . $subscriber_hash;
+
+    $response = wp_remote_request($url, [
+        'method' => 'PATCH',
+        'headers' => [
+            'Authorization' => 'Basic ' . base64_encode('anystring:' . $api_key),
+            'Content-Type' => 'application/json'
+        ],
+        'body' => json_encode(['language' => newteam_sanitize_language($language)]),
+        'timeout' => 10
+    ]);
+
+    if (is_wp_error($response)) {
+        error_log('Mailchimp Language Update Error: ' . $response->get_error_message());
+        return false;
+    }
+
+    return (wp_remote_retrieve_response_code($response) === 200);
+}
+
+/**
+ * Remove and re-add a tag so journeys triggered by "tag added" run again
+ *
+ * Used to resend a lead magnet guide — the guide's journey starts on
+ * the resend tag as well as the signup tag.
+ *
+ * @param string $email Subscriber email
+ * @param string $tag Tag to re-apply
+ * @param string $list_id Mailchimp list ID
+ * @return bool Success
+ */
+function newteam_retrigger_mailchimp_tag($email, $tag, $list_id = '') {
+    newteam_update_mailchimp_member_tags($email, [$tag], $list_id, 'inactive');
+    return newteam_update_mailchimp_member_tags($email, [$tag], $list_id, 'active');
+}
+
+/**
+ * Change an existing Mailchimp member's email address
+ *
+ * Keeps the member's tags, merge fields and journey history instead of
+ * subscribing the corrected address as a second contact. If the corrected
+ * address is already on the list, the mistyped contact is archived and the
+ * existing one gets its tags.
+ *
+ * Only pass an $old_email whose contact the caller created — it may be
+ * renamed or archived. The contact at $new_email is never changed beyond
+ * its tags.
+ *
+ * @param string $old_email Address the member signed up with
+ * @param string $new_email Corrected address
+ * @param array $tags Tags the corrected contact must carry
+ * @param string $list_id Mailchimp list ID
+ * @return array ['success' => bool, 'message' => string, 'merged' => bool — true when $new_email already existed]
+ */
+function newteam_change_mailchimp_member_email($old_email, $new_email, $tags = [], $list_id = '') {
+    $api_key = newteam_get_mailchimp_api_key();
+    $server = newteam_get_mailchimp_server();
+
+    if (empty($list_id)) {
+        $list_id = get_option('newteam_mailchimp_list_id', '');
+    }
+
+    if (empty($list_id)) {
+        return ['success' => false, 'message' => 'Mailchimp list ID not configured', 'merged' => false];
+    }
+
+    $member_url = 'https://' . $server . '.api.mailchimp.com/3.0/lists/' . $list_id . '/members/' . md5(strtolower($old_email));
+    $headers = [
+        'Authorization' => 'Basic ' . base64_encode('anystring:' . $api_key),
+        'Content-Type' => 'application/json'
+    ];
+
+    $response = wp_remote_request($member_url, [
+        'method' => 'PATCH',
+        'headers' => $headers,
+        'body' => json_encode(['email_address' => $new_email]),
+        'timeout' => 10
+    ]);
+
+    if (is_wp_error($response)) {
+        error_log('Mailchimp Email Change Error: ' . $response->get_error_message());
+        return ['success' => false, 'message' => 'Failed to connect to Mailchimp', 'merged' => false];
+    }
+
+    $code = wp_remote_retrieve_response_code($response);
+    $body = json_decode(wp_remote_retrieve_body($response), true);
+
+    if ($code === 200) {
+        return ['success' => true, 'message' => 'Email address updated', 'merged' => false];
+    }
+
+    if ($code === 400 && isset($body['title']) && $body['title'] === 'Member Exists') {
+        // Corrected address is already a contact — keep that one, archive the typo
+        wp_remote_request($member_url, ['method' => 'DELETE', 'headers' => $headers, 'timeout' => 10]);
+        newteam_update_mailchimp_member_tags($new_email, $tags, $list_id);
+        return ['success' => true, 'message' => 'Merged into existing contact', 'merged' => true];
+    }
+
+    error_log('Mailchimp Email Change Response: ' . print_r($body, true));
+    return ['success' => false, 'message' => isset($body['detail']) ? $body['detail'] : 'Failed to update email', 'merged' => false];
+}
@@ -34,13 +34,22 @@ function newteam_handle_subscription_payment_failed($invoice) {
 
     error_log("SUBSCRIPTION PAYMENT FAILED: Subscription {$subscription_id}, Attempt {$attempt_count}, Email: {$customer_email}");
 
+    // First-invoice declines happen during checkout — the page shows them and
+    // offers a retry with another card, and there's no registration to update yet
+    if (($invoice['billing_reason'] ?? '') === 'subscription_create') {
+        error_log("SUBSCRIPTION PAYMENT FAILED: Skipping notifications for checkout decline on {$subscription_id}");
+        return;
+    }
+
     // Extract first name for personalized greeting
     $first_name = '';
     if (!empty($customer_name)) {
         $name_parts = explode(' ', $customer_name);
         $first_name = $name_parts[0];
     }
-    $greeting_name = !empty($first_name) ? $first_name : 'there';
+    // Language the player registered in — stored on the subscription at checkout
+    $language = newteam_sanitize_language($invoice['subscription_details']['metadata']['language'] ?? 'en');
+    $greeting_name = !empty($first_name) ? $first_name : newteam_email_text('greeting_fallback', $language);
 
     // Update system of record with failure status
     if ($subscription_id) {
@@ -50,7 +59,7 @@ function newteam_handle_subscription_payment_failed($invoice) {
 
     // Send personalized player notification
     if (!empty($customer_email)) {
-        $player_email_content = newteam_get_payment_failed_email($greeting_name, $attempt_count, $amount_due);
+        $player_email_content = newteam_get_payment_failed_email($greeting_name, $attempt_count, $amount_due, $language);
 
         $player_headers = [
             'Content-Type: text/html; charset=UTF-8',
@@ -99,142 +108,110 @@ function newteam_handle_subscription_payment_failed($invoice) {
  * Get personalized payment failed email content based on attempt number
  *
  * Each retry gets a different, progressively more urgent but still
- * supportive message. HTML emails with branded styling.
+ * supportive message. HTML emails with branded styling; the copy comes
+ * from newteam_email_text() in the player's language.
  *
  * @param string $first_name Player's first name for personalization
  * @param int $attempt_count Which retry attempt this is (1, 2, 3, 4+)
  * @param string $amount_due Formatted amount (e.g., "85.00")
+ * @param string $language Player language ('en', 'es', 'pt')
  * @return array ['subject' => string, 'body' => string]
  */
-function newteam_get_payment_failed_email($first_name, $attempt_count, $amount_due) {
-    switch ($attempt_count) {
-        case 1:
-            $subject = "Quick heads up about your Newteam payment";
-            $body = "
-            <div style='font-family: -apple-system, BlinkMacSystemFont, \"Segoe UI\", Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;'>
-                <div style='background: linear-gradient(135deg, #dc2626, #991b1b); padding: 20px; border-radius: 10px 10px 0 0;'>
-                    <h1 style='color: white; margin: 0; font-size: 24px;'>Hey {$first_name}!</h1>
-                </div>
-                <div style='background: #1a1a2e; color: #e0e0e0; padding: 30px; border-radius: 0 0 10px 10px;'>
+function newteam_get_payment_failed_email($first_name, $attempt_count, $amount_due, $language = 'en') {
+    $language = newteam_sanitize_language($language);
+    $stage = in_array($attempt_count, [1, 2, 3], true) ? (string) $attempt_count : 'final';
+    $text = function ($key) use ($stage, $language, $first_name, $amount_due) {
+        return newteam_email_text("payment_failed.{$stage}.{$key}", $language, [
+            'first_name' => $first_name,
+            'amount' => "<strong style='color: #f59e0b;'>\${$amount_due}</strong>",
+        ]);
+    };
+    $signature = newteam_email_text('signature', $language);
+
+    switch ($stage) {
+        case '1':
+            $content = "
                     <p style='font-size: 16px; line-height: 1.6;'>
-                        Just wanted to give you a quick heads up — we tried to process your monthly payment of <strong style='color: #f59e0b;'>\${$amount_due}</strong> for the season, but it didn't go through.
+                        {$text('intro')}
                     </p>
                     <p style='font-size: 16px; line-height: 1.6;'>
-                        No worries at all! This happens sometimes. We'll automatically try again in a couple days. If you think there might be an issue with your card, you can update your payment info anytime.
+                        {$text('reassure')}
                     </p>
                     <p style='font-size: 16px; line-height: 1.6; color: #a0a0a0;'>
-                        If everything's good on your end, just ignore this and we'll take care of it on the next try.
-                    </p>
-                    <p style='font-size: 16px; line-height: 1.6; margin-top: 30px;'>
-                        See you on the pitch!<br>
-                        <strong style='color: #f59e0b;'>— The Newteam Crew</strong>
-                    </p>
-                </div>
-                <div style='text-align: center; padding: 20px; color: #666; font-size: 12px;'>
-                    Questions? Just reply to this email or hit us up at goal@newteamfc.com
-                </div>
-            </div>";
+                        {$text('ignore')}
+                    </p>";
             break;
 
-        case 2:
-            $subject = "Following up on your Newteam payment";
-            $body = "
-            <div style='font-family: -apple-system, BlinkMacSystemFont, \"Segoe UI\", Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;'>
-                <div style='background: linear-gradient(135deg, #dc2626, #991b1b); padding: 20px; border-radius: 10px 10px 0 0;'>
-                    <h1 style='color: white; margin: 0; font-size: 24px;'>Hey {$first_name}, checking in</h1>
-                </div>
-                <div style='background: #1a1a2e; color: #e0e0e0; padding: 30px; border-radius: 0 0 10px 10px;'>
+        case '2':
+            $content = "
                     <p style='font-size: 16px; line-height: 1.6;'>
-                        We gave your payment another shot today for your season dues (<strong style='color: #f59e0b;'>\${$amount_due}</strong>), but it still didn't go through.
+                        {$text('intro')}
                     </p>
                     <p style='font-size: 16px; line-height: 1.6;'>
-                        Could you take a quick look at your card when you get a chance? Sometimes it's just a matter of:
+                        {$text('tips_intro')}
                     </p>
                     <ul style='font-size: 15px; line-height: 1.8; color: #a0a0a0;'>
-                        <li>Card expired and needs updating</li>
-                        <li>Bank flagged it as unusual (just approve it in your banking app)</li>
-                        <li>Insufficient funds at the time we tried</li>
+                        <li>{$text('tip_expired')}</li>
+                        <li>{$text('tip_flagged')}</li>
+                        <li>{$text('tip_funds')}</li>
                     </ul>
                     <p style='font-size: 16px; line-height: 1.6;'>
-                        We'll try one more time in a few days. If you need to update your payment method, just reply to this email and we'll send you a link.
-                    </p>
-                    <p style='font-size: 16px; line-height: 1.6; margin-top: 30px;'>
-                        Thanks for being part of the team!<br>
-                        <strong style='color: #f59e0b;'>— The Newteam Crew</strong>
-                    </p>
-                </div>
-                <div style='text-align: center; padding: 20px; color: #666; font-size: 12px;'>
-                    Need help? Reply to this email or reach us at goal@newteamfc.com
-                </div>
-            </div>";
+                        {$text('next')}
+                    </p>";
             break;
 
-        case 3:
-            $subject = "Important: Action needed for your Newteam spot";
-            $body = "
-            <div style='font-family: -apple-system, BlinkMacSystemFont, \"Segoe UI\", Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;'>
-                <div style='background: linear-gradient(135deg, #dc2626, #991b1b); padding: 20px; border-radius: 10px 10px 0 0;'>
-                    <h1 style='color: white; margin: 0; font-size: 24px;'>{$first_name}, we need your help</h1>
-                </div>
-                <div style='background: #1a1a2e; color: #e0e0e0; padding: 30px; border-radius: 0 0 10px 10px;'>
+        case '3':
+            $content = "
                     <p style='font-size: 16px; line-height: 1.6;'>
-                        Hey, we've tried a few times now to process your <strong style='color: #f59e0b;'>\${$amount_due}</strong> payment but haven't been able to get it through.
+                        {$text('intro')}
                     </p>
                     <div style='background: rgba(220, 38, 38, 0.2); border: 1px solid #dc2626; border-radius: 8px; padding: 15px; margin: 20px 0;'>
                         <p style='font-size: 15px; line-height: 1.6; margin: 0; color: #ff6b6b;'>
-                            <strong>Heads up:</strong> If we can't process payment soon, we'll have to pause your roster spot. We really don't want that to happen!
+                            {$text('warning')}
                         </p>
                     </div>
                     <p style='font-size: 16px; line-height: 1.6;'>
-                        Can you reply to this email or shoot us a message at <strong>goal@newteamfc.com</strong> so we can sort this out together?
-                    </p>
-                    <p style='font-size: 16px; line-height: 1.6; margin-top: 30px;'>
-                        Talk soon,<br>
-                        <strong style='color: #f59e0b;'>— The Newteam Crew</strong>
-                    </p>
-                </div>
-                <div style='text-align: center; padding: 20px; color: #666; font-size: 12px;'>
-                    Reply to this email or contact us at goal@newteamfc.com — we're here to help!
-                </div>
-            </div>";
+                        {$text('contact')}
+                    </p>";
             break;
 
         default:
-            $subject = "Final notice: Your Newteam roster spot";
-            $body = "
-            <div style='font-family: -apple-system, BlinkMacSystemFont, \"Segoe UI\", Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;'>
-                <div style='background: linear-gradient(135deg, #dc2626, #991b1b); padding: 20px; border-radius: 10px 10px 0 0;'>
-                    <h1 style='color: white; margin: 0; font-size: 24px;'>{$first_name}, this is our last try</h1>
-                </div>
-                <div style='background: #1a1a2e; color: #e0e0e0; padding: 30px; border-radius: 0 0 10px 10px;'>
+            $content = "
                     <p style='font-size: 16px; line-height: 1.6;'>
-                        We've been trying to reach you about your payment. We really want to keep you on the team, but we haven't been able to process your <strong style='color: #f59e0b;'>\${$amount_due}</strong> payment after several attempts.
+                        {$text('intro')}
                     </p>
                     <div style='background: rgba(220, 38, 38, 0.3); border: 2px solid #dc2626; border-radius: 8px; padding: 20px; margin: 20px 0;'>
                         <p style='font-size: 16px; line-height: 1.6; margin: 0; color: #ff6b6b;'>
-                            <strong>Your subscription will be canceled if we don't hear from you.</strong>
+                            <strong>{$text('warning')}</strong>
                         </p>
                         <p style='font-size: 14px; line-height: 1.6; margin: 10px 0 0 0; color: #e0e0e0;'>
-                            This means you'd lose your roster spot and equipment. We don't want that!
+                            {$text('warning_detail')}
                         </p>
                     </div>
                     <p style='font-size: 16px; line-height: 1.6;'>
-                        <strong>Please reach out today</strong> — reply to this email or contact us at <strong>goal@newteamfc.com</strong>. Even if you're having financial difficulties, let's talk. We might be able to work something out.
-                    </p>
+                        {$text('contact')}
+                    </p>";
+            break;
+    }
+
+    $body = "
+            <div lang='{$language}' style='font-family: -apple-system, BlinkMacSystemFont, \"Segoe UI\", Roboto, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;'>
+                <div style='background: linear-gradient(135deg, #dc2626, #991b1b); padding: 20px; border-radius: 10px 10px 0 0;'>
+                    <h1 style='color: white; margin: 0; font-size: 24px;'>{$text('heading')}</h1>
+                </div>
+                <div style='background: #1a1a2e; color: #e0e0e0; padding: 30px; border-radius: 0 0 10px 10px;'>{$content}
                     <p style='font-size: 16px; line-height: 1.6; margin-top: 30px;'>
-                        We're rooting for you,<br>
-                        <strong style='color: #f59e0b;'>— The Newteam Crew</strong>
+                        {$text('signoff')}<br>
+                        <strong style='color: #f59e0b;'>{$signature}</strong>
                     </p>
                 </div>
                 <div style='text-align: center; padding: 20px; color: #666; font-size: 12px;'>
-                    Contact us ASAP at goal@newteamfc.com — we want to help!
+                    {$text('footer')}
                 </div>
             </div>";
-            break;
-    }
 
     return [
-        'subject' => $subject,
+        'subject' => $text('subject'),
         'body' => $body
     ];
 }
@@ -0,0 +1,135 @@
+<?php
+/**
+ * Checkout Attempts & Idempotency
+ *
+ * Each checkout form session sends a client-generated `idempotency_key` with
+ * create_payment_intent_simple, create_season_full_payment and
+ * create_season_subscription. The handlers use it twice:
+ *
+ * - Forwarded to Stripe as the Idempotency-Key header (one suffix per API
+ *   call, e.g. "{key}:customer"), so a request replayed by a flaky network
+ *   returns the original object instead of creating a second one
+ * - Recorded here with the objects the attempt created, so a double submit,
+ *   retry or reload with the same key answers with the original intent or
+ *   subscription — even when the new request carries a fresh PaymentMethod
+ * - Season attempts also record a fingerprint of what they're buying; a
+ *   repeat of the key for a different season, tier, frequency, player set or
+ *   promo code is rejected rather than answered with the earlier charge
+ *
+ * The page rotates its key after a definite failure (decline, validation
+ * error) so the next attempt can use a different card.
+ *
+ * Attempts are kept for 24 hours — the same window Stripe keeps idempotency keys.
+ */
+
+/**
+ * The request's idempotency key, or '' when the page didn't send one
+ *
+ * @return string
+ */
+function newteam_get_idempotency_key() {
+    $key = preg_replace('/[^A-Za-z0-9_-]/', '', $_POST['idempotency_key'] ?? '');
+    return substr($key, 0, 100);
+}
+
+/**
+ * Idempotency-Key header for one Stripe call in an attempt
+ *
+ * @param string $idempotency_key Key from newteam_get_idempotency_key()
+ * @param string $step Which call — 'customer', 'payment_intent', 'subscription'
+ * @return array Header to merge into the request headers, empty without a key
+ */
+function newteam_stripe_idempotency_header($idempotency_key, $step) {
+    if (empty($idempotency_key)) {
+        return [];
+    }
+
+    return ['Idempotency-Key' => $idempotency_key . ':' . $step];
+}
+
+/**
+ * Objects created by an earlier request with this key
+ *
+ * @param string $idempotency_key
+ * @return array|false ['payment_intent_id' => ..., 'subscription_id' => ..., 'customer_id' => ..., 'fingerprint' => ...]
+ */
+function newteam_get_checkout_attempt($idempotency_key) {
+    if (empty($idempotency_key)) {
+        return false;
+    }
+
+    return get_transient('newteam_checkout_' . md5($idempotency_key));
+}
+
+/**
+ * Record the objects an attempt created
+ *
+ * @param string $idempotency_key
+ * @param array $attempt
+ */
+function newteam_save_checkout_attempt($idempotency_key, $attempt) {
+    if (empty($idempotency_key)) {
+        return;
+    }
+
+    set_transient('newteam_checkout_' . md5($idempotency_key), $attempt, DAY_IN_SECONDS);
+}
+
+/**
+ * Fingerprint of what a checkout request is buying
+ *
+ * @param array $purchase Everything that decides the price and who it covers
+ * @return string
+ */
+function newteam_checkout_fingerprint($purchase) {
+    return md5(json_encode($purchase));
+}
+
+/**
+ * Stop a repeat of an attempt that is buying something else
+ *
+ * The page rotates its key on this error, so the player's next submit starts
+ * a new attempt for what they selected now.
+ *
+ * @param array $attempt From newteam_get_checkout_attempt()
+ * @param string $fingerprint From newteam_checkout_fingerprint() for this request
+ */
+function newteam_enforce_checkout_fingerprint($attempt, $fingerprint) {
+    if (!hash_equals($attempt['fingerprint'] ?? '', $fingerprint)) {
+        error_log('STRIPE: Repeat checkout attempt for a different purchase — rejected');
+        wp_die(json_encode([
+            'success' => false,
+            'message' => 'Your registration changed after this payment started. Please check your details and submit again.'
+        ]));
+    }
+}
+
+/**
+ * GET a Stripe object
+ *
+ * @param string $path e.g. 'payment_intents/pi_123'
+ * @param array $query e.g. ['expand[]' => 'latest_invoice.payment_intent']
+ * @return array|false Decoded object, false on error
+ */
+function newteam_stripe_retrieve($path, $query = []) {
+    $url = 'https://api.stripe.com/v1/' . $path . (empty($query) ? '' : '?' . http_build_query($query));
+
+    $response = wp_remote_get($url, [
+        'headers' => ['Authorization' => 'Bearer ' . newteam_get_stripe_secret_key()],
+        'timeout' => 30
+    ]);
+
+    if (is_wp_error($response)) {
+        error_log('STRIPE RETRIEVE ERROR: ' . $response->get_error_message());
+        return false;
+    }
+
+    $object = json_decode(wp_remote_retrieve_body($response), true);
+
+    if (!isset($object['id'])) {
+        error_log('STRIPE RETRIEVE ERROR: ' . json_encode($object['error'] ?? $object));
+        return false;
+    }
+
+    return $object;
+}
@@ -49,10 +49,11 @@ function newteam_get_stripe_secret_key() {
  *
  * @param string $email Customer email
  * @param string $name Customer full name
- * @param array $metadata Additional metadata (player_type, registration type, etc.)
+ * @param array $metadata Additional metadata (player_type, registration type, language, etc.)
+ * @param string $idempotency_key Checkout attempt key — a replayed request returns the same Customer
  * @return array|false Customer object or false on failure
  */
-function newteam_create_stripe_customer($email, $name, $metadata = []) {
+function newteam_create_stripe_customer($email, $name, $metadata = [], $idempotency_key = '') {
     $stripe_secret_key = newteam_get_stripe_secret_key();
 
     if (empty($stripe_secret_key)) {
@@ -68,11 +69,16 @@ function newteam_create_stripe_customer($email, $name, $metadata = []) {
         $body['metadata[' . $key . ']'] = $value;
     }
 
+    // Receipts and hosted invoice pages follow the registration page's language
+    if (!empty($metadata['language'])) {
+        $body['preferred_locales[0]'] = newteam_get_stripe_locale($metadata['language']);
+    }
+
     $response = wp_remote_post('https://api.stripe.com/v1/customers', [
-        'headers' => [
+        'headers' => array_merge([
             'Authorization' => 'Bearer ' . $stripe_secret_key,
             'Content-Type' => 'application/x-www-form-urlencoded'
-        ],
+        ], newteam_stripe_idempotency_header($idempotency_key, 'customer')),
         'body' => http_build_query($body),
         'timeout' => 30
     ]);
@@ -92,6 +98,37 @@ function newteam_create_stripe_customer($email, $name, $metadata = []) {
     return false;
 }
 
+/**
+ * Retrieve a Stripe Customer
+ *
+ * Used when a group checkout creates several subscriptions on the payer's
+ * Customer — the caller must check the returned email before reusing it.
+ *
+ * @param string $customer_id Stripe Customer ID
+ * @return array|false Customer object or false if missing/deleted
+ */
+function newteam_get_stripe_customer($customer_id) {
+    $stripe_secret_key = newteam_get_stripe_secret_key();
+
+    if (empty($stripe_secret_key) || empty($customer_id)) {
+        return false;
+    }
+
+    $response = wp_remote_get('https://api.stripe.com/v1/customers/' . rawurlencode($customer_id), [
+        'headers' => ['Authorization' => 'Bearer ' . $stripe_secret_key],
+        'timeout' => 30
+    ]);
+
+    if (is_wp_error($response)) {
+        error_log('STRIPE CUSTOMER ERROR: ' . $response->get_error_message());
+        return false;
+    }
+
+    $customer = json_decode(wp_remote_retrieve_body($response), true);
+
+    return (isset($customer['id']) && empty($customer['deleted'])) ? $customer : false;
+}
+
 /**
  * Create a Stripe Customer Portal session
  *
@@ -6,7 +6,7 @@
  * and season registration pay-in-full transactions.
  *
  * Revenue type: One-time receivable, immediate revenue recognition
- * Transaction types: Tryout fee ($15), Season pay-in-full ($510)
+ * Transaction types: Tryout fee (per session), Season pay-in-full (per season)
  */
 
 // Credentials loaded from Docker secrets — never hardcoded
@@ -38,7 +38,7 @@ function newteam_create_payment_intent($registration_data, $price, $tryout_date_
         $payment_intent = \Stripe\PaymentIntent::create([
             'amount' => $price * 100, // Convert to cents for Stripe API
             'currency' => 'usd',
-            'payment_method_types' => ['card'],
+            'payment_method_types' => newteam_get_payment_method_types('tryout'),
             'description' => 'Newteam F.C. Soccer Tryout Registration - ' . $tryout_date_info['formatted'],
             'metadata' => [
                 'type' => 'tryout_registration',
@@ -85,14 +85,57 @@ function newteam_create_payment_intent($registration_data, $price, $tryout_date_
  * AJAX handler: Create simple payment intent (tryout registration)
  *
  * Called from the React TryoutPage component via fetch().
- * Creates a PaymentIntent with the fixed $15 tryout fee.
+ * Creates a PaymentIntent for the selected tryout session. The price comes
+ * from the session definition (tryout-sessions.php), less any promo code —
+ * requests that don't name a known session are rejected, never charged a
+ * client-posted amount.
+ *
+ * A repeat of an idempotency_key answers with the intent it already created
+ * (amount updated to the current selection while it's still unpaid), plus its
+ * status so the page can skip confirmation when it has already succeeded.
  */
 function newteam_ajax_create_payment_intent_simple() {
     header('Content-Type: application/json');
 
-    $amount = intval($_POST['amount'] ?? 0);
     $email = sanitize_email($_POST['email'] ?? '');
     $name = sanitize_text_field($_POST['name'] ?? '');
+    $session_id = sanitize_key($_POST['session_id'] ?? '');
+    $waitlist_offer = sanitize_text_field($_POST['waitlist_offer'] ?? '');
+    $idempotency_key = newteam_get_idempotency_key();
+    $language = newteam_sanitize_language($_POST['language'] ?? '');
+
+    // Tryout sessions are priced server-side — any posted amount is ignored
+    $session = $session_id !== '' ? newteam_get_tryout_session($session_id) : null;
+
+    if (!$session) {
+        wp_die(json_encode(['success' => false, 'message' => 'Unknown tryout session']));
+    }
+    $has_offer = newteam_waitlist_offer_is_valid($waitlist_offer, newteam_waitlist_key('tryout', $session_id));
+    if (!newteam_tryout_session_is_open($session) && !$has_offer) {
+        wp_die(json_encode(['success' => false, 'message' => 'This tryout session is full or no longer available']));
+    }
+
+    $list_amount_cents = intval($session['price_cents']);
+    $amount = $list_amount_cents;
+
+    // Double submit, retry or reload — the intent this checkout already created, reused below
+    $attempt = newteam_get_checkout_attempt($idempotency_key);
+
+    // Promo code — re-validated server-side, discount taken off the charge
+    $promo_code = '';
+    $promotion_code_id = '';
+    if (!empty($_POST['promo_code'])) {
+        $promo_result = newteam_validate_promo_code($_POST['promo_code'], [
+            'product' => 'tryout',
+            'reference' => $attempt['payment_intent_id'] ?? ''
+        ]);
+        if (!$promo_result['valid']) {
+            wp_die(json_encode(['success' => false, 'message' => $promo_result['message']]));
+        }
+        $promo_code = $promo_result['promo']['code'];
+        $promotion_code_id = $promo_result['promo']['stripe_promotion_code'];
+        $amount -= newteam_get_promo_discount_cents($amount, $promo_result['promo']);
+    }
 
     if ($amount <= 0) {
         wp_die(json_encode(['success' => false, 'message' => 'Invalid amount: ' . $amount]));
@@ -104,19 +147,62 @@ function newteam_ajax_create_payment_intent_simple() {
         wp_die(json_encode(['success' => false, 'message' => 'Payment configuration error']));
     }
 
-    // Create payment intent via Stripe REST API
+    $metadata = [
+        'metadata[customer_email]' => $email,
+        'metadata[customer_name]' => $name,
+        'metadata[tryout_session_id]' => $session_id,
+        'metadata[promo_code]' => $promo_code,
+        'metadata[stripe_promotion_code]' => $promotion_code_id,
+        // What the charge was priced at — registration checks the amount against these, not today's prices
+        'metadata[list_amount_cents]' => $list_amount_cents,
+        'metadata[discount_cents]' => $list_amount_cents - $amount,
+        'metadata[language]' => $language
+    ];
+
+    $existing = $attempt ? newteam_stripe_retrieve('payment_intents/' . $attempt['payment_intent_id']) : false;
+
+    if ($existing && $existing['status'] !== 'canceled') {
+        error_log("STRIPE: Repeat checkout attempt — reusing payment intent {$existing['id']} ({$existing['status']})");
+
+        // Still unpaid — follow the player's current session and promo code
+        if (in_array($existing['status'], ['requires_payment_method', 'requires_confirmation']) && intval($existing['amount']) !== $amount) {
+            $update_response = wp_remote_post("https://api.stripe.com/v1/payment_intents/{$existing['id']}", [
+                'headers' => [
+                    'Authorization' => 'Bearer ' . $stripe_secret_key,
+                    'Content-Type' => 'application/x-www-form-urlencoded'
+                ],
+                'body' => http_build_query(array_merge(['amount' => $amount], $metadata)),
+                'timeout' => 30
+            ]);
+
+            if (is_wp_error($update_response) || wp_remote_retrieve_response_code($update_response) !== 200) {
+                wp_die(json_encode(['success' => false, 'message' => 'Payment setup failed']));
+            }
+        }
+        newteam_reserve_promo_redemption($promo_code, $existing['id']);
+
+        wp_die(json_encode([
+            'success' => true,
+            'client_secret' => $existing['client_secret'],
+            'payment_intent_id' => $existing['id'],
+            'status' => $existing['status']
+        ]));
+    }
+
+    // Card testers need a fresh intent — checked before a new one reaches Stripe
+    newteam_enforce_bot_protection('tryout_checkout', ['success' => false, 'message' => 'Payment setup failed']);
+
+    // Create payment intent via Stripe REST API — a canceled earlier intent needs a fresh Stripe key
     $response = wp_remote_post('https://api.stripe.com/v1/payment_intents', [
-        'headers' => [
+        'headers' => array_merge([
             'Authorization' => 'Bearer ' . $stripe_secret_key,
             'Content-Type' => 'application/x-www-form-urlencoded'
-        ],
-        'body' => http_build_query([
+        ], newteam_stripe_idempotency_header($idempotency_key, $existing ? 'payment_intent:' . $existing['id'] : 'payment_intent')),
+        'body' => http_build_query(array_merge([
             'amount' => $amount,
             'currency' => 'usd',
-            'payment_method_types[]' => 'card',
-            'metadata[customer_email]' => $email,
-            'metadata[customer_name]' => $name
-        ]),
+            'payment_method_types' => newteam_get_payment_method_types('tryout')
+        ], $metadata)),
         'timeout' => 30
     ]);
 
@@ -129,9 +215,14 @@ function newteam_ajax_create_payment_intent_simple() {
     $status_code = wp_remote_retrieve_response_code($response);
 
     if ($status_code === 200 && isset($body['client_secret'])) {
+        newteam_save_checkout_attempt($idempotency_key, ['payment_intent_id' => $body['id']]);
+        newteam_reserve_promo_redemption($promo_code, $body['id']);
+
         wp_die(json_encode([
             'success' => true,
-            'client_secret' => $body['client_secret']
+            'client_secret' => $body['client_secret'],
+            'payment_intent_id' => $body['id'],
+            'status' => $body['status']
         ]));
     } else {
         error_log('STRIPE API RESPONSE: ' . print_r($body, true));
@@ -150,6 +241,17 @@ function newteam_ajax_create_payment_intent_simple() {
  * a confirmed PaymentIntent with return_url for 3D Secure handling.
  *
  * Revenue recognition: Full amount recognized immediately upon payment confirmation.
+ *
+ * Group registration: `players` (JSON array of first_name, last_name, email)
+ * charges every player in one PaymentIntent on the payer's card, each at the
+ * tier's pay-in-full price. email/first_name/last_name are then the payer's details.
+ *
+ * A repeat of an idempotency_key that already created a PaymentIntent answers
+ * with that intent's current state instead of charging again — as long as it
+ * is for the same season, tier, players and promo code.
+ *
+ * A US bank account debit comes back 'processing' rather than 'succeeded' —
+ * answered as success with status 'processing'; the webhook settles it.
  */
 function newteam_ajax_create_season_full_payment() {
     header('Content-Type: application/json');
@@ -164,13 +266,99 @@ function newteam_ajax_create_season_full_payment() {
     $first_name = sanitize_text_field($_POST['first_name'] ?? '');
     $last_name = sanitize_text_field($_POST['last_name'] ?? '');
     $player_type = sanitize_text_field($_POST['player_type'] ?? 'full_season');
-    $total_amount = floatval($_POST['total_amount'] ?? 0);
+    $season = newteam_get_season($_POST['season_id'] ?? '');
+    $waitlist_offer = sanitize_text_field($_POST['waitlist_offer'] ?? '');
+    $idempotency_key = newteam_get_idempotency_key();
+    $language = newteam_sanitize_language($_POST['language'] ?? '');
 
     if (!in_array($player_type, ['full_season', 'guest'])) {
         $player_type = 'full_season';
     }
 
-    if (empty($payment_method_id) || empty($email) || $total_amount <= 0) {
+    // Group checkout — one line per player, each priced (and discounted) on its own.
+    // Priced from the season definition — posted total_amount values are ignored.
+    $player_cents = newteam_get_season_full_payment_cents($season, $player_type);
+    $players = [];
+    $posted_players = json_decode(wp_unslash($_POST['players'] ?? ''), true);
+    if (is_array($posted_players)) {
+        foreach ($posted_players as $player) {
+            $players[] = [
+                'name' => sanitize_text_field($player['first_name'] ?? '') . ' ' . sanitize_text_field($player['last_name'] ?? ''),
+                'email' => sanitize_email($player['email'] ?? ''),
+                'amount_cents' => $player_cents
+            ];
+        }
+    }
+    if (empty($players)) {
+        $players[] = [
+            'name' => $first_name . ' ' . $last_name,
+            'email' => $email,
+            'amount_cents' => $player_cents
+        ];
+    }
+    $player_count = count($players);
+
+    // The amount follows from these, so a matching fingerprint means a matching charge
+    $fingerprint = newteam_checkout_fingerprint([
+        'season_id' => $season['id'],
+        'player_type' => $player_type,
+        'frequency' => 'full',
+        'players' => array_map('strtolower', array_column($players, 'email')),
+        'promo_code' => strtoupper(trim(sanitize_text_field($_POST['promo_code'] ?? '')))
+    ]);
+
+    // Double submit, retry or reload of an attempt that already created a charge
+    $attempt = newteam_get_checkout_attempt($idempotency_key);
+    if ($attempt) {
+        newteam_enforce_checkout_fingerprint($attempt, $fingerprint);
+        $existing = newteam_stripe_retrieve('payment_intents/' . $attempt['payment_intent_id']);
+
+        if (!$existing) {
+            wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t check your earlier payment attempt. Please try again in a moment.']));
+        }
+
+        error_log("STRIPE: Repeat checkout attempt — reusing payment intent {$existing['id']} ({$existing['status']})");
+
+        if (in_array($existing['status'], ['succeeded', 'processing'])) {
+            wp_die(json_encode([
+                'success' => true,
+                'payment_intent_id' => $existing['id'],
+                'customer_id' => $attempt['customer_id'],
+                'amount' => $existing['amount'] / 100,
+                'status' => $existing['status']
+            ]));
+        }
+        if ($existing['status'] === 'requires_action') {
+            wp_die(json_encode([
+                'success' => false,
+                'requires_action' => true,
+                'payment_intent_client_secret' => $existing['client_secret'],
+                'payment_intent_id' => $existing['id'],
+                'customer_id' => $attempt['customer_id']
+            ]));
+        }
+        wp_die(json_encode(['success' => false, 'message' => 'Your earlier payment attempt didn\'t go through. Please check your card details and try again.']));
+    }
+
+    // New charges only — a repeat of an attempt above has already passed
+    newteam_enforce_bot_protection('season_checkout', ['success' => false, 'message' => 'Payment processing failed']);
+
+    if (!newteam_season_is_open($season)) {
+        wp_die(json_encode(['success' => false, 'message' => 'Registration for this season has closed']));
+    }
+
+    $spots_remaining = newteam_season_spots_remaining($season, $player_type);
+    if ($player_count > 1 && $spots_remaining !== null && $player_count > $spots_remaining) {
+        wp_die(json_encode(['success' => false, 'message' => "Only {$spots_remaining} roster spot(s) left — please remove players or join the waitlist"]));
+    }
+
+    // Roster capacity — a full tier only accepts players holding a waitlist offer
+    if (!newteam_season_tier_is_open($season, $player_type) &&
+        !newteam_waitlist_offer_is_valid($waitlist_offer, newteam_waitlist_key('season', $season['id'], $player_type))) {
+        wp_die(json_encode(['success' => false, 'message' => 'This roster is full — please join the waitlist']));
+    }
+
+    if (empty($payment_method_id) || empty($email)) {
         wp_die(json_encode(['success' => false, 'message' => 'Missing required fields']));
     }
 
@@ -179,15 +367,17 @@ function newteam_ajax_create_season_full_payment() {
         wp_die(json_encode(['success' => false, 'message' => 'Payment configuration error']));
     }
 
-    error_log("STRIPE: Creating FULL PAYMENT for {$player_type} player, amount: \${$total_amount}");
+    error_log("STRIPE: Creating FULL PAYMENT for {$player_count} {$player_type} player(s), list amount: \$" . ($player_cents * $player_count / 100));
 
     // Create customer record in Stripe for audit trail
     $customer = newteam_create_stripe_customer($email, $first_name . ' ' . $last_name, [
         'type' => 'season_registration',
         'player_type' => $player_type,
         'payment_frequency' => 'full',
-        'personalization' => 'yes'
-    ]);
+        'personalization' => 'yes',
+        'season_id' => $season['id'],
+        'language' => $language
+    ], $idempotency_key);
 
     if (!$customer) {
         wp_die(json_encode(['success' => false, 'message' => 'Failed to create customer profile']));
@@ -203,29 +393,69 @@ function newteam_ajax_create_season_full_payment() {
         'timeout' => 30
     ]);
 
+    // Card (wallets included), Link or bank debit — bank debit needs a mandate to confirm server-side
+    $payment_method = newteam_stripe_retrieve('payment_methods/' . rawurlencode($payment_method_id));
+    $payment_method_type = $payment_method['type'] ?? 'card';
+
+    if (!in_array($payment_method_type, newteam_get_payment_method_types('season', true))) {
+        wp_die(json_encode(['success' => false, 'message' => 'This payment method isn\'t accepted for season registration']));
+    }
+
     // Create and confirm payment intent
-    $amount_cents = intval($total_amount * 100);
+    $list_amount_cents = array_sum(array_column($players, 'amount_cents'));
+    $amount_cents = $list_amount_cents;
+
+    // Promo code — re-validated against the final selection, discount taken off the charge
+    $promo_code = '';
+    $promotion_code_id = '';
+    if (!empty($_POST['promo_code'])) {
+        $promo_result = newteam_validate_promo_code($_POST['promo_code'], [
+            'product' => 'season',
+            'tier' => $player_type,
+            'frequency' => 'full',
+            'uses' => $player_count
+        ]);
+        if (!$promo_result['valid']) {
+            wp_die(json_encode(['success' => false, 'message' => $promo_result['message']]));
+        }
+        $promo_code = $promo_result['promo']['code'];
+        $promotion_code_id = $promo_result['promo']['stripe_promotion_code'];
+        foreach ($players as $player) {
+            $amount_cents -= newteam_get_promo_discount_cents($player['amount_cents'], $promo_result['promo']);
+        }
+    }
     $games_label = $player_type === 'guest' ? '3-5 games' : 'All games';
+    $group_label = $player_count > 1 ? " x{$player_count} players" : '';
 
     $payment_intent_response = wp_remote_post('https://api.stripe.com/v1/payment_intents', [
-        'headers' => [
+        'headers' => array_merge([
             'Authorization' => 'Bearer ' . $stripe_secret_key,
             'Content-Type' => 'application/x-www-form-urlencoded'
-        ],
-        'body' => http_build_query([
+        ], newteam_stripe_idempotency_header($idempotency_key, 'payment_intent')),
+        'body' => http_build_query(array_merge([
             'amount' => $amount_cents,
             'currency' => 'usd',
             'customer' => $customer['id'],
             'payment_method' => $payment_method_id,
+            'payment_method_types' => newteam_get_payment_method_types('season', true),
             'confirm' => 'true',
             'return_url' => home_url('/season-registration/?payment_complete=1'),
-            'description' => "Spring 2026 Season Registration - " . ucfirst(str_replace('_', ' ', $player_type)) . " ({$games_label}) - PAID IN FULL",
+            'description' => "{$season['name']} Season Registration - " . ucfirst(str_replace('_', ' ', $player_type)) . " ({$games_label}){$group_label} - PAID IN FULL",
             'metadata[player_name]' => $first_name . ' ' . $last_name,
             'metadata[player_email]' => $email,
             'metadata[player_type]' => $player_type,
             'metadata[payment_frequency]' => 'full',
-            'metadata[season]' => 'Spring 2026'
-        ]),
+            'metadata[season]' => $season['name'],
+            'metadata[season_id]' => $season['id'],
+            'metadata[promo_code]' => $promo_code,
+            'metadata[stripe_promotion_code]' => $promotion_code_id,
+            'metadata[list_amount_cents]' => $list_amount_cents,
+            'metadata[discount_cents]' => $list_amount_cents - $amount_cents,
+            'metadata[player_count]' => $player_count,
+            'metadata[player_names]' => substr(implode(', ', array_column($players, 'name')), 0, 500),
+            'metadata[payment_method_type]' => $payment_method_type,
+            'metadata[language]' => $language
+        ], newteam_get_bank_debit_confirm_params($payment_method_type))),
         'timeout' => 30
     ]);
 
@@ -238,30 +468,43 @@ function newteam_ajax_create_season_full_payment() {
 
     if (isset($payment_intent_body['error'])) {
         error_log('STRIPE PAYMENT ERROR: ' . json_encode($payment_intent_body['error']));
-        wp_die(json_encode(['success' => false, 'message' => $payment_intent_body['error']['message'] ?? 'Payment failed']));
+        wp_die(json_encode([
+            'success' => false,
+            'message' => $payment_intent_body['error']['message'] ?? 'Payment failed',
+            'decline_code' => $payment_intent_body['error']['decline_code'] ?? $payment_intent_body['error']['code'] ?? ''
+        ]));
     }
 
+    newteam_save_checkout_attempt($idempotency_key, [
+        'payment_intent_id' => $payment_intent_body['id'],
+        'customer_id' => $customer['id'],
+        'fingerprint' => $fingerprint
+    ]);
+    newteam_reserve_promo_redemption($promo_code, $payment_intent_body['id'], $player_count);
+
     // Handle 3D Secure authentication requirement
     if ($payment_intent_body['status'] === 'requires_action') {
         wp_die(json_encode([
             'success' => false,
             'requires_action' => true,
             'payment_intent_client_secret' => $payment_intent_body['client_secret'],
+            'payment_intent_id' => $payment_intent_body['id'],
             'customer_id' => $customer['id']
         ]));
     }
 
-    if ($payment_intent_body['status'] !== 'succeeded') {
+    if (!in_array($payment_intent_body['status'], ['succeeded', 'processing'])) {
         wp_die(json_encode(['success' => false, 'message' => 'Payment was not completed']));
     }
 
-    error_log("STRIPE: Full payment successful - Payment Intent: {$payment_intent_body['id']}");
+    error_log("STRIPE: Full payment {$payment_intent_body['status']} ({$payment_method_type}) - Payment Intent: {$payment_intent_body['id']}");
 
     wp_die(json_encode([
         'success' => true,
         'payment_intent_id' => $payment_intent_body['id'],
         'customer_id' => $customer['id'],
-        'amount' => $total_amount
+        'amount' => $amount_cents / 100,
+        'status' => $payment_intent_body['status']
     ]));
 }
 
@@ -0,0 +1,100 @@
+<?php
+/**
+ * Checkout Payment Methods
+ *
+ * Which ways to pay each checkout page offers, on top of cards:
+ * - wallets: Apple Pay / Google Pay buttons in the Express Checkout Element
+ *   (charged as cards, so they need nothing extra server-side)
+ * - link: Stripe Link, in the Payment Element and the express buttons
+ * - bank_debit: US bank account (ACH) debit — season pay-in-full only, where
+ *   the lower fee matters. Verified instantly through Financial Connections;
+ *   the payment then sits in 'processing' for a few business days.
+ *
+ * Change them through the 'newteam_checkout_payment_methods' filter. Localize
+ * newteam_get_checkout_payment_methods_for_frontend() as `paymentMethods` so
+ * the pages offer the same methods the PaymentIntents accept.
+ */
+
+/**
+ * Payment method settings per checkout page
+ *
+ * @return array ['tryout' => [...], 'season' => [...]]
+ */
+function newteam_get_checkout_payment_methods() {
+    $methods = [
+        'tryout' => [
+            'wallets' => true,
+            'link' => true,
+            'bank_debit' => false
+        ],
+        'season' => [
+            'wallets' => true,
+            'link' => true,
+            'bank_debit' => true
+        ]
+    ];
+
+    return apply_filters('newteam_checkout_payment_methods', $methods);
+}
+
+/**
+ * Stripe payment_method_types for a page's PaymentIntents and subscriptions
+ *
+ * @param string $page 'tryout' | 'season'
+ * @param bool $pay_in_full Bank debit is only offered for one-time pay-in-full charges
+ * @return array e.g. ['card', 'link', 'us_bank_account']
+ */
+function newteam_get_payment_method_types($page, $pay_in_full = true) {
+    $methods = newteam_get_checkout_payment_methods()[$page] ?? [];
+    $types = ['card'];
+
+    if (!empty($methods['link'])) {
+        $types[] = 'link';
+    }
+    if (!empty($methods['bank_debit']) && $pay_in_full) {
+        $types[] = 'us_bank_account';
+    }
+
+    return $types;
+}
+
+/**
+ * Settings shaped for wp_localize_script (`paymentMethods`)
+ *
+ * @return array ['tryout' => ['wallets' => bool, 'link' => bool, 'bankDebit' => bool], ...]
+ */
+function newteam_get_checkout_payment_methods_for_frontend() {
+    $frontend = [];
+
+    foreach (newteam_get_checkout_payment_methods() as $page => $methods) {
+        $frontend[$page] = [
+            'wallets' => !empty($methods['wallets']),
+            'link' => !empty($methods['link']),
+            'bankDebit' => !empty($methods['bank_debit'])
+        ];
+    }
+
+    return $frontend;
+}
+
+/**
+ * Extra PaymentIntent params for confirming a bank debit server-side
+ *
+ * ACH needs the customer's online mandate acceptance, and instant verification
+ * keeps the payment from waiting days on microdeposits.
+ *
+ * @param string $payment_method_type Type of the PaymentMethod being charged
+ * @return array Params to merge into the PaymentIntent create request
+ */
+function newteam_get_bank_debit_confirm_params($payment_method_type) {
+    if ($payment_method_type !== 'us_bank_account') {
+        return [];
+    }
+
+    return [
+        'payment_method_options[us_bank_account][verification_method]' => 'instant',
+        'mandate_data[customer_acceptance][type]' => 'online',
+        'mandate_data[customer_acceptance][online][ip_address]' => sanitize_text_field($_SERVER['REMOTE_ADDR'] ?? ''),
+        'mandate_data[customer_acceptance][online][user_agent]' => sanitize_text_field($_SERVER['HTTP_USER_AGENT'] ?? '')
+    ];
+}
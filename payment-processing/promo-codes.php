@@ -0,0 +1,321 @@
+<?php
+/**
+ * Promo & Discount Codes
+ *
+ * Replaces manual refunds for returning-player and partner discounts.
+ * Codes are validated here — the frontend only previews the discount.
+ *
+ * Application by transaction type:
+ * - Tryout fee / season pay-in-full (one-time PaymentIntents): discount is
+ *   taken off the charged amount; the code and any Stripe promotion code
+ *   are recorded in PaymentIntent metadata for reconciliation
+ * - Season subscription: applied as a Stripe promotion code or coupon
+ *   (duration 'forever' — the subscription auto-cancels at season end)
+ *
+ * Code definition ('newteam_promo_codes' option or 'newteam_promo_codes' filter),
+ * keyed by uppercase code:
+ *   'type'                  => 'percent' | 'fixed'
+ *   'value'                 => percent (1-100) or cents off each charge
+ *   'products'              => ['tryout', 'season'] — empty = all
+ *   'tiers'                 => ['full_season', 'guest'] — empty = all
+ *   'frequencies'           => ['monthly', 'full'] — empty = all
+ *   'expires'               => 'YYYY-MM-DD' — empty = never
+ *   'max_redemptions'       => int — 0 = unlimited; each checkout reserves its
+ *                              uses when it creates its charge, so unpaid
+ *                              checkouts can't push a code past its limit
+ *   'stripe_promotion_code' => 'promo_...' — optional, otherwise a coupon is created
+ *   'description'           => shown next to the discount at checkout
+ *
+ * Discount math must stay in sync with getPromoDiscountCents() in frontend/pricing.js.
+ */
+
+/**
+ * Smallest amount Stripe will charge in USD
+ */
+define('NEWTEAM_STRIPE_MINIMUM_CENTS', 50);
+
+/**
+ * How long an unpaid checkout holds its promo redemptions — the checkout attempt window
+ */
+define('NEWTEAM_PROMO_RESERVATION_TTL', DAY_IN_SECONDS);
+
+/**
+ * All promo codes, keyed by uppercase code
+ *
+ * @return array
+ */
+function newteam_get_promo_codes() {
+    return apply_filters('newteam_promo_codes', get_option('newteam_promo_codes', []));
+}
+
+/**
+ * A code's definition with defaults filled in, whether or not it can still
+ * be redeemed — for pricing a charge that already used it
+ *
+ * @param string $code
+ * @return array|null Promo, null when the code isn't defined
+ */
+function newteam_get_promo_code($code) {
+    $code = strtoupper(trim(sanitize_text_field($code)));
+    $codes = newteam_get_promo_codes();
+
+    if (empty($code) || !isset($codes[$code])) {
+        return null;
+    }
+
+    return array_merge([
+        'type' => 'percent',
+        'value' => 0,
+        'products' => [],
+        'tiers' => [],
+        'frequencies' => [],
+        'expires' => '',
+        'max_redemptions' => 0,
+        'stripe_promotion_code' => '',
+        'description' => ''
+    ], $codes[$code], ['code' => $code]);
+}
+
+/**
+ * Validate a code for one checkout
+ *
+ * @param string $code Code as typed by the player
+ * @param array $context ['product' => 'tryout'|'season', 'tier' => string, 'frequency' => string,
+ *                        'uses' => int, 'reference' => string]
+ *                       tier/frequency are only checked when provided; uses (default 1) is
+ *                       how many redemptions the checkout needs; reference is the checkout's
+ *                       own PaymentIntent/Subscription, whose reservation doesn't count against it
+ * @return array ['valid' => bool, 'message' => string, 'promo' => array|null]
+ */
+function newteam_validate_promo_code($code, $context) {
+    $promo = newteam_get_promo_code($code);
+
+    if (!$promo) {
+        return ['valid' => false, 'message' => 'That promo code isn\'t valid.', 'promo' => null];
+    }
+    $code = $promo['code'];
+
+    if (!empty($promo['expires']) && strtotime($promo['expires'] . ' 23:59:59') < current_time('timestamp')) {
+        return ['valid' => false, 'message' => 'That promo code has expired.', 'promo' => null];
+    }
+
+    $redemptions = get_option('newteam_promo_redemptions', []);
+    $reserved = 0;
+    foreach (newteam_get_promo_reservations($code) as $reference => $reservation) {
+        if ($reference !== ($context['reference'] ?? '')) {
+            $reserved += $reservation['uses'];
+        }
+    }
+    $uses = max(intval($context['uses'] ?? 1), 1);
+    if ($promo['max_redemptions'] > 0 && intval($redemptions[$code] ?? 0) + $reserved + $uses > $promo['max_redemptions']) {
+        return ['valid' => false, 'message' => 'That promo code has reached its redemption limit.', 'promo' => null];
+    }
+
+    if (!empty($promo['products']) && !in_array($context['product'], $promo['products'])) {
+        return ['valid' => false, 'message' => 'That promo code can\'t be used here.', 'promo' => null];
+    }
+
+    if (!empty($context['tier']) && !empty($promo['tiers']) && !in_array($context['tier'], $promo['tiers'])) {
+        return ['valid' => false, 'message' => 'That promo code doesn\'t apply to this registration type.', 'promo' => null];
+    }
+
+    if (!empty($context['frequency']) && !empty($promo['frequencies']) && !in_array($context['frequency'], $promo['frequencies'])) {
+        return ['valid' => false, 'message' => 'That promo code doesn\'t apply to this payment option.', 'promo' => null];
+    }
+
+    return ['valid' => true, 'message' => '', 'promo' => $promo];
+}
+
+/**
+ * Cents off one charge — never takes the charge below Stripe's minimum
+ *
+ * @param int $amount_cents Charge before discount
+ * @param array $promo Validated promo
+ * @return int
+ */
+function newteam_get_promo_discount_cents($amount_cents, $promo) {
+    $discount = $promo['type'] === 'percent'
+        ? intval(round($amount_cents * $promo['value'] / 100))
+        : intval($promo['value']);
+
+    return max(min($discount, $amount_cents - NEWTEAM_STRIPE_MINIMUM_CENTS), 0);
+}
+
+/**
+ * Subscription discount param — the configured promotion code, or a coupon
+ * created once per code and cached in 'newteam_promo_coupon_ids'
+ *
+ * Like one-time charges, each invoice keeps Stripe's minimum: a code worth
+ * more than that becomes a fixed coupon for the most it can take off. A
+ * configured promotion code can't be capped, so one that would reach the
+ * minimum is refused.
+ *
+ * @param array $promo Validated promo
+ * @param int $monthly_cents Subscription price before discount
+ * @return array Stripe request params, empty on failure
+ */
+function newteam_get_promo_subscription_discount($promo, $monthly_cents) {
+    $discount_cents = newteam_get_promo_discount_cents($monthly_cents, $promo);
+    $full_discount_cents = $promo['type'] === 'percent'
+        ? intval(round($monthly_cents * $promo['value'] / 100))
+        : intval($promo['value']);
+    $is_capped = $discount_cents < $full_discount_cents;
+
+    if (!empty($promo['stripe_promotion_code'])) {
+        if ($is_capped) {
+            error_log("PROMO: {$promo['code']} would take a {$monthly_cents}-cent subscription below the Stripe minimum");
+            return [];
+        }
+        return ['discounts[0][promotion_code]' => $promo['stripe_promotion_code']];
+    }
+
+    if ($is_capped) {
+        $promo = array_merge($promo, ['type' => 'fixed', 'value' => $discount_cents]);
+    }
+
+    $coupon_ids = get_option('newteam_promo_coupon_ids', []);
+    $cache_key = $promo['code'] . ':' . $promo['type'] . ':' . $promo['value'];
+
+    if (!empty($coupon_ids[$cache_key])) {
+        return ['discounts[0][coupon]' => $coupon_ids[$cache_key]];
+    }
+
+    $coupon_params = [
+        'name' => $promo['description'] ?: $promo['code'],
+        'duration' => 'forever',
+        'metadata[promo_code]' => $promo['code']
+    ];
+
+    if ($promo['type'] === 'percent') {
+        $coupon_params['percent_off'] = $promo['value'];
+    } else {
+        $coupon_params['amount_off'] = intval($promo['value']);
+        $coupon_params['currency'] = 'usd';
+    }
+
+    $response = wp_remote_post('https://api.stripe.com/v1/coupons', [
+        'headers' => [
+            'Authorization' => 'Bearer ' . newteam_get_stripe_secret_key(),
+            'Content-Type' => 'application/x-www-form-urlencoded'
+        ],
+        'body' => http_build_query($coupon_params),
+        'timeout' => 30
+    ]);
+
+    $coupon = is_wp_error($response) ? null : json_decode(wp_remote_retrieve_body($response), true);
+
+    if (empty($coupon['id'])) {
+        error_log('STRIPE COUPON ERROR: ' . (is_wp_error($response) ? $response->get_error_message() : json_encode($coupon['error'] ?? $coupon)));
+        return [];
+    }
+
+    $coupon_ids[$cache_key] = $coupon['id'];
+    update_option('newteam_promo_coupon_ids', $coupon_ids, false);
+
+    return ['discounts[0][coupon]' => $coupon['id']];
+}
+
+/**
+ * Unexpired reservations for a code
+ *
+ * @param string $code Uppercase code
+ * @return array [reference => ['uses' => int, 'expires' => int]]
+ */
+function newteam_get_promo_reservations($code) {
+    $reservations = get_option('newteam_promo_reservations', []);
+
+    return array_filter($reservations[$code] ?? [], function($reservation) {
+        return $reservation['expires'] > time();
+    });
+}
+
+/**
+ * Hold redemptions for a checkout that just created its charge — released
+ * as its registrations are recorded, or after NEWTEAM_PROMO_RESERVATION_TTL
+ *
+ * @param string $code
+ * @param string $reference PaymentIntent or Subscription ID
+ * @param int $uses Players the charge covers
+ */
+function newteam_reserve_promo_redemption($code, $reference, $uses = 1) {
+    $code = strtoupper(trim(sanitize_text_field($code)));
+    if (empty($code) || empty($reference)) return;
+
+    $reservations = get_option('newteam_promo_reservations', []);
+    $reservations[$code] = newteam_get_promo_reservations($code);
+    $reservations[$code][$reference] = [
+        'uses' => max(intval($uses), 1),
+        'expires' => time() + NEWTEAM_PROMO_RESERVATION_TTL
+    ];
+    update_option('newteam_promo_reservations', $reservations, false);
+}
+
+/**
+ * Count one redemption against max_redemptions, taking it out of the
+ * checkout's reservation
+ *
+ * @param string $code
+ * @param string $reference PaymentIntent or Subscription ID that reserved it
+ */
+function newteam_record_promo_redemption($code, $reference = '') {
+    $code = strtoupper(trim(sanitize_text_field($code)));
+    if (empty($code)) return;
+
+    $redemptions = get_option('newteam_promo_redemptions', []);
+    $redemptions[$code] = intval($redemptions[$code] ?? 0) + 1;
+    update_option('newteam_promo_redemptions', $redemptions, false);
+
+    $reservations = get_option('newteam_promo_reservations', []);
+    if (!empty($reference) && isset($reservations[$code][$reference])) {
+        $reservations[$code][$reference]['uses']--;
+        if ($reservations[$code][$reference]['uses'] <= 0) {
+            unset($reservations[$code][$reference]);
+        }
+        update_option('newteam_promo_reservations', $reservations, false);
+    }
+}
+
+/**
+ * AJAX handler: Validate a promo code for the checkout preview
+ *
+ * Tier and frequency limits are returned rather than enforced so the page can
+ * re-check them as the player changes selections; payment handlers re-validate
+ * everything with the final selection.
+ */
+function newteam_ajax_validate_promo_code() {
+    header('Content-Type: application/json');
+
+    $product = sanitize_key($_POST['product'] ?? '');
+
+    $nonce_valid = $product === 'tryout'
+        ? wp_verify_nonce($_POST['tryout_nonce'] ?? '', 'tryout_form_nonce')
+        : wp_verify_nonce($_POST['season_nonce'] ?? '', 'season_form_nonce');
+
+    if (!in_array($product, ['tryout', 'season']) || !$nonce_valid) {
+        wp_die(json_encode(['success' => false, 'message' => 'Security check failed']));
+    }
+
+    $result = newteam_validate_promo_code($_POST['promo_code'] ?? '', ['product' => $product]);
+
+    if (!$result['valid']) {
+        wp_die(json_encode(['success' => false, 'message' => $result['message']]));
+    }
+
+    $promo = $result['promo'];
+
+    wp_die(json_encode([
+        'success' => true,
+        'promo' => [
+            'code' => $promo['code'],
+            'type' => $promo['type'],
+            'value' => $promo['value'],
+            'tiers' => $promo['tiers'],
+            'frequencies' => $promo['frequencies'],
+            'description' => $promo['description']
+        ]
+    ]));
+}
+
+// Register AJAX endpoint
+add_action('wp_ajax_validate_promo_code', 'newteam_ajax_validate_promo_code');
+add_action('wp_ajax_nopriv_validate_promo_code', 'newteam_ajax_validate_promo_code');
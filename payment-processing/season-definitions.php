@@ -0,0 +1,158 @@
+<?php
+/**
+ * Season Definitions
+ *
+ * Server-side source of truth for each registration season — name, dates
+ * and billing length. The season_id posted by SeasonRegistrationPage.jsx
+ * selects the definition used for subscription cancel_at, Stripe
+ * descriptions/metadata, Mailchimp tags and admin notifications.
+ *
+ * Must stay in sync with SEASONS in frontend/seasons.js. Additional
+ * seasons can be registered through the 'newteam_season_definitions' filter.
+ *
+ * A season takes registrations until the end of its end_date (site time) —
+ * see newteam_season_is_open(); the page shows the same cutoff from
+ * frontend/seasons.js before checkout.
+ *
+ * Roster capacity is set per tier in 'tier_capacity' (0 = unlimited); spots
+ * taken are tracked in the 'newteam_season_spots_taken' option. Localize
+ * newteam_get_season_availability() as `seasonAvailability` so a full tier
+ * switches the form to the waitlist.
+ */
+
+/**
+ * Default season when the request omits season_id or sends an unknown one
+ */
+define('NEWTEAM_DEFAULT_SEASON_ID', 'spring_2026');
+
+/**
+ * All known season definitions, keyed by season ID
+ *
+ * @return array
+ */
+function newteam_get_season_definitions() {
+    $seasons = [
+        'spring_2026' => [
+            'id' => 'spring_2026',
+            'name' => 'Spring 2026',
+            'start_date' => '2026-03-01',
+            'end_date' => '2026-08-31',
+            'billing_months' => 6,
+            'tier_capacity' => [
+                'full_season' => 0,
+                'guest' => 0
+            ]
+        ]
+    ];
+
+    return apply_filters('newteam_season_definitions', $seasons);
+}
+
+/**
+ * Resolve a season definition from a (possibly untrusted) season ID
+ *
+ * @param string $season_id Season ID from the registration form
+ * @return array Season definition — falls back to the default season
+ */
+function newteam_get_season($season_id = '') {
+    $seasons = newteam_get_season_definitions();
+    $season_id = sanitize_key($season_id);
+
+    if (!empty($season_id) && isset($seasons[$season_id])) {
+        return $seasons[$season_id];
+    }
+
+    if (!empty($season_id)) {
+        error_log("SEASON: Unknown season_id '{$season_id}', using " . NEWTEAM_DEFAULT_SEASON_ID);
+    }
+
+    return $seasons[NEWTEAM_DEFAULT_SEASON_ID];
+}
+
+/**
+ * Whether a season still takes registrations — every checkout checks this
+ * before charging, whichever payment frequency is chosen
+ *
+ * @param array $season Season definition
+ * @return bool
+ */
+function newteam_season_is_open($season) {
+    $closes_at = strtotime($season['end_date'] . ' 23:59:59');
+    return $closes_at === false || $closes_at >= current_time('timestamp');
+}
+
+/**
+ * Capacity and spots taken for each tier of a season
+ *
+ * Spots held by an outstanding waitlist offer count as taken so the
+ * public can't grab a spot that was offered to the next player in line.
+ *
+ * @param array $season Season definition
+ * @return array [tier => ['capacity' => int, 'spots_taken' => int]]
+ */
+function newteam_get_season_availability($season) {
+    $spots_taken = get_option('newteam_season_spots_taken', []);
+    $availability = [];
+
+    foreach (($season['tier_capacity'] ?? []) as $tier => $capacity) {
+        $key = $season['id'] . ':' . $tier;
+        $held = function_exists('newteam_waitlist_held_spots')
+            ? newteam_waitlist_held_spots(newteam_waitlist_key('season', $season['id'], $tier))
+            : 0;
+
+        $availability[$tier] = [
+            'capacity' => intval($capacity),
+            'spots_taken' => intval($spots_taken[$key] ?? 0) + $held
+        ];
+    }
+
+    return $availability;
+}
+
+/**
+ * Whether a season tier still has roster spots
+ *
+ * @param array $season Season definition
+ * @param string $tier 'full_season' | 'guest'
+ * @return bool
+ */
+function newteam_season_tier_is_open($season, $tier) {
+    $availability = newteam_get_season_availability($season);
+    if (!isset($availability[$tier]) || $availability[$tier]['capacity'] === 0) {
+        return true;
+    }
+
+    return $availability[$tier]['spots_taken'] < $availability[$tier]['capacity'];
+}
+
+/**
+ * Roster spots left on a season tier — for group checkouts that need
+ * more than one spot at once
+ *
+ * @param array $season Season definition
+ * @param string $tier 'full_season' | 'guest'
+ * @return int|null Spots remaining, null when the tier has no capacity limit
+ */
+function newteam_season_spots_remaining($season, $tier) {
+    $availability = newteam_get_season_availability($season);
+    if (!isset($availability[$tier]) || $availability[$tier]['capacity'] === 0) {
+        return null;
+    }
+
+    return max($availability[$tier]['capacity'] - $availability[$tier]['spots_taken'], 0);
+}
+
+/**
+ * Adjust the spots taken on a season tier — +1 per completed registration,
+ * -1 when an admin releases a spot to the waitlist
+ *
+ * @param string $season_id
+ * @param string $tier
+ * @param int $delta
+ */
+function newteam_adjust_season_spots($season_id, $tier, $delta = 1) {
+    $key = sanitize_key($season_id) . ':' . sanitize_key($tier);
+    $spots_taken = get_option('newteam_season_spots_taken', []);
+    $spots_taken[$key] = max(intval($spots_taken[$key] ?? 0) + $delta, 0);
+    update_option('newteam_season_spots_taken', $spots_taken, false);
+}
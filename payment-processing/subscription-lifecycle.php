@@ -3,17 +3,44 @@
  * Subscription Billing Lifecycle
  *
  * Manages recurring billing for season registrations:
- * - Subscription creation with 6-month auto-cancellation
+ * - Subscription creation with auto-cancellation after the season's billing_months
  * - Payment method attachment to Stripe Customer objects
  * - 4-tier pricing based on player type and name personalization
  * - 3D Secure authentication handling
+ * - First-payment checkout states: retry a declined first invoice with a
+ *   new card on the same subscription, and only register once it's active
  *
- * Revenue type: Deferred revenue — recognized monthly over 6-month billing period
+ * Revenue type: Deferred revenue — recognized monthly over the season's billing period
  * Failed payments trigger escalating retry notification sequence
  */
 
 // Credentials loaded from Docker secrets — never hardcoded
 
+/**
+ * Monthly price of a season tier, in cents — the unit_amount of the
+ * matching recurring Price below
+ *
+ * @param string $player_type 'full_season' or 'guest'
+ * @param bool $with_personalization Name personalization (+$13/mo)
+ * @return int
+ */
+function newteam_get_season_monthly_cents($player_type, $with_personalization = false) {
+    $base_cents = $player_type === 'guest' ? 4200 : 8500;
+    return $base_cents + ($with_personalization ? 1300 : 0);
+}
+
+/**
+ * Pay-in-full price of a season tier for one player, in cents — every
+ * monthly payment up front, with name personalization included free
+ *
+ * @param array $season Season definition
+ * @param string $player_type 'full_season' or 'guest'
+ * @return int
+ */
+function newteam_get_season_full_payment_cents($season, $player_type) {
+    return newteam_get_season_monthly_cents($player_type) * intval($season['billing_months']);
+}
+
 /**
  * Get or create Stripe Price ID for season subscription
  *
@@ -25,6 +52,9 @@
  * - Full Season + Personalization: $98/mo ($85 + $13)
  * - Guest: $42/mo base
  * - Guest + Personalization: $55/mo ($42 + $13)
+ *
+ * Keep these amounts in sync with SEASON_CATALOG in frontend/pricing.js,
+ * which renders the prices players see and the amount sent to Stripe Elements.
  */
 function newteam_get_season_subscription_price_id() {
     $stored_price_id = get_option('newteam_season_subscription_price_id');
@@ -244,22 +274,29 @@ function newteam_get_guest_personalized_subscription_price_id() {
 }
 
 /**
- * Create Stripe Subscription with 6-month auto-cancellation
+ * Create Stripe Subscription with season-length auto-cancellation
  *
  * Attaches payment method to customer, sets as default, then creates
- * subscription with cancel_at timestamp 6 months out.
+ * subscription with cancel_at exactly $billing_months months out — the first
+ * invoice plus one per month makes $billing_months payments, matching the
+ * monthly price × billing_months the page quotes.
  *
- * Handles 3D Secure by returning requires_action with client_secret
- * so the frontend can complete authentication.
+ * Created with payment_behavior=allow_incomplete: Stripe charges the first
+ * invoice straight away, and a decline or 3D Secure challenge leaves the
+ * subscription 'incomplete' instead of failing the request, so the page can
+ * authenticate or retry with another card on the same subscription.
  *
  * @param string $customer_id Stripe customer ID
  * @param string $payment_method_id Stripe payment method ID
  * @param array $metadata Subscription metadata for audit trail
  * @param bool $with_personalization Whether to add name personalization (+$13/mo)
  * @param string $player_type 'full_season' or 'guest'
- * @return array Result with subscription_id, status, and billing period info
+ * @param int $billing_months Number of monthly payments before auto-cancellation
+ * @param array $discount_params Stripe discount params for an applied promo code
+ * @param string $idempotency_key Checkout attempt key — a replayed request returns the same subscription
+ * @return array Checkout state from newteam_get_season_subscription_checkout_state()
  */
-function newteam_create_season_subscription($customer_id, $payment_method_id, $metadata = [], $with_personalization = false, $player_type = 'full_season') {
+function newteam_create_season_subscription($customer_id, $payment_method_id, $metadata = [], $with_personalization = false, $player_type = 'full_season', $billing_months = 6, $discount_params = [], $idempotency_key = '') {
     $stripe_secret_key = newteam_get_stripe_secret_key();
 
     // Select the appropriate price based on player type and personalization
@@ -299,28 +336,39 @@ function newteam_create_season_subscription($customer_id, $payment_method_id, $m
         'timeout' => 30
     ]);
 
-    // Auto-cancel after 6 months — subscription lifecycle management
-    $cancel_at = strtotime('+6 months');
+    // Auto-cancel after the season's billing period — subscription lifecycle management.
+    // Measured from now, so the last billing period ends here and no extra invoice is created.
+    $cancel_at = strtotime('+' . intval($billing_months) . ' months');
 
     $body = [
         'customer' => $customer_id,
         'items[0][price]' => $price_id,
         'default_payment_method' => $payment_method_id,
         'cancel_at' => $cancel_at,
-        'payment_behavior' => 'error_if_incomplete',
+        // cancel_at lands a moment before the last period ends — no credit for that sliver
+        'proration_behavior' => 'none',
+        'payment_behavior' => 'allow_incomplete',
         'payment_settings[payment_method_options][card][request_three_d_secure]' => 'automatic',
         'expand[]' => 'latest_invoice.payment_intent'
     ];
 
+    // Cards (wallets included) and Link — bank debit is pay-in-full only
+    foreach (newteam_get_payment_method_types('season', false) as $index => $type) {
+        $body["payment_settings[payment_method_types][{$index}]"] = $type;
+    }
+
     foreach ($metadata as $key => $value) {
         $body['metadata[' . $key . ']'] = $value;
     }
 
+    // Promo code discount — promotion code or coupon from newteam_get_promo_subscription_discount()
+    $body = array_merge($body, $discount_params);
+
     $response = wp_remote_post('https://api.stripe.com/v1/subscriptions', [
-        'headers' => [
+        'headers' => array_merge([
             'Authorization' => 'Bearer ' . $stripe_secret_key,
             'Content-Type' => 'application/x-www-form-urlencoded'
-        ],
+        ], newteam_stripe_idempotency_header($idempotency_key, 'subscription')),
         'body' => http_build_query($body),
         'timeout' => 30
     ]);
@@ -331,30 +379,104 @@ function newteam_create_season_subscription($customer_id, $payment_method_id, $m
 
     $subscription = json_decode(wp_remote_retrieve_body($response), true);
 
-    if (isset($subscription['id']) && $subscription['status'] === 'active') {
-        return [
+    if (isset($subscription['id'])) {
+        return newteam_get_season_subscription_checkout_state($subscription, $customer_id);
+    }
+
+    $error_message = isset($subscription['error']['message']) ? $subscription['error']['message'] : 'Subscription creation failed';
+    return ['success' => false, 'message' => $error_message];
+}
+
+/**
+ * Checkout state of a season subscription — the one response shape for
+ * create_season_subscription, retry_season_subscription_payment and
+ * get_season_subscription_status
+ *
+ * 'state' is one of:
+ * - 'active'                  first invoice paid — safe to register
+ * - 'processing'              payment went through, Stripe hasn't activated it yet — poll status
+ * - 'requires_action'         3D Secure — confirm payment_intent_client_secret with Stripe.js
+ * - 'requires_payment_method' first invoice declined — retry_season_subscription_payment with another card
+ * - 'expired'                 first invoice never paid (incomplete_expired / canceled) — start a new checkout
+ *
+ * @param array $subscription Subscription with latest_invoice.payment_intent expanded
+ * @param string $customer_id Stripe customer ID
+ * @return array AJAX response
+ */
+function newteam_get_season_subscription_checkout_state($subscription, $customer_id) {
+    $result = [
+        'subscription_id' => $subscription['id'],
+        'customer_id' => $customer_id,
+        'status' => $subscription['status']
+    ];
+
+    if (in_array($subscription['status'], ['active', 'trialing'])) {
+        return array_merge($result, [
             'success' => true,
-            'subscription_id' => $subscription['id'],
-            'customer_id' => $customer_id,
-            'status' => $subscription['status'],
+            'state' => 'active',
             'current_period_end' => $subscription['current_period_end'],
             'cancel_at' => $subscription['cancel_at']
-        ];
+        ]);
     }
 
-    // 3D Secure authentication required — return client_secret for frontend handling
-    if (isset($subscription['latest_invoice']['payment_intent']['status']) &&
-        $subscription['latest_invoice']['payment_intent']['status'] === 'requires_action') {
-        return [
+    if (in_array($subscription['status'], ['incomplete_expired', 'canceled'])) {
+        return array_merge($result, [
             'success' => false,
-            'requires_action' => true,
-            'payment_intent_client_secret' => $subscription['latest_invoice']['payment_intent']['client_secret'],
-            'subscription_id' => $subscription['id']
-        ];
+            'state' => 'expired',
+            'message' => 'This checkout expired before the first payment went through. Please start again.'
+        ]);
     }
 
-    $error_message = isset($subscription['error']['message']) ? $subscription['error']['message'] : 'Subscription creation failed';
-    return ['success' => false, 'message' => $error_message];
+    $payment_intent = $subscription['latest_invoice']['payment_intent'] ?? [];
+
+    switch ($payment_intent['status'] ?? '') {
+        case 'succeeded':
+        case 'processing':
+            return array_merge($result, ['success' => true, 'state' => 'processing']);
+
+        // 3D Secure authentication required — return client_secret for frontend handling
+        case 'requires_action':
+        case 'requires_confirmation':
+            return array_merge($result, [
+                'success' => false,
+                'requires_action' => true,
+                'state' => 'requires_action',
+                'payment_intent_client_secret' => $payment_intent['client_secret']
+            ]);
+
+        default:
+            return array_merge($result, [
+                'success' => false,
+                'state' => 'requires_payment_method',
+                'message' => $payment_intent['last_payment_error']['message'] ?? 'Your card was declined. Please try a different card.',
+                // Reported as the page's payment_failed analytics reason
+                'decline_code' => $payment_intent['last_payment_error']['decline_code'] ?? $payment_intent['last_payment_error']['code'] ?? ''
+            ]);
+    }
+}
+
+/**
+ * Load a checkout's subscription for the payer who started it
+ *
+ * @param string $subscription_id
+ * @param string $payer_email Must match the subscription's Customer
+ * @return array|false Subscription with latest_invoice.payment_intent and customer expanded
+ */
+function newteam_get_payer_season_subscription($subscription_id, $payer_email) {
+    if (empty($subscription_id) || empty($payer_email)) {
+        return false;
+    }
+
+    $subscription = newteam_stripe_retrieve('subscriptions/' . rawurlencode($subscription_id), [
+        'expand' => ['latest_invoice.payment_intent', 'customer']
+    ]);
+
+    if (!$subscription || strcasecmp($subscription['customer']['email'] ?? '', $payer_email) !== 0) {
+        error_log("STRIPE: Rejected subscription lookup — {$subscription_id} does not belong to {$payer_email}");
+        return false;
+    }
+
+    return $subscription;
 }
 
 /**
@@ -362,6 +484,15 @@ function newteam_create_season_subscription($customer_id, $payment_method_id, $m
  *
  * Called from SeasonRegistrationPage.jsx when user selects monthly payment.
  * Creates Stripe Customer, then creates subscription with appropriate pricing.
+ *
+ * Group registration: called once per player. The first call creates the
+ * Customer for the payer (payer_email/payer_name); later calls pass its
+ * customer_id so every player's subscription bills the same Customer.
+ *
+ * Idempotency: each player's call carries its own idempotency_key. A repeat
+ * of a key that already created a subscription answers with that
+ * subscription's current state instead of creating another — unless the
+ * tier, personalization, player, payer or promo code changed, which is rejected.
  */
 function newteam_ajax_create_season_subscription() {
     header('Content-Type: application/json');
@@ -376,21 +507,100 @@ function newteam_ajax_create_season_subscription() {
     $last_name = sanitize_text_field($_POST['last_name'] ?? '');
     $player_type = sanitize_text_field($_POST['player_type'] ?? 'full_season');
     $name_personalization = ($_POST['name_personalization'] ?? '0') === '1';
+    $season = newteam_get_season($_POST['season_id'] ?? '');
+    $payer_email = sanitize_email($_POST['payer_email'] ?? '') ?: $email;
+    $payer_name = sanitize_text_field($_POST['payer_name'] ?? '') ?: $first_name . ' ' . $last_name;
+    $customer_id = sanitize_text_field($_POST['customer_id'] ?? '');
+    $waitlist_offer = sanitize_text_field($_POST['waitlist_offer'] ?? '');
+    $idempotency_key = newteam_get_idempotency_key();
+    $language = newteam_sanitize_language($_POST['language'] ?? '');
 
     if (!in_array($player_type, ['full_season', 'guest'])) {
         $player_type = 'full_season';
     }
 
+    $fingerprint = newteam_checkout_fingerprint([
+        'season_id' => $season['id'],
+        'player_type' => $player_type,
+        'frequency' => 'monthly',
+        'personalization' => $name_personalization,
+        'players' => [strtolower($email)],
+        'payer_email' => strtolower($payer_email),
+        'promo_code' => strtoupper(trim(sanitize_text_field($_POST['promo_code'] ?? '')))
+    ]);
+
+    // Double submit, retry or reload of an attempt that already created a subscription
+    $attempt = newteam_get_checkout_attempt($idempotency_key);
+    if ($attempt && !empty($attempt['subscription_id'])) {
+        newteam_enforce_checkout_fingerprint($attempt, $fingerprint);
+        $subscription = newteam_stripe_retrieve('subscriptions/' . $attempt['subscription_id'], [
+            'expand[]' => 'latest_invoice.payment_intent'
+        ]);
+        if (!$subscription) {
+            wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t check your earlier payment attempt. Please try again in a moment.']));
+        }
+
+        error_log("STRIPE: Repeat checkout attempt — reusing subscription {$subscription['id']} ({$subscription['status']})");
+        wp_die(json_encode(newteam_get_season_subscription_checkout_state($subscription, $attempt['customer_id'])));
+    }
+
+    // Every player's call in a group checkout carries the same token — it's remembered after the first passes
+    newteam_enforce_bot_protection('season_checkout', ['success' => false, 'message' => 'Failed to create customer profile']);
+
+    if (!newteam_season_is_open($season)) {
+        wp_die(json_encode(['success' => false, 'message' => 'Registration for this season has closed']));
+    }
+
+    // Roster capacity — a full tier only accepts players holding a waitlist offer
+    if (!newteam_season_tier_is_open($season, $player_type) &&
+        !newteam_waitlist_offer_is_valid($waitlist_offer, newteam_waitlist_key('season', $season['id'], $player_type))) {
+        wp_die(json_encode(['success' => false, 'message' => 'This roster is full — please join the waitlist']));
+    }
+
     if (empty($payment_method_id) || empty($email)) {
         wp_die(json_encode(['success' => false, 'message' => 'Missing required fields']));
     }
 
-    // Create customer in Stripe
-    $customer = newteam_create_stripe_customer($email, $first_name . ' ' . $last_name, [
-        'type' => 'season_registration',
-        'player_type' => $player_type,
-        'personalization' => $name_personalization ? 'yes' : 'no'
-    ]);
+    // Promo code — re-validated against the final selection before any Stripe objects are created
+    $promo_code = '';
+    $discount_params = [];
+    if (!empty($_POST['promo_code'])) {
+        $promo_result = newteam_validate_promo_code($_POST['promo_code'], [
+            'product' => 'season',
+            'tier' => $player_type,
+            'frequency' => 'monthly'
+        ]);
+        if (!$promo_result['valid']) {
+            wp_die(json_encode(['success' => false, 'message' => $promo_result['message']]));
+        }
+        $promo_code = $promo_result['promo']['code'];
+        $discount_params = newteam_get_promo_subscription_discount(
+            $promo_result['promo'],
+            newteam_get_season_monthly_cents($player_type, $name_personalization)
+        );
+        if (empty($discount_params)) {
+            wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t apply that promo code. Please try again or remove it.']));
+        }
+    }
+
+    // Reuse the payer's customer for the rest of a group, otherwise create one
+    if (!empty($customer_id)) {
+        $customer = newteam_get_stripe_customer($customer_id);
+
+        // Only the payer who created the customer may add subscriptions to it
+        if (!$customer || strcasecmp($customer['email'] ?? '', $payer_email) !== 0) {
+            error_log("STRIPE: Rejected group subscription — customer {$customer_id} does not belong to {$payer_email}");
+            wp_die(json_encode(['success' => false, 'message' => 'Failed to load customer profile']));
+        }
+    } else {
+        $customer = newteam_create_stripe_customer($payer_email, $payer_name, [
+            'type' => 'season_registration',
+            'player_type' => $player_type,
+            'personalization' => $name_personalization ? 'yes' : 'no',
+            'season_id' => $season['id'],
+            'language' => $language
+        ], $idempotency_key);
+    }
 
     if (!$customer) {
         wp_die(json_encode(['success' => false, 'message' => 'Failed to create customer profile']));
@@ -403,16 +613,135 @@ function newteam_ajax_create_season_subscription() {
         [
             'player_name' => $first_name . ' ' . $last_name,
             'player_email' => $email,
+            'payer_email' => $payer_email,
             'player_type' => $player_type,
-            'personalization' => $name_personalization ? 'yes' : 'no'
+            'personalization' => $name_personalization ? 'yes' : 'no',
+            'season' => $season['name'],
+            'season_id' => $season['id'],
+            'promo_code' => $promo_code,
+            'language' => $language // payment failure emails are sent in this language
         ],
         $name_personalization,
-        $player_type
+        $player_type,
+        $season['billing_months'],
+        $discount_params,
+        $idempotency_key
     );
 
+    if (!empty($subscription_result['subscription_id'])) {
+        newteam_save_checkout_attempt($idempotency_key, [
+            'subscription_id' => $subscription_result['subscription_id'],
+            'customer_id' => $customer['id'],
+            'fingerprint' => $fingerprint
+        ]);
+        newteam_reserve_promo_redemption($promo_code, $subscription_result['subscription_id']);
+    }
+
     wp_die(json_encode($subscription_result));
 }
 
-// Register AJAX endpoint
+/**
+ * AJAX handler: Retry a declined first payment with a different card
+ *
+ * Puts the new payment method on the same incomplete subscription and pays
+ * its open first invoice, so a decline never leaves a second subscription
+ * behind. Answers with the subscription's checkout state.
+ */
+function newteam_ajax_retry_season_subscription_payment() {
+    header('Content-Type: application/json');
+
+    if (!wp_verify_nonce($_POST['season_nonce'] ?? '', 'season_form_nonce')) {
+        wp_die(json_encode(['success' => false, 'message' => 'Security check failed']));
+    }
+
+    $payment_method_id = sanitize_text_field($_POST['payment_method_id'] ?? '');
+    $subscription = newteam_get_payer_season_subscription(
+        sanitize_text_field($_POST['subscription_id'] ?? ''),
+        sanitize_email($_POST['payer_email'] ?? '')
+    );
+
+    if (!$subscription || empty($payment_method_id)) {
+        wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t find your earlier checkout. Please start again.', 'state' => 'expired']));
+    }
+
+    $customer_id = $subscription['customer']['id'];
+
+    // Only an incomplete first invoice can be retried — anything else is already settled
+    if ($subscription['status'] !== 'incomplete' || empty($subscription['latest_invoice']['id'])) {
+        wp_die(json_encode(newteam_get_season_subscription_checkout_state($subscription, $customer_id)));
+    }
+
+    $stripe_secret_key = newteam_get_stripe_secret_key();
+    $headers = [
+        'Authorization' => 'Bearer ' . $stripe_secret_key,
+        'Content-Type' => 'application/x-www-form-urlencoded'
+    ];
+
+    wp_remote_post("https://api.stripe.com/v1/payment_methods/{$payment_method_id}/attach", [
+        'headers' => $headers,
+        'body' => http_build_query(['customer' => $customer_id]),
+        'timeout' => 30
+    ]);
+
+    // Future invoices use the new card too
+    wp_remote_post("https://api.stripe.com/v1/subscriptions/{$subscription['id']}", [
+        'headers' => $headers,
+        'body' => http_build_query(['default_payment_method' => $payment_method_id]),
+        'timeout' => 30
+    ]);
+
+    // A decline or 3D Secure challenge comes back as an error here — the refreshed state below reports it
+    $pay_response = wp_remote_post("https://api.stripe.com/v1/invoices/{$subscription['latest_invoice']['id']}/pay", [
+        'headers' => $headers,
+        'body' => http_build_query(['payment_method' => $payment_method_id]),
+        'timeout' => 30
+    ]);
+
+    if (is_wp_error($pay_response)) {
+        error_log('STRIPE INVOICE PAY ERROR: ' . $pay_response->get_error_message());
+    }
+
+    $subscription = newteam_stripe_retrieve('subscriptions/' . $subscription['id'], [
+        'expand[]' => 'latest_invoice.payment_intent'
+    ]);
+
+    if (!$subscription) {
+        wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t confirm your payment. Please try again in a moment.']));
+    }
+
+    error_log("STRIPE: Retried first payment for subscription {$subscription['id']} — now {$subscription['status']}");
+    wp_die(json_encode(newteam_get_season_subscription_checkout_state($subscription, $customer_id)));
+}
+
+/**
+ * AJAX handler: Checkout state of a subscription
+ *
+ * Polled after 3D Secure until Stripe marks the subscription active — the
+ * page only registers the player once it is.
+ */
+function newteam_ajax_get_season_subscription_status() {
+    header('Content-Type: application/json');
+
+    if (!wp_verify_nonce($_POST['season_nonce'] ?? '', 'season_form_nonce')) {
+        wp_die(json_encode(['success' => false, 'message' => 'Security check failed']));
+    }
+
+    $subscription = newteam_get_payer_season_subscription(
+        sanitize_text_field($_POST['subscription_id'] ?? ''),
+        sanitize_email($_POST['payer_email'] ?? '')
+    );
+
+    if (!$subscription) {
+        wp_die(json_encode(['success' => false, 'message' => 'We couldn\'t find your subscription.']));
+    }
+
+    wp_die(json_encode(newteam_get_season_subscription_checkout_state($subscription, $subscription['customer']['id'])));
+}
+
+// Register AJAX endpoints
 add_action('wp_ajax_create_season_subscription', 'newteam_ajax_create_season_subscription');
 add_action('wp_ajax_nopriv_create_season_subscription', 'newteam_ajax_create_season_subscription');
+add_action('wp_ajax_retry_season_subscription_payment', 'newteam_ajax_retry_season_subscription_payment');
+add_action('wp_ajax_nopriv_retry_season_subscription_payment', 'newteam_ajax_retry_season_subscription_payment');
+add_action('wp_ajax_get_season_subscription_status', 'newteam_ajax_get_season_subscription_status');
+add_action('wp_ajax_nopriv_get_season_subscription_status', 'newteam_ajax_get_season_subscription_status');
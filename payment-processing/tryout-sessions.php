@@ -0,0 +1,105 @@
+<?php
+/**
+ * Tryout Sessions
+ *
+ * Server-side source of truth for tryout dates, pricing and capacity.
+ * The session_id posted by TryoutPage.jsx selects the session whose price
+ * is charged — the client-sent amount is never trusted for a known session.
+ *
+ * Sessions are stored in the 'newteam_tryout_sessions' option (falls back
+ * to the default list below); spots taken are tracked per session in
+ * 'newteam_tryout_spots_taken' and incremented on completed registration.
+ * Spots held by an outstanding waitlist offer count as taken.
+ * Localize newteam_get_tryout_sessions() as `tryoutSessions` for the frontend.
+ */
+
+/**
+ * All tryout sessions, keyed by session ID, with current spots taken
+ *
+ * capacity 0 = unlimited
+ *
+ * @return array
+ */
+function newteam_get_tryout_sessions() {
+    $defaults = [
+        'august_9' => [
+            'id' => 'august_9',
+            'date' => '2025-08-09',
+            'time' => '',
+            'location' => '',
+            'price_cents' => 1500,
+            'capacity' => 0
+        ]
+    ];
+
+    $sessions = get_option('newteam_tryout_sessions', $defaults);
+    $spots_taken = get_option('newteam_tryout_spots_taken', []);
+
+    foreach ($sessions as $id => $session) {
+        $held = function_exists('newteam_waitlist_held_spots')
+            ? newteam_waitlist_held_spots(newteam_waitlist_key('tryout', $id))
+            : 0;
+        $sessions[$id]['spots_taken'] = intval($spots_taken[$id] ?? 0) + $held;
+    }
+
+    return apply_filters('newteam_tryout_sessions', $sessions);
+}
+
+/**
+ * Resolve a tryout session from a (possibly untrusted) session ID
+ *
+ * @param string $session_id Session ID from the tryout form
+ * @return array|null Session, or null when unknown
+ */
+function newteam_get_tryout_session($session_id) {
+    $sessions = newteam_get_tryout_sessions();
+    $session_id = sanitize_key($session_id);
+
+    return $sessions[$session_id] ?? null;
+}
+
+/**
+ * Whether a session can still take registrations — not started and not full
+ *
+ * @param array $session
+ * @return bool
+ */
+function newteam_tryout_session_is_open($session) {
+    $start = strtotime($session['date'] . ' ' . ($session['time'] ?: '00:00'));
+    if ($start !== false && $start <= current_time('timestamp')) {
+        return false;
+    }
+
+    $capacity = intval($session['capacity'] ?? 0);
+    return $capacity === 0 || intval($session['spots_taken'] ?? 0) < $capacity;
+}
+
+/**
+ * Adjust a session's spots taken — +1 per completed registration,
+ * -1 when an admin releases a spot to the waitlist
+ *
+ * @param string $session_id
+ * @param int $delta
+ */
+function newteam_adjust_tryout_spots($session_id, $delta = 1) {
+    $session_id = sanitize_key($session_id);
+    if (empty($session_id)) return;
+
+    $spots_taken = get_option('newteam_tryout_spots_taken', []);
+    $spots_taken[$session_id] = max(intval($spots_taken[$session_id] ?? 0) + $delta, 0);
+    update_option('newteam_tryout_spots_taken', $spots_taken, false);
+}
+
+/**
+ * Session list shaped for wp_localize_script (`tryoutSessions`) — each
+ * session carries the site time zone its date and time are in
+ *
+ * @return array
+ */
+function newteam_get_tryout_sessions_for_frontend() {
+    $time_zone = wp_timezone_string();
+
+    return array_map(function ($session) use ($time_zone) {
+        return array_merge(['time_zone' => $time_zone], $session);
+    }, array_values(newteam_get_tryout_sessions()));
+}
@@ -8,7 +8,9 @@
  * is verified and recorded here.
  *
  * Events handled:
- * - payment_intent.succeeded: Confirms tryout payment, creates GL record
+ * - payment_intent.succeeded: Confirms tryout payment, creates GL record;
+ *   settles a pay-in-full season bank debit
+ * - payment_intent.payment_failed: Flags a pay-in-full season bank debit that bounced
  * - checkout.session.completed: Legacy checkout flow confirmation
  * - invoice.payment_failed: Triggers escalating retry notification sequence
  * - customer.subscription.deleted: Updates subscription lifecycle status
@@ -67,9 +69,21 @@ function newteam_handle_stripe_webhook() {
             case 'payment_intent.succeeded':
                 $payment_intent = $event['data']['object'];
                 error_log('STRIPE: Payment succeeded for payment intent: ' . $payment_intent['id']);
+                if (newteam_is_season_bank_debit($payment_intent)) {
+                    newteam_update_season_registration_status($payment_intent['id'], 'Paid', 'Payment Intent ID');
+                    break;
+                }
                 newteam_process_successful_payment_intent($payment_intent);
                 break;
 
+            case 'payment_intent.payment_failed':
+                $payment_intent = $event['data']['object'];
+                error_log('STRIPE: Payment failed for payment intent: ' . $payment_intent['id']);
+                if (newteam_is_season_bank_debit($payment_intent)) {
+                    newteam_handle_season_bank_debit_failed($payment_intent);
+                }
+                break;
+
             case 'invoice.payment_failed':
                 $invoice = $event['data']['object'];
                 error_log('STRIPE: Invoice payment failed for subscription: ' . ($invoice['subscription'] ?? 'N/A'));
@@ -230,6 +244,47 @@ Please follow up with the player if needed.
     }
 }
 
+/**
+ * Whether a PaymentIntent is a pay-in-full season bank debit
+ *
+ * These register while still 'processing' and settle days later, so the
+ * webhook — not the checkout page — has the final word on them.
+ */
+function newteam_is_season_bank_debit($payment_intent) {
+    $metadata = $payment_intent['metadata'] ?? [];
+    return ($metadata['payment_frequency'] ?? '') === 'full' &&
+        ($metadata['payment_method_type'] ?? '') === 'us_bank_account';
+}
+
+/**
+ * A pay-in-full bank debit bounced after the player was registered
+ *
+ * Flags the registration and tells the admin team — the roster spot is
+ * held until someone follows up with the payer.
+ */
+function newteam_handle_season_bank_debit_failed($payment_intent) {
+    $metadata = $payment_intent['metadata'];
+    $reason = $payment_intent['last_payment_error']['message'] ?? 'Unknown reason';
+
+    newteam_update_season_registration_status($payment_intent['id'], 'Payment Failed', 'Payment Intent ID');
+
+    $admin_message = "A pay-in-full bank debit failed after registration:\n\n";
+    $admin_message .= "Season: {$metadata['season']}\n";
+    $admin_message .= "Payer: {$metadata['player_name']} ({$metadata['player_email']})\n";
+    $admin_message .= "Players: {$metadata['player_names']}\n";
+    $admin_message .= "Amount: $" . ($payment_intent['amount'] / 100) . "\n";
+    $admin_message .= "Reason: {$reason}\n";
+    $admin_message .= "Payment Intent ID: {$payment_intent['id']}\n\n";
+    $admin_message .= "Please contact the payer to collect payment.";
+
+    wp_mail('goal@newteamfc.com', "Bank Payment Failed - {$metadata['player_name']}", $admin_message, [
+        'Content-Type: text/plain; charset=UTF-8',
+        'From: Newteam F.C. Registration <noreply@newteamfc.com>'
+    ]);
+
+    error_log("SEASON BANK DEBIT FAILED: {$payment_intent['id']} for {$metadata['player_email']} — {$reason}");
+}
+
 // Register webhook endpoint
 add_action('init', function() {
     if (isset($_GET['stripe_webhook']) && $_GET['stripe_webhook'] === 'season_subscriptions') {